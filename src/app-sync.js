@@ -0,0 +1,250 @@
+/**
+ * ServiceNow MCP Server - Application Sync
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Pulls a scoped application into a local directory: every scripted artifact,
+ * one subdirectory per script type, plus the app's tables, dictionary and ACL
+ * definitions as JSON. A manifest maps each file to its record, so later pushes
+ * match by sys_id instead of by name.
+ *
+ * @module app-sync
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { syncAllScripts, commitPulledScripts, writeManifest, checkScriptTypes, MANIFEST_FILE, SCRIPT_TYPES } from './script-sync.js';
+
+// Directory (inside the application directory) holding non-script metadata
+const METADATA_DIR = 'metadata';
+
+const DICTIONARY_FIELDS = 'sys_id,name,element,column_label,internal_type,max_length,reference,mandatory,read_only,active,default_value,display';
+const TABLE_FIELDS = 'sys_id,name,label,super_class,is_extendable,access,read_access,create_access,update_access,delete_access';
+const ACL_FIELDS = 'sys_id,name,operation.name,type,active,admin_overrides,advanced,condition,description';
+
+/**
+ * Find an application by sys_id or scope name
+ * Store and custom applications both extend sys_scope.
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {string} application - Application sys_id or scope (e.g. x_acme_fleet)
+ * @returns {Promise<object>} - Application record
+ */
+export async function resolveApplication(serviceNowClient, application) {
+  const query = /^[0-9a-f]{32}$/.test(application) ? `sys_id=${application}` : `scope=${application}`;
+  const records = await serviceNowClient.getRecords('sys_scope', {
+    sysparm_query: query,
+    sysparm_limit: 1,
+    sysparm_fields: 'sys_id,name,scope,version,short_description,vendor,sys_class_name',
+    sysparm_exclude_reference_link: true
+  });
+
+  if (records.length === 0) {
+    throw new Error(`Application not found: ${application}. Pass a sys_app sys_id or scope name.`);
+  }
+  return records[0];
+}
+
+/**
+ * Collect every record a query matches
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {string} table - Table name
+ * @param {object} query - Table API parameters
+ * @returns {Promise<Array>} - Records
+ */
+async function collect(serviceNowClient, table, query) {
+  const records = [];
+  for await (const record of serviceNowClient.streamRecords(table, { sysparm_exclude_reference_link: true, ...query })) {
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Write a JSON file, creating its directory
+ *
+ * @param {string} filePath - File path
+ * @param {*} value - Value to write
+ */
+async function writeJson(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify(value, null, 2)}\n`, 'utf-8');
+}
+
+/**
+ * Export an application's non-script metadata as JSON
+ * Writes application.json, tables/{table}.json (table definition and the app's
+ * dictionary entries on it, including columns added to tables of other scopes)
+ * and acls.json (ACL definitions with their roles).
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {object} app - Application record
+ * @param {string} directory - Application directory
+ * @returns {Promise<Array<string>>} - Files written, relative to the application directory
+ */
+async function exportApplicationMetadata(serviceNowClient, app, directory) {
+  const metadataDir = path.join(directory, METADATA_DIR);
+  const scopeQuery = `sys_scope=${app.sys_id}`;
+  const written = [];
+
+  const write = async (relativePath, value) => {
+    await writeJson(path.join(metadataDir, relativePath), value);
+    written.push(`${METADATA_DIR}/${relativePath}`);
+  };
+
+  await write('application.json', app);
+
+  const tables = await collect(serviceNowClient, 'sys_db_object', {
+    sysparm_query: scopeQuery,
+    sysparm_fields: TABLE_FIELDS,
+    sysparm_order_by: 'name'
+  });
+  const columns = await collect(serviceNowClient, 'sys_dictionary', {
+    sysparm_query: scopeQuery,
+    sysparm_fields: DICTIONARY_FIELDS,
+    sysparm_order_by: 'name,element'
+  });
+
+  const tableNames = [...new Set([...tables.map(table => table.name), ...columns.map(column => column.name)])].sort();
+  for (const tableName of tableNames) {
+    await write(`tables/${tableName}.json`, {
+      table: tables.find(table => table.name === tableName) || null,
+      columns: columns.filter(column => column.name === tableName)
+    });
+  }
+
+  const acls = await collect(serviceNowClient, 'sys_security_acl', {
+    sysparm_query: scopeQuery,
+    sysparm_fields: ACL_FIELDS,
+    sysparm_order_by: 'name'
+  });
+  const aclRoles = await collect(serviceNowClient, 'sys_security_acl_role', {
+    sysparm_query: `sys_security_acl.${scopeQuery}`,
+    sysparm_fields: 'sys_security_acl,sys_user_role.name'
+  });
+  await write('acls.json', acls.map(acl => ({
+    ...acl,
+    roles: aclRoles.filter(role => role.sys_security_acl === acl.sys_id).map(role => role['sys_user_role.name'])
+  })));
+
+  return written;
+}
+
+/**
+ * Pull every scripted artifact of an application into a directory organized by type
+ * Each script type gets a subdirectory (pulled with syncAllScripts); sn-manifest.json
+ * at the top maps every file to its record for exact matching on push.
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {object} options - Pull options
+ * @param {string} options.application - Application sys_id or scope
+ * @param {string} options.directory - Local directory for the application
+ * @param {Array<string>} options.script_types - Script types to pull (optional, defaults to all)
+ * @param {boolean} options.include_metadata - Export tables, dictionary and ACLs as JSON (default: true)
+ * @param {boolean} options.git_commit - Commit what the pull changed as one commit (see commitPulledScripts)
+ * @returns {Promise<object>} - Pull summary; `pruned` lists manifest entries of records no longer on the instance
+ */
+export async function pullApplication(serviceNowClient, options) {
+  const { application, directory, script_types, include_metadata = true, git_commit = false } = options;
+
+  checkScriptTypes(script_types || []);
+
+  const app = await resolveApplication(serviceNowClient, application);
+  console.error(`📦 Pulling application ${app.name} (${app.scope}) into ${directory}`);
+
+  const result = {
+    application: { sys_id: app.sys_id, name: app.name, scope: app.scope },
+    directory,
+    manifest: path.join(directory, MANIFEST_FILE),
+    total_files: 0,
+    synced: 0,
+    failed: 0,
+    by_type: {},
+    failures: [],
+    pruned: [],
+    metadata_files: [],
+    timestamp: new Date().toISOString()
+  };
+
+  const manifest = {
+    instance: serviceNowClient.getCurrentInstance?.().name || null,
+    application: result.application,
+    pulled_at: result.timestamp,
+    files: {},
+    metadata: []
+  };
+
+  await fs.mkdir(directory, { recursive: true });
+  const pulledScripts = [];
+
+  // Entries from the last pull are kept only where this pull could not check them (failed types and scripts)
+  const previous = await fs.readFile(result.manifest, 'utf-8').then(JSON.parse).catch(() => null);
+  const previousFiles = previous?.files || {};
+  const scriptTypes = script_types || Object.keys(SCRIPT_TYPES);
+  Object.entries(previousFiles)
+    .filter(([, entry]) => !scriptTypes.includes(entry.type))
+    .forEach(([key, entry]) => {
+      manifest.files[key] = entry;
+    });
+
+  for (const scriptType of scriptTypes) {
+    const typeDirectory = path.join(directory, scriptType);
+    const typeResult = await syncAllScripts(serviceNowClient, {
+      directory: typeDirectory,
+      script_types: [scriptType],
+      direction: 'pull',
+      query: `sys_scope=${app.sys_id}`
+    });
+
+    const previousEntries = Object.entries(previousFiles).filter(([, entry]) => entry.type === scriptType);
+    if (typeResult.error) {
+      result.failures.push({ script_type: scriptType, error: typeResult.error });
+      result.failed++;
+      previousEntries.forEach(([key, entry]) => {
+        manifest.files[key] = entry;
+      });
+    }
+
+    pulledScripts.push(...typeResult.scripts);
+    typeResult.scripts.forEach(script => {
+      const key = path.relative(directory, script.file_path).split(path.sep).join('/');
+      if (script.success) {
+        manifest.files[key] = { type: scriptType, table: SCRIPT_TYPES[scriptType].table, sys_id: script.sys_id, name: script.script_name };
+      } else {
+        result.failures.push({ script_type: scriptType, script_name: script.script_name, error: script.error });
+        if (previousFiles[key]) {
+          manifest.files[key] = previousFiles[key];
+        }
+      }
+    });
+
+    // Records deleted on the instance since the last pull (their local files are left in place)
+    if (!typeResult.error) {
+      result.pruned.push(...previousEntries.map(([key]) => key).filter(key => !manifest.files[key]));
+    }
+
+    result.total_files += typeResult.total_files;
+    result.synced += typeResult.synced;
+    result.failed += typeResult.failed;
+    if (typeResult.total_files > 0) {
+      result.by_type[scriptType] = typeResult.synced;
+    } else {
+      // Drop directories of types the app has none of (left alone if they hold anything)
+      await fs.rmdir(typeDirectory).catch(() => {});
+    }
+  }
+
+  if (include_metadata) {
+    result.metadata_files = await exportApplicationMetadata(serviceNowClient, app, directory);
+    manifest.metadata = result.metadata_files;
+  }
+
+  await writeManifest(result.manifest, manifest);
+
+  if (git_commit) {
+    result.git = await commitPulledScripts(serviceNowClient, directory, [directory], pulledScripts);
+  }
+  return result;
+}
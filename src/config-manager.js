@@ -7,15 +7,198 @@
 
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import { fileURLToPath } from 'url';
+import chokidar from 'chokidar';
+import { z } from 'zod';
+import { OAUTH_GRANT_TYPES } from './oauth-token-manager.js';
+import { INSTANCE_MODES } from './tool-policy.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export class ConfigManager {
+// Instance fields that may hold secret references instead of literal values
+const SECRET_FIELDS = ['username', 'password'];
+const AUTH_SECRET_FIELDS = ['client_id', 'client_secret'];
+
+// Maximum time a cmd: secret reference may run
+const SECRET_COMMAND_TIMEOUT_MS = 10000;
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Schema for config/servicenow-instances.json
+ * Cross-instance rules (unique names, single default) and credential
+ * requirements are checked separately in validateConfig().
+ */
+const instanceSchema = z.object({
+  name: z.string().min(1),
+  url: z.string().url().refine(url => /^https?:\/\//.test(url), { message: 'Must be an http(s) URL' }),
+  username: z.string().optional(),
+  password: z.string().optional(),
+  default: z.boolean().optional(),
+  description: z.string().optional(),
+  mode: z.enum(INSTANCE_MODES).optional(),
+  production: z.boolean().optional(),
+  tools: z.object({
+    allow: z.array(z.string().min(1)).optional(),
+    deny: z.array(z.string().min(1)).optional()
+  }).strict().optional(),
+  http: z.object({
+    timeout_ms: z.number().int().nonnegative(),
+    max_retries: z.number().int().nonnegative(),
+    retry_base_delay_ms: z.number().int().nonnegative(),
+    retry_max_delay_ms: z.number().int().nonnegative(),
+    max_concurrent: z.number().int().nonnegative(),
+    requests_per_second: z.number().nonnegative()
+  }).partial().strict().optional(),
+  auth: z.object({
+    type: z.enum(['basic', 'oauth']).optional(),
+    grant_type: z.enum(OAUTH_GRANT_TYPES).optional(),
+    client_id: z.string().optional(),
+    client_secret: z.string().optional()
+  }).optional()
+}).passthrough();
+
+const configSchema = z.object({
+  instances: z.array(instanceSchema).min(1, { message: 'At least one instance must be configured' })
+});
+
+// Wait for writes to settle before reloading, so editors that save in chunks don't trigger half-written reads
+const WATCH_STABILITY_MS = 300;
+
+/**
+ * Format a zod issue path as e.g. instances[1].auth.grant_type
+ */
+function formatIssuePath(issuePath) {
+  return issuePath.reduce((result, key) => (
+    typeof key === 'number' ? `${result}[${key}]` : (result ? `${result}.${key}` : key)
+  ), '');
+}
+
+/**
+ * Resolve a secret reference to its value
+ * Supported forms:
+ * - env:VAR_NAME - value of an environment variable
+ * - file:/run/secrets/name - file contents (e.g., Docker secrets), trailing newline removed
+ * - cmd:command args - stdout of a shell command, trailing newline removed; commands
+ *   run asynchronously via runSecretCommand() and are read here from commandCache
+ * - literal:value - the value after the prefix, for literals that start with a prefix
+ * Any other value is returned unchanged.
+ *
+ * @param {string} value - Literal value or secret reference
+ * @param {string} label - Field description used in error messages
+ * @param {Map} commandCache - cmd: outputs by command; a cached Error is a failed run
+ * @returns {string} Resolved secret
+ */
+export function resolveSecret(value, label = 'secret', commandCache = null) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (value.startsWith('literal:')) {
+    return value.substring(8);
+  }
+
+  if (value.startsWith('env:')) {
+    const varName = value.substring(4);
+    if (process.env[varName] === undefined) {
+      throw new Error(`${label} references environment variable ${varName}, which is not set`);
+    }
+    return process.env[varName];
+  }
+
+  if (value.startsWith('file:')) {
+    const filePath = value.substring(5);
+    try {
+      return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+    } catch (error) {
+      throw new Error(`${label} references file ${filePath}, which could not be read: ${error.message}`);
+    }
+  }
+
+  if (value.startsWith('cmd:')) {
+    const command = value.substring(4);
+    const output = commandCache?.get(command);
+    if (output instanceof Error) {
+      throw new Error(`${label} command failed: ${output.message}`);
+    }
+    if (output === undefined) {
+      throw new Error(`${label} command has not run yet`);
+    }
+    return output;
+  }
+
+  return value;
+}
+
+/**
+ * Run the command of a cmd: secret reference without blocking the event loop
+ * @param {string} command - Command after the cmd: prefix
+ * @returns {Promise<string>} stdout, trailing newline removed
+ * @throws {Error} With the command's stderr when it fails or times out
+ */
+export async function runSecretCommand(command) {
+  // Same shell invocation as child_process.exec, so references keep shell syntax
+  const isWindows = process.platform === 'win32';
+  const [shell, args] = isWindows
+    ? [process.env.ComSpec || 'cmd.exe', ['/d', '/s', '/c', `"${command}"`]]
+    : ['/bin/sh', ['-c', command]];
+  try {
+    const running = execFileAsync(shell, args, {
+      encoding: 'utf8',
+      timeout: SECRET_COMMAND_TIMEOUT_MS,
+      windowsVerbatimArguments: isWindows
+    });
+    // No input, so commands that read stdin don't wait for the timeout
+    running.child.stdin.end();
+    const { stdout } = await running;
+    return stdout.replace(/\r?\n$/, '');
+  } catch (error) {
+    throw new Error(error.stderr?.toString().trim() || error.message);
+  }
+}
+
+/**
+ * Collect the commands of cmd: secret references in a set of instances
+ * @param {Array} instances - Instance configurations as loaded
+ * @returns {string[]} Distinct commands
+ */
+function collectSecretCommands(instances) {
+  const values = instances.flatMap(instance => [
+    ...SECRET_FIELDS.map(field => instance[field]),
+    ...AUTH_SECRET_FIELDS.map(field => instance.auth?.[field])
+  ]);
+  return [...new Set(values
+    .filter(value => typeof value === 'string' && value.startsWith('cmd:'))
+    .map(value => value.substring(4)))];
+}
+
+/**
+ * Events:
+ * - 'change' ({ instances, changed }) - config file reloaded; `instances` is the
+ *   listInstances() view and `changed` names instances added, removed or modified
+ * - 'reloadError' (error) - config file changed but was invalid; previous config kept
+ */
+export class ConfigManager extends EventEmitter {
   constructor() {
+    super();
     this.configPath = path.join(__dirname, '../config/servicenow-instances.json');
     this.instances = null;
+    this.watcher = null;
+
+    // cmd: secret outputs per loaded config, so commands run once per config generation
+    // and lookups stay synchronous; commandRuns holds the run in progress
+    this.commandSecrets = new WeakMap();
+    this.commandRuns = new WeakMap();
+
+    // Incremented per reload, so a slow reload never replaces a newer one
+    this.reloadId = 0;
+
+    // Every MCP session subscribes to 'change'
+    this.setMaxListeners(0);
   }
 
   /**
@@ -27,9 +210,7 @@ export class ConfigManager {
     }
 
     try {
-      const configData = fs.readFileSync(this.configPath, 'utf8');
-      const config = JSON.parse(configData);
-      this.instances = config.instances;
+      this.instances = this.readConfigFile();
       return this.instances;
     } catch (error) {
       // Fallback to .env if config file doesn't exist
@@ -41,30 +222,263 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Read, parse and validate the JSON config file
+   * @returns {Array} Validated instances
+   */
+  readConfigFile() {
+    const configData = fs.readFileSync(this.configPath, 'utf8');
+    return this.validateConfig(JSON.parse(configData));
+  }
+
+  /**
+   * Validate a whole config file
+   * Reports every problem at once rather than stopping at the first.
+   * @param {object} config - Parsed config file contents
+   * @returns {Array} The config's instances
+   */
+  validateConfig(config) {
+    const parsed = configSchema.safeParse(config);
+    if (!parsed.success) {
+      const problems = parsed.error.issues.map(issue => `${formatIssuePath(issue.path) || 'config'}: ${issue.message}`);
+      throw new Error(`Invalid instances config:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    const { instances } = config;
+    const problems = [];
+
+    const seen = new Set();
+    for (const instance of instances) {
+      if (seen.has(instance.name)) {
+        problems.push(`Duplicate instance name: ${instance.name}`);
+      }
+      seen.add(instance.name);
+
+      try {
+        this.validateInstance(instance);
+      } catch (error) {
+        problems.push(`${error.message} (instance '${instance.name}')`);
+      }
+    }
+
+    const defaults = instances.filter(i => i.default === true).map(i => i.name);
+    if (defaults.length > 1) {
+      problems.push(`Only one instance may be the default, found: ${defaults.join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid instances config:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return instances;
+  }
+
+  /**
+   * Watch the config file and reload it when it changes
+   * @returns {FSWatcher} chokidar watcher
+   */
+  watch() {
+    if (this.watcher) {
+      return this.watcher;
+    }
+
+    this.watcher = chokidar.watch(this.configPath, {
+      ignoreInitial: true,
+      awaitWriteFinish: {
+        stabilityThreshold: WATCH_STABILITY_MS,
+        pollInterval: 100
+      }
+    });
+
+    this.watcher
+      .on('add', () => this.reload())
+      .on('change', () => this.reload())
+      .on('unlink', () => {
+        console.error('⚠️  servicenow-instances.json was removed, keeping the last loaded configuration');
+      });
+
+    return this.watcher;
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  async stopWatching() {
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Re-read the config file, keeping the current config if the new one is invalid
+   * cmd: secret references of the new config run before it is applied.
+   * @returns {Promise<boolean>} True if the new config was applied
+   */
+  async reload() {
+    const reloadId = ++this.reloadId;
+    let instances;
+    try {
+      instances = this.readConfigFile();
+    } catch (error) {
+      console.error(`❌ Failed to reload ServiceNow instances config, keeping previous configuration: ${error.message}`);
+      this.emit('reloadError', error);
+      return false;
+    }
+
+    await this.resolveCommandSecrets(instances);
+    if (reloadId !== this.reloadId) {
+      // The file changed again while commands ran; the newer reload applies it
+      return false;
+    }
+
+    const previous = new Map((this.instances || []).map(i => [i.name, JSON.stringify(i)]));
+    const current = new Map(instances.map(i => [i.name, JSON.stringify(i)]));
+    const changed = [...new Set([...previous.keys(), ...current.keys()])]
+      .filter(name => previous.get(name) !== current.get(name));
+
+    this.instances = instances;
+    console.error(`🔄 Reloaded ServiceNow instances config (${instances.length} instances${changed.length ? `, changed: ${changed.join(', ')}` : ''})`);
+    this.emit('change', { instances: this.listInstances(), changed });
+
+    return true;
+  }
+
   /**
    * Fallback: Load single instance from .env file (backward compatibility)
    */
   loadFromEnv() {
-    if (!process.env.SERVICENOW_INSTANCE_URL || !process.env.SERVICENOW_USERNAME || !process.env.SERVICENOW_PASSWORD) {
+    const authType = process.env.SERVICENOW_AUTH_TYPE || 'basic';
+    const grantType = process.env.SERVICENOW_OAUTH_GRANT_TYPE || 'password';
+    const needsUserCredentials = authType !== 'oauth' || grantType === 'password';
+
+    if (!process.env.SERVICENOW_INSTANCE_URL ||
+        (needsUserCredentials && (!process.env.SERVICENOW_USERNAME || !process.env.SERVICENOW_PASSWORD))) {
       throw new Error('Missing ServiceNow credentials. Create config/servicenow-instances.json or set SERVICENOW_INSTANCE_URL, SERVICENOW_USERNAME, SERVICENOW_PASSWORD in .env');
     }
 
-    this.instances = [{
+    const instance = {
       name: 'default',
       url: process.env.SERVICENOW_INSTANCE_URL,
       username: process.env.SERVICENOW_USERNAME,
       password: process.env.SERVICENOW_PASSWORD,
       default: true,
       description: 'Loaded from .env'
-    }];
+    };
+
+    if (process.env.SERVICENOW_INSTANCE_MODE) {
+      instance.mode = process.env.SERVICENOW_INSTANCE_MODE;
+    }
+
+    if (process.env.SERVICENOW_INSTANCE_PRODUCTION) {
+      instance.production = process.env.SERVICENOW_INSTANCE_PRODUCTION === 'true';
+    }
+
+    // Comma-separated tool name globs, e.g. SERVICENOW_TOOLS_DENY=SN-Execute-*,SN-Create-Workflow
+    const toolPatterns = (value) => (value ? value.split(',').map(p => p.trim()).filter(Boolean) : undefined);
+    if (process.env.SERVICENOW_TOOLS_ALLOW || process.env.SERVICENOW_TOOLS_DENY) {
+      instance.tools = {
+        allow: toolPatterns(process.env.SERVICENOW_TOOLS_ALLOW),
+        deny: toolPatterns(process.env.SERVICENOW_TOOLS_DENY)
+      };
+    }
+
+    if (authType === 'oauth') {
+      instance.auth = {
+        type: 'oauth',
+        grant_type: grantType,
+        client_id: process.env.SERVICENOW_CLIENT_ID,
+        client_secret: process.env.SERVICENOW_CLIENT_SECRET
+      };
+    }
+
+    this.validateInstance(instance);
+    this.instances = [instance];
 
     return this.instances;
   }
 
+  /**
+   * Get the cmd: output cache of a config generation
+   * @param {Array} generation - Instances array as loaded
+   * @returns {Map} Outputs (or Errors) by command
+   */
+  getCommandCache(generation) {
+    if (!this.commandSecrets.has(generation)) {
+      this.commandSecrets.set(generation, new Map());
+    }
+    return this.commandSecrets.get(generation);
+  }
+
+  /**
+   * Run the cmd: secret references of a config generation
+   * Commands run concurrently without blocking the event loop. Outputs and
+   * failures are kept for lookups; commands that already succeeded are not run again.
+   * @param {Array} instances - Config generation (defaults to the loaded config)
+   * @returns {Promise<Map>} Outputs (or Errors) by command
+   */
+  async resolveCommandSecrets(instances = this.loadInstances()) {
+    if (this.commandRuns.has(instances)) {
+      return this.commandRuns.get(instances);
+    }
+
+    const commandCache = this.getCommandCache(instances);
+    const pending = collectSecretCommands(instances)
+      .filter(command => typeof commandCache.get(command) !== 'string');
+
+    const run = Promise.all(pending.map(async command => {
+      try {
+        commandCache.set(command, await runSecretCommand(command));
+      } catch (error) {
+        commandCache.set(command, error);
+      }
+    })).then(() => {
+      this.commandRuns.delete(instances);
+      return commandCache;
+    });
+    this.commandRuns.set(instances, run);
+
+    return run;
+  }
+
+  /**
+   * Resolve secret references in an instance configuration
+   * Returns a copy so the cached config keeps its references. cmd: outputs come
+   * from resolveCommandSecrets(); a failed or missing one is retried in the
+   * background so a later lookup can succeed.
+   * @param {object} instance - Instance configuration as loaded
+   * @returns {object} Instance configuration with secrets resolved
+   */
+  resolveInstanceSecrets(instance) {
+    const resolved = { ...instance };
+    const generation = this.instances || [];
+    const commandCache = this.getCommandCache(generation);
+
+    try {
+      for (const field of SECRET_FIELDS) {
+        resolved[field] = resolveSecret(instance[field], `Instance '${instance.name}' ${field}`, commandCache);
+      }
+
+      if (instance.auth) {
+        resolved.auth = { ...instance.auth };
+        for (const field of AUTH_SECRET_FIELDS) {
+          resolved.auth[field] = resolveSecret(instance.auth[field], `Instance '${instance.name}' auth.${field}`, commandCache);
+        }
+      }
+    } catch (error) {
+      if (collectSecretCommands([instance]).some(command => typeof commandCache.get(command) !== 'string')) {
+        this.resolveCommandSecrets(generation);
+      }
+      throw error;
+    }
+
+    return resolved;
+  }
+
   /**
    * Get instance by name
    * @param {string} name - Instance name
-   * @returns {object} Instance configuration
+   * @returns {object} Instance configuration with secrets resolved
    */
   getInstance(name) {
     const instances = this.loadInstances();
@@ -74,12 +488,12 @@ export class ConfigManager {
       throw new Error(`Instance '${name}' not found. Available instances: ${instances.map(i => i.name).join(', ')}`);
     }
 
-    return instance;
+    return this.resolveInstanceSecrets(instance);
   }
 
   /**
    * Get default instance
-   * @returns {object} Default instance configuration
+   * @returns {object} Default instance configuration with secrets resolved
    */
   getDefaultInstance() {
     const instances = this.loadInstances();
@@ -87,10 +501,10 @@ export class ConfigManager {
 
     if (!defaultInstance) {
       // If no default is set, use the first instance
-      return instances[0];
+      return this.resolveInstanceSecrets(instances[0]);
     }
 
-    return defaultInstance;
+    return this.resolveInstanceSecrets(defaultInstance);
   }
 
   /**
@@ -122,7 +536,14 @@ export class ConfigManager {
       name: i.name,
       url: i.url,
       default: i.default || false,
-      description: i.description || ''
+      description: i.description || '',
+      auth_type: i.auth?.type || 'basic',
+      mode: i.mode || 'full',
+      production: i.production || false,
+      tools: {
+        allow: i.tools?.allow || [],
+        deny: i.tools?.deny || []
+      }
     }));
   }
 
@@ -132,12 +553,35 @@ export class ConfigManager {
    * @returns {boolean} True if valid
    */
   validateInstance(instance) {
-    const required = ['name', 'url', 'username', 'password'];
+    const authType = instance.auth?.type || 'basic';
+    const grantType = instance.auth?.grant_type || 'password';
+
+    // client_credentials authenticates the OAuth client alone, without a user
+    const required = ['name', 'url'];
+    if (authType !== 'oauth' || grantType === 'password') {
+      required.push('username', 'password');
+    }
+
     for (const field of required) {
       if (!instance[field]) {
         throw new Error(`Instance configuration missing required field: ${field}`);
       }
     }
+
+    if (authType === 'oauth') {
+      for (const field of ['client_id', 'client_secret']) {
+        if (!instance.auth[field]) {
+          throw new Error(`Instance '${instance.name}' OAuth configuration missing required field: auth.${field}`);
+        }
+      }
+    } else if (authType !== 'basic') {
+      throw new Error(`Instance '${instance.name}' has unsupported auth type: ${authType}. Must be 'basic' or 'oauth'.`);
+    }
+
+    if (instance.mode && !INSTANCE_MODES.includes(instance.mode)) {
+      throw new Error(`Instance '${instance.name}' has unsupported mode: ${instance.mode}. Must be one of: ${INSTANCE_MODES.join(', ')}`);
+    }
+
     return true;
   }
 }
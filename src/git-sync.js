@@ -0,0 +1,149 @@
+/**
+ * ServiceNow MCP Server - Git Integration for Script Sync
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Runs git in a sync directory: commits what a pull changed, with a message
+ * naming who changed each record on the instance, and reads files as committed
+ * at HEAD so local, committed and instance versions can be compared.
+ *
+ * @module git-sync
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Run a git command
+ *
+ * @param {string} cwd - Working directory
+ * @param {Array<string>} args - git arguments
+ * @returns {Promise<string>} - stdout
+ */
+function runGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const detail = (stderr || error.message).trim();
+        reject(new Error(`git ${args[0]} failed: ${detail}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Find the repository a directory belongs to
+ *
+ * @param {string} directory - Directory inside the work tree
+ * @returns {Promise<string>} - Repository root (real path)
+ */
+export async function getRepositoryRoot(directory) {
+  try {
+    return (await runGit(directory, ['rev-parse', '--show-toplevel'])).trim();
+  } catch {
+    throw new Error(`${directory} is not inside a git repository. Run "git init" there (or in a parent directory) to use git mode.`);
+  }
+}
+
+/**
+ * Path of a file relative to the repository root, as git prints it
+ *
+ * @param {string} root - Repository root
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<string>} - Relative path with forward slashes ('.' for the root itself)
+ */
+export async function toRepositoryPath(root, filePath) {
+  // The root is a real path; resolve the directory the same way (e.g. symlinked temp dirs)
+  const directory = await fs.realpath(path.dirname(filePath));
+  return path.relative(root, path.join(directory, path.basename(filePath))).split(path.sep).join('/') || '.';
+}
+
+/**
+ * List files under the given paths that differ from HEAD, untracked files included
+ *
+ * @param {string} root - Repository root
+ * @param {Array<string>} paths - Paths relative to the root
+ * @returns {Promise<Array<string>>} - Changed files relative to the root
+ */
+export async function listChangedFiles(root, paths) {
+  const output = await runGit(root, ['status', '--porcelain', '-z', '--untracked-files=all', '--', ...paths]);
+  const entries = output.split('\0').filter(Boolean);
+  const files = [];
+
+  for (let i = 0; i < entries.length; i++) {
+    const status = entries[i].slice(0, 2);
+    files.push(entries[i].slice(3));
+    // Renames and copies are followed by their source path
+    if (status.includes('R') || status.includes('C')) {
+      i++;
+    }
+  }
+  return files;
+}
+
+/**
+ * Read a file as committed at HEAD
+ *
+ * @param {string} root - Repository root
+ * @param {string} repositoryPath - Path relative to the root
+ * @returns {Promise<string|null>} - Content, or null when HEAD does not have the file
+ */
+export async function readHeadFile(root, repositoryPath) {
+  try {
+    return await runGit(root, ['show', `HEAD:${repositoryPath}`]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the commit message for pulled scripts
+ *
+ * @param {string} instance - Instance name
+ * @param {Array<object>} records - Changed records: { table, name, sys_updated_by, sys_updated_on }
+ * @returns {string} - Commit message
+ */
+export function buildPullCommitMessage(instance, records) {
+  const lines = records.map(record => {
+    const updated = [record.sys_updated_by && `by ${record.sys_updated_by}`, record.sys_updated_on && `on ${record.sys_updated_on}`]
+      .filter(Boolean)
+      .join(' ');
+    return `- ${record.table}: ${record.name}${updated ? ` (updated ${updated})` : ''}`;
+  });
+
+  const source = instance || 'ServiceNow';
+  if (records.length === 0) {
+    // Only files other than scripts changed (manifest, exported metadata)
+    return `Pull from ${source}\n`;
+  }
+
+  const authors = [...new Set(records.map(record => record.sys_updated_by).filter(Boolean))];
+  const subject = `Pull ${records.length} changed record(s) from ${source}${authors.length > 0 ? ` (${authors.join(', ')})` : ''}`;
+
+  return `${subject}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Commit every change under the given paths, leaving other staged changes alone
+ *
+ * @param {string} root - Repository root
+ * @param {Array<string>} paths - Paths relative to the root
+ * @param {string} message - Commit message
+ * @returns {Promise<object>} - { committed, commit, files }
+ */
+export async function commitPaths(root, paths, message) {
+  const files = await listChangedFiles(root, paths);
+  if (files.length === 0) {
+    return { committed: false, commit: null, files };
+  }
+
+  await runGit(root, ['add', '--all', '--', ...paths]);
+  await runGit(root, ['commit', '--quiet', '--message', message, '--', ...paths]);
+  const commit = (await runGit(root, ['rev-parse', 'HEAD'])).trim();
+
+  return { committed: true, commit, files };
+}
@@ -6,12 +6,51 @@
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { ListToolsRequestSchema, CallToolRequestSchema, ListResourcesRequestSchema, ReadResourceRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { configManager } from './config-manager.js';
-import { syncScript, syncAllScripts, SCRIPT_TYPES } from './script-sync.js';
+import { ServiceNowClient } from './servicenow-client.js';
+import { syncScript, syncAllScripts, watchScripts, getSyncStatus, formatConflictReport, SCRIPT_TYPES } from './script-sync.js';
+import { pullApplication } from './app-sync.js';
+import { runBackgroundScript, formatScriptRun, DRY_RUN_INTERCEPTED_RULES } from './script-execution.js';
+import { analyzeScriptSafety, formatSafetyReport } from './script-safety.js';
 import { parseNaturalLanguage, getSupportedPatterns } from './natural-language.js';
+import { canMutate, filterToolsForInstance, checkToolAccess } from './tool-policy.js';
+import { createResourceHandlers } from './resources.js';
+import { ResourceSubscriptionManager } from './resource-subscriptions.js';
+import { createPromptHandlers, parsePromptInstructions } from './prompts.js';
+
+/**
+ * Describe a Table API page so the caller can request the next one
+ * @param {object} page - Result of ServiceNowClient.getRecordsPage
+ * @returns {string} Pagination summary line
+ */
+function formatPagination(page) {
+  const total = page.total_count !== null ? ` of ${page.total_count}` : '';
+  const next = page.next_offset !== null
+    ? ` Next page: offset=${page.next_offset}`
+    : ' No more pages.';
+
+  if (page.records.length === 0) {
+    return `Pagination: no records at offset ${page.offset}${total}.${next}`;
+  }
+  return `Pagination: records ${page.offset + 1}-${page.offset + page.records.length}${total}.${next}`;
+}
+
+// Tools that act on the session's default instance itself rather than on instance data
+const SESSION_INSTANCE_TOOLS = ['SN-Set-Instance', 'SN-Get-Current-Instance'];
 
 export async function createMcpServer(serviceNowClient) {
   const server = new Server(
@@ -21,15 +60,16 @@ export async function createMcpServer(serviceNowClient) {
     },
     {
       capabilities: {
-        tools: {},
-        resources: {},
-        prompts: {}
+        tools: { listChanged: true },
+        resources: { subscribe: true },
+        prompts: {},
+        completions: {}
       }
     }
   );
 
-  // Set up progress callback for ServiceNow client
-  serviceNowClient.setProgressCallback((message) => {
+  // Progress callback shared by every ServiceNow client this server uses
+  const sendProgress = (message) => {
     try {
       server.notification({
         method: 'notifications/progress',
@@ -40,7 +80,183 @@ export async function createMcpServer(serviceNowClient) {
     } catch (error) {
       console.error('Failed to send progress notification:', error.message);
     }
-  });
+  };
+
+  // Set up progress callback for ServiceNow client
+  serviceNowClient.setProgressCallback(sendProgress);
+
+  // Clients for tool calls that name an explicit instance (instance name -> ServiceNowClient).
+  // Cached per server so a call's `instance` argument never changes the session default.
+  const instanceClients = new Map();
+
+  /**
+   * Create a client bound to one configured instance
+   * @param {string} instanceName - Instance name
+   * @returns {ServiceNowClient} New client reporting progress to this session
+   */
+  const createInstanceClient = (instanceName) => {
+    const instance = configManager.getInstance(instanceName);
+    const client = new ServiceNowClient(instance.url, instance.username, instance.password, instance.auth, instance.http);
+    client.currentInstanceName = instance.name;
+    client.setProgressCallback(sendProgress);
+    return client;
+  };
+
+  /**
+   * Resolve the ServiceNow client for a tool call
+   * @param {string} instanceName - Optional instance name from the tool arguments
+   * @returns {ServiceNowClient} Session client, or a cached client for the named instance
+   */
+  const getClientForInstance = (instanceName) => {
+    if (!instanceName || instanceName === serviceNowClient.getCurrentInstance().name) {
+      return serviceNowClient;
+    }
+
+    if (!instanceClients.has(instanceName)) {
+      const client = createInstanceClient(instanceName);
+      instanceClients.set(instanceName, client);
+      console.error(`🔗 Created client for instance: ${client.getCurrentInstance().name} (${client.getCurrentInstance().url})`);
+    }
+
+    return instanceClients.get(instanceName);
+  };
+
+  // Directory watchers started by SN-Watch-Scripts (watch id -> watch details).
+  // Each has its own client, pinned to the instance it was started for even if the session switches.
+  const scriptWatches = new Map();
+  let nextWatchId = 1;
+
+  /**
+   * Stop a script watcher and release its client
+   * @param {object} watch - Entry from scriptWatches
+   */
+  const stopScriptWatch = async (watch) => {
+    scriptWatches.delete(watch.id);
+    watch.client.dispose();
+    await watch.handle.stop();
+    console.error(`👁️  Stopped script watch ${watch.id} (${watch.directory})`);
+  };
+
+  /**
+   * Ask the user to approve a write on a confirm_writes instance (MCP elicitation)
+   * @param {string} toolName - Tool being called
+   * @param {string} instanceName - Instance the call runs against
+   * @param {object} args - Tool arguments, shown to the user
+   * @returns {Promise<object>} checkToolAccess-style decision; { allowed: true, approved: true } when approved
+   */
+  const requestWriteApproval = async (toolName, instanceName, args) => {
+    const summary = JSON.stringify(args, null, 2);
+    try {
+      const result = await server.elicitInput({
+        message: `${toolName} will modify instance '${instanceName}' (mode: confirm_writes).\n\nArguments:\n${summary.length > 2000 ? `${summary.slice(0, 2000)}\n...` : summary}`,
+        requestedSchema: {
+          type: 'object',
+          properties: {
+            approve: { type: 'boolean', title: 'Approve this change', default: false }
+          },
+          required: ['approve']
+        }
+      });
+      if (result.action === 'accept' && result.content?.approve === true) {
+        console.error(`✅ ${toolName} approved by the user on ${instanceName}`);
+        return { allowed: true, approved: true };
+      }
+      return {
+        allowed: false,
+        rule: 'mode confirm_writes',
+        reason: `${toolName} was not approved by the user for instance '${instanceName}' (mode: confirm_writes)`
+      };
+    } catch (error) {
+      return {
+        allowed: false,
+        rule: 'mode confirm_writes',
+        reason: `${toolName} needs the user's approval on instance '${instanceName}' (mode: confirm_writes), but asking failed: ${error.message}`
+      };
+    }
+  };
+
+  /**
+   * Apply reloaded settings to a script watcher
+   * The watcher is stopped if its instance was removed or no longer allows pushes.
+   * @param {object} watch - Entry from scriptWatches
+   */
+  const refreshScriptWatch = (watch) => {
+    try {
+      const access = checkToolAccess('SN-Watch-Scripts', getInstanceSettings(watch.instance), { confirmed: watch.confirmed });
+      if (!access.allowed) {
+        throw new Error(access.reason);
+      }
+      const instance = configManager.getInstance(watch.instance);
+      watch.client.setInstance(instance.url, instance.username, instance.password, instance.name, instance.auth, instance.http);
+    } catch (error) {
+      sendProgress(`🛑 Stopped script watch ${watch.id} (${watch.directory}): ${error.message}`);
+      stopScriptWatch(watch).catch(stopError => console.error('Failed to stop script watch:', stopError.message));
+    }
+  };
+
+  /**
+   * Pick up edited instance configuration after a config file reload
+   * Cached clients for changed instances are dropped and recreated on next use;
+   * script watchers and the session client are re-pointed if their instance changed.
+   */
+  const handleConfigChange = ({ changed }) => {
+    changed.forEach(name => {
+      instanceClients.get(name)?.dispose();
+      instanceClients.delete(name);
+    });
+
+    scriptWatches.forEach(watch => {
+      if (changed.includes(watch.instance)) {
+        refreshScriptWatch(watch);
+      }
+    });
+
+    const currentName = serviceNowClient.getCurrentInstance().name;
+    if (!changed.includes(currentName)) {
+      return;
+    }
+
+    // The active instance's mode or tool rules may have changed
+    sendToolListChanged();
+
+    try {
+      const instance = configManager.getInstance(currentName);
+      serviceNowClient.setInstance(instance.url, instance.username, instance.password, instance.name, instance.auth, instance.http);
+      console.error(`🔄 Applied updated configuration for instance: ${instance.name}`);
+    } catch (error) {
+      console.error(`⚠️  Instance '${currentName}' is no longer usable (${error.message}); keeping previous connection settings`);
+    }
+  };
+  configManager.on('change', handleConfigChange);
+
+  /**
+   * Tell the client to re-fetch tools, e.g. after the active instance's mode changes
+   */
+  const sendToolListChanged = () => {
+    server.sendToolListChanged().catch((error) => {
+      console.error('Failed to send tool list change notification:', error.message);
+    });
+  };
+
+  /**
+   * Look up an instance's listing entry (mode, etc.) without resolving its secrets
+   * @param {string} instanceName - Instance name
+   * @returns {object} Instance entry, or a bare { name } for unconfigured instances
+   */
+  const getInstanceSettings = (instanceName) => (
+    configManager.listInstances().find(i => i.name === instanceName) || { name: instanceName }
+  );
+
+  // Release per-instance clients and stop script watchers when the transport closes
+  server.onclose = () => {
+    configManager.off('change', handleConfigChange);
+    resourceSubscriptions.close();
+    scriptWatches.forEach(watch => {
+      stopScriptWatch(watch).catch(error => console.error('Failed to stop script watch:', error.message));
+    });
+    instanceClients.forEach(client => client.dispose());
+    instanceClients.clear();
+  };
 
   // Load table metadata
   let tableMetadata = {};
@@ -61,10 +277,20 @@ export async function createMcpServer(serviceNowClient) {
     console.error('⚠️  Failed to load table metadata:', error.message);
   }
 
-  // Set up consolidated tool handlers
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
-    console.error(`📋 Tool list requested by Claude Code`);
+  // Load prompt instructions (prompts fall back to their descriptions without them)
+  let promptInstructions = {};
+  try {
+    const promptsPath = path.resolve(path.dirname(import.meta.url.replace('file://', '')), 'config/prompts.md');
+    promptInstructions = parsePromptInstructions(await fs.readFile(promptsPath, 'utf-8'));
+  } catch (error) {
+    console.error('⚠️  Failed to load prompt instructions:', error.message);
+  }
 
+  /**
+   * Build every tool definition, before per-instance filtering
+   * @returns {Array<object>} Tool definitions
+   */
+  const buildTools = () => {
     const tools = [
       {
         name: 'SN-Set-Instance',
@@ -117,6 +343,15 @@ export async function createMcpServer(serviceNowClient) {
             order_by: {
               type: 'string',
               description: 'Field to sort by (e.g., "created_on" or "-priority" for descending) (optional)'
+            },
+            display_value: {
+              type: 'string',
+              description: 'Return display values instead of raw values: "true", "false" or "all" (optional)',
+              enum: ['true', 'false', 'all']
+            },
+            exclude_reference_link: {
+              type: 'boolean',
+              description: 'Omit reference link URLs from reference fields (optional)'
             }
           },
           required: ['table_name']
@@ -540,6 +775,10 @@ export async function createMcpServer(serviceNowClient) {
               description: 'Maximum number of records to return (default: 25)',
               default: 25
             },
+            offset: {
+              type: 'number',
+              description: 'Number of records to skip for pagination (optional)'
+            },
             fields: {
               type: 'string',
               description: 'Comma-separated list of fields to return (optional)'
@@ -576,6 +815,35 @@ export async function createMcpServer(serviceNowClient) {
               description: 'Execution method: "trigger" (default - most reliable), "ui" (UI endpoint), "auto" (try trigger then ui then fix script)',
               enum: ['trigger', 'ui', 'auto'],
               default: 'trigger'
+            },
+            capture_output: {
+              type: 'boolean',
+              description: 'Wait for the script to finish and return its gs.info/print/log/debug output, warnings, errors, uncaught exception and elapsed time, read back from syslog (default: false)',
+              default: false
+            },
+            timeout_ms: {
+              type: 'number',
+              description: 'With capture_output, how long to wait for the script to finish before returning what has been logged so far (default: 60000, at most 300000)',
+              default: 60000,
+              minimum: 0,
+              maximum: 300000
+            },
+            poll_interval_ms: {
+              type: 'number',
+              description: 'With capture_output, delay between checks for completion (default: 2000, between 500 and 60000)',
+              default: 2000,
+              minimum: 500,
+              maximum: 60000
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Run the script with its own GlideRecord insert/update/delete calls (including updateMultiple and deleteMultiple) counted instead of committed, and report the affected tables with sample sys_ids. Implies capture_output. Writes inside called script includes and functions, and other side effects (gs.setProperty, events, outbound calls), still happen. Scripts that call write methods through brackets, references or template literals are refused (default: false)',
+              default: false
+            },
+            acknowledge_risk: {
+              type: 'boolean',
+              description: 'Run a script rated high risk (deleteMultiple, updateMultiple, gs.setProperty, writes after an unfiltered query on a large table). High-risk scripts are refused without this, and always refused on instances marked production (default: false)',
+              default: false
             }
           },
           required: ['script']
@@ -608,6 +876,202 @@ export async function createMcpServer(serviceNowClient) {
           required: ['script_name', 'script_content']
         }
       },
+      {
+        name: 'SN-Sync-Script',
+        description: 'Sync one script between a local file and ServiceNow. Pull writes the script to the file with a metadata header; push uploads the file (header stripped), creating the record from the header front-matter when none exists. Without a direction, pushes if the file exists and pulls otherwise.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script_name: {
+              type: 'string',
+              description: 'Name of the script record in ServiceNow (required)'
+            },
+            script_type: {
+              type: 'string',
+              description: 'Script table (required). Flow Designer action scripts cannot be synced; call a script include from the script step instead',
+              enum: Object.keys(SCRIPT_TYPES)
+            },
+            file_path: {
+              type: 'string',
+              description: 'Local file path (required); a directory for types synced as one file per field (sp_widget, sys_ui_page, sys_ui_macro)'
+            },
+            direction: {
+              type: 'string',
+              description: 'Sync direction (optional, auto-detected from whether the file exists)',
+              enum: ['push', 'pull']
+            },
+            force: {
+              type: 'boolean',
+              description: 'Push even if the script was changed on the instance since the last pull, overwriting those changes (default: false)',
+              default: false
+            },
+            merge: {
+              type: 'boolean',
+              description: 'Three-way merge instance changes made since the last pull into the push; conflicting regions are written to <file_path>.merge and nothing is pushed (default: false)',
+              default: false
+            },
+            lint: {
+              type: 'boolean',
+              description: 'Lint scripts before pushing: syntax, ServiceNow globals unavailable to the script type, queries in loops, current.update() in business rules, hard-coded sys_ids. Findings are returned in `lint` (default: true)',
+              default: true
+            },
+            block_on_lint_error: {
+              type: 'boolean',
+              description: 'Refuse to push scripts with lint errors; warnings never block (default: false)',
+              default: false
+            },
+            git_commit: {
+              type: 'boolean',
+              description: 'On pull, commit the file to its git repository if it changed, with a message naming the instance, table and who last updated the record (default: false)',
+              default: false
+            }
+          },
+          required: ['script_name', 'script_type', 'file_path']
+        }
+      },
+      {
+        name: 'SN-Sync-All-Scripts',
+        description: 'Sync a directory of scripts named {script_name}.{script_type}.js (or {script_name}.{script_type}/ directories for multi-field types). Push (default) uploads every matching file; pull downloads every script of the selected types, optionally filtered by an encoded query.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            directory: {
+              type: 'string',
+              description: 'Local directory (required)'
+            },
+            script_types: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(SCRIPT_TYPES) },
+              description: 'Script tables to sync (optional, defaults to all)'
+            },
+            direction: {
+              type: 'string',
+              description: 'Sync direction (default: push)',
+              enum: ['push', 'pull'],
+              default: 'push'
+            },
+            query: {
+              type: 'string',
+              description: 'Encoded query to filter scripts on pull (optional, e.g., "sys_scope.scope=x_acme_app")'
+            },
+            force: {
+              type: 'boolean',
+              description: 'Push files even if their script was changed on the instance since the last pull (default: false)',
+              default: false
+            },
+            merge: {
+              type: 'boolean',
+              description: 'Three-way merge instance changes into each push (default: false)',
+              default: false
+            },
+            lint: {
+              type: 'boolean',
+              description: 'Lint scripts before pushing: syntax, ServiceNow globals unavailable to the script type, queries in loops, current.update() in business rules, hard-coded sys_ids. Findings are returned in `lint` (default: true)',
+              default: true
+            },
+            block_on_lint_error: {
+              type: 'boolean',
+              description: 'Refuse to push scripts with lint errors; warnings never block (default: false)',
+              default: false
+            },
+            git_commit: {
+              type: 'boolean',
+              description: 'On pull, commit the changed files in the git repository holding the directory as one commit naming the instance and, per record, its table and who last updated it (default: false)',
+              default: false
+            }
+          },
+          required: ['directory']
+        }
+      },
+      {
+        name: 'SN-Watch-Scripts',
+        description: 'Watch a directory and push each {script_name}.{script_type}.js file to ServiceNow when it is saved. Results are sent as progress notifications. The watcher keeps the instance it was started for and stops with SN-Stop-Watch or when the session ends.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            directory: {
+              type: 'string',
+              description: 'Local directory to watch (required)'
+            },
+            script_type: {
+              type: 'string',
+              description: 'Only sync files of this script table (optional, defaults to all)',
+              enum: Object.keys(SCRIPT_TYPES)
+            },
+            block_on_lint_error: {
+              type: 'boolean',
+              description: 'Refuse to push saved files with lint errors (default: false)',
+              default: false
+            }
+          },
+          required: ['directory']
+        }
+      },
+      {
+        name: 'SN-Stop-Watch',
+        description: 'Stop a script watcher started with SN-Watch-Scripts in this session. Without a watch_id, stops all of them.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            watch_id: {
+              type: 'string',
+              description: 'Watch ID returned by SN-Watch-Scripts (optional)'
+            }
+          }
+        }
+      },
+      {
+        name: 'SN-Pull-Application',
+        description: 'Pull every scripted artifact of a scoped application into a directory with one subdirectory per script type, plus its tables, dictionary and ACL definitions as JSON. Writes sn-manifest.json mapping files to sys_ids, which later pushes use to match records exactly.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            application: {
+              type: 'string',
+              description: 'Application sys_id or scope name, e.g. "x_acme_fleet" (required)'
+            },
+            directory: {
+              type: 'string',
+              description: 'Local directory for the application (required)'
+            },
+            script_types: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(SCRIPT_TYPES) },
+              description: 'Script tables to pull (optional, defaults to all)'
+            },
+            include_metadata: {
+              type: 'boolean',
+              description: 'Export tables, dictionary entries and ACL definitions as JSON (default: true)',
+              default: true
+            },
+            git_commit: {
+              type: 'boolean',
+              description: 'Commit what the pull changed in the git repository holding the directory as one commit naming the instance and, per record, its table and who last updated it (default: false)',
+              default: false
+            }
+          },
+          required: ['application', 'directory']
+        }
+      },
+      {
+        name: 'SN-Script-Status',
+        description: 'Compare each synced script in a git-tracked directory with its last commit and with the instance. Reports per file whether the working tree, HEAD and the instance agree: in_sync, uncommitted, local_changes, instance_changes, diverged or not_on_instance.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            directory: {
+              type: 'string',
+              description: 'Directory of synced scripts inside a git repository (required)'
+            },
+            script_types: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(SCRIPT_TYPES) },
+              description: 'Script tables to check (optional, defaults to all)'
+            }
+          },
+          required: ['directory']
+        }
+      },
       {
         name: 'SN-Discover-Table-Schema',
         description: 'Deep schema introspection with ServiceNow-specific metadata including type codes, choice tables, and relationships',
@@ -1249,14 +1713,83 @@ export async function createMcpServer(serviceNowClient) {
       }
     ];
 
-    console.error(`✅ Returning ${tools.length} consolidated tools to Claude Code`);
-    return { tools };
+    // Every tool except the session-level instance tools accepts a per-call instance override
+    tools.forEach(tool => {
+      if (SESSION_INSTANCE_TOOLS.includes(tool.name) || tool.inputSchema.properties.instance) {
+        return;
+      }
+      tool.inputSchema.properties.instance = {
+        type: 'string',
+        description: 'Instance name (optional, uses default if not specified)'
+      };
+    });
+
+    // Mutating tools take a confirmation flag for instances in confirm_writes mode
+    tools.forEach(tool => {
+      if (canMutate(tool.name)) {
+        tool.inputSchema.properties.confirm = {
+          type: 'boolean',
+          description: 'Set to true, after the user has approved the change, to run it on instances in confirm_writes mode. Ignored when the client supports elicitation; the user is asked directly instead'
+        };
+      }
+    });
+
+    return tools;
+  };
+
+  /**
+   * Tools available on an instance under its mode and allow/deny rules
+   * @param {string} instanceName - Instance name
+   * @returns {Array<object>} Tool definitions
+   */
+  const listToolsForInstance = (instanceName) => filterToolsForInstance(buildTools(), getInstanceSettings(instanceName), {
+    exempt: SESSION_INSTANCE_TOOLS
+  });
+
+  // Set up consolidated tool handlers
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    console.error(`📋 Tool list requested by Claude Code`);
+
+    const availableTools = listToolsForInstance(serviceNowClient.getCurrentInstance().name);
+
+    console.error(`✅ Returning ${availableTools.length} consolidated tools to Claude Code`);
+    return { tools: availableTools };
   });
 
   server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
+    const { name, arguments: rawArgs = {} } = request.params;
+    // `instance` selects the target instance and `confirm` approves writes; neither is forwarded to ServiceNow
+    const { instance: targetInstance, confirm, ...args } = rawArgs;
 
     try {
+      const client = SESSION_INSTANCE_TOOLS.includes(name)
+        ? serviceNowClient
+        : getClientForInstance(targetInstance);
+
+      // With elicitation the user approves writes; the model's own confirm flag is not enough
+      const canElicit = Boolean(server.getClientCapabilities()?.elicitation?.form);
+      const confirmed = !canElicit && confirm === true;
+
+      // Session-level instance tools are always available so a session can switch away from a restricted instance
+      let access = SESSION_INSTANCE_TOOLS.includes(name)
+        ? { allowed: true }
+        : checkToolAccess(name, getInstanceSettings(client.getCurrentInstance().name), { confirmed, args });
+      if (access.confirmation_required && canElicit) {
+        access = await requestWriteApproval(name, client.getCurrentInstance().name, args);
+      }
+      if (!access.allowed) {
+        console.error(`🛑 ${access.reason}`);
+        return {
+          content: [{
+            type: 'text',
+            text: access.confirmation_required
+              ? `Confirmation required: ${access.reason}`
+              : `Error: ${access.reason}`
+          }],
+          isError: true
+        };
+      }
+
       switch (name) {
         case 'SN-Set-Instance': {
           const { instance_name } = args;
@@ -1280,10 +1813,13 @@ export async function createMcpServer(serviceNowClient) {
           const instance = configManager.getInstance(instance_name);
 
           // Switch the client to the new instance
-          serviceNowClient.setInstance(instance.url, instance.username, instance.password, instance.name);
+          serviceNowClient.setInstance(instance.url, instance.username, instance.password, instance.name, instance.auth, instance.http);
 
           console.error(`🔄 Switched to instance: ${instance.name} (${instance.url})`);
 
+          // The new instance's mode and tool rules may expose a different set of tools
+          sendToolListChanged();
+
           return {
             content: [{
               type: 'text',
@@ -1293,7 +1829,8 @@ export async function createMcpServer(serviceNowClient) {
                 instance: {
                   name: instance.name,
                   url: instance.url,
-                  description: instance.description
+                  description: instance.description,
+                  mode: instance.mode || 'full'
                 }
               }, null, 2)
             }]
@@ -1307,6 +1844,7 @@ export async function createMcpServer(serviceNowClient) {
               type: 'text',
               text: JSON.stringify({
                 current_instance: currentInstance,
+                current_update_set: serviceNowClient.currentUpdateSet,
                 message: `Currently connected to: ${currentInstance.name} (${currentInstance.url})`
               }, null, 2)
             }]
@@ -1314,32 +1852,34 @@ export async function createMcpServer(serviceNowClient) {
         }
 
         case 'SN-Query-Table': {
-          const { table_name, query, fields, limit = 25, offset, order_by } = args;
+          const { table_name, query, fields, limit = 25, offset, order_by, display_value, exclude_reference_link } = args;
 
           const queryParams = {
             sysparm_limit: limit,
             sysparm_query: query,
             sysparm_fields: fields,
-            sysparm_offset: offset
+            sysparm_offset: offset,
+            sysparm_display_value: display_value,
+            sysparm_exclude_reference_link: exclude_reference_link
           };
 
           if (order_by) {
             queryParams.sysparm_order_by = order_by;
           }
 
-          const results = await serviceNowClient.getRecords(table_name, queryParams);
+          const page = await client.getRecordsPage(table_name, queryParams);
 
           return {
             content: [{
               type: 'text',
-              text: `Found ${results.length} records in ${table_name}:\n${JSON.stringify(results, null, 2)}`
+              text: `Found ${page.records.length} records in ${table_name}:\n${formatPagination(page)}\n${JSON.stringify(page.records, null, 2)}`
             }]
           };
         }
 
         case 'SN-Create-Record': {
           const { table_name, data } = args;
-          const result = await serviceNowClient.createRecord(table_name, data);
+          const result = await client.createRecord(table_name, data);
 
           const metadata = tableMetadata[table_name];
           const keyField = metadata?.key_field || 'sys_id';
@@ -1359,7 +1899,7 @@ export async function createMcpServer(serviceNowClient) {
           const queryParams = {};
           if (fields) queryParams.sysparm_fields = fields;
 
-          const result = await serviceNowClient.getRecord(table_name, sys_id, queryParams);
+          const result = await client.getRecord(table_name, sys_id, queryParams);
 
           return {
             content: [{
@@ -1371,7 +1911,7 @@ export async function createMcpServer(serviceNowClient) {
 
         case 'SN-Update-Record': {
           const { table_name, sys_id, data } = args;
-          const result = await serviceNowClient.updateRecord(table_name, sys_id, data);
+          const result = await client.updateRecord(table_name, sys_id, data);
 
           const metadata = tableMetadata[table_name];
           const keyField = metadata?.key_field || 'sys_id';
@@ -1393,7 +1933,7 @@ export async function createMcpServer(serviceNowClient) {
             // FALLBACK: Try to fetch schema from ServiceNow API
             console.error(`⚠️  Table "${table_name}" not in local metadata, attempting API fallback...`);
             try {
-              const apiSchema = await serviceNowClient.discoverTableSchema(table_name, {
+              const apiSchema = await client.discoverTableSchema(table_name, {
                 include_type_codes: false,
                 include_choice_tables: false,
                 include_relationships: false
@@ -1500,18 +2040,18 @@ export async function createMcpServer(serviceNowClient) {
             queryParams.sysparm_order_by = order_by;
           }
 
-          const results = await serviceNowClient.getRecords('incident', queryParams);
+          const page = await client.getRecordsPage('incident', queryParams);
 
           return {
             content: [{
               type: 'text',
-              text: `Found ${results.length} Incident(s):\n${JSON.stringify(results, null, 2)}`
+              text: `Found ${page.records.length} Incident(s):\n${formatPagination(page)}\n${JSON.stringify(page.records, null, 2)}`
             }]
           };
         }
 
         case 'SN-Create-Incident': {
-          const result = await serviceNowClient.createRecord('incident', args);
+          const result = await client.createRecord('incident', args);
           return {
             content: [{
               type: 'text',
@@ -1521,7 +2061,7 @@ export async function createMcpServer(serviceNowClient) {
         }
 
         case 'SN-Get-Incident': {
-          const result = await serviceNowClient.getRecord('incident', args.sys_id);
+          const result = await client.getRecord('incident', args.sys_id);
           return {
             content: [{
               type: 'text',
@@ -1544,12 +2084,12 @@ export async function createMcpServer(serviceNowClient) {
             queryParams.sysparm_order_by = order_by;
           }
 
-          const results = await serviceNowClient.getRecords('sys_user', queryParams);
+          const page = await client.getRecordsPage('sys_user', queryParams);
 
           return {
             content: [{
               type: 'text',
-              text: `Found ${results.length} Sys User(s):\n${JSON.stringify(results, null, 2)}`
+              text: `Found ${page.records.length} Sys User(s):\n${formatPagination(page)}\n${JSON.stringify(page.records, null, 2)}`
             }]
           };
         }
@@ -1568,12 +2108,12 @@ export async function createMcpServer(serviceNowClient) {
             queryParams.sysparm_order_by = order_by;
           }
 
-          const results = await serviceNowClient.getRecords('cmdb_ci', queryParams);
+          const page = await client.getRecordsPage('cmdb_ci', queryParams);
 
           return {
             content: [{
               type: 'text',
-              text: `Found ${results.length} Cmdb Ci(s):\n${JSON.stringify(results, null, 2)}`
+              text: `Found ${page.records.length} Cmdb Ci(s):\n${formatPagination(page)}\n${JSON.stringify(page.records, null, 2)}`
             }]
           };
         }
@@ -1592,12 +2132,12 @@ export async function createMcpServer(serviceNowClient) {
             queryParams.sysparm_order_by = order_by;
           }
 
-          const results = await serviceNowClient.getRecords('sys_user_group', queryParams);
+          const page = await client.getRecordsPage('sys_user_group', queryParams);
 
           return {
             content: [{
               type: 'text',
-              text: `Found ${results.length} Sys User Group(s):\n${JSON.stringify(results, null, 2)}`
+              text: `Found ${page.records.length} Sys User Group(s):\n${formatPagination(page)}\n${JSON.stringify(page.records, null, 2)}`
             }]
           };
         }
@@ -1624,12 +2164,12 @@ export async function createMcpServer(serviceNowClient) {
             queryParams.sysparm_order_by = order_by;
           }
 
-          const results = await serviceNowClient.getRecords('change_request', queryParams);
+          const page = await client.getRecordsPage('change_request', queryParams);
 
           return {
             content: [{
               type: 'text',
-              text: `Found ${results.length} Change Request(s):\n${JSON.stringify(results, null, 2)}`
+              text: `Found ${page.records.length} Change Request(s):\n${formatPagination(page)}\n${JSON.stringify(page.records, null, 2)}`
             }]
           };
         }
@@ -1648,18 +2188,18 @@ export async function createMcpServer(serviceNowClient) {
             queryParams.sysparm_order_by = order_by;
           }
 
-          const results = await serviceNowClient.getRecords('problem', queryParams);
+          const page = await client.getRecordsPage('problem', queryParams);
 
           return {
             content: [{
               type: 'text',
-              text: `Found ${results.length} Problem(s):\n${JSON.stringify(results, null, 2)}`
+              text: `Found ${page.records.length} Problem(s):\n${formatPagination(page)}\n${JSON.stringify(page.records, null, 2)}`
             }]
           };
         }
 
         case 'SN-Natural-Language-Search': {
-          const { query, table = 'incident', limit = 25, fields, order_by, show_patterns = true } = args;
+          const { query, table = 'incident', limit = 25, offset = 0, fields, order_by, show_patterns = true } = args;
 
           console.error(`🔍 Natural language search: "${query}" on ${table}`);
 
@@ -1687,14 +2227,15 @@ ${show_patterns ? `\n## Supported Patterns:\n${JSON.stringify(getSupportedPatter
             sysparm_limit: limit,
             sysparm_query: parseResult.encodedQuery,
             sysparm_fields: fields,
-            sysparm_offset: 0
+            sysparm_offset: offset
           };
 
           if (order_by) {
             queryParams.sysparm_order_by = order_by;
           }
 
-          const results = await serviceNowClient.getRecords(table, queryParams);
+          const page = await client.getRecordsPage(table, queryParams);
+          const results = page.records;
 
           // Build response
           let responseText = `✅ Natural Language Search Results
@@ -1703,6 +2244,7 @@ ${show_patterns ? `\n## Supported Patterns:\n${JSON.stringify(getSupportedPatter
 **Target Table:** ${table}
 **Parsed Encoded Query:** \`${parseResult.encodedQuery}\`
 **Records Found:** ${results.length}/${limit}
+**${formatPagination(page)}**
 
 `;
 
@@ -1742,7 +2284,7 @@ ${show_patterns ? `\n## Supported Patterns:\n${JSON.stringify(getSupportedPatter
 
           try {
             // Try to set via API (UI endpoint or sys_trigger)
-            const result = await serviceNowClient.setCurrentUpdateSet(update_set_sys_id);
+            const result = await client.setCurrentUpdateSet(update_set_sys_id);
 
             if (result.method === 'sys_trigger') {
               return {
@@ -1780,7 +2322,7 @@ The update set has been set as your current update set. Refresh your ServiceNow
             // If both methods fail, fall back to creating fix script
             console.error('⚠️  Direct update set change failed, creating fix script...');
 
-            const updateSet = await serviceNowClient.getRecord('sys_update_set', update_set_sys_id);
+            const updateSet = await client.getRecord('sys_update_set', update_set_sys_id);
 
             const fs = await import('fs/promises');
             const path = await import('path');
@@ -1845,7 +2387,7 @@ Sys ID: ${update_set_sys_id}
         }
 
         case 'SN-Get-Current-Update-Set': {
-          const result = await serviceNowClient.getCurrentUpdateSet();
+          const result = await client.getCurrentUpdateSet();
 
           return {
             content: [{
@@ -1869,12 +2411,12 @@ Sys ID: ${update_set_sys_id}
             queryParams.sysparm_order_by = order_by;
           }
 
-          const results = await serviceNowClient.listUpdateSets(queryParams);
+          const page = await client.getRecordsPage('sys_update_set', queryParams);
 
           return {
             content: [{
               type: 'text',
-              text: `Found ${results.length} Update Set(s):\n${JSON.stringify(results, null, 2)}`
+              text: `Found ${page.records.length} Update Set(s):\n${formatPagination(page)}\n${JSON.stringify(page.records, null, 2)}`
             }]
           };
         }
@@ -1885,7 +2427,7 @@ Sys ID: ${update_set_sys_id}
           console.error(`🔄 Setting current application to: ${app_sys_id}`);
 
           try {
-            const result = await serviceNowClient.setCurrentApplication(app_sys_id);
+            const result = await client.setCurrentApplication(app_sys_id);
 
             return {
               content: [{
@@ -1915,13 +2457,47 @@ Please verify:
         }
 
         case 'SN-Execute-Background-Script': {
-          const { script, description } = args;
+          const { script, description, capture_output = false, timeout_ms, poll_interval_ms, dry_run = false, acknowledge_risk = false } = args;
+
+          const safety = analyzeScriptSafety(script);
+          const instanceName = client.getCurrentInstance().name;
+          const production = getInstanceSettings(instanceName).production;
+          // Dry runs intercept the script's own bulk writes, so elsewhere only the risks they let through count.
+          // Interception misses writes inside called code, so production instances get no such allowance.
+          const highRisk = safety.findings.some(finding => finding.risk === 'high'
+            && !(dry_run && !production && DRY_RUN_INTERCEPTED_RULES.includes(finding.rule)));
+          if (highRisk) {
+            const refusal = production
+              ? `🛑 High-risk script refused: '${instanceName}' is marked as a production instance. Run it on a non-production instance first, or do the change through a reviewed update set.`
+              : (acknowledge_risk ? null : `⚠️ High-risk script not run on '${instanceName}'. Review the findings below and call again with acknowledge_risk: true to run it.`);
+            if (refusal) {
+              console.error(`🛑 Background script refused (risk: ${safety.risk}, ${safety.findings.length} finding(s))`);
+              return {
+                content: [{
+                  type: 'text',
+                  text: `${refusal}\n\n${formatSafetyReport(safety)}`
+                }],
+                isError: true
+              };
+            }
+          }
 
-          console.error(`🚀 Executing background script via sys_trigger...`);
+          console.error(`🚀 Executing background script via sys_trigger (risk: ${safety.risk}${dry_run ? ', dry run' : ''})...`);
 
           try {
+            if (capture_output || dry_run) {
+              const result = await runBackgroundScript(client, script, { description, timeout_ms, poll_interval_ms, dry_run });
+              return {
+                content: [{
+                  type: 'text',
+                  text: `${formatScriptRun(result, description)}\n\n${formatSafetyReport(safety)}`
+                }],
+                ...(result.exception || result.timed_out ? { isError: true } : {})
+              };
+            }
+
             // Primary method: sys_trigger (ONLY working method)
-            const result = await serviceNowClient.executeScriptViaTrigger(script, description, true);
+            const result = await client.executeScriptViaTrigger(script, description, true);
 
             return {
               content: [{
@@ -1935,6 +2511,8 @@ ${description ? `Description: ${description}\n` : ''}
 - Scheduled time: ${result.next_action}
 - Auto-delete: ${result.auto_delete ? 'Yes' : 'No'}
 
+${formatSafetyReport(safety)}
+
 ${result.message}
 
 The script will execute in ~1 second. You can monitor execution in:
@@ -1946,6 +2524,9 @@ ${script.substring(0, 300)}${script.length > 300 ? '...' : ''}`
               }]
             };
           } catch (triggerError) {
+            // A fix script would commit the writes a dry run was asked to hold back
+            if (dry_run) throw triggerError;
+
             // Fallback: Create fix script if sys_trigger fails
             console.error('⚠️  Trigger method failed, creating fix script...', triggerError.message);
 
@@ -2020,11 +2601,13 @@ ${script.substring(0, 200)}${script.length > 200 ? '...' : ''}`
           const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
           const fileName = `${script_name}_${timestamp}.js`;
           const filePath = path.join(scriptsDir, fileName);
+          const safety = analyzeScriptSafety(script_content);
 
           const fileContent = `/**
  * Fix Script: ${script_name}
  * Created: ${new Date().toISOString()}
  * ${description ? `Description: ${description}` : ''}
+ * Risk rating: ${safety.risk}${safety.findings.map(finding => `\n *   - line ${finding.line}: ${finding.rule}`).join('')}
  *
  * INSTRUCTIONS:
  * 1. Copy the entire script below
@@ -2054,12 +2637,188 @@ ${script_content}
 4. Paste and run the script
 5. Verify the output${auto_delete ? '\n6. Delete the file after successful execution' : ''}
 
+${formatSafetyReport(safety)}
+
 Script Preview (first 200 chars):
 ${script_content.substring(0, 200)}${script_content.length > 200 ? '...' : ''}`
             }]
           };
         }
 
+        case 'SN-Sync-Script': {
+          const { script_name, script_type, file_path, direction, force, merge, git_commit, lint, block_on_lint_error } = args;
+
+          console.error(`🔄 Syncing ${script_type} '${script_name}' (${direction || 'auto'}) with ${file_path}`);
+          const result = await syncScript(client, {
+            script_name,
+            script_type,
+            file_path: path.resolve(file_path),
+            direction,
+            force,
+            merge,
+            git_commit,
+            lint,
+            block_on_lint_error
+          });
+
+          // Diffs read better as diff blocks than as escaped JSON strings
+          let summary = result;
+          let report = '';
+          if (result.conflict) {
+            const { remote_changes, local_vs_remote, ...conflictDetails } = result.conflict;
+            summary = { ...result, conflict: conflictDetails };
+            report = `\n\n${formatConflictReport(result.conflict)}`;
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Script sync ${result.success ? 'completed' : 'failed'}:\n${JSON.stringify(summary, null, 2)}${report}`
+            }],
+            ...(result.success ? {} : { isError: true })
+          };
+        }
+
+        case 'SN-Sync-All-Scripts': {
+          const { directory, script_types, direction = 'push', query, force, merge, git_commit, lint, block_on_lint_error } = args;
+
+          console.error(`🔄 Syncing all scripts (${direction}) in ${directory}`);
+          const result = await syncAllScripts(client, {
+            directory: path.resolve(directory),
+            script_types,
+            direction,
+            query,
+            force,
+            merge,
+            git_commit,
+            lint,
+            block_on_lint_error
+          });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Script sync ${result.error ? 'failed' : 'completed'}: ${result.synced} synced, ${result.failed} failed\n${JSON.stringify(result, null, 2)}`
+            }],
+            ...(result.error ? { isError: true } : {})
+          };
+        }
+
+        case 'SN-Watch-Scripts': {
+          const { script_type, block_on_lint_error } = args;
+          const directory = path.resolve(args.directory);
+          const instanceName = client.getCurrentInstance().name;
+
+          const stats = await fs.stat(directory).catch(() => null);
+          if (!stats?.isDirectory()) {
+            throw new Error(`Directory not found: ${directory}`);
+          }
+
+          const existing = [...scriptWatches.values()].find(w => w.directory === directory && w.instance === instanceName);
+          if (existing) {
+            throw new Error(`${directory} is already watched for instance '${instanceName}' (watch_id: ${existing.id})`);
+          }
+
+          const watchClient = createInstanceClient(instanceName);
+          const watch = {
+            id: `watch-${nextWatchId++}`,
+            directory,
+            instance: instanceName,
+            script_type: script_type || null,
+            confirmed: confirmed || access.approved === true,
+            client: watchClient,
+            started_at: new Date().toISOString()
+          };
+          watch.handle = watchScripts(watchClient, {
+            directory,
+            script_type,
+            block_on_lint_error,
+            onSync: (result) => {
+              const lint = result.lint && result.lint.errors + result.lint.warnings > 0
+                ? ` (lint: ${result.lint.errors} error(s), ${result.lint.warnings} warning(s))`
+                : '';
+              sendProgress(result.success
+                ? `✅ [${watch.id}] Pushed ${path.basename(result.file_path)} to ${watch.instance}${lint}`
+                : `❌ [${watch.id}] Failed to push ${path.basename(result.file_path)} to ${watch.instance}: ${result.error}`);
+            }
+          });
+          scriptWatches.set(watch.id, watch);
+
+          console.error(`👁️  Started script watch ${watch.id} on ${directory} (instance: ${instanceName})`);
+
+          return {
+            content: [{
+              type: 'text',
+              text: `👁️ Watching ${directory} (watch_id: ${watch.id})
+
+Instance: ${instanceName}
+Script types: ${script_type || Object.keys(SCRIPT_TYPES).join(', ')}
+File names: {script_name}.{script_type}.js
+
+Saved files are pushed to ServiceNow and each result is sent as a progress notification.
+Stop with SN-Stop-Watch({ "watch_id": "${watch.id}" }); the watcher also stops when this session ends.`
+            }]
+          };
+        }
+
+        case 'SN-Pull-Application': {
+          const { application, directory, script_types, include_metadata, git_commit } = args;
+
+          const result = await pullApplication(client, {
+            application,
+            directory: path.resolve(directory),
+            script_types,
+            include_metadata,
+            git_commit
+          });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Application pull ${result.failures.length > 0 ? 'completed with failures' : 'completed'}: ${result.synced} script(s) pulled, ${result.failed} failed, ${result.metadata_files.length} metadata file(s)\n${JSON.stringify(result, null, 2)}`
+            }],
+            ...(result.failures.length > 0 ? { isError: true } : {})
+          };
+        }
+
+        case 'SN-Script-Status': {
+          const { directory, script_types } = args;
+
+          const result = await getSyncStatus(client, {
+            directory: path.resolve(directory),
+            script_types
+          });
+
+          const counts = Object.entries(result.summary).map(([status, count]) => `${count} ${status}`).join(', ');
+          return {
+            content: [{
+              type: 'text',
+              text: `Script status for ${result.directory}: ${result.total_files} file(s)${counts ? ` (${counts})` : ''}\n${JSON.stringify(result, null, 2)}`
+            }]
+          };
+        }
+
+        case 'SN-Stop-Watch': {
+          const { watch_id } = args;
+
+          if (watch_id && !scriptWatches.has(watch_id)) {
+            const active = [...scriptWatches.keys()];
+            throw new Error(`Unknown watch_id: ${watch_id}. Active watches: ${active.length > 0 ? active.join(', ') : 'none'}`);
+          }
+
+          const watches = watch_id ? [scriptWatches.get(watch_id)] : [...scriptWatches.values()];
+          await Promise.all(watches.map(stopScriptWatch));
+
+          return {
+            content: [{
+              type: 'text',
+              text: watches.length > 0
+                ? `✅ Stopped ${watches.length} script watch(es):\n${watches.map(w => `- ${w.id}: ${w.directory} (${w.instance})`).join('\n')}`
+                : 'No script watches are active in this session.'
+            }]
+          };
+        }
+
         case 'SN-Discover-Table-Schema': {
           const {
             table_name,
@@ -2072,7 +2831,7 @@ ${script_content.substring(0, 200)}${script_content.length > 200 ? '...' : ''}`
           } = args;
 
           console.error(`🔍 Discovering enhanced schema for ${table_name}`);
-          const schema = await serviceNowClient.discoverTableSchema(table_name, {
+          const schema = await client.discoverTableSchema(table_name, {
             include_type_codes,
             include_choice_tables,
             include_relationships,
@@ -2093,7 +2852,7 @@ ${script_content.substring(0, 200)}${script_content.length > 200 ? '...' : ''}`
           const { operations, transaction = true, progress = true } = args;
 
           console.error(`📦 Batch creating ${operations.length} records (transaction: ${transaction}, progress: ${progress})`);
-          const result = await serviceNowClient.batchCreate(operations, transaction, progress);
+          const result = await client.batchCreate(operations, transaction, progress);
 
           return {
             content: [{
@@ -2107,7 +2866,7 @@ ${script_content.substring(0, 200)}${script_content.length > 200 ? '...' : ''}`
           const { updates, stop_on_error = false, progress = true } = args;
 
           console.error(`📦 Batch updating ${updates.length} records (progress: ${progress})`);
-          const result = await serviceNowClient.batchUpdate(updates, stop_on_error, progress);
+          const result = await client.batchUpdate(updates, stop_on_error, progress);
 
           return {
             content: [{
@@ -2121,7 +2880,7 @@ ${script_content.substring(0, 200)}${script_content.length > 200 ? '...' : ''}`
           const { table, field, include_examples = true } = args;
 
           console.error(`📖 Explaining field ${table}.${field}`);
-          const explanation = await serviceNowClient.explainField(table, field, include_examples);
+          const explanation = await client.explainField(table, field, include_examples);
 
           return {
             content: [{
@@ -2135,7 +2894,7 @@ ${script_content.substring(0, 200)}${script_content.length > 200 ? '...' : ''}`
           const { catalog_item, checks = {} } = args;
 
           console.error(`✅ Validating catalog item ${catalog_item}`);
-          const validation = await serviceNowClient.validateCatalogConfiguration(catalog_item, checks);
+          const validation = await client.validateCatalogConfiguration(catalog_item, checks);
 
           return {
             content: [{
@@ -2149,7 +2908,7 @@ ${script_content.substring(0, 200)}${script_content.length > 200 ? '...' : ''}`
           const { update_set, show_components = true, show_dependencies = false } = args;
 
           console.error(`🔎 Inspecting update set ${update_set}`);
-          const inspection = await serviceNowClient.inspectUpdateSet(update_set, {
+          const inspection = await client.inspectUpdateSet(update_set, {
             show_components,
             show_dependencies
           });
@@ -2178,7 +2937,7 @@ ${script_content.substring(0, 200)}${script_content.length > 200 ? '...' : ''}`
             publish
           };
 
-          const result = await serviceNowClient.createCompleteWorkflow(workflowSpec, progress);
+          const result = await client.createCompleteWorkflow(workflowSpec, progress);
 
           return {
             content: [{
@@ -2217,7 +2976,7 @@ ${JSON.stringify(result, null, 2)}`
             y
           };
 
-          const result = await serviceNowClient.createActivity(activityData);
+          const result = await client.createActivity(activityData);
 
           return {
             content: [{
@@ -2253,12 +3012,12 @@ You can now:
               name: 'Transition Condition',
               condition: condition_script
             };
-            const conditionResult = await serviceNowClient.createCondition(conditionData);
+            const conditionResult = await client.createCondition(conditionData);
             condition_sys_id = conditionResult.condition_sys_id;
             transitionData.condition_sys_id = condition_sys_id;
           }
 
-          const result = await serviceNowClient.createTransition(transitionData);
+          const result = await client.createTransition(transitionData);
 
           return {
             content: [{
@@ -2280,7 +3039,7 @@ The workflow will now transition from the source activity to the target activity
 
           console.error(`🚀 Publishing workflow version ${version_sys_id}`);
 
-          const result = await serviceNowClient.publishWorkflow(version_sys_id, start_activity_sys_id);
+          const result = await client.publishWorkflow(version_sys_id, start_activity_sys_id);
 
           return {
             content: [{
@@ -2301,7 +3060,7 @@ The workflow is now active and will trigger based on its configured conditions.`
 
           console.error(`📦 Moving records to update set ${update_set_id} (progress: ${progress})`);
 
-          const result = await serviceNowClient.moveRecordsToUpdateSet(update_set_id, {
+          const result = await client.moveRecordsToUpdateSet(update_set_id, {
             record_sys_ids,
             time_range,
             source_update_set,
@@ -2332,7 +3091,7 @@ ${JSON.stringify(result, null, 2)}`
 
           console.error(`🔄 Cloning update set ${source_update_set_id} (progress: ${progress})`);
 
-          const result = await serviceNowClient.cloneUpdateSet(source_update_set_id, new_name, progress);
+          const result = await client.cloneUpdateSet(source_update_set_id, new_name, progress);
 
           return {
             content: [{
@@ -2357,7 +3116,7 @@ The cloned update set is now in "In Progress" state and ready for use.`
           const { incident_number, comment } = args;
 
           // Look up incident by number
-          const incidents = await serviceNowClient.getRecords('incident', {
+          const incidents = await client.getRecords('incident', {
             sysparm_query: `number=${incident_number}`,
             sysparm_limit: 1
           });
@@ -2369,7 +3128,7 @@ The cloned update set is now in "In Progress" state and ready for use.`
           const incident = incidents[0];
 
           // Update comments field
-          const result = await serviceNowClient.updateRecord('incident', incident.sys_id, {
+          const result = await client.updateRecord('incident', incident.sys_id, {
             comments: comment
           });
 
@@ -2392,7 +3151,7 @@ The comment has been successfully added to the incident.`
           const { incident_number, work_notes } = args;
 
           // Look up incident by number
-          const incidents = await serviceNowClient.getRecords('incident', {
+          const incidents = await client.getRecords('incident', {
             sysparm_query: `number=${incident_number}`,
             sysparm_limit: 1
           });
@@ -2404,7 +3163,7 @@ The comment has been successfully added to the incident.`
           const incident = incidents[0];
 
           // Update work_notes field
-          const result = await serviceNowClient.updateRecord('incident', incident.sys_id, {
+          const result = await client.updateRecord('incident', incident.sys_id, {
             work_notes: work_notes
           });
 
@@ -2427,7 +3186,7 @@ The work notes have been successfully added to the incident.`
           const { incident_number, assigned_to, assignment_group } = args;
 
           // Look up incident by number
-          const incidents = await serviceNowClient.getRecords('incident', {
+          const incidents = await client.getRecords('incident', {
             sysparm_query: `number=${incident_number}`,
             sysparm_limit: 1
           });
@@ -2441,7 +3200,7 @@ The work notes have been successfully added to the incident.`
           // Resolve user if not a sys_id (32 character hex string)
           let assignedToId = assigned_to;
           if (!/^[0-9a-f]{32}$/i.test(assigned_to)) {
-            const users = await serviceNowClient.getRecords('sys_user', {
+            const users = await client.getRecords('sys_user', {
               sysparm_query: `name=${assigned_to}^ORuser_name=${assigned_to}`,
               sysparm_limit: 1
             });
@@ -2456,7 +3215,7 @@ The work notes have been successfully added to the incident.`
           // Resolve group if provided and not a sys_id
           let assignmentGroupId = assignment_group;
           if (assignment_group && !/^[0-9a-f]{32}$/i.test(assignment_group)) {
-            const groups = await serviceNowClient.getRecords('sys_user_group', {
+            const groups = await client.getRecords('sys_user_group', {
               sysparm_query: `name=${assignment_group}`,
               sysparm_limit: 1
             });
@@ -2477,7 +3236,7 @@ The work notes have been successfully added to the incident.`
             updateData.assignment_group = assignmentGroupId;
           }
 
-          const result = await serviceNowClient.updateRecord('incident', incident.sys_id, updateData);
+          const result = await client.updateRecord('incident', incident.sys_id, updateData);
 
           return {
             content: [{
@@ -2499,7 +3258,7 @@ The incident has been assigned successfully.`
           const { incident_number, resolution_notes, resolution_code } = args;
 
           // Look up incident by number
-          const incidents = await serviceNowClient.getRecords('incident', {
+          const incidents = await client.getRecords('incident', {
             sysparm_query: `number=${incident_number}`,
             sysparm_limit: 1
           });
@@ -2520,7 +3279,7 @@ The incident has been assigned successfully.`
             updateData.close_code = resolution_code;
           }
 
-          const result = await serviceNowClient.updateRecord('incident', incident.sys_id, updateData);
+          const result = await client.updateRecord('incident', incident.sys_id, updateData);
 
           return {
             content: [{
@@ -2543,7 +3302,7 @@ The incident has been resolved successfully.`
           const { incident_number, close_notes, close_code } = args;
 
           // Look up incident by number
-          const incidents = await serviceNowClient.getRecords('incident', {
+          const incidents = await client.getRecords('incident', {
             sysparm_query: `number=${incident_number}`,
             sysparm_limit: 1
           });
@@ -2564,7 +3323,7 @@ The incident has been resolved successfully.`
             updateData.close_code = close_code;
           }
 
-          const result = await serviceNowClient.updateRecord('incident', incident.sys_id, updateData);
+          const result = await client.updateRecord('incident', incident.sys_id, updateData);
 
           return {
             content: [{
@@ -2588,7 +3347,7 @@ The incident has been closed successfully.`
           const { change_number, comment } = args;
 
           // Look up change by number
-          const changes = await serviceNowClient.getRecords('change_request', {
+          const changes = await client.getRecords('change_request', {
             sysparm_query: `number=${change_number}`,
             sysparm_limit: 1
           });
@@ -2600,7 +3359,7 @@ The incident has been closed successfully.`
           const change = changes[0];
 
           // Update comments field
-          const result = await serviceNowClient.updateRecord('change_request', change.sys_id, {
+          const result = await client.updateRecord('change_request', change.sys_id, {
             comments: comment
           });
 
@@ -2623,7 +3382,7 @@ The comment has been successfully added to the change request.`
           const { change_number, assigned_to, assignment_group } = args;
 
           // Look up change by number
-          const changes = await serviceNowClient.getRecords('change_request', {
+          const changes = await client.getRecords('change_request', {
             sysparm_query: `number=${change_number}`,
             sysparm_limit: 1
           });
@@ -2637,7 +3396,7 @@ The comment has been successfully added to the change request.`
           // Resolve user if not a sys_id
           let assignedToId = assigned_to;
           if (!/^[0-9a-f]{32}$/i.test(assigned_to)) {
-            const users = await serviceNowClient.getRecords('sys_user', {
+            const users = await client.getRecords('sys_user', {
               sysparm_query: `name=${assigned_to}^ORuser_name=${assigned_to}`,
               sysparm_limit: 1
             });
@@ -2652,7 +3411,7 @@ The comment has been successfully added to the change request.`
           // Resolve group if provided and not a sys_id
           let assignmentGroupId = assignment_group;
           if (assignment_group && !/^[0-9a-f]{32}$/i.test(assignment_group)) {
-            const groups = await serviceNowClient.getRecords('sys_user_group', {
+            const groups = await client.getRecords('sys_user_group', {
               sysparm_query: `name=${assignment_group}`,
               sysparm_limit: 1
             });
@@ -2673,7 +3432,7 @@ The comment has been successfully added to the change request.`
             updateData.assignment_group = assignmentGroupId;
           }
 
-          const result = await serviceNowClient.updateRecord('change_request', change.sys_id, updateData);
+          const result = await client.updateRecord('change_request', change.sys_id, updateData);
 
           return {
             content: [{
@@ -2695,7 +3454,7 @@ The change request has been assigned successfully.`
           const { change_number, approval_comments } = args;
 
           // Look up change by number
-          const changes = await serviceNowClient.getRecords('change_request', {
+          const changes = await client.getRecords('change_request', {
             sysparm_query: `number=${change_number}`,
             sysparm_limit: 1
           });
@@ -2715,7 +3474,7 @@ The change request has been assigned successfully.`
             updateData.comments = approval_comments;
           }
 
-          const result = await serviceNowClient.updateRecord('change_request', change.sys_id, updateData);
+          const result = await client.updateRecord('change_request', change.sys_id, updateData);
 
           return {
             content: [{
@@ -2738,7 +3497,7 @@ The change request has been approved successfully.`
           const { problem_number, comment } = args;
 
           // Look up problem by number
-          const problems = await serviceNowClient.getRecords('problem', {
+          const problems = await client.getRecords('problem', {
             sysparm_query: `number=${problem_number}`,
             sysparm_limit: 1
           });
@@ -2750,7 +3509,7 @@ The change request has been approved successfully.`
           const problem = problems[0];
 
           // Update comments field
-          const result = await serviceNowClient.updateRecord('problem', problem.sys_id, {
+          const result = await client.updateRecord('problem', problem.sys_id, {
             comments: comment
           });
 
@@ -2773,7 +3532,7 @@ The comment has been successfully added to the problem.`
           const { problem_number, resolution_notes, resolution_code } = args;
 
           // Look up problem by number
-          const problems = await serviceNowClient.getRecords('problem', {
+          const problems = await client.getRecords('problem', {
             sysparm_query: `number=${problem_number}`,
             sysparm_limit: 1
           });
@@ -2794,7 +3553,7 @@ The comment has been successfully added to the problem.`
             updateData.resolution_code = resolution_code;
           }
 
-          const result = await serviceNowClient.updateRecord('problem', problem.sys_id, updateData);
+          const result = await client.updateRecord('problem', problem.sys_id, updateData);
 
           return {
             content: [{
@@ -2827,68 +3586,53 @@ The problem has been closed successfully.`
     }
   });
 
-  // Add resources
-  server.setRequestHandler(ListResourcesRequestSchema, async () => {
-    return {
-      resources: [
-        {
-          uri: 'servicenow://instance',
-          mimeType: 'application/json',
-          name: 'ServiceNow Instance Info',
-          description: 'Information about the connected ServiceNow instance'
-        },
-        {
-          uri: 'servicenow://tables/all',
-          mimeType: 'application/json',
-          name: 'All ServiceNow Tables',
-          description: 'Complete list of available ServiceNow tables with metadata'
-        }
-      ]
-    };
+  // Add resources - they share the per-instance client cache, so cross-instance reads never switch the session
+  const resourceHandlers = createResourceHandlers(serviceNowClient, configManager, tableMetadata, getClientForInstance, {
+    countTools: (instanceName) => listToolsForInstance(instanceName).length
   });
 
-  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-    const { uri } = request.params;
-
-    if (uri === 'servicenow://instance') {
-      const config = {
-        server_info: {
-          name: 'ServiceNow MCP Server (Consolidated)',
-          version: '2.0.0',
-          description: 'Consolidated ServiceNow integration with metadata-driven schema lookups'
-        },
-        instance_info: {
-          url: process.env.SERVICENOW_INSTANCE_URL,
-          username: process.env.SERVICENOW_USERNAME
-        },
-        capabilities: {
-          total_tables: Object.keys(tableMetadata).length,
-          operations: ['create', 'read', 'update', 'query', 'schema_lookup'],
-          tools: 6
-        }
-      };
+  server.setRequestHandler(ListResourcesRequestSchema, async () => resourceHandlers.listResources());
 
-      return {
-        contents: [{
-          uri: uri,
-          mimeType: 'application/json',
-          text: JSON.stringify(config, null, 2)
-        }]
-      };
-    }
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => resourceHandlers.readResource(request.params.uri));
 
-    if (uri === 'servicenow://tables/all') {
-      return {
-        contents: [{
-          uri: uri,
-          mimeType: 'application/json',
-          text: JSON.stringify(tableMetadata, null, 2)
-        }]
-      };
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => resourceHandlers.listResourceTemplates());
+
+  // Subscriptions are polled for changes (see RESOURCE_POLL_INTERVAL_MS) and stop when the session closes
+  const resourceSubscriptions = new ResourceSubscriptionManager({
+    getVersion: resourceHandlers.getResourceVersion,
+    onUpdated: (uri) => {
+      server.sendResourceUpdated({ uri }).catch((error) => {
+        console.error('Failed to send resource update notification:', error.message);
+      });
     }
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    await resourceSubscriptions.subscribe(request.params.uri);
+    return {};
+  });
 
-    throw new Error(`Unknown resource: ${uri}`);
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    resourceSubscriptions.unsubscribe(request.params.uri);
+    return {};
   });
 
+  server.setRequestHandler(CompleteRequestSchema, async (request) => {
+    const { ref, argument } = request.params;
+    if (ref.type !== 'ref/resource') {
+      return { completion: { values: [], total: 0, hasMore: false } };
+    }
+    return resourceHandlers.completeArgument(ref.uri, argument.name, argument.value);
+  });
+
+  // Add prompts - the referenced record and related data are fetched through the per-instance clients
+  const promptHandlers = createPromptHandlers(promptInstructions, getClientForInstance);
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => promptHandlers.listPrompts());
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => (
+    promptHandlers.getPrompt(request.params.name, request.params.arguments)
+  ));
+
   return server;
 }
\ No newline at end of file
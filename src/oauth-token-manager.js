@@ -0,0 +1,166 @@
+/**
+ * ServiceNow MCP Server - OAuth 2.0 Token Manager
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Obtains and caches access tokens from the instance's /oauth_token.do endpoint.
+ * Supports the password and client_credentials grants, refreshes tokens shortly
+ * before they expire, and coalesces concurrent refreshes into one request.
+ */
+
+import axios from 'axios';
+import { DEFAULT_REQUEST_POLICY } from './request-policy.js';
+
+/**
+ * Grant types accepted in instance auth configuration
+ */
+export const OAUTH_GRANT_TYPES = ['password', 'client_credentials'];
+
+// Refresh this long before the token actually expires
+const DEFAULT_REFRESH_MARGIN_MS = 60 * 1000;
+
+export class OAuthTokenManager {
+  /**
+   * @param {object} options - OAuth configuration
+   * @param {string} options.instanceUrl - Instance base URL (token endpoint is /oauth_token.do)
+   * @param {string} options.grantType - 'password' or 'client_credentials'
+   * @param {string} options.clientId - OAuth client ID from the Application Registry
+   * @param {string} options.clientSecret - OAuth client secret
+   * @param {string} options.username - Username (password grant only)
+   * @param {string} options.password - Password (password grant only)
+   * @param {number} options.refreshMarginMs - Refresh this many ms before expiry (default: 60000)
+   * @param {number} options.timeoutMs - Token request timeout, the instance's http.timeout_ms (default: 60000)
+   */
+  constructor(options) {
+    const {
+      instanceUrl,
+      grantType = 'password',
+      clientId,
+      clientSecret,
+      username,
+      password,
+      refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS,
+      timeoutMs = DEFAULT_REQUEST_POLICY.timeout_ms
+    } = options;
+
+    if (!OAUTH_GRANT_TYPES.includes(grantType)) {
+      throw new Error(`Unsupported OAuth grant type: ${grantType}. Supported types: ${OAUTH_GRANT_TYPES.join(', ')}`);
+    }
+    if (!clientId || !clientSecret) {
+      throw new Error('OAuth configuration requires client_id and client_secret');
+    }
+    if (grantType === 'password' && (!username || !password)) {
+      throw new Error('OAuth password grant requires username and password');
+    }
+
+    this.tokenUrl = `${instanceUrl.replace(/\/$/, '')}/oauth_token.do`;
+    this.grantType = grantType;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.username = username;
+    this.password = password;
+    this.refreshMarginMs = refreshMarginMs;
+    this.timeoutMs = timeoutMs;
+
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.expiresAt = 0;
+    this.pendingRequest = null;
+  }
+
+  /**
+   * Get a valid access token, requesting or refreshing one if needed
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.expiresAt - this.refreshMarginMs) {
+      return this.accessToken;
+    }
+
+    // Share one in-flight token request between concurrent callers
+    if (!this.pendingRequest) {
+      this.pendingRequest = this.requestToken().finally(() => {
+        this.pendingRequest = null;
+      });
+    }
+
+    return this.pendingRequest;
+  }
+
+  /**
+   * Discard the cached access token so the next call fetches a new one
+   * The refresh token is kept; it is only dropped if the refresh itself fails.
+   */
+  invalidate() {
+    this.accessToken = null;
+    this.expiresAt = 0;
+  }
+
+  /**
+   * Request a token, preferring the refresh grant when a refresh token is held
+   * @returns {Promise<string>} Access token
+   */
+  async requestToken() {
+    if (this.refreshToken) {
+      try {
+        return await this.postTokenRequest({
+          grant_type: 'refresh_token',
+          refresh_token: this.refreshToken
+        });
+      } catch (error) {
+        // Refresh token expired or revoked - fall back to the configured grant
+        this.refreshToken = null;
+      }
+    }
+
+    const params = { grant_type: this.grantType };
+    if (this.grantType === 'password') {
+      params.username = this.username;
+      params.password = this.password;
+    }
+
+    return this.postTokenRequest(params);
+  }
+
+  /**
+   * POST to the token endpoint and cache the result
+   * @param {object} params - Grant-specific form parameters
+   * @returns {Promise<string>} Access token
+   */
+  async postTokenRequest(params) {
+    const body = new URLSearchParams({
+      ...params,
+      client_id: this.clientId,
+      client_secret: this.clientSecret
+    });
+
+    let response;
+    try {
+      // A stalled endpoint would otherwise hold every request waiting on the shared token
+      response = await axios.post(this.tokenUrl, body.toString(), {
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json'
+        }
+      });
+    } catch (error) {
+      const detail = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      throw new Error(`OAuth token request failed (${params.grant_type}): ${detail}`);
+    }
+
+    const { access_token, refresh_token, expires_in } = response.data;
+    if (!access_token) {
+      throw new Error(`OAuth token response from ${this.tokenUrl} did not include an access_token`);
+    }
+
+    this.accessToken = access_token;
+    this.expiresAt = Date.now() + (parseInt(expires_in, 10) || 1800) * 1000;
+    if (refresh_token) {
+      this.refreshToken = refresh_token;
+    }
+
+    return this.accessToken;
+  }
+}
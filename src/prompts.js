@@ -0,0 +1,345 @@
+/**
+ * ServiceNow MCP Server - MCP Prompts Implementation
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Analysis prompts that fetch the referenced record and its related data,
+ * then embed them as resources alongside the instructions from
+ * src/config/prompts.md.
+ */
+
+// Main records are fetched with both raw and display values: raw sys_ids drive
+// the related queries, display values are what the prompt shows
+const RAW_AND_DISPLAY = { sysparm_display_value: 'all', sysparm_exclude_reference_link: 'true' };
+const DISPLAY_ONLY = { sysparm_display_value: 'true', sysparm_exclude_reference_link: 'true' };
+
+// Rows embedded per related list
+const RELATED_LIMIT = 20;
+
+const INSTANCE_ARGUMENT = {
+  name: 'instance',
+  description: 'Instance name from the config (defaults to the session instance)',
+  required: false
+};
+
+/**
+ * Split a record fetched with sysparm_display_value=all
+ * @param {object} record - Record whose fields are { value, display_value } pairs
+ * @returns {object} { values, display } - Raw values and display values by field
+ */
+function splitDisplayValues(record) {
+  const values = {};
+  const display = {};
+  Object.entries(record).forEach(([field, value]) => {
+    if (value && typeof value === 'object' && 'value' in value) {
+      values[field] = value.value;
+      display[field] = value.display_value;
+    } else {
+      values[field] = value;
+      display[field] = value;
+    }
+  });
+  return { values, display };
+}
+
+/**
+ * Fetch the record a prompt is about
+ * @returns {Promise<object>} { values, display } (see splitDisplayValues)
+ */
+async function findRecord(client, table, query, notFoundMessage, fields) {
+  const [record] = await client.getRecords(table, {
+    ...RAW_AND_DISPLAY,
+    sysparm_query: query,
+    sysparm_fields: fields,
+    sysparm_limit: 1
+  });
+  if (!record) {
+    throw new Error(notFoundMessage);
+  }
+  return splitDisplayValues(record);
+}
+
+/**
+ * Fetch a related list for embedding
+ * @returns {Promise<object>} Dataset { label, table, query, total_count, records }
+ */
+async function fetchRelated(client, label, table, query, { fields, orderBy } = {}) {
+  const page = await client.getRecordsPage(table, {
+    ...DISPLAY_ONLY,
+    sysparm_query: query,
+    sysparm_fields: fields,
+    sysparm_limit: RELATED_LIMIT,
+    sysparm_order_by: orderBy
+  });
+  return { label, table, query, total_count: page.total_count, records: page.records };
+}
+
+/**
+ * Comments and work notes on a task record, newest first
+ */
+function fetchJournal(client, sysId) {
+  return fetchRelated(client, 'Comments and work notes', 'sys_journal_field', `element_id=${sysId}^elementINcomments,work_notes`, {
+    fields: 'element,value,sys_created_by,sys_created_on',
+    orderBy: '-sys_created_on'
+  });
+}
+
+/**
+ * Prompt definitions
+ * `section` is the heading in src/config/prompts.md that holds the instructions;
+ * `fetch` returns the main record and the related datasets to embed.
+ */
+export const PROMPT_DEFINITIONS = [
+  {
+    name: 'incident-analysis',
+    title: 'Incident Analysis',
+    section: 'Incident Analysis Prompt',
+    description: 'Analyze an incident with its history, child incidents and similar incidents',
+    arguments: [
+      { name: 'incident_number', description: 'Incident number (e.g., INC0010001)', required: true },
+      INSTANCE_ARGUMENT
+    ],
+    fetch: async (client, args) => {
+      const incident = await findRecord(client, 'incident', `number=${args.incident_number}`,
+        `Incident ${args.incident_number} not found`);
+      const { sys_id: sysId, cmdb_ci: ci, category } = incident.values;
+
+      // Similar incidents share the configuration item, or failing that the category
+      const similarQuery = ci ? `cmdb_ci=${ci}^sys_id!=${sysId}` : (category ? `category=${category}^sys_id!=${sysId}` : null);
+
+      const related = await Promise.all([
+        fetchJournal(client, sysId),
+        fetchRelated(client, 'Child incidents', 'incident', `parent_incident=${sysId}`, {
+          fields: 'number,short_description,state,priority,sys_created_on'
+        }),
+        similarQuery && fetchRelated(client, ci ? 'Incidents on the same CI' : 'Incidents in the same category', 'incident', similarQuery, {
+          fields: 'number,short_description,state,priority,close_code,close_notes,sys_created_on',
+          orderBy: '-sys_created_on'
+        })
+      ]);
+
+      return { table: 'incident', record: incident, label: `Incident ${args.incident_number}`, related: related.filter(Boolean) };
+    }
+  },
+  {
+    name: 'change-risk-assessment',
+    title: 'Change Risk Assessment',
+    section: 'Change Risk Assessment',
+    description: 'Assess a change request with its tasks, affected CIs, approvals and change history on the CI',
+    arguments: [
+      { name: 'change_number', description: 'Change request number (e.g., CHG0030001)', required: true },
+      INSTANCE_ARGUMENT
+    ],
+    fetch: async (client, args) => {
+      const change = await findRecord(client, 'change_request', `number=${args.change_number}`,
+        `Change request ${args.change_number} not found`);
+      const { sys_id: sysId, cmdb_ci: ci } = change.values;
+
+      const related = await Promise.all([
+        fetchRelated(client, 'Change tasks', 'change_task', `change_request=${sysId}`, {
+          fields: 'number,short_description,state,assignment_group,planned_start_date,planned_end_date'
+        }),
+        fetchRelated(client, 'Affected CIs', 'task_ci', `task=${sysId}`, { fields: 'ci_item' }),
+        fetchRelated(client, 'Approvals', 'sysapproval_approver', `sysapproval=${sysId}`, {
+          fields: 'approver,state,comments,sys_updated_on'
+        }),
+        ci && fetchRelated(client, 'Previous changes on the same CI', 'change_request', `cmdb_ci=${ci}^sys_id!=${sysId}`, {
+          fields: 'number,short_description,state,risk,close_code,start_date,end_date',
+          orderBy: '-sys_created_on'
+        })
+      ]);
+
+      return { table: 'change_request', record: change, label: `Change request ${args.change_number}`, related: related.filter(Boolean) };
+    }
+  },
+  {
+    name: 'problem-analysis',
+    title: 'Problem Management Analysis',
+    section: 'Problem Management Analysis',
+    description: 'Review a problem with its related incidents, problem tasks and history',
+    arguments: [
+      { name: 'problem_number', description: 'Problem number (e.g., PRB0040001)', required: true },
+      INSTANCE_ARGUMENT
+    ],
+    fetch: async (client, args) => {
+      const problem = await findRecord(client, 'problem', `number=${args.problem_number}`,
+        `Problem ${args.problem_number} not found`);
+      const { sys_id: sysId } = problem.values;
+
+      const related = await Promise.all([
+        fetchRelated(client, 'Related incidents', 'incident', `problem_id=${sysId}`, {
+          fields: 'number,short_description,state,priority,cmdb_ci,sys_created_on',
+          orderBy: '-sys_created_on'
+        }),
+        fetchRelated(client, 'Problem tasks', 'problem_task', `problem=${sysId}`, {
+          fields: 'number,short_description,state,assigned_to'
+        }),
+        fetchJournal(client, sysId)
+      ]);
+
+      return { table: 'problem', record: problem, label: `Problem ${args.problem_number}`, related };
+    }
+  },
+  {
+    name: 'user-access-review',
+    title: 'User Access Review',
+    section: 'User Access Review',
+    description: "Review a user's roles and group memberships",
+    arguments: [
+      { name: 'user_name', description: 'User ID (sys_user.user_name)', required: true },
+      INSTANCE_ARGUMENT
+    ],
+    fetch: async (client, args) => {
+      const user = await findRecord(client, 'sys_user', `user_name=${args.user_name}`,
+        `User ${args.user_name} not found`,
+        'sys_id,user_name,name,email,title,department,manager,active,locked_out,last_login_time,failed_attempts,source,sys_created_on');
+      const { sys_id: sysId } = user.values;
+
+      const related = await Promise.all([
+        fetchRelated(client, 'Roles', 'sys_user_has_role', `user=${sysId}`, { fields: 'role,inherited,granted_by,state' }),
+        fetchRelated(client, 'Group memberships', 'sys_user_grmember', `user=${sysId}`, { fields: 'group' })
+      ]);
+
+      return { table: 'sys_user', record: user, label: `User ${args.user_name}`, related };
+    }
+  },
+  {
+    name: 'ci-health-check',
+    title: 'Configuration Item Health Check',
+    section: 'Configuration Item Health Check',
+    description: 'Check a configuration item with its relationships, open incidents and active changes',
+    arguments: [
+      { name: 'ci_name', description: 'Configuration item name (cmdb_ci.name)', required: true },
+      INSTANCE_ARGUMENT
+    ],
+    fetch: async (client, args) => {
+      const ci = await findRecord(client, 'cmdb_ci', `name=${args.ci_name}`,
+        `Configuration item ${args.ci_name} not found`);
+      const { sys_id: sysId } = ci.values;
+
+      const related = await Promise.all([
+        fetchRelated(client, 'Relationships', 'cmdb_rel_ci', `parent=${sysId}^ORchild=${sysId}`, { fields: 'parent,type,child' }),
+        fetchRelated(client, 'Open incidents', 'incident', `cmdb_ci=${sysId}^active=true`, {
+          fields: 'number,short_description,state,priority,sys_created_on',
+          orderBy: '-sys_created_on'
+        }),
+        fetchRelated(client, 'Active changes', 'change_request', `cmdb_ci=${sysId}^active=true`, {
+          fields: 'number,short_description,state,risk,start_date,end_date'
+        })
+      ]);
+
+      return { table: 'cmdb_ci', record: ci, label: `Configuration item ${args.ci_name}`, related };
+    }
+  }
+];
+
+/**
+ * Split prompts.md into instruction text by `## ` heading
+ * @param {string} markdown - Contents of src/config/prompts.md
+ * @returns {object} Instruction text keyed by heading
+ */
+export function parsePromptInstructions(markdown) {
+  const sections = {};
+  let heading = null;
+
+  markdown.split('\n').forEach(line => {
+    const match = line.match(/^##\s+(.+?)\s*$/);
+    if (match) {
+      heading = match[1];
+      sections[heading] = [];
+    } else if (heading) {
+      sections[heading].push(line);
+    }
+  });
+
+  return Object.fromEntries(Object.entries(sections).map(([name, lines]) => [name, lines.join('\n').trim()]));
+}
+
+/**
+ * Create list/get handlers for analysis prompts
+ * @param {object} instructions - Instruction text keyed by prompts.md heading (see parsePromptInstructions)
+ * @param {Function} getClientForInstance - Resolver (instance name -> ServiceNowClient); an
+ *   empty name resolves to the session client
+ * @returns {object} { listPrompts, getPrompt }
+ */
+export function createPromptHandlers(instructions, getClientForInstance) {
+  /**
+   * List all available prompts
+   */
+  const listPrompts = async () => ({
+    prompts: PROMPT_DEFINITIONS.map(({ name, title, description, arguments: args }) => ({
+      name,
+      title,
+      description,
+      arguments: args
+    }))
+  });
+
+  /**
+   * Build a prompt with the referenced record and related data embedded
+   * @param {string} name - Prompt name
+   * @param {object} args - Prompt arguments
+   * @returns {object} { description, messages }
+   */
+  const getPrompt = async (name, args = {}) => {
+    const definition = PROMPT_DEFINITIONS.find(p => p.name === name);
+    if (!definition) {
+      throw new Error(`Unknown prompt: ${name}. Available prompts: ${PROMPT_DEFINITIONS.map(p => p.name).join(', ')}`);
+    }
+
+    definition.arguments.forEach(argument => {
+      const value = args[argument.name];
+      if (argument.required && !value) {
+        throw new Error(`Missing required argument for ${name}: ${argument.name}`);
+      }
+      // Argument values are placed in encoded queries, so they must not add conditions
+      if (value && /[\^\n]/.test(value)) {
+        throw new Error(`Invalid value for ${argument.name}: ${value}`);
+      }
+    });
+
+    console.error(`💬 Building prompt: ${name}`);
+
+    const client = getClientForInstance(args.instance);
+    const instanceName = client.getCurrentInstance().name;
+    const { table, record, label, related } = await definition.fetch(client, args);
+
+    const text = instructions[definition.section] || definition.description;
+    const recordUri = `servicenow://${instanceName}/table/${table}/${record.values.sys_id}`;
+    const embed = (uri, data) => ({
+      role: 'user',
+      content: {
+        type: 'resource',
+        resource: { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }
+      }
+    });
+
+    return {
+      description: `${definition.title}: ${label} (${instanceName})`,
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text: `${text}\n\nThe data for ${label} on instance '${instanceName}' is attached below: the record itself, then ${related.map(d => d.label.toLowerCase()).join(', ')}.`
+          }
+        },
+        embed(recordUri, record.display),
+        ...related.map(dataset => embed(
+          `servicenow://${instanceName}/table/${dataset.table}?query=${encodeURIComponent(dataset.query)}`,
+          {
+            description: dataset.label,
+            total_count: dataset.total_count,
+            records: dataset.records
+          }
+        ))
+      ]
+    };
+  };
+
+  return {
+    listPrompts,
+    getPrompt
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * ServiceNow MCP Server - Request Retry and Rate Limiting
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Retry decisions, backoff delays and per-instance request limiting used by
+ * ServiceNowClient. Configured per instance through the `http` block in
+ * servicenow-instances.json.
+ *
+ * @module request-policy
+ */
+
+/**
+ * Defaults for the `http` instance setting
+ * max_concurrent and requests_per_second of 0 mean unlimited.
+ */
+export const DEFAULT_REQUEST_POLICY = {
+  timeout_ms: 60000,
+  max_retries: 3,
+  retry_base_delay_ms: 500,
+  retry_max_delay_ms: 30000,
+  max_concurrent: 0,
+  requests_per_second: 0
+};
+
+// Methods that can be repeated without changing the result
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Gateway errors that usually clear up on their own
+const TRANSIENT_STATUSES = [502, 503, 504];
+
+// Network failures worth retrying (connection reset, timeouts, DNS hiccups)
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ECONNREFUSED'];
+
+/**
+ * Merge instance settings over the defaults
+ * @param {object} policy - `http` block from the instance config
+ * @returns {object} Complete request policy
+ */
+export function resolveRequestPolicy(policy = null) {
+  return { ...DEFAULT_REQUEST_POLICY, ...(policy || {}) };
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether a failed request should be retried
+ * 429 responses, and 503 responses carrying Retry-After, were rejected before
+ * processing and are retried for any method. Other transient failures are
+ * only retried for idempotent methods, since a POST may already have run.
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the request can be retried
+ */
+export function isRetryableError(error) {
+  const status = error.response?.status;
+  const retryAfter = error.response?.headers?.['retry-after'];
+
+  if (status === 429 || (status === 503 && retryAfter !== undefined)) {
+    return true;
+  }
+
+  const method = (error.config?.method || 'get').toLowerCase();
+  if (!IDEMPOTENT_METHODS.includes(method)) {
+    return false;
+  }
+
+  if (status) {
+    return TRANSIENT_STATUSES.includes(status);
+  }
+
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Compute how long to wait before the next attempt
+ * Uses Retry-After when the server sends it, otherwise exponential backoff
+ * with full jitter capped at retry_max_delay_ms. Retrying before Retry-After
+ * has passed would be rejected again, so a Retry-After longer than
+ * retry_max_delay_ms means no retry.
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {object} policy - Request policy
+ * @returns {number|null} Delay in milliseconds, or null to give up
+ */
+export function getRetryDelay(error, attempt, policy) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return retryAfter <= policy.retry_max_delay_ms ? retryAfter : null;
+  }
+
+  const ceiling = Math.min(policy.retry_max_delay_ms, policy.retry_base_delay_ms * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Limits concurrent requests and request rate
+ */
+export class RequestLimiter {
+  /**
+   * @param {object} options - Limits (0 = unlimited)
+   * @param {number} options.maxConcurrent - Maximum requests in flight
+   * @param {number} options.requestsPerSecond - Maximum request starts per second
+   */
+  constructor({ maxConcurrent = 0, requestsPerSecond = 0 } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.requestsPerSecond = requestsPerSecond;
+    this.active = 0;
+    this.waiting = [];
+    this.nextStartAt = 0;
+  }
+
+  /**
+   * Wait for a request slot
+   * Every successful acquire() must be paired with one release().
+   */
+  async acquire() {
+    if (this.maxConcurrent > 0 && this.active >= this.maxConcurrent) {
+      // release() hands its slot directly to the next waiter
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    if (this.requestsPerSecond > 0) {
+      const now = Date.now();
+      const startAt = Math.max(now, this.nextStartAt);
+      this.nextStartAt = startAt + 1000 / this.requestsPerSecond;
+      if (startAt > now) {
+        await new Promise(resolve => setTimeout(resolve, startAt - now));
+      }
+    }
+  }
+
+  /**
+   * Free a request slot
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active = Math.max(0, this.active - 1);
+    }
+  }
+}
+
+// Shared by every client talking to the same instance (instance URL -> { key, limiter })
+const instanceLimiters = new Map();
+
+/**
+ * Get the limiter shared by all clients of an instance
+ * Sessions each have their own ServiceNowClient, so limits must be enforced here
+ * rather than per client. Changed limits (e.g., after a config reload) replace the limiter.
+ * @param {string} instanceUrl - Instance base URL
+ * @param {object} policy - Request policy
+ * @returns {RequestLimiter|null} Limiter, or null when the instance is unlimited
+ */
+export function getInstanceLimiter(instanceUrl, policy) {
+  if (!policy.max_concurrent && !policy.requests_per_second) {
+    instanceLimiters.delete(instanceUrl);
+    return null;
+  }
+
+  const key = `${policy.max_concurrent}/${policy.requests_per_second}`;
+  const existing = instanceLimiters.get(instanceUrl);
+  if (existing && existing.key === key) {
+    return existing.limiter;
+  }
+
+  const limiter = new RequestLimiter({
+    maxConcurrent: policy.max_concurrent,
+    requestsPerSecond: policy.requests_per_second
+  });
+  instanceLimiters.set(instanceUrl, { key, limiter });
+  return limiter;
+}
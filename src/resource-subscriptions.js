@@ -0,0 +1,143 @@
+/**
+ * ServiceNow MCP Server - Resource Subscriptions
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Tracks the resources a session has subscribed to and polls them for
+ * changes. ServiceNow has no push channel the server can listen on, so each
+ * subscription is checked on an interval by comparing a version string
+ * (record count and newest sys_updated_on) with the one seen last time.
+ *
+ * @module resource-subscriptions
+ */
+
+/**
+ * Default and minimum poll intervals in milliseconds
+ */
+export const DEFAULT_POLL_INTERVAL_MS = 30000;
+export const MIN_POLL_INTERVAL_MS = 1000;
+
+/**
+ * Read the poll interval from RESOURCE_POLL_INTERVAL_MS
+ * @param {string} value - Environment value
+ * @returns {number} Interval in milliseconds (default 30s, at least 1s)
+ */
+export function resolvePollInterval(value = process.env.RESOURCE_POLL_INTERVAL_MS) {
+  const interval = parseInt(value, 10);
+  if (Number.isNaN(interval)) {
+    return DEFAULT_POLL_INTERVAL_MS;
+  }
+  return Math.max(MIN_POLL_INTERVAL_MS, interval);
+}
+
+/**
+ * Polls subscribed resources and reports the ones that changed
+ * One manager per MCP session; close() it when the session ends.
+ */
+export class ResourceSubscriptionManager {
+  /**
+   * @param {object} options - Manager options
+   * @param {Function} options.getVersion - async (uri) => version string
+   * @param {Function} options.onUpdated - Called with the URI of each changed resource
+   * @param {number} options.intervalMs - Poll interval in milliseconds
+   */
+  constructor({ getVersion, onUpdated, intervalMs = resolvePollInterval() }) {
+    this.getVersion = getVersion;
+    this.onUpdated = onUpdated;
+    this.intervalMs = intervalMs;
+    this.versions = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start watching a resource
+   * Fetches the current version first, so unsupported or unreadable URIs are
+   * rejected at subscribe time rather than failing silently on every poll.
+   * @param {string} uri - Resource URI
+   */
+  async subscribe(uri) {
+    const version = await this.getVersion(uri);
+    this.versions.set(uri, version);
+    console.error(`🔔 Subscribed to ${uri} (polling every ${this.intervalMs}ms)`);
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.intervalMs);
+      // Polling alone should not keep the process alive
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * Stop watching a resource
+   * @param {string} uri - Resource URI
+   */
+  unsubscribe(uri) {
+    if (this.versions.delete(uri)) {
+      console.error(`🔕 Unsubscribed from ${uri}`);
+    }
+
+    if (this.versions.size === 0) {
+      this.stopTimer();
+    }
+  }
+
+  /**
+   * Check every subscription once and report the ones whose version changed
+   * Overlapping polls are skipped; a failed check keeps the subscription and
+   * is retried on the next poll.
+   * @returns {Promise<Array<string>>} URIs reported as updated
+   */
+  async poll() {
+    if (this.polling) {
+      return [];
+    }
+    this.polling = true;
+
+    const updated = [];
+    try {
+      for (const [uri, previous] of [...this.versions]) {
+        try {
+          const version = await this.getVersion(uri);
+          // Skip URIs unsubscribed while the check was in flight
+          if (!this.versions.has(uri) || version === previous) {
+            continue;
+          }
+          this.versions.set(uri, version);
+          updated.push(uri);
+          this.onUpdated(uri);
+        } catch (error) {
+          console.error(`⚠️  Failed to check ${uri} for changes: ${error.message}`);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+
+    return updated;
+  }
+
+  /**
+   * List subscribed resource URIs
+   * @returns {Array<string>} Subscribed URIs
+   */
+  listSubscriptions() {
+    return [...this.versions.keys()];
+  }
+
+  /**
+   * Drop all subscriptions and stop polling
+   */
+  close() {
+    this.versions.clear();
+    this.stopTimer();
+  }
+
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -7,7 +7,75 @@
  * Provides read-only, cacheable access to ServiceNow data
  */
 
-export function createResourceHandlers(serviceNowClient, configManager, tableMetadata) {
+import { ServiceNowClient } from './servicenow-client.js';
+
+/**
+ * Resource templates for any table record or query
+ */
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'servicenow://{instance}/table/{table}/{sys_id}',
+    mimeType: 'application/json',
+    name: 'Table Record',
+    description: 'Any record by table and sys_id'
+  },
+  {
+    uriTemplate: 'servicenow://{instance}/table/{table}{?query,fields,limit,offset}',
+    mimeType: 'application/json',
+    name: 'Table Query',
+    description: 'Records matching an encoded query (e.g., ?query=active=true^priority=1). Defaults to 25 records, up to 1000.'
+  }
+];
+
+// Completion responses are capped at 100 values by the MCP spec
+const MAX_COMPLETIONS = 100;
+
+// Page size for table query resources (default and maximum)
+const DEFAULT_QUERY_LIMIT = 25;
+const MAX_QUERY_LIMIT = 1000;
+
+// Table names are sent in the API path, so only plain identifiers are accepted
+const TABLE_NAME_PATTERN = /^[a-z0-9_]+$/i;
+
+// Table and encoded query behind each fixed list resource, used for change detection
+const LIST_RESOURCE_QUERIES = {
+  incidents: { table: 'incident', query: 'active=true' },
+  users: { table: 'sys_user', query: 'active=true' },
+  groups: { table: 'sys_user_group', query: 'active=true' },
+  'change-requests': { table: 'change_request', query: 'active=true' },
+  'update-sets': { table: 'sys_update_set', query: 'state=in progress' }
+};
+
+// URIs served before these handlers were wired in, kept as aliases ({current} = session instance)
+const LEGACY_URIS = {
+  'servicenow://instance': 'servicenow://{current}/info',
+  'servicenow://tables/all': 'servicenow://tables'
+};
+
+/**
+ * Create list/read handlers for servicenow:// resources
+ * @param {ServiceNowClient} serviceNowClient - Session client (current instance)
+ * @param {ConfigManager} configManager - Instance configuration
+ * @param {object} tableMetadata - Table definitions keyed by table name
+ * @param {Function} getClientForInstance - Optional resolver (instance name -> ServiceNowClient).
+ *   Reads for other instances use it so the session client is never switched; without
+ *   one, a short-lived client is created per read.
+ * @param {object} options - Optional extras
+ * @param {Function} options.countTools - Number of tools available on an instance (instance name -> number),
+ *   reported as total_tools in servicenow://[instance]/info; omitted without it
+ * @returns {object} { listResources, readResource, listResourceTemplates, completeArgument, getResourceVersion }
+ */
+export function createResourceHandlers(serviceNowClient, configManager, tableMetadata, getClientForInstance = null, { countTools = null } = {}) {
+  const resolveClient = getClientForInstance || ((instanceName) => {
+    if (instanceName === serviceNowClient.getCurrentInstance().name) {
+      return serviceNowClient;
+    }
+    const instance = configManager.getInstance(instanceName);
+    const client = new ServiceNowClient(instance.url, instance.username, instance.password, instance.auth, instance.http);
+    client.currentInstanceName = instance.name;
+    return client;
+  });
+
   /**
    * List all available resources
    */
@@ -107,9 +175,13 @@ export function createResourceHandlers(serviceNowClient, configManager, tableMet
   const readResource = async (uri) => {
     console.error(`📖 Reading resource: ${uri}`);
 
+    const targetUri = LEGACY_URIS[uri]
+      ? LEGACY_URIS[uri].replace('{current}', serviceNowClient.getCurrentInstance().name)
+      : uri;
+
     // Parse URI: servicenow://[instance]/[resource]/[id]
     const uriPattern = /^servicenow:\/\/([^\/]+)(?:\/(.+))?$/;
-    const match = uri.match(uriPattern);
+    const match = targetUri.match(uriPattern);
 
     if (!match) {
       throw new Error(`Invalid resource URI format: ${uri}. Expected: servicenow://[instance]/[resource]`);
@@ -117,15 +189,19 @@ export function createResourceHandlers(serviceNowClient, configManager, tableMet
 
     const [, instanceOrResource, resourcePath] = match;
 
+    // Client for the instance named in the URI (the session client for the current instance)
+    let client = serviceNowClient;
+
     // Helper function to format response with metadata
-    const formatResource = (data, description = '') => {
+    const formatResource = (data, description = '', extraMetadata = {}) => {
       const timestamp = new Date().toISOString();
       const formattedData = {
         metadata: {
           timestamp,
-          instance: serviceNowClient.getCurrentInstance().name,
+          instance: client.getCurrentInstance().name,
           description,
-          record_count: Array.isArray(data) ? data.length : (data ? 1 : 0)
+          record_count: Array.isArray(data) ? data.length : (data ? 1 : 0),
+          ...extraMetadata
         },
         data
       };
@@ -162,165 +238,299 @@ export function createResourceHandlers(serviceNowClient, configManager, tableMet
     const instanceName = instanceOrResource;
     const resource = resourcePath;
 
-    // Save current instance to restore later
-    const originalInstance = serviceNowClient.getCurrentInstance();
-
-    // Switch to requested instance if different
-    if (instanceName !== originalInstance.name) {
-      const instance = configManager.getInstance(instanceName);
-      serviceNowClient.setInstance(instance.url, instance.username, instance.password, instance.name);
+    // Cross-instance reads go through that instance's own client, leaving the session untouched
+    client = resolveClient(instanceName);
+
+    // Resource: servicenow://[instance]/info
+    if (resource === 'info') {
+      const currentInstance = client.getCurrentInstance();
+      const instanceConfig = configManager.listInstances().find(i => i.name === instanceName) || {};
+      const data = {
+        instance: {
+          name: currentInstance.name,
+          url: currentInstance.url,
+          description: instanceConfig.description || '',
+          default: instanceConfig.default || false,
+          mode: instanceConfig.mode || 'full'
+        },
+        server_info: {
+          name: 'ServiceNow MCP Server',
+          version: '2.0.0',
+          description: 'Multi-instance ServiceNow MCP server with resources'
+        },
+        capabilities: {
+          total_tables: Object.keys(tableMetadata).length,
+          ...(countTools ? { total_tools: countTools(instanceName) } : {}),
+          operations: ['create', 'read', 'update', 'query', 'batch', 'workflow'],
+          features: ['multi_instance', 'resources', 'background_scripts', 'update_sets']
+        }
+      };
+      return formatResource(data, `Information about ${instanceName} instance`);
     }
 
-    try {
-      // Resource: servicenow://[instance]/info
-      if (resource === 'info') {
-        const currentInstance = serviceNowClient.getCurrentInstance();
-        const instanceConfig = configManager.getInstance(instanceName);
-        const data = {
-          instance: {
-            name: currentInstance.name,
-            url: currentInstance.url,
-            description: instanceConfig.description || '',
-            default: instanceConfig.default || false
-          },
-          server_info: {
-            name: 'ServiceNow MCP Server',
-            version: '2.0.0',
-            description: 'Multi-instance ServiceNow MCP server with resources'
-          },
-          capabilities: {
-            total_tables: Object.keys(tableMetadata).length,
-            total_tools: 34,
-            operations: ['create', 'read', 'update', 'query', 'batch', 'workflow'],
-            features: ['multi_instance', 'resources', 'background_scripts', 'update_sets']
-          }
-        };
-        return formatResource(data, `Information about ${instanceName} instance`);
-      }
+    // Resource: servicenow://[instance]/table/[table]/[sys_id] and servicenow://[instance]/table/[table]?query=...
+    if (resource && resource.startsWith('table/')) {
+      const url = new URL(targetUri);
+      const [, table, sysId, ...rest] = url.pathname.split('/').filter(Boolean);
 
-      // Resource: servicenow://[instance]/incidents
-      if (resource === 'incidents') {
-        const incidents = await serviceNowClient.getRecords('incident', {
-          sysparm_query: 'active=true',
-          sysparm_limit: 25,
-          sysparm_fields: 'number,short_description,state,priority,assigned_to,sys_created_on,sys_updated_on'
-        });
-        return formatResource(incidents, `Active incidents from ${instanceName}`);
+      if (!table || !TABLE_NAME_PATTERN.test(table) || rest.length > 0) {
+        throw new Error(`Invalid table resource: ${uri}. Expected: servicenow://${instanceName}/table/{table}/{sys_id} or servicenow://${instanceName}/table/{table}?query=...`);
       }
 
-      // Resource: servicenow://[instance]/incidents/[number]
-      if (resource && resource.startsWith('incidents/')) {
-        const incidentNumber = resource.split('/')[1];
-        const incidents = await serviceNowClient.getRecords('incident', {
-          sysparm_query: `number=${incidentNumber}`,
-          sysparm_limit: 1
-        });
-        if (incidents.length === 0) {
-          throw new Error(`Incident ${incidentNumber} not found in ${instanceName}`);
-        }
-        return formatResource(incidents[0], `Incident ${incidentNumber} from ${instanceName}`);
-      }
+      const label = tableMetadata[table]?.label || table;
 
-      // Resource: servicenow://[instance]/users
-      if (resource === 'users') {
-        const users = await serviceNowClient.getRecords('sys_user', {
-          sysparm_query: 'active=true',
-          sysparm_limit: 50,
-          sysparm_fields: 'user_name,name,email,title,department,sys_created_on'
-        });
-        return formatResource(users, `Active users from ${instanceName}`);
+      if (sysId) {
+        const record = await client.getRecord(table, sysId);
+        return formatResource(record, `${label} record ${sysId} from ${instanceName}`, { table });
       }
 
-      // Resource: servicenow://[instance]/update-sets
-      if (resource === 'update-sets') {
-        const updateSets = await serviceNowClient.getRecords('sys_update_set', {
-          sysparm_query: 'state=in progress',
-          sysparm_limit: 25,
-          sysparm_fields: 'name,description,state,application,sys_created_on,sys_updated_on',
-          sysparm_order_by: '-sys_updated_on'
-        });
-        return formatResource(updateSets, `Update sets in progress from ${instanceName}`);
+      const params = url.searchParams;
+      const page = await client.getRecordsPage(table, {
+        sysparm_query: params.get('query') || undefined,
+        sysparm_fields: params.get('fields') || undefined,
+        sysparm_limit: Math.min(parseInt(params.get('limit'), 10) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT),
+        sysparm_offset: params.get('offset') || undefined
+      });
+      return formatResource(page.records, `${label} records from ${instanceName}`, {
+        table,
+        query: params.get('query') || '',
+        total_count: page.total_count,
+        offset: page.offset,
+        next_offset: page.next_offset
+      });
+    }
+
+    // Resource: servicenow://[instance]/incidents
+    if (resource === 'incidents') {
+      const incidents = await client.getRecords('incident', {
+        sysparm_query: 'active=true',
+        sysparm_limit: 25,
+        sysparm_fields: 'number,short_description,state,priority,assigned_to,sys_created_on,sys_updated_on'
+      });
+      return formatResource(incidents, `Active incidents from ${instanceName}`);
+    }
+
+    // Resource: servicenow://[instance]/incidents/[number]
+    if (resource && resource.startsWith('incidents/')) {
+      const incidentNumber = resource.split('/')[1];
+      const incidents = await client.getRecords('incident', {
+        sysparm_query: `number=${incidentNumber}`,
+        sysparm_limit: 1
+      });
+      if (incidents.length === 0) {
+        throw new Error(`Incident ${incidentNumber} not found in ${instanceName}`);
       }
+      return formatResource(incidents[0], `Incident ${incidentNumber} from ${instanceName}`);
+    }
 
-      // Resource: servicenow://[instance]/update-sets/[sys_id]
-      if (resource && resource.startsWith('update-sets/')) {
-        const updateSetId = resource.split('/')[1];
-
-        // Get update set details
-        const updateSet = await serviceNowClient.getRecord('sys_update_set', updateSetId);
-
-        // Get update set contents
-        const updates = await serviceNowClient.getRecords('sys_update_xml', {
-          sysparm_query: `update_set=${updateSetId}`,
-          sysparm_fields: 'type,name,target_name,sys_created_on',
-          sysparm_limit: 1000
-        });
-
-        // Group by type
-        const typeGroups = {};
-        updates.forEach(update => {
-          const type = update.type || 'unknown';
-          if (!typeGroups[type]) {
-            typeGroups[type] = { count: 0, items: [] };
-          }
-          typeGroups[type].count++;
+    // Resource: servicenow://[instance]/users
+    if (resource === 'users') {
+      const users = await client.getRecords('sys_user', {
+        sysparm_query: 'active=true',
+        sysparm_limit: 50,
+        sysparm_fields: 'user_name,name,email,title,department,sys_created_on'
+      });
+      return formatResource(users, `Active users from ${instanceName}`);
+    }
+
+    // Resource: servicenow://[instance]/update-sets
+    if (resource === 'update-sets') {
+      const updateSets = await client.getRecords('sys_update_set', {
+        sysparm_query: 'state=in progress',
+        sysparm_limit: 25,
+        sysparm_fields: 'name,description,state,application,sys_created_on,sys_updated_on',
+        sysparm_order_by: '-sys_updated_on'
+      });
+      return formatResource(updateSets, `Update sets in progress from ${instanceName}`);
+    }
+
+    // Resource: servicenow://[instance]/update-sets/[sys_id]
+    if (resource && resource.startsWith('update-sets/')) {
+      const updateSetId = resource.split('/')[1];
+
+      // Get update set details
+      const updateSet = await client.getRecord('sys_update_set', updateSetId);
+
+      // Stream the update set contents, grouped by type with the first 10 items of each
+      const updates = client.streamRecords('sys_update_xml', {
+        sysparm_query: `update_set=${updateSetId}`,
+        sysparm_fields: 'type,name,target_name,sys_created_on',
+        sysparm_order_by: 'sys_id'
+      });
+
+      const typeGroups = {};
+      let totalRecords = 0;
+      for await (const update of updates) {
+        totalRecords++;
+        const type = update.type || 'unknown';
+        if (!typeGroups[type]) {
+          typeGroups[type] = { count: 0, items: [] };
+        }
+        typeGroups[type].count++;
+        if (typeGroups[type].items.length < 10) {
           typeGroups[type].items.push({
             name: update.name || update.target_name,
             created: update.sys_created_on
           });
-        });
-
-        const data = {
-          update_set: {
-            sys_id: updateSet.sys_id,
-            name: updateSet.name,
-            description: updateSet.description,
-            state: updateSet.state,
-            application: updateSet.application
-          },
-          total_records: updates.length,
-          components: Object.entries(typeGroups).map(([type, info]) => ({
-            type,
-            count: info.count,
-            items: info.items.slice(0, 10) // First 10 items per type
-          }))
-        };
-
-        return formatResource(data, `Update set ${updateSet.name} contents from ${instanceName}`);
+        }
       }
 
-      // Resource: servicenow://[instance]/groups
-      if (resource === 'groups') {
-        const groups = await serviceNowClient.getRecords('sys_user_group', {
-          sysparm_query: 'active=true',
-          sysparm_limit: 50,
-          sysparm_fields: 'name,description,type,manager,sys_created_on'
-        });
-        return formatResource(groups, `Active user groups from ${instanceName}`);
+      const data = {
+        update_set: {
+          sys_id: updateSet.sys_id,
+          name: updateSet.name,
+          description: updateSet.description,
+          state: updateSet.state,
+          application: updateSet.application
+        },
+        total_records: totalRecords,
+        components: Object.entries(typeGroups).map(([type, info]) => ({
+          type,
+          count: info.count,
+          items: info.items
+        }))
+      };
+
+      return formatResource(data, `Update set ${updateSet.name} contents from ${instanceName}`);
+    }
+
+    // Resource: servicenow://[instance]/groups
+    if (resource === 'groups') {
+      const groups = await client.getRecords('sys_user_group', {
+        sysparm_query: 'active=true',
+        sysparm_limit: 50,
+        sysparm_fields: 'name,description,type,manager,sys_created_on'
+      });
+      return formatResource(groups, `Active user groups from ${instanceName}`);
+    }
+
+    // Resource: servicenow://[instance]/change-requests
+    if (resource === 'change-requests') {
+      const changes = await client.getRecords('change_request', {
+        sysparm_query: 'active=true',
+        sysparm_limit: 25,
+        sysparm_fields: 'number,short_description,state,priority,risk,start_date,end_date,sys_created_on'
+      });
+      return formatResource(changes, `Active change requests from ${instanceName}`);
+    }
+
+    throw new Error(`Unknown resource path: ${resource}. Available resources: info, incidents, users, update-sets, groups, change-requests, table/{table}`);
+  };
+
+  /**
+   * List resource templates
+   */
+  const listResourceTemplates = async () => ({ resourceTemplates: RESOURCE_TEMPLATES });
+
+  /**
+   * Complete a resource template variable
+   * Supports `instance` (configured instance names) and `table` (tables from the table metadata).
+   * @param {string} uriTemplate - Template the variable belongs to
+   * @param {string} argumentName - Variable name
+   * @param {string} value - Partial value typed so far
+   * @returns {object} { completion: { values, total, hasMore } }
+   */
+  const completeArgument = async (uriTemplate, argumentName, value = '') => {
+    let candidates = [];
+
+    if (RESOURCE_TEMPLATES.some(t => t.uriTemplate === uriTemplate)) {
+      if (argumentName === 'instance') {
+        candidates = configManager.listInstances().map(i => i.name);
+      } else if (argumentName === 'table') {
+        candidates = Object.keys(tableMetadata).sort();
       }
+    }
 
-      // Resource: servicenow://[instance]/change-requests
-      if (resource === 'change-requests') {
-        const changes = await serviceNowClient.getRecords('change_request', {
-          sysparm_query: 'active=true',
-          sysparm_limit: 25,
-          sysparm_fields: 'number,short_description,state,priority,risk,start_date,end_date,sys_created_on'
-        });
-        return formatResource(changes, `Active change requests from ${instanceName}`);
+    const prefix = value.toLowerCase();
+    const matches = candidates.filter(candidate => candidate.toLowerCase().startsWith(prefix));
+
+    return {
+      completion: {
+        values: matches.slice(0, MAX_COMPLETIONS),
+        total: matches.length,
+        hasMore: matches.length > MAX_COMPLETIONS
       }
+    };
+  };
+
+  /**
+   * Map a resource URI to the table queries whose changes it reflects
+   * @param {string} uri - Resource URI
+   * @returns {object} { instanceName, targets: [{ table, query }] }
+   */
+  const getWatchTargets = (uri) => {
+    const url = new URL(LEGACY_URIS[uri]
+      ? LEGACY_URIS[uri].replace('{current}', serviceNowClient.getCurrentInstance().name)
+      : uri);
+    const instanceName = url.host;
+    const [resource, ...rest] = url.pathname.split('/').filter(Boolean);
+
+    if (url.protocol !== 'servicenow:' || !resource) {
+      throw new Error(`Resource does not support subscriptions: ${uri}`);
+    }
 
-      throw new Error(`Unknown resource path: ${resource}. Available resources: info, incidents, users, update-sets, groups, change-requests`);
-    } finally {
-      // Restore original instance if we switched
-      if (instanceName !== originalInstance.name) {
-        const original = configManager.getInstance(originalInstance.name);
-        serviceNowClient.setInstance(original.url, original.username, original.password, original.name);
+    if (resource === 'table') {
+      const [table, sysId] = rest;
+      if (!table || !TABLE_NAME_PATTERN.test(table) || rest.length > 2) {
+        throw new Error(`Invalid table resource: ${uri}`);
       }
+      return {
+        instanceName,
+        targets: [{ table, query: sysId ? `sys_id=${sysId}` : (url.searchParams.get('query') || '') }]
+      };
+    }
+
+    if (rest.length === 0 && LIST_RESOURCE_QUERIES[resource]) {
+      return { instanceName, targets: [LIST_RESOURCE_QUERIES[resource]] };
+    }
+
+    if (resource === 'incidents' && rest.length === 1) {
+      return { instanceName, targets: [{ table: 'incident', query: `number=${rest[0]}` }] };
     }
+
+    if (resource === 'update-sets' && rest.length === 1) {
+      // The update set record itself and the customer updates captured in it
+      return {
+        instanceName,
+        targets: [
+          { table: 'sys_update_set', query: `sys_id=${rest[0]}` },
+          { table: 'sys_update_xml', query: `update_set=${rest[0]}` }
+        ]
+      };
+    }
+
+    throw new Error(`Resource does not support subscriptions: ${uri}`);
+  };
+
+  /**
+   * Get a version string for a resource that changes whenever its data does
+   * Combines the matching record count (catches inserts and deletes) with the
+   * newest sys_updated_on (catches updates) for each table the resource reads.
+   * @param {string} uri - Resource URI
+   * @returns {Promise<string>} Version string
+   */
+  const getResourceVersion = async (uri) => {
+    const { instanceName, targets } = getWatchTargets(uri);
+    const client = resolveClient(instanceName);
+
+    const versions = await Promise.all(targets.map(async ({ table, query }) => {
+      const page = await client.getRecordsPage(table, {
+        sysparm_query: query || undefined,
+        sysparm_fields: 'sys_updated_on',
+        sysparm_limit: 1,
+        sysparm_order_by: '-sys_updated_on'
+      });
+      return `${page.total_count ?? page.records.length}@${page.records[0]?.sys_updated_on || ''}`;
+    }));
+
+    return versions.join('|');
   };
 
   return {
     listResources,
-    readResource
+    readResource,
+    listResourceTemplates,
+    completeArgument,
+    getResourceVersion
   };
 }
@@ -0,0 +1,527 @@
+/**
+ * ServiceNow MCP Server - Background Script Execution
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Runs background scripts through sys_trigger (see executeScriptViaTrigger) and
+ * captures their output: gs output calls are rewritten to tag every line with a
+ * correlation id, and once the trigger has run the tagged lines are read back
+ * from syslog. Dry runs also rewrite GlideRecord writes so they are counted
+ * instead of committed.
+ *
+ * @module script-execution
+ */
+
+import { randomBytes } from 'crypto';
+import { tokenize } from './script-lint.js';
+
+// Prefix of tagged syslog lines: [MCP:<correlation id>:<sequence>:<level>] message
+const OUTPUT_TAG = 'MCP';
+
+// gs methods whose output is captured
+const OUTPUT_METHODS = ['info', 'print', 'log', 'debug', 'warn', 'error'];
+
+// Most syslog lines read back for one run
+const OUTPUT_LINE_LIMIT = 1000;
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+
+// Bounds for caller-supplied waits, so a run neither polls the instance in a tight loop nor holds the request open
+const MAX_TIMEOUT_MS = 5 * 60 * 1000;
+const MIN_POLL_INTERVAL_MS = 500;
+const MAX_POLL_INTERVAL_MS = 60000;
+
+// GlideRecord write methods intercepted in dry runs, by the operation they count as
+const WRITE_METHODS = {
+  insert: 'insert',
+  insertWithReferences: 'insert',
+  update: 'update',
+  updateWithReferences: 'update',
+  updateMultiple: 'update',
+  deleteRecord: 'delete',
+  deleteMultiple: 'delete'
+};
+
+// A write method accessed as a property (.update or ['update']) inside template literal code
+const WRITE_METHOD_ACCESS = new RegExp(`(?:\\.|\\[\\s*['"])\\s*(${Object.keys(WRITE_METHODS).join('|')})\\b`);
+
+// Sample sys_ids reported per table and operation in dry runs
+const DRY_RUN_SAMPLE_LIMIT = 5;
+
+// Keywords that can come right before a parenthesized expression
+const STATEMENT_KEYWORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'if', 'while', 'for', 'switch', 'catch', 'with'];
+
+/**
+ * Safety-scan rules whose operations a dry run intercepts (see script-safety)
+ */
+export const DRY_RUN_INTERCEPTED_RULES = ['delete-multiple', 'update-multiple', 'unfiltered-query'];
+
+/**
+ * Create a correlation id for one script run
+ *
+ * @returns {string} - 12 hex characters
+ */
+export function createCorrelationId() {
+  return randomBytes(6).toString('hex');
+}
+
+/**
+ * Wrap a script so its gs output is tagged with a correlation id
+ * gs.info/print/log/debug/warn/error calls are pointed at a wrapper that logs
+ * through gs.info, gs.warn or gs.error with the tag; strings and comments are
+ * left alone. An uncaught exception is logged as the run's exception, and an
+ * end marker is logged last.
+ *
+ * @param {string} script - Script to run
+ * @param {string} correlationId - Correlation id (see createCorrelationId)
+ * @returns {string} - Script to schedule
+ */
+export function tagScriptOutput(script, correlationId) {
+  const tokens = tokenize(script);
+  let tagged = '';
+  let copied = 0;
+
+  tokens.forEach((token, index) => {
+    const isOutputCall = token.type === 'identifier' && token.value === 'gs'
+      && tokens[index - 1]?.value !== '.'
+      && tokens[index + 1]?.value === '.'
+      && OUTPUT_METHODS.includes(tokens[index + 2]?.value)
+      && tokens[index + 3]?.value === '(';
+    if (isOutputCall) {
+      tagged += `${script.slice(copied, token.start)}__mcpGs`;
+      copied = token.start + token.value.length;
+    }
+  });
+  tagged += script.slice(copied);
+
+  const tag = `${OUTPUT_TAG}:${correlationId}`;
+  return `// Output capture: gs output below is tagged with [${tag}:...]
+var __mcpGs = (function (gs) {
+  var sequence = 0;
+  function write(level, args) {
+    var message = String(args[0]);
+    for (var i = 1; i < args.length; i++) {
+      message = message.split('{' + (i - 1) + '}').join(String(args[i]));
+    }
+    var line = '[${tag}:' + (++sequence) + ':' + level + '] ' + message;
+    if (level === 'warn') gs.warn(line);
+    else if (level === 'error' || level === 'exception') gs.error(line);
+    else gs.info(line);
+  }
+  return {
+    info: function () { write('info', arguments); },
+    print: function (message) { write('info', [message]); },
+    log: function (message) { write('info', [message]); },
+    debug: function () { write('debug', arguments); },
+    warn: function () { write('warn', arguments); },
+    error: function () { write('error', arguments); },
+    exception: function (e) { write('exception', [e && e.message ? e.message : e]); },
+    dryRun: function (writes) { write('dryrun', [JSON.stringify(writes)]); }
+  };
+})(gs);
+try {
+${tagged}
+} catch (e) {
+  __mcpGs.exception(e);
+} finally {
+  gs.info('[${tag}:end]');
+}`;
+}
+
+/**
+ * Index of the first token of the expression a method is called on
+ * Follows identifiers, member access, calls and brackets back from `end`, e.g.
+ * `this.records[0]` or `getRecord(id)`.
+ *
+ * @param {Array<object>} tokens - Tokens
+ * @param {number} end - Index of the receiver's last token
+ * @returns {number} - Index of its first token, or -1 if it cannot be found
+ */
+function findReceiverStart(tokens, end) {
+  const pairs = { ')': '(', ']': '[' };
+  let index = end;
+
+  for (;;) {
+    const token = tokens[index];
+    if (!token) return -1;
+
+    if (token.type === 'punctuator' && pairs[token.value]) {
+      let depth = 0;
+      for (; index >= 0; index--) {
+        if (tokens[index].type !== 'punctuator') continue;
+        if (tokens[index].value === token.value) depth++;
+        else if (tokens[index].value === pairs[token.value] && --depth === 0) break;
+      }
+      if (index < 0) return -1;
+      const previous = tokens[index - 1];
+      // foo(...), a[...], f()(...) continue the expression; if (...) and = (...) do not
+      const continues = previous && ((previous.type === 'identifier' && !STATEMENT_KEYWORDS.includes(previous.value))
+        || (previous.type === 'punctuator' && (previous.value === ')' || previous.value === ']')));
+      if (!continues) return index;
+      index--;
+    } else if (token.type === 'identifier' || token.type === 'string' || token.type === 'template') {
+      if (tokens[index - 1]?.value === '.') {
+        index -= 2;
+      } else {
+        return tokens[index - 1]?.value === 'new' ? index - 1 : index;
+      }
+    } else {
+      return -1;
+    }
+  }
+}
+
+/**
+ * Refuse write methods the dry run rewrite would miss
+ * Only direct record.method(...) calls are rewritten; a write method called from
+ * inside a template literal, with brackets (gr['update']() or gr[name]()) or through
+ * a reference (var save = gr.update) would commit. A computed key could name any
+ * method, so every call through one is refused.
+ *
+ * @param {Array<object>} tokens - Tokens
+ * @param {number} index - Token to check
+ * @throws {Error} When the token uses a write method in a way that is not rewritten
+ */
+function checkInterceptable(tokens, index) {
+  const token = tokens[index];
+  const at = (offset) => tokens[index + offset];
+
+  if (token.type === 'template') {
+    const substitutions = token.value.slice(token.value.indexOf('${') + 2);
+    const call = token.value.includes('${') && substitutions.match(WRITE_METHOD_ACCESS);
+    if (call) {
+      throw new Error(`Dry run cannot intercept the ${call[1]}() call inside the template literal on line ${token.line}. Call ${call[1]}() before the template and use its result.`);
+    }
+  } else if (token.type === 'string' && Object.hasOwn(WRITE_METHODS, token.value) && at(-1)?.value === '[' && at(1)?.value === ']') {
+    throw new Error(`Dry run cannot intercept ${token.value} on line ${token.line}, which is accessed with brackets. Call it as record.${token.value}() instead.`);
+  } else if (token.value === '.' && token.type === 'punctuator' && at(1)?.type === 'identifier' && Object.hasOwn(WRITE_METHODS, at(1).value)
+    && at(2)?.value !== '(' && at(2)?.value !== '=') {
+    throw new Error(`Dry run cannot intercept ${at(1).value} on line ${at(1).line}, which is referenced without being called. Call record.${at(1).value}() directly.`);
+  }
+
+  // obj[key](), obj[key].call(...) and the like, where key is not a literal
+  const called = at(1)?.value === '(' || (at(1)?.value === '.' && ['call', 'apply', 'bind'].includes(at(2)?.value));
+  if (token.value === ']' && token.type === 'punctuator' && called) {
+    let open = index;
+    for (let depth = 0; open >= 0; open--) {
+      if (tokens[open].type !== 'punctuator') continue;
+      if (tokens[open].value === ']') depth++;
+      else if (tokens[open].value === '[' && --depth === 0) break;
+    }
+    const key = tokens.slice(open + 1, index);
+    const literal = key.length === 1 && (key[0].type === 'string' || key[0].type === 'number');
+    const member = open > 0 && (tokens[open - 1].type === 'identifier' || [')', ']'].includes(tokens[open - 1].value));
+    if (member && !literal) {
+      throw new Error(`Dry run cannot intercept the call on line ${tokens[open].line} through a computed key, which could name a write method. Call the method by name instead.`);
+    }
+  }
+}
+
+/**
+ * Wrap a script so its GlideRecord writes are counted instead of committed
+ * Calls to insert, update, deleteRecord, updateMultiple, deleteMultiple (and the
+ * WithReferences variants) are routed through a recorder. On GlideRecords it
+ * counts the write per table with sample sys_ids and skips it; bulk operations
+ * count the records their query matches. Calls on other objects go through.
+ * The counts are logged with __mcpGs.dryRun, so run the result through
+ * tagScriptOutput.
+ *
+ * @param {string} script - Script to run
+ * @returns {string} - Script with writes intercepted
+ * @throws {Error} When a write's receiver cannot be rewritten, or a write method is used
+ *   other than as a direct call (see checkInterceptable)
+ */
+export function interceptWrites(script) {
+  const tokens = tokenize(script);
+  let rewritten = '';
+  let copied = 0;
+
+  tokens.forEach((token, index) => {
+    checkInterceptable(tokens, index);
+
+    const method = tokens[index + 1];
+    const isWriteCall = token.value === '.' && token.type === 'punctuator'
+      && method?.type === 'identifier' && Object.hasOwn(WRITE_METHODS, method.value)
+      && tokens[index + 2]?.value === '(';
+    if (!isWriteCall) return;
+
+    const receiverStart = findReceiverStart(tokens, index - 1);
+    if (receiverStart < 0 || tokens[receiverStart].start < copied) {
+      throw new Error(`Dry run cannot intercept the ${method.value}() call on line ${method.line}. Assign the record to a variable and call ${method.value}() on that.`);
+    }
+
+    const receiver = script.slice(tokens[receiverStart].start, token.start);
+    const noArguments = tokens[index + 3]?.value === ')';
+    rewritten += `${script.slice(copied, tokens[receiverStart].start)}__mcpDryRun.${method.value}(${receiver}${noArguments ? '' : ', '}`;
+    copied = tokens[index + 2].start + 1;
+  });
+  rewritten += script.slice(copied);
+
+  const recorders = Object.entries(WRITE_METHODS)
+    .map(([name, operation]) => `    ${name}: ${name.endsWith('Multiple') ? 'bulk' : 'single'}('${name}', '${operation}')`)
+    .join(',\n');
+
+  return `// Dry run: GlideRecord writes below are counted, not committed
+var __mcpDryRun = (function () {
+  var writes = {};
+  function isRecord(target) {
+    return target && typeof target.getTableName === 'function' && typeof target.getUniqueValue === 'function';
+  }
+  function count(table, operation, total, sysIds) {
+    var tableWrites = writes[table] = writes[table] || {};
+    var counted = tableWrites[operation] = tableWrites[operation] || { count: 0, sys_ids: [] };
+    counted.count += total;
+    for (var i = 0; i < sysIds.length && counted.sys_ids.length < ${DRY_RUN_SAMPLE_LIMIT}; i++) {
+      counted.sys_ids.push(String(sysIds[i]));
+    }
+  }
+  function passThrough(target, method, args) {
+    return target[method].apply(target, Array.prototype.slice.call(args, 1));
+  }
+  function single(method, operation) {
+    return function (target) {
+      if (!isRecord(target)) return passThrough(target, method, arguments);
+      var sysId = target.getUniqueValue();
+      if (operation === 'insert' && !sysId) sysId = target.setNewGuid();
+      count(target.getTableName(), operation, 1, sysId ? [sysId] : []);
+      return operation === 'delete' ? true : sysId;
+    };
+  }
+  function bulk(method, operation) {
+    return function (target) {
+      if (!isRecord(target)) return passThrough(target, method, arguments);
+      var table = target.getTableName();
+      var query = target.getEncodedQuery();
+      var total = new GlideAggregate(table);
+      if (query) total.addEncodedQuery(query);
+      total.addAggregate('COUNT');
+      total.query();
+      var sample = new GlideRecord(table);
+      if (query) sample.addEncodedQuery(query);
+      sample.setLimit(${DRY_RUN_SAMPLE_LIMIT});
+      sample.query();
+      var sysIds = [];
+      while (sample.next()) sysIds.push(sample.getUniqueValue());
+      count(table, operation, total.next() ? parseInt(total.getAggregate('COUNT'), 10) : 0, sysIds);
+    };
+  }
+  return {
+${recorders},
+    report: function () { return writes; }
+  };
+})();
+try {
+${rewritten}
+} finally {
+  __mcpGs.dryRun(__mcpDryRun.report());
+}`;
+}
+
+/**
+ * Sort a run's tagged syslog lines into output
+ *
+ * @param {Array<object>} rows - syslog records (message)
+ * @param {string} correlationId - Correlation id of the run
+ * @returns {object} - { completed, stdout, warnings, errors, exception, intercepted_writes, lines }
+ *   where intercepted_writes is a dry run's { table: { operation: { count, sys_ids } } }, or null
+ */
+export function parseScriptOutput(rows, correlationId) {
+  const pattern = new RegExp(`\\[${OUTPUT_TAG}:${correlationId}:(\\d+|end)(?::(\\w+))?\\] ?([\\s\\S]*)`);
+  const entries = [];
+  let completed = false;
+
+  rows.forEach(row => {
+    const match = String(row.message || '').match(pattern);
+    if (!match) return;
+    if (match[1] === 'end') {
+      completed = true;
+      return;
+    }
+    entries.push({ sequence: Number(match[1]), level: match[2], message: match[3] });
+  });
+  // Lines logged within the same second come back in no particular order
+  entries.sort((a, b) => a.sequence - b.sequence);
+
+  const messages = (...levels) => entries.filter(entry => levels.includes(entry.level)).map(entry => entry.message);
+  const dryRun = messages('dryrun')[0];
+  return {
+    completed,
+    stdout: messages('info', 'debug').join('\n'),
+    warnings: messages('warn'),
+    errors: messages('error'),
+    exception: messages('exception')[0] || null,
+    intercepted_writes: dryRun ? JSON.parse(dryRun) : null,
+    lines: entries.length
+  };
+}
+
+/**
+ * Read a wait option in milliseconds, clamped to its bounds
+ *
+ * @param {object} options - Options holding the value
+ * @param {string} name - Option name
+ * @param {number} fallback - Value when the option is not set
+ * @param {number} min - Smallest value used
+ * @param {number} max - Largest value used
+ * @returns {number} - Milliseconds
+ * @throws {Error} When the option is set to something other than a number
+ */
+function readDuration(options, name, fallback, min, max) {
+  const value = options[name];
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new Error(`${name} must be a number of milliseconds, got ${typeof value === 'string' ? `"${value}"` : String(value)}`);
+  }
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Run a background script and wait for its output
+ * The script runs via executeScriptViaTrigger. Once the trigger is gone (it
+ * deletes itself after running), syslog is polled until the run's end marker
+ * shows up or the timeout passes.
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {string} script - Script to run
+ * @param {object} options - Run options
+ * @param {string} options.description - Trigger description (optional)
+ * @param {number} options.timeout_ms - How long to wait for the script to finish (default: 60000, at most 300000)
+ * @param {number} options.poll_interval_ms - Delay between checks (default: 2000, between 500 and 60000)
+ * @param {boolean} options.dry_run - Count GlideRecord writes instead of committing them (see interceptWrites)
+ * @returns {Promise<object>} - Trigger details plus { correlation_id, completed, timed_out, elapsed_ms,
+ *   stdout, warnings, errors, exception, truncated, dry_run, intercepted_writes }
+ */
+export async function runBackgroundScript(serviceNowClient, script, options = {}) {
+  const { description, dry_run = false } = options;
+  const timeout_ms = readDuration(options, 'timeout_ms', DEFAULT_TIMEOUT_MS, 0, MAX_TIMEOUT_MS);
+  const poll_interval_ms = readDuration(options, 'poll_interval_ms', DEFAULT_POLL_INTERVAL_MS, MIN_POLL_INTERVAL_MS, MAX_POLL_INTERVAL_MS);
+  const correlationId = createCorrelationId();
+  const startedAt = Date.now();
+
+  const scheduled = tagScriptOutput(dry_run ? interceptWrites(script) : script, correlationId);
+  const execution = await serviceNowClient.executeScriptViaTrigger(scheduled, description, true);
+
+  let triggerGone = false;
+  let rows = [];
+  let output = parseScriptOutput(rows, correlationId);
+
+  for (;;) {
+    if (!triggerGone) {
+      const triggers = await serviceNowClient.getRecords('sys_trigger', {
+        sysparm_query: `sys_id=${execution.trigger_sys_id}`,
+        sysparm_fields: 'sys_id',
+        sysparm_limit: 1
+      });
+      triggerGone = triggers.length === 0;
+    }
+
+    if (triggerGone) {
+      rows = await serviceNowClient.getRecords('syslog', {
+        sysparm_query: `messageLIKE[${OUTPUT_TAG}:${correlationId}:^ORDERBYsys_created_on`,
+        sysparm_fields: 'message,level,sys_created_on',
+        sysparm_limit: OUTPUT_LINE_LIMIT
+      });
+      output = parseScriptOutput(rows, correlationId);
+      if (output.completed) break;
+    }
+
+    if (Date.now() - startedAt >= timeout_ms) break;
+    await new Promise(resolve => setTimeout(resolve, poll_interval_ms));
+  }
+
+  const elapsed = Date.now() - startedAt;
+  console.error(output.completed
+    ? `📜 Background script ${correlationId} finished in ${elapsed}ms (${output.lines} line(s) of output)`
+    : `⏱️  Background script ${correlationId} did not finish within ${timeout_ms}ms`);
+
+  return {
+    ...execution,
+    correlation_id: correlationId,
+    completed: output.completed,
+    timed_out: !output.completed,
+    trigger_completed: triggerGone,
+    elapsed_ms: elapsed,
+    stdout: output.stdout,
+    warnings: output.warnings,
+    errors: output.errors,
+    exception: output.exception,
+    truncated: rows.length >= OUTPUT_LINE_LIMIT,
+    dry_run,
+    intercepted_writes: output.intercepted_writes
+  };
+}
+
+/**
+ * Format a captured script run for display
+ *
+ * @param {object} result - runBackgroundScript result
+ * @param {string} description - Script description (optional)
+ * @returns {string} - Report text
+ */
+export function formatScriptRun(result, description) {
+  const seconds = `${(result.elapsed_ms / 1000).toFixed(1)}s`;
+  let status;
+  if (result.timed_out) {
+    status = `⏱️ Background script did not finish within ${seconds}${result.trigger_completed ? '' : ' (the trigger has not run yet)'}; output logged so far is below.`;
+  } else if (result.exception) {
+    status = `❌ Background script failed after ${seconds}: ${result.exception}`;
+  } else {
+    status = `✅ Background script finished in ${seconds}`;
+  }
+
+  const sections = [
+    status,
+    [
+      description ? `Description: ${description}` : null,
+      `Correlation id: ${result.correlation_id}`,
+      `Trigger: ${result.trigger_name} (${result.trigger_sys_id})`
+    ].filter(Boolean).join('\n'),
+    result.stdout ? `Output:\n\`\`\`\n${result.stdout}\n\`\`\`` : 'Output: (none)'
+  ];
+
+  if (result.warnings.length > 0) {
+    sections.push(`⚠️ Warnings (${result.warnings.length}):\n${result.warnings.map(warning => `- ${warning}`).join('\n')}`);
+  }
+  if (result.errors.length > 0) {
+    sections.push(`❌ Errors (${result.errors.length}):\n${result.errors.map(error => `- ${error}`).join('\n')}`);
+  }
+  if (result.truncated) {
+    sections.push(`Output was cut off at ${OUTPUT_LINE_LIMIT} lines.`);
+  }
+  if (result.dry_run) {
+    sections.splice(2, 0, formatInterceptedWrites(result.intercepted_writes));
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Format a dry run's intercepted writes for display
+ *
+ * @param {object|null} writes - intercepted_writes from runBackgroundScript
+ * @returns {string} - Report text
+ */
+function formatInterceptedWrites(writes) {
+  if (!writes) {
+    return '🧪 Dry run: no write report was received, so the intercepted writes are unknown.';
+  }
+  // Only the script's own calls are rewritten, so the report cannot vouch for code it calls
+  const caveat = 'Only writes called directly in the script are intercepted. Writes inside script includes or other functions it calls are not held back, nor are gs.setProperty, events or outbound calls.';
+  const tables = Object.keys(writes).sort();
+  if (tables.length === 0) {
+    return `🧪 Dry run: the script made no direct GlideRecord inserts, updates or deletes.\n${caveat}`;
+  }
+
+  const lines = [];
+  tables.forEach(table => {
+    Object.entries(writes[table]).forEach(([operation, { count, sys_ids }]) => {
+      const more = count > sys_ids.length ? ` (+${count - sys_ids.length} more)` : '';
+      lines.push(`- ${table}: ${count} ${operation}(s)${sys_ids.length > 0 ? ` — ${sys_ids.join(', ')}${more}` : ''}`);
+    });
+  });
+  return `🧪 Dry run: these GlideRecord writes were intercepted and not committed:\n${lines.join('\n')}\n${caveat}`;
+}
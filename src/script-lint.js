@@ -0,0 +1,372 @@
+/**
+ * ServiceNow MCP Server - Script Linting
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Static checks run on synced scripts before they are pushed: a syntax check,
+ * ServiceNow globals used outside the script types that provide them, and
+ * common anti-patterns (queries inside loops, current.update() in before
+ * rules, hard-coded sys_ids). Scripts are parsed, never run.
+ *
+ * @module script-lint
+ */
+
+import vm from 'vm';
+
+/**
+ * Where each script type runs and the record globals it provides
+ *
+ * side is 'server', 'client' or 'both' (checked against SERVER_GLOBALS and
+ * CLIENT_GLOBALS); globals lists the RECORD_GLOBALS set for the script.
+ * Types synced as directories declare contexts per field. expression marks
+ * fields that may hold a bare function expression (widget client scripts).
+ */
+const SCRIPT_CONTEXTS = {
+  sys_script_include: { side: 'server', globals: [] },
+  sys_script: { side: 'server', globals: ['current', 'previous'] },
+  sys_ui_script: { side: 'client', globals: [] },
+  // Client-side UI actions hold client and server code in the same script
+  sys_ui_action: { side: 'server', client_side: 'both', globals: ['current'] },
+  sys_script_client: { side: 'client', globals: [] },
+  sp_widget: {
+    fields: {
+      client_script: { side: 'client', globals: [], expression: true },
+      link: { side: 'client', globals: [], expression: true },
+      script: { side: 'server', globals: [] }
+    }
+  },
+  sys_ui_page: {
+    fields: {
+      client_script: { side: 'client', globals: [] },
+      processing_script: { side: 'server', globals: [] }
+    }
+  },
+  sys_script_fix: { side: 'server', globals: [] },
+  sysauto_script: { side: 'server', globals: [] },
+  sys_ws_operation: { side: 'server', globals: [] },
+  sys_transform_map: { side: 'server', globals: [] },
+  sys_transform_script: { side: 'server', globals: [] },
+  sys_transform_entry: { side: 'server', globals: [] },
+  sys_security_acl: { side: 'server', globals: ['current'] },
+  sys_ui_policy: { side: 'client', globals: [] },
+  sys_script_email: { side: 'server', globals: ['current'] }
+};
+
+// APIs that only exist on the server
+const SERVER_GLOBALS = ['gs', 'GlideRecordSecure', 'GlideAggregate', 'GlideDateTime', 'GlideDate', 'GlideDuration', 'GlideSysAttachment', 'GlideElement'];
+
+// APIs that only exist in the browser
+const CLIENT_GLOBALS = ['g_form', 'g_user', 'g_list', 'g_navigation', 'GlideAjax', 'GlideDialogWindow', 'GlideModal'];
+
+// Globals set only for scripts that run against a record
+const RECORD_GLOBALS = ['current', 'previous'];
+
+// Constructors that run a query per instance
+const QUERY_CLASSES = ['GlideRecord', 'GlideRecordSecure', 'GlideAggregate'];
+
+// Keywords after which a slash starts a regular expression rather than a division
+const REGEX_PREFIX_KEYWORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof'];
+
+/**
+ * Split a script into identifier, punctuator, string and other tokens
+ * Comments are dropped; template literals and regular expressions become one token.
+ *
+ * @param {string} source - Script source
+ * @returns {Array<object>} - Tokens: { type, value, start, line, column } where start is the source offset
+ */
+export function tokenize(source) {
+  const tokens = [];
+  let line = 1;
+  let lineStart = 0;
+  let i = 0;
+
+  const advance = (end) => {
+    for (let j = i; j < end; j++) {
+      if (source[j] === '\n') {
+        line++;
+        lineStart = j + 1;
+      }
+    }
+    i = end;
+  };
+
+  const push = (type, value, start, startLine, startColumn) => {
+    tokens.push({ type, value, start, line: startLine, column: startColumn });
+    advance(start + value.length);
+  };
+
+  const regexAllowed = () => {
+    const previous = tokens[tokens.length - 1];
+    if (!previous) return true;
+    if (previous.type === 'identifier') return REGEX_PREFIX_KEYWORDS.includes(previous.value);
+    if (previous.type === 'punctuator') return ![')', ']'].includes(previous.value);
+    return false;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+    const startLine = line;
+    const startColumn = i - lineStart + 1;
+
+    if (/\s/.test(char)) {
+      advance(i + 1);
+    } else if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      advance(end === -1 ? source.length : end);
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      advance(end === -1 ? source.length : end + 2);
+    } else if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < source.length && source[j] !== char && source[j] !== '\n') {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      const raw = source.slice(i, j + 1);
+      tokens.push({ type: 'string', value: source.slice(i + 1, j), start: i, line: startLine, column: startColumn });
+      advance(i + raw.length);
+    } else if (char === '`') {
+      // Skip the whole template, including ${} expressions
+      let j = i + 1;
+      let depth = 0;
+      while (j < source.length && (depth > 0 || source[j] !== '`')) {
+        if (source[j] === '\\') j++;
+        else if (source[j] === '$' && source[j + 1] === '{') { depth++; j++; }
+        else if (source[j] === '}' && depth > 0) depth--;
+        j++;
+      }
+      push('template', source.slice(i, j + 1), i, startLine, startColumn);
+    } else if (char === '/' && regexAllowed()) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < source.length && source[j] !== '\n' && (inClass || source[j] !== '/')) {
+        if (source[j] === '\\') j++;
+        else if (source[j] === '[') inClass = true;
+        else if (source[j] === ']') inClass = false;
+        j++;
+      }
+      j++;
+      while (j < source.length && /[a-z]/i.test(source[j])) j++;
+      push('regex', source.slice(i, j), i, startLine, startColumn);
+    } else if (/[A-Za-z_$]/.test(char)) {
+      push('identifier', source.slice(i).match(/^[A-Za-z_$][\w$]*/)[0], i, startLine, startColumn);
+    } else if (/[0-9]/.test(char)) {
+      push('number', source.slice(i).match(/^[0-9][\w.]*/)[0], i, startLine, startColumn);
+    } else {
+      push('punctuator', char, i, startLine, startColumn);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Index of the token closing the bracket at `start`
+ *
+ * @param {Array<object>} tokens - Tokens
+ * @param {number} start - Index of an opening ( [ or {
+ * @returns {number} - Index of the closing token (last token if unbalanced)
+ */
+function findClosing(tokens, start) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const open = tokens[start].value;
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (tokens[i].type !== 'punctuator') continue;
+    if (tokens[i].value === open) depth++;
+    else if (tokens[i].value === pairs[open] && --depth === 0) return i;
+  }
+  return tokens.length - 1;
+}
+
+/**
+ * Token index ranges of loop bodies (for, while, do)
+ *
+ * @param {Array<object>} tokens - Tokens
+ * @returns {Array<Array<number>>} - [start, end] pairs
+ */
+function findLoopBodies(tokens) {
+  const bodies = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'identifier' || !['for', 'while', 'do'].includes(token.value) || tokens[index - 1]?.value === '.') {
+      return;
+    }
+
+    let bodyStart = index + 1;
+    if (token.value !== 'do') {
+      if (tokens[bodyStart]?.value !== '(') return;
+      bodyStart = findClosing(tokens, bodyStart) + 1;
+    }
+
+    const first = tokens[bodyStart];
+    if (!first) return;
+    if (first.value === '{') {
+      bodies.push([bodyStart, findClosing(tokens, bodyStart)]);
+    } else {
+      // Single-statement body: up to the next semicolon outside brackets
+      let end = bodyStart;
+      while (end < tokens.length && tokens[end].value !== ';') {
+        end = ['(', '[', '{'].includes(tokens[end].value) && tokens[end].type === 'punctuator' ? findClosing(tokens, end) + 1 : end + 1;
+      }
+      bodies.push([bodyStart, end]);
+    }
+  });
+
+  return bodies;
+}
+
+/**
+ * Names a script declares itself (variables, functions, parameters)
+ *
+ * @param {Array<object>} tokens - Tokens
+ * @returns {Set<string>} - Declared names
+ */
+function findDeclaredNames(tokens) {
+  const declared = new Set();
+
+  const addParameters = (open) => {
+    const close = findClosing(tokens, open);
+    for (let i = open + 1; i < close; i++) {
+      if (tokens[i].type === 'identifier' && ['(', ','].includes(tokens[i - 1].value)) {
+        declared.add(tokens[i].value);
+      }
+    }
+  };
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'identifier') return;
+    const next = tokens[index + 1];
+
+    if (['var', 'let', 'const'].includes(token.value) && next?.type === 'identifier') {
+      declared.add(next.value);
+    } else if (token.value === 'function') {
+      let open = index + 1;
+      if (tokens[open]?.type === 'identifier') {
+        declared.add(tokens[open].value);
+        open++;
+      }
+      if (tokens[open]?.value === '(') addParameters(open);
+    } else if (token.value === 'catch' && next?.value === '(') {
+      addParameters(index + 1);
+    }
+  });
+
+  return declared;
+}
+
+/**
+ * Check a script's syntax without running it
+ *
+ * @param {string} source - Script source
+ * @param {object} context - Entry from SCRIPT_CONTEXTS
+ * @returns {object|null} - Syntax error finding, or null when the script parses
+ */
+function checkSyntax(source, context) {
+  const parses = (code) => {
+    try {
+      new vm.Script(code, { filename: 'script.js' });
+      return null;
+    } catch (error) {
+      if (error.name !== 'SyntaxError') throw error;
+      return error;
+    }
+  };
+
+  const error = parses(source);
+  // A bare function expression (function () { ... }) only parses as an expression
+  if (!error || (context.expression && !parses(`(${source}\n)`))) {
+    return null;
+  }
+
+  // The stack starts with "script.js:<line>", the source line and a caret under the error
+  const [location, , caret] = String(error.stack).split('\n');
+  const line = Number(location.match(/:(\d+)$/)?.[1]) || null;
+  const column = caret?.includes('^') ? caret.indexOf('^') + 1 : null;
+  return { rule: 'syntax', severity: 'error', message: `Syntax error: ${error.message}`, line, column };
+}
+
+/**
+ * Lint one script before it is pushed
+ * Non-JavaScript files of record directories (HTML, SCSS, XML) are skipped.
+ *
+ * @param {string} source - Script source
+ * @param {object} options - Lint options
+ * @param {string} options.scriptType - Script type (table name)
+ * @param {string} options.field - Script field, for types synced as directories
+ * @param {string} options.fileName - File the field is synced to (optional)
+ * @param {object} options.fields - Record fields from the front-matter (e.g. when, client)
+ * @returns {Array<object>} - Findings sorted by position: { rule, severity, message, line, column }
+ */
+export function lintScript(source, { scriptType, field = null, fileName = null, fields = {} }) {
+  let context = SCRIPT_CONTEXTS[scriptType];
+  if (context?.fields) {
+    context = context.fields[field];
+  }
+  if (!context || (fileName && !fileName.endsWith('.js')) || !source.trim()) {
+    return [];
+  }
+  if (context.client_side && String(fields.client) === 'true') {
+    context = { ...context, side: context.client_side };
+  }
+
+  const syntaxError = checkSyntax(source, context);
+  if (syntaxError) {
+    // Token-based checks are unreliable on a script that does not parse
+    return [syntaxError];
+  }
+
+  const findings = [];
+  const add = (token, rule, severity, message) => findings.push({ rule, severity, message, line: token.line, column: token.column });
+
+  const tokens = tokenize(source);
+  const declared = findDeclaredNames(tokens);
+  const loopBodies = findLoopBodies(tokens);
+
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    if (token.type === 'string' && /^[0-9a-f]{32}$/i.test(token.value)) {
+      add(token, 'hardcoded-sys-id', 'warning', `Hard-coded sys_id '${token.value}'. sys_ids differ between instances unless the record is shipped with the app; look the record up by name or keep the sys_id in a system property.`);
+      return;
+    }
+
+    if (token.type !== 'identifier' || previous?.value === '.' || declared.has(token.value)) {
+      return;
+    }
+    // Object keys ({ current: ... }) are not references
+    if (next?.value === ':' && ['{', ','].includes(previous?.value)) {
+      return;
+    }
+
+    if (context.side === 'client' && SERVER_GLOBALS.includes(token.value)) {
+      add(token, 'unavailable-global', 'error', `${token.value} is a server-side API and does not exist in ${scriptType} scripts, which run in the browser. Use GlideAjax to call server code.`);
+    } else if (context.side === 'server' && CLIENT_GLOBALS.includes(token.value)) {
+      add(token, 'unavailable-global', 'error', `${token.value} is a client-side API and does not exist in ${scriptType} scripts, which run on the server.`);
+    } else if (RECORD_GLOBALS.includes(token.value) && !context.globals.includes(token.value)) {
+      add(token, 'unavailable-global', context.side === 'client' ? 'error' : 'warning', context.side === 'client'
+        ? `${token.value} is not available in ${scriptType} scripts; use g_form to read the record on the client.`
+        : `${token.value} is not set for ${scriptType} scripts; it only exists when the caller defines it. Pass the record in as a parameter.`);
+    } else if (token.value === 'GlideRecord' && context.side === 'client') {
+      add(token, 'client-gliderecord', 'warning', 'GlideRecord in the browser makes synchronous server round trips. Use GlideAjax or g_scratchpad instead.');
+    }
+
+    if (token.value === 'new' && QUERY_CLASSES.includes(next?.value) && context.side !== 'client') {
+      if (loopBodies.some(([start, end]) => index >= start && index < end)) {
+        add(next, 'query-in-loop', 'warning', `new ${next.value}() inside a loop runs a query per iteration. Query once before the loop instead, e.g. with an IN condition on the values the loop collects.`);
+      }
+    }
+
+    if (token.value === 'current' && next?.value === '.' && tokens[index + 2]?.value === 'update' && tokens[index + 3]?.value === '(' && scriptType === 'sys_script') {
+      if (fields.when === 'before') {
+        add(token, 'current-update-in-before-rule', 'error', 'current.update() in a before business rule saves the record twice and re-runs its business rules. Before rules save current automatically; set the fields and drop the update() call.');
+      } else {
+        add(token, 'current-update-in-business-rule', 'warning', 'current.update() in a business rule re-runs business rules on the record and can recurse. Use a before rule to change current, or update other records instead.');
+      }
+    }
+  });
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
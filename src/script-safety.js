@@ -0,0 +1,186 @@
+/**
+ * ServiceNow MCP Server - Script Safety Analysis
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Scans background and fix scripts for operations that are hard to undo
+ * (bulk deletes and updates, skipped business rules, system property changes,
+ * unfiltered queries on large tables, cross-scope access) and rates the
+ * script low, medium or high risk before it runs.
+ *
+ * @module script-safety
+ */
+
+import { tokenize } from './script-lint.js';
+
+// Ratings in increasing order of risk
+export const RISK_LEVELS = ['low', 'medium', 'high'];
+
+// Tables big enough that reading or writing every row is a problem
+const LARGE_TABLES = [
+  'task', 'incident', 'problem', 'change_request', 'sc_request', 'sc_req_item', 'sc_task',
+  'sys_user', 'sys_user_grmember', 'sys_audit', 'sys_history_line', 'sys_journal_field',
+  'syslog', 'sys_email', 'sys_attachment', 'sys_attachment_doc', 'sys_update_xml',
+  'sysevent', 'ecc_queue', 'task_sla', 'wf_context', 'alm_asset', 'cmdb_rel_ci'
+];
+
+// GlideRecord methods that narrow a query
+const FILTER_METHODS = [
+  'addQuery', 'addEncodedQuery', 'addActiveQuery', 'addInactiveQuery', 'addNullQuery',
+  'addNotNullQuery', 'addJoinQuery', 'setLimit', 'chooseWindow'
+];
+
+// GlideRecord methods that write the current row
+const ROW_WRITE_METHODS = ['update', 'deleteRecord'];
+
+const RECORD_CLASSES = ['GlideRecord', 'GlideRecordSecure'];
+
+// Methods whose use by reference (var save = gr.deleteRecord) hides a risky call
+const INDIRECT_METHODS = ['deleteMultiple', 'updateMultiple', 'deleteRecord', 'update', 'setProperty'];
+
+const isLargeTable = (table) => LARGE_TABLES.includes(table) || /^cmdb_ci(_|$)/.test(table);
+
+// Tables and script include namespaces of scoped applications (x_vendor_app, sn_app)
+const isScopedTable = (table) => /^(x|sn)_[a-z0-9]+_/i.test(table);
+
+/**
+ * Scan a script for risky operations
+ * Background scripts run in the global scope, so scoped tables and script
+ * includes are reported as cross-scope access.
+ *
+ * @param {string} script - Script source
+ * @returns {object} - { risk: 'low'|'medium'|'high', findings } where findings are
+ *   { rule, risk, message, line, column } sorted by position
+ */
+export function analyzeScriptSafety(script) {
+  const findings = [];
+  const add = (token, rule, risk, message) => {
+    const finding = { rule, risk, message, line: token.line, column: token.column };
+    findings.push(finding);
+    return finding;
+  };
+
+  const tokens = tokenize(script || '');
+  // Variable name -> { table, filtered, unfilteredQuery } for new GlideRecord(...) assignments and their aliases
+  const records = new Map();
+  // Variables holding gs, and variables holding a string (e.g. a table name)
+  const gsNames = new Set(['gs']);
+  const strings = new Map();
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'identifier' || tokens[index - 1]?.value === '.') {
+      return;
+    }
+    const at = (offset) => tokens[index + offset];
+
+    // gr = new GlideRecord('table'), or a table held in a variable
+    if (at(1)?.value === '=' && at(2)?.value === 'new' && RECORD_CLASSES.includes(at(3)?.value) && at(4)?.value === '(') {
+      const argument = at(6)?.value === ')' ? at(5) : null;
+      const tableToken = argument?.type === 'string' || strings.has(argument?.value) ? argument : null;
+      const table = argument?.type === 'string' ? argument.value : (strings.get(argument?.value) || null);
+      records.set(token.value, { table, filtered: false, unfilteredQuery: null });
+      if (table && isScopedTable(table)) {
+        add(tableToken, 'cross-scope', 'medium', `${table} belongs to a scoped application. Background scripts run in the global scope, so cross-scope access rules apply and reads or writes may be refused or land outside the app.`);
+      }
+      return;
+    }
+
+    // Plain assignments: t = 'incident', p = gs, copy = gr
+    if (at(1)?.value === '=' && !['.', '(', '[', '+'].includes(at(3)?.value)) {
+      const value = at(2);
+      if (value?.type === 'string') {
+        strings.set(token.value, value.value);
+      } else if (value?.type === 'identifier' && gsNames.has(value.value)) {
+        gsNames.add(token.value);
+      } else if (value?.type === 'identifier' && records.has(value.value)) {
+        records.set(token.value, records.get(value.value));
+      }
+      return;
+    }
+
+    // x_acme_app.SomeUtil
+    if (/^x_[a-z0-9]+_/i.test(token.value) && at(1)?.value === '.') {
+      add(token, 'cross-scope', 'medium', `${token.value} is a scoped application's API. Background scripts run in the global scope, so the call needs cross-scope access to be granted.`);
+      return;
+    }
+
+    const isGs = gsNames.has(token.value);
+    const record = records.get(token.value);
+
+    // obj.method(...) or obj['method'](...); args is the index of the first argument
+    let call = null;
+    if (at(1)?.value === '.' && at(2)?.type === 'identifier' && at(3)?.value === '(') {
+      call = { method: at(2).value, token: at(2), args: index + 4 };
+    } else if (at(1)?.value === '[' && at(2)?.type === 'string' && at(3)?.value === ']' && at(4)?.value === '(') {
+      call = { method: at(2).value, token: at(2), args: index + 5 };
+    }
+
+    if (!call) {
+      // A method picked at run time (gr[op]()) or a write method taken by reference (var save = gr.deleteRecord)
+      // may be any write, so it cannot be rated by name
+      const reference = at(1)?.value === '.' && INDIRECT_METHODS.includes(at(2)?.value) && at(3)?.value !== '=' ? at(2) : null;
+      if (reference) {
+        add(reference, 'indirect-call', 'medium', `${reference.value} is used without being called directly, so the safety scan cannot tell what it changes. Call ${token.value}.${reference.value}() directly.`);
+      } else if ((isGs || record) && at(1)?.value === '[') {
+        let close = index + 1;
+        for (let depth = 0; close < tokens.length; close++) {
+          if (tokens[close].type !== 'punctuator') continue;
+          if (tokens[close].value === '[') depth++;
+          else if (tokens[close].value === ']' && --depth === 0) break;
+        }
+        if (tokens[close + 1]?.value === '(') {
+          add(at(1), 'indirect-call', 'medium', `${token.value}[...]() calls a method chosen at run time, which may delete, update or change properties. Call the method by name.`);
+        }
+      }
+      return;
+    }
+
+    const { method } = call;
+    const on = record?.table ? ` on ${record.table}` : '';
+
+    if (isGs) {
+      if (method === 'setProperty') {
+        add(token, 'set-property', 'high', 'gs.setProperty() changes a system property for the whole instance and clears the property cache. Change properties in sys_properties where the change is tracked in an update set.');
+      }
+    } else if (method === 'deleteMultiple' || method === 'updateMultiple') {
+      const action = method === 'deleteMultiple' ? 'deletes' : 'updates';
+      add(call.token, method === 'deleteMultiple' ? 'delete-multiple' : 'update-multiple', 'high', record && !record.filtered
+        ? `${method}()${on} with no query conditions ${action} every record in the table.`
+        : `${method}()${on} ${action} every matching record in one call, with no per-record undo.`);
+    } else if (method === 'setWorkflow' && tokens[call.args]?.value === 'false') {
+      add(call.token, 'set-workflow-false', 'medium', `setWorkflow(false)${on} skips business rules, notifications and audit history for the changes that follow.`);
+    } else if (record && FILTER_METHODS.includes(method)) {
+      record.filtered = true;
+    } else if (record && method === 'query' && !record.filtered && (!record.table || isLargeTable(record.table))) {
+      record.unfilteredQuery = add(call.token, 'unfiltered-query', 'medium', record.table
+        ? `query() on ${record.table} with no conditions reads every record in a large table. Add addQuery()/addEncodedQuery() conditions or setLimit().`
+        : 'query() with no conditions on a table chosen at run time may read every record in a large table. Add addQuery()/addEncodedQuery() conditions or setLimit().');
+    } else if (record?.unfilteredQuery && ROW_WRITE_METHODS.includes(method) && record.unfilteredQuery.risk !== 'high') {
+      record.unfilteredQuery.risk = 'high';
+      record.unfilteredQuery.message += ` It then calls ${method}() on line ${call.token.line}, changing every record.`;
+    }
+  });
+
+  findings.sort((a, b) => a.line - b.line || a.column - b.column);
+  const risk = findings.reduce((highest, finding) => (
+    RISK_LEVELS.indexOf(finding.risk) > RISK_LEVELS.indexOf(highest) ? finding.risk : highest
+  ), 'low');
+
+  return { risk, findings };
+}
+
+/**
+ * Format a safety analysis for display
+ *
+ * @param {object} analysis - analyzeScriptSafety result
+ * @returns {string} - Report text
+ */
+export function formatSafetyReport(analysis) {
+  const icons = { low: '🟢', medium: '🟡', high: '🔴' };
+  const header = `${icons[analysis.risk]} Risk rating: ${analysis.risk}`;
+  if (analysis.findings.length === 0) {
+    return `${header} (no risky operations found)`;
+  }
+  return `${header}\n${analysis.findings.map(finding => `- line ${finding.line} [${finding.risk}] ${finding.rule}: ${finding.message}`).join('\n')}`;
+}
@@ -12,14 +12,38 @@
  * - Bulk sync (all scripts in directory)
  * - Watch mode (auto-sync on file changes)
  * - Git-friendly file naming convention
+ * - One directory per record for artifacts with several script fields (widgets, UI pages, UI macros)
+ * - Manifest (sn-manifest.json) mapping files to sys_ids for exact matching
+ * - Conflict detection on push (remote edits since the last pull), with force and three-way merge
+ * - Git mode: commit what a pull changed, and compare HEAD, working tree and instance per file
+ * - Lint before push (syntax, globals by script type, anti-patterns), optionally blocking on errors
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import { createHash } from 'crypto';
 import chokidar from 'chokidar';
+import { formatUnifiedDiff, mergeThreeWay } from './text-merge.js';
+import { lintScript } from './script-lint.js';
+import { getRepositoryRoot, toRepositoryPath, listChangedFiles, readHeadFile, buildPullCommitMessage, commitPaths } from './git-sync.js';
+
+// Directory next to synced files holding the script as last pulled (the merge base)
+const SYNC_STATE_DIR = '.sn-sync';
 
 /**
  * Supported script types with their ServiceNow table mappings
+ *
+ * record_fields are the other fields kept in a file's front-matter, so a file
+ * pulled from one instance can create the record on another. required_fields
+ * must be present to create a record; field_choices restricts values; defaults
+ * apply when the front-matter leaves a field out.
+ *
+ * Types with `files` instead of script_field/extension have several script
+ * fields and sync as a directory, one file per field (field -> file name).
+ *
+ * Names need not be unique: qualifier_fields (dot-walks allowed) tell records
+ * with the same name apart, written into file names as name@qualifier (see
+ * buildNameQuery). A dot-walked name_field is looked up but never written.
  */
 export const SCRIPT_TYPES = {
   sys_script_include: {
@@ -27,48 +51,272 @@ export const SCRIPT_TYPES = {
     label: 'Script Include',
     name_field: 'name',
     script_field: 'script',
-    extension: '.js'
+    extension: '.js',
+    record_fields: ['api_name', 'client_callable', 'access', 'active', 'description'],
+    required_fields: [],
+    field_choices: { access: ['package_private', 'public'] },
+    defaults: {}
   },
   sys_script: {
     table: 'sys_script',
     label: 'Business Rule',
     name_field: 'name',
     script_field: 'script',
-    extension: '.js'
+    extension: '.js',
+    qualifier_fields: ['collection'],
+    record_fields: ['collection', 'when', 'order', 'active', 'action_insert', 'action_update', 'action_delete', 'action_query', 'filter_condition', 'description'],
+    required_fields: ['collection', 'when'],
+    field_choices: { when: ['before', 'after', 'async', 'display'] },
+    // Business rule scripts only run when the rule is advanced
+    defaults: { advanced: 'true' }
   },
   sys_ui_script: {
     table: 'sys_ui_script',
     label: 'UI Script',
     name_field: 'name',
     script_field: 'script',
-    extension: '.js'
+    extension: '.js',
+    record_fields: ['ui_type', 'global', 'active', 'description'],
+    required_fields: [],
+    field_choices: {},
+    defaults: {}
   },
   sys_ui_action: {
     table: 'sys_ui_action',
     label: 'UI Action',
     name_field: 'name',
     script_field: 'script',
-    extension: '.js'
+    extension: '.js',
+    qualifier_fields: ['table'],
+    record_fields: ['table', 'action_name', 'client', 'form_button', 'list_button', 'condition', 'order', 'active'],
+    required_fields: ['table'],
+    field_choices: {},
+    defaults: {}
   },
   sys_script_client: {
     table: 'sys_script_client',
     label: 'Client Script',
     name_field: 'name',
     script_field: 'script',
-    extension: '.js'
+    extension: '.js',
+    qualifier_fields: ['table'],
+    record_fields: ['table', 'type', 'field_name', 'ui_type', 'active', 'description'],
+    required_fields: ['table', 'type'],
+    field_choices: { type: ['onLoad', 'onChange', 'onSubmit', 'onCellEdit'] },
+    // Field-bound client scripts need the field they watch
+    required_when: { field_name: { type: ['onChange', 'onCellEdit'] } },
+    defaults: {}
+  },
+  sp_widget: {
+    table: 'sp_widget',
+    label: 'Service Portal Widget',
+    name_field: 'id',
+    files: {
+      template: 'template.html',
+      css: 'style.scss',
+      client_script: 'client_script.js',
+      script: 'server_script.server.js',
+      link: 'link.js'
+    },
+    record_fields: ['name', 'description', 'public', 'roles', 'data_table', 'option_schema'],
+    required_fields: ['name'],
+    field_choices: {},
+    defaults: {}
+  },
+  sys_ui_page: {
+    table: 'sys_ui_page',
+    label: 'UI Page',
+    name_field: 'name',
+    files: {
+      html: 'page.html',
+      client_script: 'client_script.js',
+      processing_script: 'processing_script.server.js'
+    },
+    record_fields: ['category', 'description', 'direct'],
+    required_fields: [],
+    field_choices: {},
+    defaults: {}
+  },
+  sys_ui_macro: {
+    table: 'sys_ui_macro',
+    label: 'UI Macro',
+    name_field: 'name',
+    files: {
+      xml: 'macro.xml'
+    },
+    record_fields: ['category', 'description', 'active'],
+    required_fields: [],
+    field_choices: {},
+    defaults: {}
+  },
+  sys_script_fix: {
+    table: 'sys_script_fix',
+    label: 'Fix Script',
+    name_field: 'name',
+    script_field: 'script',
+    extension: '.js',
+    record_fields: ['description', 'record_for_rollback'],
+    required_fields: [],
+    field_choices: {},
+    defaults: {}
+  },
+  sysauto_script: {
+    table: 'sysauto_script',
+    label: 'Scheduled Job',
+    name_field: 'name',
+    files: {
+      script: 'script.js',
+      condition: 'condition.js'
+    },
+    record_fields: ['run_type', 'run_dayofweek', 'run_dayofmonth', 'run_time', 'run_period', 'run_start', 'conditional', 'active'],
+    required_fields: ['run_type'],
+    field_choices: { run_type: ['daily', 'weekly', 'monthly', 'periodically', 'once', 'on_demand'] },
+    defaults: {}
+  },
+  sys_ws_operation: {
+    table: 'sys_ws_operation',
+    label: 'Scripted REST Resource',
+    name_field: 'name',
+    script_field: 'operation_script',
+    extension: '.js',
+    qualifier_fields: ['web_service_definition.service_id'],
+    record_fields: ['web_service_definition', 'http_method', 'relative_path', 'requires_authentication', 'active'],
+    required_fields: ['web_service_definition', 'http_method', 'relative_path'],
+    field_choices: { http_method: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
+    defaults: {}
+  },
+  sys_transform_map: {
+    table: 'sys_transform_map',
+    label: 'Transform Map',
+    name_field: 'name',
+    script_field: 'script',
+    extension: '.js',
+    record_fields: ['source_table', 'target_table', 'run_script', 'active'],
+    required_fields: ['source_table', 'target_table'],
+    field_choices: {},
+    // The map script only runs when run_script is set
+    defaults: { run_script: 'true' }
+  },
+  sys_transform_script: {
+    table: 'sys_transform_script',
+    label: 'Transform Script',
+    name_field: 'map.name',
+    script_field: 'script',
+    extension: '.js',
+    qualifier_fields: ['when'],
+    record_fields: ['map', 'when', 'order', 'active'],
+    required_fields: ['map', 'when'],
+    field_choices: { when: ['onStart', 'onBefore', 'onAfter', 'onComplete', 'onChoiceCreate', 'onForeignInsert', 'onReject'] },
+    defaults: {}
+  },
+  sys_transform_entry: {
+    table: 'sys_transform_entry',
+    label: 'Field Map',
+    name_field: 'map.name',
+    script_field: 'source_script',
+    extension: '.js',
+    qualifier_fields: ['target_field'],
+    record_fields: ['map', 'source_field', 'target_field', 'target_table', 'coalesce'],
+    required_fields: ['map', 'target_field'],
+    field_choices: {},
+    defaults: { use_source_script: 'true' }
+  },
+  sys_security_acl: {
+    table: 'sys_security_acl',
+    label: 'ACL',
+    name_field: 'name',
+    script_field: 'script',
+    extension: '.js',
+    qualifier_fields: ['operation.name'],
+    record_fields: ['type', 'operation', 'admin_overrides', 'active', 'description'],
+    required_fields: ['type', 'operation'],
+    field_choices: {},
+    // ACL scripts only run on advanced ACLs
+    defaults: { advanced: 'true' }
+  },
+  sys_ui_policy: {
+    table: 'sys_ui_policy',
+    label: 'UI Policy',
+    name_field: 'short_description',
+    files: {
+      script_true: 'script_true.js',
+      script_false: 'script_false.js'
+    },
+    qualifier_fields: ['table'],
+    record_fields: ['table', 'conditions', 'on_load', 'reverse_if_false', 'order', 'ui_type', 'active'],
+    required_fields: ['table'],
+    field_choices: {},
+    defaults: { run_scripts: 'true' }
+  },
+  sys_script_email: {
+    table: 'sys_script_email',
+    label: 'Email Script',
+    name_field: 'name',
+    script_field: 'script',
+    extension: '.js',
+    record_fields: [],
+    required_fields: [],
+    field_choices: {},
+    defaults: {}
   }
 };
 
+/**
+ * Script tables that cannot be synced, with the reason given when one is asked for
+ * Flow Designer custom actions have no script field: each script step keeps its
+ * code in a flow variable value (sys_variable_value) keyed by the step instance,
+ * so there is no named record holding the script to pull into a file or push back.
+ */
+export const UNSUPPORTED_SCRIPT_TYPES = {
+  sys_hub_action_type_definition: 'Flow Designer custom action scripts are stored as flow variable values of each script step, not in a script field of a named record. Keep the logic in a script include (sys_script_include) and call it from the script step.'
+};
+
+/**
+ * Check that script types can be synced
+ *
+ * @param {Array<string>} scriptTypes - Script tables
+ * @throws {Error} Naming the reason for an unsupported type, or listing unknown types
+ */
+export function checkScriptTypes(scriptTypes) {
+  const unsupported = scriptTypes.find(type => UNSUPPORTED_SCRIPT_TYPES[type]);
+  if (unsupported) {
+    throw new Error(`Script type ${unsupported} cannot be synced: ${UNSUPPORTED_SCRIPT_TYPES[unsupported]}`);
+  }
+
+  const unknown = scriptTypes.filter(type => !SCRIPT_TYPES[type]);
+  if (unknown.length > 0) {
+    throw new Error(`Invalid script type(s): ${unknown.join(', ')}. Supported types: ${Object.keys(SCRIPT_TYPES).join(', ')}`);
+  }
+}
+
+// Sync metadata (sys_id, hashes, record fields) kept in each record directory
+const RECORD_METADATA_FILE = '.sn-record.json';
+
+// Maps synced files (relative paths) to their records; written by application pulls
+export const MANIFEST_FILE = 'sn-manifest.json';
+
 /**
  * Parse file name to extract script name and type
- * Format: {script_name}.{script_type}.js
+ * Format: {script_name}.{script_type}.js, or {script_name}.{script_type} for the
+ * directory of a type with one file per field
  *
- * @param {string} fileName - File name to parse
- * @returns {object} - { scriptName, scriptType, isValid }
+ * @param {string} fileName - File or directory name to parse
+ * @returns {object} - { scriptName, scriptType, isDirectory, isValid }
  */
 export function parseFileName(fileName) {
   const parts = fileName.split('.');
 
+  // Record directories: name, type
+  const lastPart = parts[parts.length - 1];
+  if (parts.length >= 2 && SCRIPT_TYPES[lastPart]?.files) {
+    return {
+      isValid: true,
+      scriptName: parts.slice(0, -1).join('.'),
+      scriptType: lastPart,
+      isDirectory: true
+    };
+  }
+
   // Must have at least 3 parts: name, type, js
   if (parts.length < 3) {
     return { isValid: false };
@@ -78,14 +326,15 @@ export function parseFileName(fileName) {
   const scriptType = parts.pop(); // Remove script type
   const scriptName = parts.join('.'); // Rest is the name
 
-  if (extension !== 'js' || !SCRIPT_TYPES[scriptType]) {
+  if (extension !== 'js' || !SCRIPT_TYPES[scriptType] || SCRIPT_TYPES[scriptType].files) {
     return { isValid: false };
   }
 
   return {
     isValid: true,
     scriptName,
-    scriptType
+    scriptType,
+    isDirectory: false
   };
 }
 
@@ -94,33 +343,854 @@ export function parseFileName(fileName) {
  *
  * @param {string} scriptName - Script name
  * @param {string} scriptType - Script type
- * @returns {string} - File name
+ * @param {Array<string>} qualifiers - Qualifier values appended as @qualifier (optional, see buildNameQuery)
+ * @returns {string} - File name, or directory name for types with one file per field
  */
-export function generateFileName(scriptName, scriptType) {
-  const sanitizedName = scriptName.replace(/[^a-zA-Z0-9_.-]/g, '_');
+export function generateFileName(scriptName, scriptType, qualifiers = []) {
+  const sanitize = (value) => String(value).replace(/[^a-zA-Z0-9_.-]/g, '_');
+  const sanitizedName = [scriptName, ...qualifiers].map(sanitize).join('@');
+  if (SCRIPT_TYPES[scriptType]?.files) {
+    return `${sanitizedName}.${scriptType}`;
+  }
   return `${sanitizedName}.${scriptType}.js`;
 }
 
+/**
+ * Qualifier values of a record (see SCRIPT_TYPES qualifier_fields)
+ *
+ * @param {object} record - Script record (with its qualifier fields)
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @returns {Array<string>} - Values in qualifier_fields order
+ */
+function getQualifiers(record, scriptConfig) {
+  return (scriptConfig.qualifier_fields || []).map(field => record[field] || '');
+}
+
+/**
+ * Name of a record as used in file names: the name, then any qualifier values
+ *
+ * @param {object} record - Script record (with its qualifier fields)
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @returns {string} - e.g. "SetPriority@incident"
+ */
+export function getQualifiedName(record, scriptConfig) {
+  return [record[scriptConfig.name_field], ...getQualifiers(record, scriptConfig)].join('@');
+}
+
+/**
+ * Split a script name into its name and qualifier values
+ * "name@sys_id" (32 hex characters) names one record exactly.
+ *
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @param {string} scriptName - Script name, optionally qualified
+ * @returns {object} - { name, sys_id, qualifiers: { field: value } }
+ */
+function parseQualifiedName(scriptConfig, scriptName) {
+  const [name, ...values] = scriptName.split('@');
+  if (values.length === 1 && /^[0-9a-f]{32}$/.test(values[0])) {
+    return { name, sys_id: values[0], qualifiers: {} };
+  }
+
+  const qualifierFields = scriptConfig.qualifier_fields || [];
+  if (values.length > qualifierFields.length) {
+    const expected = qualifierFields.length > 0 ? ` (${['name', ...qualifierFields].join('@')})` : '';
+    throw new Error(`Too many @ qualifiers in ${scriptName} for ${scriptConfig.label}${expected}; use name@sys_id to name one record exactly`);
+  }
+
+  const qualifiers = {};
+  values.forEach((value, index) => {
+    qualifiers[qualifierFields[index]] = value;
+  });
+  return { name, sys_id: null, qualifiers };
+}
+
+/**
+ * Encoded query finding the record for a script name
+ *
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @param {string} scriptName - Script name, optionally qualified as name@qualifier or name@sys_id
+ * @returns {string} - Encoded query
+ */
+export function buildNameQuery(scriptConfig, scriptName) {
+  const { name, sys_id, qualifiers } = parseQualifiedName(scriptConfig, scriptName);
+  if (sys_id) {
+    return `sys_id=${sys_id}`;
+  }
+  return [`${scriptConfig.name_field}=${name}`, ...Object.entries(qualifiers).map(([field, value]) => `${field}=${value}`)].join('^');
+}
+
+/**
+ * Find the one record a script name refers to
+ * Names shared by several records (e.g. business rules on different tables)
+ * must be qualified; the error lists the qualified names to choose from.
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @param {string} scriptName - Script name, optionally qualified
+ * @param {string} fields - sysparm_fields value
+ * @param {string} sysId - Exact record to find, e.g. from the manifest (optional; overrides the name)
+ * @returns {Promise<object|null>} - Record, or null when none matches
+ */
+async function findScriptRecord(serviceNowClient, scriptConfig, scriptName, fields, sysId = null) {
+  const records = await serviceNowClient.getRecords(scriptConfig.table, {
+    sysparm_query: sysId ? `sys_id=${sysId}` : buildNameQuery(scriptConfig, scriptName),
+    sysparm_limit: 10,
+    sysparm_fields: [...new Set([...fields.split(','), 'sys_id', ...(scriptConfig.qualifier_fields || [])])].join(','),
+    sysparm_exclude_reference_link: true
+  });
+
+  if (records.length > 1) {
+    // Suggest name@qualifier where that tells the records apart, name@sys_id otherwise
+    const qualified = records.map(record => getQualifiedName(record, scriptConfig));
+    const names = records.map((record, index) => {
+      const unique = qualified.indexOf(qualified[index]) === qualified.lastIndexOf(qualified[index]);
+      return unique && qualified[index] !== scriptName ? qualified[index] : `${scriptName.split('@')[0]}@${record.sys_id}`;
+    });
+    throw new Error(`${records.length} ${scriptConfig.label} records are named ${scriptName}. Qualify the name to pick one: ${names.join(', ')}`);
+  }
+
+  return records[0] || null;
+}
+
+/**
+ * Find the manifest covering a file, looking in its directory and the ones above
+ *
+ * @param {string} filePath - Synced file or record directory
+ * @returns {Promise<object|null>} - { path, directory, manifest, key } where key is the file's entry
+ *   name in manifest.files, or null when no manifest is found
+ */
+export async function findManifest(filePath) {
+  let directory = path.dirname(path.resolve(filePath));
+
+  for (;;) {
+    const manifestPath = path.join(directory, MANIFEST_FILE);
+    let content = null;
+    try {
+      content = await fs.readFile(manifestPath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    if (content !== null) {
+      let manifest;
+      try {
+        manifest = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid ${manifestPath}: ${error.message}`);
+      }
+      const key = path.relative(directory, path.resolve(filePath)).split(path.sep).join('/');
+      return { path: manifestPath, directory, manifest, key };
+    }
+
+    const parent = path.dirname(directory);
+    if (parent === directory) {
+      return null;
+    }
+    directory = parent;
+  }
+}
+
+/**
+ * Write a manifest
+ * A manifest that would only get a new pull time is left alone, like synced files.
+ *
+ * @param {string} manifestPath - Manifest file path
+ * @param {object} manifest - Manifest content
+ */
+export async function writeManifest(manifestPath, manifest) {
+  const current = await fs.readFile(manifestPath, 'utf-8').then(JSON.parse).catch(() => null);
+  if (JSON.stringify({ ...current, pulled_at: null }) !== JSON.stringify({ ...manifest, pulled_at: null })) {
+    await fs.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf-8');
+  }
+}
+
+/**
+ * Script fields synced for a type
+ *
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @returns {Array<string>} - Field names
+ */
+function getContentFields(scriptConfig) {
+  return scriptConfig.files ? Object.keys(scriptConfig.files) : [scriptConfig.script_field];
+}
+
+/**
+ * Hash script content for change detection
+ *
+ * @param {string} content - Script content
+ * @returns {string} - "sha256:<hex>"
+ */
+export function hashContent(content) {
+  return `sha256:${createHash('sha256').update(content || '').digest('hex')}`;
+}
+
+/**
+ * Format a front-matter value
+ * Values that would break the header (newlines, comment terminators, leading
+ * quotes) are written as JSON strings.
+ *
+ * @param {string} value - Field value
+ * @returns {string} - Header-safe value
+ */
+function formatFrontMatterValue(value) {
+  const text = String(value);
+  if (/[\r\n]|\*\/|^["\s]|\s$/.test(text)) {
+    return JSON.stringify(text).replace(/\*\//g, '*\\/');
+  }
+  return text;
+}
+
+/**
+ * Parse the front-matter block of a file header
+ * The block sits between two ` * ---` lines and holds one `field: value` per line.
+ *
+ * @param {string} header - File header comment
+ * @returns {object} - Field values keyed by field name
+ */
+function parseFrontMatter(header) {
+  const block = header.match(/^ \* ---$([\s\S]*?)^ \* ---$/m);
+  if (!block) {
+    return {};
+  }
+
+  const fields = {};
+  block[1].split('\n').forEach(line => {
+    const match = line.match(/^ \* ([\w.]+):\s?(.*)$/);
+    if (!match) {
+      return;
+    }
+    let value = match[2].trim();
+    if (value.startsWith('"')) {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        // Not JSON; keep the raw text
+      }
+    }
+    fields[match[1]] = value;
+  });
+  return fields;
+}
+
+/**
+ * Split a local script file into its metadata header and script content
+ *
+ * @param {string} fileContent - Local file content
+ * @returns {object} - { script, metadata: { sys_id, sys_updated_on, content_hash }, fields } where
+ *   fields holds the front-matter record fields
+ */
+export function parseScriptFile(fileContent) {
+  const metadata = {};
+  let fields = {};
+  let script = fileContent;
+
+  // Remove metadata header if present (lines starting with /** to */)
+  const headerMatch = fileContent.match(/^\/\*\*[\s\S]*?\*\//);
+  if (headerMatch) {
+    script = fileContent.substring(headerMatch[0].length).trim();
+
+    const labels = { sys_id: 'sys_id', sys_updated_on: 'sys_updated_on', 'Content hash': 'content_hash' };
+    Object.entries(labels).forEach(([label, key]) => {
+      const match = headerMatch[0].match(new RegExp(`^ \\* ${label}: (.+)$`, 'm'));
+      if (match) {
+        metadata[key] = match[1].trim();
+      }
+    });
+
+    fields = parseFrontMatter(headerMatch[0]);
+  }
+
+  return { script, metadata, fields };
+}
+
+/**
+ * Path of the merge base kept for a synced file
+ *
+ * @param {string} filePath - Local file path
+ * @returns {string} - Base file path
+ */
+function getBasePath(filePath) {
+  return path.join(path.dirname(filePath), SYNC_STATE_DIR, path.basename(filePath));
+}
+
+/**
+ * Fields to fetch when pulling a script
+ *
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @returns {string} - sysparm_fields value
+ */
+function getPullFields(scriptConfig) {
+  const fields = ['sys_id', scriptConfig.name_field, ...(scriptConfig.qualifier_fields || []), ...getContentFields(scriptConfig), 'sys_updated_on', 'sys_updated_by', 'sys_scope', ...scriptConfig.record_fields];
+  return [...new Set(fields)].join(',');
+}
+
+/**
+ * Record fields kept with a synced script (front-matter or record metadata)
+ * These carry what is needed to create the record on another instance.
+ *
+ * @param {object} record - Script record
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @returns {object} - Non-empty field values; references are reduced to their sys_id
+ */
+function getRecordFields(record, scriptConfig) {
+  const fields = {};
+  ['sys_scope', ...scriptConfig.record_fields].forEach(field => {
+    // Reference fields may arrive as { link, value }
+    const value = typeof record[field] === 'object' ? record[field]?.value : record[field];
+    if (value !== undefined && value !== null && value !== '') {
+      fields[field] = value;
+    }
+  });
+  return fields;
+}
+
+/**
+ * Build local file content for a ServiceNow script record
+ *
+ * @param {object} record - Script record (sys_id, name, script and sys_updated_on fields)
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @returns {string} - File content with metadata header
+ */
+function buildScriptFileContent(record, scriptConfig) {
+  const scriptContent = record[scriptConfig.script_field] || '';
+
+  const frontMatter = Object.entries(getRecordFields(record, scriptConfig))
+    .map(([field, value]) => ` * ${field}: ${formatFrontMatterValue(value)}\n`)
+    .join('');
+
+  return `/**
+ * ServiceNow Script: ${record[scriptConfig.name_field]}
+ * Type: ${scriptConfig.label}
+ * Table: ${scriptConfig.table}
+ * sys_id: ${record.sys_id}
+ * sys_updated_on: ${record.sys_updated_on || 'unknown'}
+ * Content hash: ${hashContent(scriptContent)}
+ *
+ * ---
+${frontMatter} * ---
+ *
+ * Last synced: ${new Date().toISOString()}
+ *
+ * This file is managed by ServiceNow MCP Script Sync.
+ * Changes will be pushed to ServiceNow on save.
+ */
+
+${scriptContent}`;
+}
+
+/**
+ * Write a script record to a local file, as pulled or just pushed
+ * The script is also saved as the merge base for the next push.
+ *
+ * @param {object} record - Script record (sys_id, name, script and sys_updated_on fields)
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @param {string} filePath - Local file path
+ */
+async function writeScriptFile(record, scriptConfig, filePath) {
+  const basePath = getBasePath(filePath);
+
+  // Ensure directories exist; the base directory is kept out of version control
+  await fs.mkdir(path.dirname(basePath), { recursive: true });
+  await fs.writeFile(path.join(path.dirname(basePath), '.gitignore'), '*\n', 'utf-8');
+
+  // A file that would only get a new sync time is left alone, so git and watchers see no change
+  const content = buildScriptFileContent(record, scriptConfig);
+  const current = await fs.readFile(filePath, 'utf-8').catch(() => null);
+  const withoutSyncTime = (text) => text.replace(/^ \* Last synced: .*$/m, '');
+  if (typeof current !== 'string' || withoutSyncTime(current) !== withoutSyncTime(content)) {
+    await fs.writeFile(filePath, content, 'utf-8');
+  }
+  await fs.writeFile(basePath, record[scriptConfig.script_field] || '', 'utf-8');
+}
+
+/**
+ * Write a record with several script fields to its directory, one file per field
+ * Files whose content is unchanged are left alone so a watcher is not re-triggered;
+ * each field is also saved as its merge base.
+ *
+ * @param {object} record - Script record (sys_id, name, script fields and sys_updated_on)
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES (with `files`)
+ * @param {string} dirPath - Record directory
+ */
+async function writeRecordDirectory(record, scriptConfig, dirPath) {
+  const stateDir = path.join(dirPath, SYNC_STATE_DIR);
+  await fs.mkdir(stateDir, { recursive: true });
+  await fs.writeFile(path.join(stateDir, '.gitignore'), '*\n', 'utf-8');
+
+  const contentHashes = {};
+  for (const [field, fileName] of Object.entries(scriptConfig.files)) {
+    const content = record[field] || '';
+    const filePath = path.join(dirPath, fileName);
+    const current = await fs.readFile(filePath, 'utf-8').catch(() => null);
+    if (current !== content) {
+      await fs.writeFile(filePath, content, 'utf-8');
+    }
+    await fs.writeFile(getBasePath(filePath), content, 'utf-8');
+    contentHashes[field] = hashContent(content);
+  }
+
+  const metadata = {
+    name: record[scriptConfig.name_field],
+    type: scriptConfig.label,
+    table: scriptConfig.table,
+    sys_id: record.sys_id,
+    sys_updated_on: record.sys_updated_on || null,
+    content_hashes: contentHashes,
+    fields: getRecordFields(record, scriptConfig),
+    last_synced: new Date().toISOString()
+  };
+
+  const metadataPath = path.join(dirPath, RECORD_METADATA_FILE);
+  const current = await fs.readFile(metadataPath, 'utf-8').then(JSON.parse).catch(() => null);
+  if (JSON.stringify({ ...current, last_synced: null }) !== JSON.stringify({ ...metadata, last_synced: null })) {
+    await fs.writeFile(metadataPath, `${JSON.stringify(metadata, null, 2)}\n`, 'utf-8');
+  }
+}
+
+/**
+ * Read the field files and sync metadata of a record directory
+ * Field files missing locally are left out, so their fields are not pushed.
+ *
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES (with `files`)
+ * @param {string} dirPath - Record directory
+ * @returns {object} - { contents: { field: content }, metadata }
+ */
+async function readRecordDirectory(scriptConfig, dirPath) {
+  const contents = {};
+  for (const [field, fileName] of Object.entries(scriptConfig.files)) {
+    const content = await fs.readFile(path.join(dirPath, fileName), 'utf-8').catch(() => null);
+    if (content !== null) {
+      contents[field] = content;
+    }
+  }
+
+  if (Object.keys(contents).length === 0) {
+    throw new Error(`No ${scriptConfig.label} files found in ${dirPath}. Expected: ${Object.values(scriptConfig.files).join(', ')}`);
+  }
+
+  let metadata = {};
+  try {
+    metadata = JSON.parse(await fs.readFile(path.join(dirPath, RECORD_METADATA_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Invalid ${RECORD_METADATA_FILE} in ${dirPath}: ${error.message}`);
+    }
+  }
+
+  return { contents, metadata };
+}
+
+/**
+ * Decide what to push for one script field
+ * The recorded hash is the remote content as last pulled; a different remote
+ * hash means someone edited it on the instance since.
+ *
+ * @param {object} options - Check options
+ * @param {string} options.localContent - Local content
+ * @param {string} options.remoteContent - Content on the instance
+ * @param {string} options.contentHash - Hash recorded at the last pull or push (optional)
+ * @param {string} options.filePath - Local file holding the content
+ * @param {object} options.record - Remote record (sys_updated_on, sys_updated_by)
+ * @param {string} options.lastUpdatedOn - sys_updated_on recorded at the last pull
+ * @param {boolean} options.force - Overwrite remote changes
+ * @param {boolean} options.merge - Three-way merge remote changes
+ * @returns {Promise<object>} - { content, conflict_check }
+ * @throws {Error} With `conflict` details when the push must not go ahead
+ */
+async function resolvePushContent({ localContent, remoteContent, contentHash, filePath, record, lastUpdatedOn, force, merge }) {
+  if (!contentHash) {
+    return { content: localContent, conflict_check: 'no_metadata' };
+  }
+  if (hashContent(remoteContent) === contentHash) {
+    return { content: localContent, conflict_check: 'unchanged' };
+  }
+  if (force) {
+    return { content: localContent, conflict_check: 'forced' };
+  }
+
+  const base = await fs.readFile(getBasePath(filePath), 'utf-8').catch(() => null);
+  const conflict = {
+    remote_updated_on: record.sys_updated_on,
+    remote_updated_by: record.sys_updated_by,
+    last_pulled_updated_on: lastUpdatedOn || null,
+    remote_changes: base !== null ? formatUnifiedDiff(base, remoteContent, { oldLabel: 'last pull', newLabel: 'instance' }) : null,
+    local_vs_remote: formatUnifiedDiff(remoteContent, localContent, { oldLabel: 'instance', newLabel: 'local' })
+  };
+  const refuse = (message) => Object.assign(new Error(message), { conflict });
+
+  if (!merge) {
+    throw refuse(`Script changed on the instance since the last pull (updated ${record.sys_updated_on} by ${record.sys_updated_by}). Pull to take the instance version, push with merge: true to merge, or force: true to overwrite.`);
+  }
+  if (base === null) {
+    throw refuse(`Cannot merge: no base version found at ${getBasePath(filePath)}. Pull to take the instance version, or push with force: true to overwrite.`);
+  }
+
+  const merged = mergeThreeWay(base, localContent, remoteContent, { localLabel: 'local', remoteLabel: 'instance' });
+  if (merged.conflicts > 0) {
+    const mergePath = `${filePath}.merge`;
+    await fs.writeFile(mergePath, merged.merged, 'utf-8');
+    conflict.merge_file = mergePath;
+    throw refuse(`Merge found ${merged.conflicts} conflicting region(s); wrote ${mergePath} with conflict markers. Resolve them in ${filePath}, then push with force: true.`);
+  }
+
+  return { content: merged.merged, conflict_check: 'merged' };
+}
+
+/**
+ * Create the record for a local file that has no match in ServiceNow
+ * Record fields come from the file's front-matter. The Table API inserts into
+ * the user's current application and update set, so a file whose sys_scope
+ * names another application is refused rather than created in the wrong scope.
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @param {string} scriptName - Script name
+ * @param {object} contents - Script field values
+ * @param {object} fields - Front-matter fields from parseScriptFile, or record directory metadata
+ * @returns {object} - { record, application, update_set }
+ */
+async function createScriptRecord(serviceNowClient, scriptConfig, scriptName, contents, frontMatter) {
+  const { name, sys_id, qualifiers } = parseQualifiedName(scriptConfig, scriptName);
+  if (sys_id) {
+    throw new Error(`No ${scriptConfig.label} found with sys_id ${sys_id}. Remove the @${sys_id} qualifier to create a new record.`);
+  }
+
+  const allowed = ['sys_scope', ...scriptConfig.record_fields];
+  const unknown = Object.keys(frontMatter).filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown front-matter field(s) for ${scriptConfig.label}: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+
+  // Qualifiers in the name (e.g. the table in SetPriority@incident) fill in fields the front-matter leaves out
+  const fields = { ...frontMatter };
+  Object.entries(qualifiers)
+    .filter(([field]) => !field.includes('.') && !fields[field])
+    .forEach(([field, value]) => {
+      fields[field] = value;
+    });
+
+  const required = [...scriptConfig.required_fields];
+  Object.entries(scriptConfig.required_when || {}).forEach(([field, conditions]) => {
+    const applies = Object.entries(conditions).some(([other, values]) => values.includes(fields[other]));
+    if (applies) {
+      required.push(field);
+    }
+  });
+  const missing = required.filter(field => !fields[field]);
+  if (missing.length > 0) {
+    const example = missing.map(field => ` * ${field}: ${scriptConfig.field_choices[field]?.[0] || '...'}`).join('\n');
+    if (scriptConfig.files) {
+      throw new Error(`Script not found in ServiceNow: ${scriptName}. To create it, add ${missing.join(', ')} to "fields" in ${RECORD_METADATA_FILE}`);
+    }
+    throw new Error(`Script not found in ServiceNow: ${scriptName}. To create it, add ${missing.join(', ')} to the front-matter block of the file header:\n * ---\n${example}\n * ---`);
+  }
+
+  Object.entries(scriptConfig.field_choices).forEach(([field, choices]) => {
+    if (fields[field] && !choices.includes(fields[field])) {
+      throw new Error(`Invalid ${field} for ${scriptConfig.label}: ${fields[field]}. Must be one of: ${choices.join(', ')}`);
+    }
+  });
+
+  const application = await serviceNowClient.getCurrentApplication();
+  if (fields.sys_scope && fields.sys_scope !== application.sys_id) {
+    throw new Error(`Script belongs to application ${fields.sys_scope}, but the current application is ${application.name} (${application.sys_id}). Switch with SN-Set-Current-Application before pushing.`);
+  }
+
+  // Report the update set the insert is captured in; a lookup failure does not block the push
+  let updateSet = serviceNowClient.currentUpdateSet?.name || null;
+  if (!updateSet) {
+    try {
+      const preference = await serviceNowClient.getCurrentUpdateSet();
+      updateSet = preference?.result?.display_value || preference?.result?.value || null;
+    } catch (error) {
+      console.error(`⚠️  Could not read the current update set: ${error.message}`);
+    }
+  }
+
+  const { sys_scope, ...recordFields } = fields;
+  const record = await serviceNowClient.createRecord(scriptConfig.table, {
+    ...scriptConfig.defaults,
+    ...recordFields,
+    // A dot-walked name (e.g. a transform script's map.name) comes from its reference field instead
+    ...(scriptConfig.name_field.includes('.') ? {} : { [scriptConfig.name_field]: name }),
+    ...contents
+  });
+
+  return { record, application, update_set: updateSet };
+}
+
+/**
+ * Format the diffs of a push conflict for display
+ *
+ * @param {object} conflict - `conflict` from a syncScript result
+ * @returns {string} - Diff report
+ */
+export function formatConflictReport(conflict) {
+  const sections = [];
+  if (conflict.remote_changes) {
+    sections.push(`Changes on the instance since the last pull:\n\`\`\`diff\n${conflict.remote_changes}\n\`\`\``);
+  }
+  if (conflict.local_vs_remote) {
+    sections.push(`Local file compared with the instance:\n\`\`\`diff\n${conflict.local_vs_remote}\n\`\`\``);
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * Fill in a sync result for a record created by a push
+ *
+ * @param {object} result - syncScript result
+ * @param {object} created - createScriptRecord result
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ */
+function reportCreated(result, created, scriptConfig) {
+  result.success = true;
+  result.created = true;
+  result.sys_id = created.record.sys_id;
+  result.sys_updated_on = created.record.sys_updated_on;
+  result.application = created.application;
+  result.update_set = created.update_set;
+  result.message = `Created ${scriptConfig.label} ${result.script_name} in ${created.application.name}${created.update_set ? ` (update set: ${created.update_set})` : ''} from ${result.file_path}`;
+}
+
+/**
+ * Lint the scripts about to be pushed and record the findings on the result
+ *
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @param {object} contents - Script field -> local content
+ * @param {object} fields - Record fields from the front-matter or record metadata
+ * @param {object} options - syncScript options (lint, block_on_lint_error)
+ * @param {object} result - syncScript result to fill in
+ * @throws {Error} When block_on_lint_error is set and a script has errors
+ */
+function lintPush(scriptConfig, contents, fields, { lint = true, block_on_lint_error = false }, result) {
+  if (!lint) {
+    return;
+  }
+
+  const findings = Object.entries(contents).flatMap(([field, content]) => {
+    const fileName = scriptConfig.files?.[field] || null;
+    return lintScript(content, { scriptType: scriptConfig.table, field, fileName, fields })
+      .map(finding => (fileName ? { file: fileName, ...finding } : finding));
+  });
+
+  const errors = findings.filter(finding => finding.severity === 'error');
+  result.lint = { errors: errors.length, warnings: findings.length - errors.length, findings };
+
+  if (block_on_lint_error && errors.length > 0) {
+    const first = errors[0];
+    const location = [first.file, first.line && `line ${first.line}`].filter(Boolean).join(' ');
+    throw new Error(`Push blocked by ${errors.length} lint error(s). First${location ? ` (${location})` : ''}: ${first.message}`);
+  }
+}
+
+/**
+ * Find the record a push goes to
+ * A file pulled from the instance carries its record's sys_id (in the file header,
+ * or .sn-record.json for record directories), so it is matched by sys_id rather
+ * than by its possibly sanitized name. Only files with no sys_id at all are looked
+ * up by name, and create a record when none matches.
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @param {string} scriptName - Script name
+ * @param {object} ids - Known sys_ids
+ * @param {string} ids.manifestSysId - sys_id from the manifest (optional; takes precedence)
+ * @param {string} ids.recordedSysId - sys_id recorded by the last pull or push (optional)
+ * @param {string} ids.recordedIn - Where recordedSysId was read from, for error messages
+ * @param {object} result - syncScript result; `matched_by` is set when the sys_id was used
+ * @returns {Promise<object|null>} - Record with its script fields and last update, or null
+ */
+async function findPushTarget(serviceNowClient, scriptConfig, scriptName, { manifestSysId, recordedSysId, recordedIn }, result) {
+  const sysId = manifestSysId || recordedSysId || null;
+  const fields = [scriptConfig.name_field, ...getContentFields(scriptConfig), 'sys_updated_on', 'sys_updated_by'].join(',');
+  const record = await findScriptRecord(serviceNowClient, scriptConfig, scriptName, fields, sysId);
+  if (!record && sysId) {
+    const sources = [manifestSysId && `its ${MANIFEST_FILE} entry`, recordedSysId && `the sys_id from ${recordedIn}`].filter(Boolean);
+    throw new Error(`No ${scriptConfig.label} found with sys_id ${sysId} from ${manifestSysId ? MANIFEST_FILE : recordedIn}. It may have been deleted or belong to another instance. To create a new record instead, remove ${sources.join(' and ')}.`);
+  }
+  if (record && sysId && !result.matched_by) {
+    result.matched_by = 'sys_id';
+  }
+  return record;
+}
+
+/**
+ * Push a single-file script to ServiceNow
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @param {object} options - syncScript options
+ * @param {object} result - syncScript result to fill in
+ */
+async function pushScriptFile(serviceNowClient, scriptConfig, options, result) {
+  const { script_name, sys_id, file_path, force, merge } = options;
+  let fileContent;
+  try {
+    fileContent = await fs.readFile(file_path, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read file: ${error.message}`);
+  }
+
+  const { script: scriptContent, metadata, fields } = parseScriptFile(fileContent);
+  lintPush(scriptConfig, { [scriptConfig.script_field]: scriptContent }, fields, options, result);
+
+  // No record yet: create it from the front-matter
+  const record = await findPushTarget(serviceNowClient, scriptConfig, script_name, {
+    manifestSysId: sys_id, recordedSysId: metadata.sys_id, recordedIn: 'the file header'
+  }, result);
+  if (!record) {
+    const created = await createScriptRecord(serviceNowClient, scriptConfig, script_name, { [scriptConfig.script_field]: scriptContent }, fields);
+    await writeScriptFile({ ...fields, ...created.record, [scriptConfig.script_field]: scriptContent }, scriptConfig, file_path);
+    reportCreated(result, created, scriptConfig);
+    return;
+  }
+
+  const remoteContent = record[scriptConfig.script_field] || '';
+  result.sys_id = record.sys_id;
+
+  const resolved = await resolvePushContent({
+    localContent: scriptContent,
+    remoteContent,
+    contentHash: metadata.content_hash,
+    filePath: file_path,
+    record,
+    lastUpdatedOn: metadata.sys_updated_on,
+    force,
+    merge
+  });
+  result.conflict_check = resolved.conflict_check;
+
+  // Update script in ServiceNow unless it already matches
+  let pushedContent = remoteContent;
+  let updatedOn = record.sys_updated_on;
+  if (resolved.content.trim() !== remoteContent.trim()) {
+    const updated = await serviceNowClient.updateRecord(scriptConfig.table, record.sys_id, {
+      [scriptConfig.script_field]: resolved.content
+    });
+    pushedContent = resolved.content;
+    updatedOn = updated?.sys_updated_on || updatedOn;
+  }
+
+  // Record the pushed version as the new base (and show merged content locally).
+  // Files already in sync are left alone so a watcher is not re-triggered by its own push.
+  if (pushedContent !== remoteContent || result.conflict_check === 'merged' || metadata.content_hash !== hashContent(pushedContent)) {
+    await writeScriptFile({ ...fields, ...record, [scriptConfig.script_field]: pushedContent, sys_updated_on: updatedOn }, scriptConfig, file_path);
+  }
+
+  result.success = true;
+  result.sys_updated_on = updatedOn;
+  if (pushedContent === remoteContent) {
+    result.message = `Script in ServiceNow already matches ${file_path}`;
+  } else if (result.conflict_check === 'merged') {
+    result.message = `Successfully merged instance changes and pushed script from ${file_path} to ServiceNow`;
+  } else {
+    result.message = `Successfully pushed script from ${file_path} to ServiceNow`;
+  }
+}
+
+/**
+ * Push a record directory (one file per script field) to ServiceNow
+ * Every field is checked for remote edits before anything is written, so a
+ * conflict in one file leaves the whole record untouched.
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES (with `files`)
+ * @param {object} options - syncScript options
+ * @param {object} result - syncScript result to fill in
+ */
+async function pushRecordDirectory(serviceNowClient, scriptConfig, options, result) {
+  const { script_name, sys_id, file_path, force, merge } = options;
+  const { contents, metadata } = await readRecordDirectory(scriptConfig, file_path);
+  const fields = metadata.fields || {};
+  lintPush(scriptConfig, contents, fields, options, result);
+
+  const record = await findPushTarget(serviceNowClient, scriptConfig, script_name, {
+    manifestSysId: sys_id, recordedSysId: metadata.sys_id, recordedIn: RECORD_METADATA_FILE
+  }, result);
+  if (!record) {
+    const created = await createScriptRecord(serviceNowClient, scriptConfig, script_name, contents, fields);
+    await writeRecordDirectory({ ...fields, ...created.record, ...contents }, scriptConfig, file_path);
+    reportCreated(result, created, scriptConfig);
+    return;
+  }
+  result.sys_id = record.sys_id;
+
+  const changes = {};
+  const checks = [];
+  for (const [field, localContent] of Object.entries(contents)) {
+    const remoteContent = record[field] || '';
+    const resolved = await resolvePushContent({
+      localContent,
+      remoteContent,
+      contentHash: metadata.content_hashes?.[field],
+      filePath: path.join(file_path, scriptConfig.files[field]),
+      record,
+      lastUpdatedOn: metadata.sys_updated_on,
+      force,
+      merge
+    }).catch(error => {
+      if (error.conflict) {
+        error.conflict.file = scriptConfig.files[field];
+      }
+      throw error;
+    });
+
+    checks.push(resolved.conflict_check);
+    if (resolved.content.trim() !== remoteContent.trim()) {
+      changes[field] = resolved.content;
+    }
+  }
+  result.conflict_check = ['merged', 'forced', 'no_metadata', 'unchanged'].find(check => checks.includes(check));
+
+  let updatedOn = record.sys_updated_on;
+  if (Object.keys(changes).length > 0) {
+    const updated = await serviceNowClient.updateRecord(scriptConfig.table, record.sys_id, changes);
+    updatedOn = updated?.sys_updated_on || updatedOn;
+  }
+
+  // Only files whose content differs are rewritten (e.g. merged fields)
+  await writeRecordDirectory({ ...fields, ...record, ...changes, sys_updated_on: updatedOn }, scriptConfig, file_path);
+
+  result.success = true;
+  result.sys_updated_on = updatedOn;
+  result.updated_fields = Object.keys(changes);
+  if (result.updated_fields.length === 0) {
+    result.message = `${scriptConfig.label} in ServiceNow already matches ${file_path}`;
+  } else {
+    result.message = `Successfully pushed ${result.updated_fields.join(', ')} from ${file_path} to ServiceNow`;
+  }
+}
+
 /**
  * Sync a single script between local file and ServiceNow
+ * Types with one file per field sync a record directory instead of a file.
  *
  * @param {object} serviceNowClient - ServiceNow client instance
  * @param {object} options - Sync options
  * @param {string} options.script_name - Name of the script in ServiceNow
  * @param {string} options.script_type - Type of script (sys_script_include, etc.)
- * @param {string} options.file_path - Local file path
+ * @param {string} options.file_path - Local file path, or record directory for types with `files`
  * @param {string} options.direction - 'push' or 'pull' (auto-detect if not specified)
+ * @param {boolean} options.force - Push even if the script changed on the instance since the last pull
+ * @param {boolean} options.merge - Three-way merge remote changes into the push instead of refusing
+ * @param {boolean} options.git_commit - Commit the pulled file if it changed (pull only, see commitPulledScripts)
+ * @param {boolean} options.lint - Lint scripts before pushing them (default: true); findings are in `lint`
+ * @param {boolean} options.block_on_lint_error - Refuse the push when lint finds errors (default: false)
  * @param {string} options.instance - ServiceNow instance name (optional)
- * @returns {object} - Sync result
+ * @returns {object} - Sync result; a refused push carries `conflict` with diffs
  */
 export async function syncScript(serviceNowClient, options) {
-  const { script_name, script_type, file_path, direction, instance } = options;
+  const {
+    script_name, script_type, file_path, direction, force = false, merge = false, git_commit = false,
+    lint = true, block_on_lint_error = false, instance
+  } = options;
 
   // Validate script type
+  checkScriptTypes([script_type]);
   const scriptConfig = SCRIPT_TYPES[script_type];
-  if (!scriptConfig) {
-    throw new Error(`Invalid script type: ${script_type}. Supported types: ${Object.keys(SCRIPT_TYPES).join(', ')}`);
-  }
 
   const result = {
     script_name,
@@ -146,90 +1216,64 @@ export async function syncScript(serviceNowClient, options) {
 
     result.direction = syncDirection;
 
+    // Files listed in a manifest are matched by sys_id rather than by name
+    const manifest = await findManifest(file_path);
+    const manifestEntry = manifest?.manifest.files?.[manifest.key];
+    const sysId = manifestEntry?.type === script_type ? manifestEntry.sys_id : null;
+    if (sysId) {
+      result.matched_by = 'manifest';
+    }
+
     if (syncDirection === 'pull') {
       // Pull from ServiceNow to local file
-      const records = await serviceNowClient.getRecords(scriptConfig.table, {
-        sysparm_query: `${scriptConfig.name_field}=${script_name}`,
-        sysparm_limit: 1,
-        sysparm_fields: `sys_id,${scriptConfig.name_field},${scriptConfig.script_field}`
-      });
-
-      if (records.length === 0) {
+      const record = await findScriptRecord(serviceNowClient, scriptConfig, script_name, getPullFields(scriptConfig), sysId);
+      if (!record) {
         throw new Error(`Script not found in ServiceNow: ${script_name}`);
       }
 
-      const record = records[0];
-      const scriptContent = record[scriptConfig.script_field] || '';
-
-      // Add metadata header
-      const fileContent = `/**
- * ServiceNow Script: ${record[scriptConfig.name_field]}
- * Type: ${scriptConfig.label}
- * Table: ${scriptConfig.table}
- * sys_id: ${record.sys_id}
- *
- * Last synced: ${new Date().toISOString()}
- *
- * This file is managed by ServiceNow MCP Script Sync.
- * Changes will be pushed to ServiceNow on save.
- */
-
-${scriptContent}`;
-
-      // Ensure directory exists
-      const dir = path.dirname(file_path);
-      await fs.mkdir(dir, { recursive: true });
-
-      // Write file
-      await fs.writeFile(file_path, fileContent, 'utf-8');
+      // Write file with metadata header (or one file per field)
+      if (scriptConfig.files) {
+        await writeRecordDirectory(record, scriptConfig, file_path);
+      } else {
+        await writeScriptFile(record, scriptConfig, file_path);
+      }
 
       result.success = true;
       result.sys_id = record.sys_id;
+      result.sys_updated_on = record.sys_updated_on;
+      result.sys_updated_by = record.sys_updated_by;
       result.message = `Successfully pulled script from ServiceNow to ${file_path}`;
 
+      if (git_commit) {
+        result.git = await commitPulledScripts(serviceNowClient, path.dirname(file_path), [file_path], [result]);
+      }
+
     } else if (syncDirection === 'push') {
       // Push from local file to ServiceNow
-      let fileContent;
-      try {
-        fileContent = await fs.readFile(file_path, 'utf-8');
-      } catch (error) {
-        throw new Error(`Failed to read file: ${error.message}`);
+      const pushOptions = { script_name, sys_id: sysId, file_path, force, merge, lint, block_on_lint_error };
+      if (scriptConfig.files) {
+        await pushRecordDirectory(serviceNowClient, scriptConfig, pushOptions, result);
+      } else {
+        await pushScriptFile(serviceNowClient, scriptConfig, pushOptions, result);
       }
 
-      // Remove metadata header if present (lines starting with /** to */)
-      let scriptContent = fileContent;
-      const headerMatch = fileContent.match(/^\/\*\*[\s\S]*?\*\//);
-      if (headerMatch) {
-        scriptContent = fileContent.substring(headerMatch[0].length).trim();
+      // Scripts created inside a manifest directory are added to it
+      if (result.created && manifest) {
+        manifest.manifest.files = {
+          ...manifest.manifest.files,
+          [manifest.key]: { type: script_type, table: scriptConfig.table, sys_id: result.sys_id, name: script_name }
+        };
+        await writeManifest(manifest.path, manifest.manifest);
       }
 
-      // Find existing script in ServiceNow
-      const records = await serviceNowClient.getRecords(scriptConfig.table, {
-        sysparm_query: `${scriptConfig.name_field}=${script_name}`,
-        sysparm_limit: 1,
-        sysparm_fields: `sys_id,${scriptConfig.name_field}`
-      });
-
-      if (records.length === 0) {
-        throw new Error(`Script not found in ServiceNow: ${script_name}. Create it first, then sync.`);
-      }
-
-      const record = records[0];
-
-      // Update script in ServiceNow
-      await serviceNowClient.updateRecord(scriptConfig.table, record.sys_id, {
-        [scriptConfig.script_field]: scriptContent
-      });
-
-      result.success = true;
-      result.sys_id = record.sys_id;
-      result.message = `Successfully pushed script from ${file_path} to ServiceNow`;
-
     } else {
       throw new Error(`Invalid direction: ${syncDirection}. Must be 'push' or 'pull'.`);
     }
 
   } catch (error) {
+    if (error.conflict) {
+      result.conflict = error.conflict;
+    }
     result.error = error.message;
     result.message = `Sync failed: ${error.message}`;
   }
@@ -237,6 +1281,152 @@ ${scriptContent}`;
   return result;
 }
 
+/**
+ * Move a pulled script to its name@sys_id file once another record turns out to share its name
+ *
+ * @param {object} syncResult - Pull result of the script to move (updated in place)
+ * @param {string} scriptType - Script type
+ * @param {string} directory - Sync directory
+ */
+async function renamePulledScript(syncResult, scriptType, directory) {
+  const name = syncResult.script_name.split('@')[0];
+  const scriptName = `${name}@${syncResult.sys_id}`;
+  const filePath = path.join(directory, generateFileName(name, scriptType, [syncResult.sys_id]));
+
+  if (syncResult.success) {
+    await fs.rename(syncResult.file_path, filePath);
+    // Record directories keep their merge base inside the directory
+    if (!SCRIPT_TYPES[scriptType].files) {
+      await fs.rename(getBasePath(syncResult.file_path), getBasePath(filePath));
+    }
+  }
+
+  syncResult.script_name = scriptName;
+  syncResult.file_path = filePath;
+  syncResult.message = syncResult.success ? `Successfully pulled script from ServiceNow to ${filePath}` : syncResult.message;
+}
+
+/**
+ * Commit what a pull changed to the git repository holding the synced files
+ * Only the given paths are committed; changes staged elsewhere stay staged. The
+ * message names the instance and, for each changed record, its table and who
+ * last updated it there, so the history shows who changed what on the instance.
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {string} directory - Directory inside the repository
+ * @param {Array<string>} paths - Files and directories the pull wrote
+ * @param {Array<object>} scripts - Pull results (file_path, script_type, script_name, sys_updated_by, sys_updated_on)
+ * @returns {Promise<object>} - { committed, commit, files, records, message }, or { committed: false, error }
+ *   when git fails (the pull itself stands)
+ */
+export async function commitPulledScripts(serviceNowClient, directory, paths, scripts) {
+  try {
+    const root = await getRepositoryRoot(directory);
+    const repositoryPaths = await Promise.all(paths.map(filePath => toRepositoryPath(root, filePath)));
+    const changedFiles = await listChangedFiles(root, repositoryPaths);
+
+    const records = [];
+    for (const script of scripts.filter(script => script.success)) {
+      const scriptPath = await toRepositoryPath(root, script.file_path);
+      if (changedFiles.some(file => file === scriptPath || file.startsWith(`${scriptPath}/`))) {
+        records.push({
+          table: SCRIPT_TYPES[script.script_type].table,
+          name: script.script_name,
+          sys_id: script.sys_id,
+          sys_updated_by: script.sys_updated_by,
+          sys_updated_on: script.sys_updated_on
+        });
+      }
+    }
+
+    const message = buildPullCommitMessage(serviceNowClient.getCurrentInstance?.().name, records);
+    const commit = await commitPaths(root, repositoryPaths, message);
+    if (commit.committed) {
+      console.error(`📝 Committed ${commit.files.length} pulled file(s) (${commit.commit.substring(0, 7)})`);
+    }
+
+    return { ...commit, records, message: commit.committed ? message : null };
+  } catch (error) {
+    console.error('❌ Git commit after pull failed:', error.message);
+    return { committed: false, error: error.message };
+  }
+}
+
+/**
+ * Pull every script of the requested types from ServiceNow into a directory
+ * Records are streamed page by page, so large instances are never truncated.
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {object} result - syncAllScripts result to fill in
+ * @param {string} query - Encoded query applied to every script table (optional)
+ */
+async function pullAllScripts(serviceNowClient, result, query) {
+  for (const scriptType of result.script_types) {
+    const scriptConfig = SCRIPT_TYPES[scriptType];
+    const records = serviceNowClient.streamRecords(scriptConfig.table, {
+      sysparm_query: query,
+      sysparm_fields: getPullFields(scriptConfig),
+      sysparm_exclude_reference_link: true,
+      sysparm_order_by: 'sys_id'
+    });
+
+    // File name -> result of the record pulled to it, to catch names shared by several records
+    const pulledFiles = new Map();
+
+    for await (const record of records) {
+      let scriptName = getQualifiedName(record, scriptConfig);
+      let fileName = generateFileName(record[scriptConfig.name_field], scriptType, getQualifiers(record, scriptConfig));
+
+      // Records sharing a name are all written as name@sys_id, so each file maps to one record
+      if (pulledFiles.has(fileName)) {
+        const previous = pulledFiles.get(fileName);
+        if (previous) {
+          await renamePulledScript(previous, scriptType, result.directory);
+          pulledFiles.set(fileName, null);
+        }
+        scriptName = `${record[scriptConfig.name_field]}@${record.sys_id}`;
+        fileName = generateFileName(record[scriptConfig.name_field], scriptType, [record.sys_id]);
+      }
+
+      const filePath = path.join(result.directory, fileName);
+      result.total_files++;
+
+      const syncResult = {
+        script_name: scriptName,
+        script_type: scriptType,
+        file_path: filePath,
+        direction: 'pull',
+        sys_id: record.sys_id,
+        sys_updated_on: record.sys_updated_on,
+        sys_updated_by: record.sys_updated_by,
+        success: false,
+        timestamp: new Date().toISOString(),
+        error: null
+      };
+
+      try {
+        if (scriptConfig.files) {
+          await writeRecordDirectory(record, scriptConfig, filePath);
+        } else {
+          await writeScriptFile(record, scriptConfig, filePath);
+        }
+        syncResult.success = true;
+        syncResult.message = `Successfully pulled script from ServiceNow to ${filePath}`;
+        result.synced++;
+      } catch (error) {
+        syncResult.error = error.message;
+        syncResult.message = `Sync failed: ${error.message}`;
+        result.failed++;
+      }
+
+      result.scripts.push(syncResult);
+      if (!pulledFiles.has(fileName)) {
+        pulledFiles.set(fileName, syncResult);
+      }
+    }
+  }
+}
+
 /**
  * Sync all scripts in a directory
  *
@@ -244,14 +1434,25 @@ ${scriptContent}`;
  * @param {object} options - Sync options
  * @param {string} options.directory - Directory containing scripts
  * @param {array} options.script_types - Script types to sync (optional, defaults to all)
+ * @param {string} options.direction - 'push' (default) uploads local files, 'pull' downloads every matching script
+ * @param {string} options.query - Encoded query to filter scripts on pull (optional)
+ * @param {boolean} options.force - Push files even if their script changed on the instance (see syncScript)
+ * @param {boolean} options.merge - Three-way merge remote changes on push (see syncScript)
+ * @param {boolean} options.git_commit - Commit what the pull changed in the directory (pull only, see commitPulledScripts)
+ * @param {boolean} options.lint - Lint scripts before pushing them (see syncScript)
+ * @param {boolean} options.block_on_lint_error - Refuse pushes of scripts with lint errors (see syncScript)
  * @param {string} options.instance - ServiceNow instance name (optional)
  * @returns {object} - Sync results
  */
 export async function syncAllScripts(serviceNowClient, options) {
-  const { directory, script_types, instance } = options;
+  const {
+    directory, script_types, direction = 'push', query, force = false, merge = false, git_commit = false,
+    lint = true, block_on_lint_error = false, instance
+  } = options;
 
   const result = {
     directory,
+    direction,
     script_types: script_types || Object.keys(SCRIPT_TYPES),
     total_files: 0,
     synced: 0,
@@ -261,9 +1462,23 @@ export async function syncAllScripts(serviceNowClient, options) {
   };
 
   try {
+    checkScriptTypes(result.script_types);
+
     // Ensure directory exists
     await fs.mkdir(directory, { recursive: true });
 
+    if (direction === 'pull') {
+      await pullAllScripts(serviceNowClient, result, query);
+      if (git_commit) {
+        result.git = await commitPulledScripts(serviceNowClient, directory, [directory], result.scripts);
+      }
+      return result;
+    }
+
+    if (direction !== 'push') {
+      throw new Error(`Invalid direction: ${direction}. Must be 'push' or 'pull'.`);
+    }
+
     // Read all files in directory
     const files = await fs.readdir(directory);
 
@@ -293,6 +1508,10 @@ export async function syncAllScripts(serviceNowClient, options) {
           script_type: parsed.scriptType,
           file_path: filePath,
           direction: 'push', // Default to push for bulk sync
+          force,
+          merge,
+          lint,
+          block_on_lint_error,
           instance
         });
 
@@ -322,6 +1541,119 @@ export async function syncAllScripts(serviceNowClient, options) {
   return result;
 }
 
+/**
+ * Script field contents of one version of a synced file, in getContentFields order
+ * Single-file scripts are compared without their metadata header, as pushed.
+ *
+ * @param {object} scriptConfig - Entry from SCRIPT_TYPES
+ * @param {function} readFile - Reads a file name inside the synced file's location; resolves null when missing
+ * @returns {Promise<Array<string>|null>} - Contents, or null when the version has no files
+ */
+async function readVersionContents(scriptConfig, readFile) {
+  if (!scriptConfig.files) {
+    const content = await readFile(null);
+    return content === null ? null : [parseScriptFile(content).script];
+  }
+
+  const contents = [];
+  for (const fileName of Object.values(scriptConfig.files)) {
+    contents.push(await readFile(fileName));
+  }
+  return contents.every(content => content === null) ? null : contents.map(content => content ?? '');
+}
+
+/**
+ * Classify a synced file from its working tree, HEAD and instance versions
+ *
+ * @param {Array<string>} local - Working tree contents
+ * @param {Array<string>|null} head - Contents committed at HEAD (null when not committed)
+ * @param {Array<string>|null} remote - Contents on the instance (null when the record is missing)
+ * @returns {string} - in_sync, uncommitted (instance version not committed yet), local_changes (edited
+ *   locally, not pushed), instance_changes (edited on the instance since the commit), diverged or
+ *   not_on_instance
+ */
+function classifySyncStatus(local, head, remote) {
+  const same = (a, b) => a !== null && b !== null && JSON.stringify(a) === JSON.stringify(b);
+
+  if (remote === null) return 'not_on_instance';
+  if (same(local, remote)) return same(head, local) ? 'in_sync' : 'uncommitted';
+  if (same(head, remote)) return 'local_changes';
+  if (same(head, local)) return 'instance_changes';
+  return 'diverged';
+}
+
+/**
+ * Compare each synced file in a directory with its last commit and with the instance
+ * The directory must be inside a git repository.
+ *
+ * @param {object} serviceNowClient - ServiceNow client instance
+ * @param {object} options - Status options
+ * @param {string} options.directory - Directory containing synced scripts
+ * @param {Array<string>} options.script_types - Script types to check (optional, defaults to all)
+ * @returns {Promise<object>} - { directory, repository, total_files, summary: { status: count }, files, timestamp }
+ */
+export async function getSyncStatus(serviceNowClient, options) {
+  const { directory, script_types } = options;
+  const root = await getRepositoryRoot(directory);
+
+  const result = {
+    directory,
+    repository: root,
+    total_files: 0,
+    summary: {},
+    files: [],
+    timestamp: new Date().toISOString()
+  };
+
+  const entries = (await fs.readdir(directory)).filter(file => {
+    const parsed = parseFileName(file);
+    return parsed.isValid && (!script_types || script_types.includes(parsed.scriptType));
+  });
+
+  for (const file of entries) {
+    const parsed = parseFileName(file);
+    const scriptConfig = SCRIPT_TYPES[parsed.scriptType];
+    const filePath = path.join(directory, file);
+    const fileStatus = { file, script_name: parsed.scriptName, script_type: parsed.scriptType };
+
+    try {
+      const repositoryPath = await toRepositoryPath(root, filePath);
+      const local = await readVersionContents(scriptConfig, (fileName) =>
+        fs.readFile(fileName ? path.join(filePath, fileName) : filePath, 'utf-8').catch(() => null));
+      const head = await readVersionContents(scriptConfig, (fileName) =>
+        readHeadFile(root, fileName ? `${repositoryPath}/${fileName}` : repositoryPath));
+
+      const manifest = await findManifest(filePath);
+      const manifestEntry = manifest?.manifest.files?.[manifest.key];
+      const sysId = manifestEntry?.type === parsed.scriptType ? manifestEntry.sys_id : null;
+      const fields = [scriptConfig.name_field, ...getContentFields(scriptConfig), 'sys_updated_on', 'sys_updated_by'].join(',');
+      const record = await findScriptRecord(serviceNowClient, scriptConfig, parsed.scriptName, fields, sysId);
+      const remote = record
+        ? getContentFields(scriptConfig).map(field => scriptConfig.files ? record[field] || '' : (record[field] || '').trim())
+        : null;
+
+      const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+      fileStatus.status = classifySyncStatus(local, head, remote);
+      fileStatus.working_tree_vs_head = head === null ? 'untracked' : same(local, head) ? 'same' : 'modified';
+      fileStatus.working_tree_vs_instance = remote === null ? 'missing' : same(local, remote) ? 'same' : 'modified';
+      if (record) {
+        fileStatus.sys_id = record.sys_id;
+        fileStatus.sys_updated_on = record.sys_updated_on;
+        fileStatus.sys_updated_by = record.sys_updated_by;
+      }
+    } catch (error) {
+      fileStatus.status = 'error';
+      fileStatus.error = error.message;
+    }
+
+    result.files.push(fileStatus);
+    result.summary[fileStatus.status] = (result.summary[fileStatus.status] || 0) + 1;
+    result.total_files++;
+  }
+
+  return result;
+}
+
 /**
  * Watch a directory for changes and auto-sync scripts
  *
@@ -334,11 +1666,12 @@ export async function syncAllScripts(serviceNowClient, options) {
  * @param {string} options.script_type - Script type to watch (optional, defaults to all)
  * @param {boolean} options.auto_sync - Auto-sync on file changes (default: true)
  * @param {function} options.onSync - Callback function called after each sync
+ * @param {boolean} options.block_on_lint_error - Refuse pushes of scripts with lint errors (see syncScript)
  * @param {string} options.instance - ServiceNow instance name (optional)
  * @returns {object} - { watcher, stop() }
  */
 export function watchScripts(serviceNowClient, options) {
-  const { directory, script_type, auto_sync = true, onSync, instance } = options;
+  const { directory, script_type, auto_sync = true, onSync, block_on_lint_error = false, instance } = options;
 
   // Track files being synced to prevent duplicate syncs
   const syncingFiles = new Set();
@@ -356,16 +1689,20 @@ export function watchScripts(serviceNowClient, options) {
 
   // Handle file changes
   const handleFileChange = async (filePath) => {
-    // Prevent duplicate syncs
-    if (syncingFiles.has(filePath)) {
-      return;
+    // Files inside a record directory sync the whole directory
+    let syncPath = filePath;
+    let parsed = parseFileName(path.basename(filePath));
+    if (!parsed.isValid || parsed.isDirectory) {
+      syncPath = path.dirname(filePath);
+      parsed = parseFileName(path.basename(syncPath));
+      const files = parsed.isValid && parsed.isDirectory ? Object.values(SCRIPT_TYPES[parsed.scriptType].files) : [];
+      if (!files.includes(path.basename(filePath))) {
+        return;
+      }
     }
 
-    const fileName = path.basename(filePath);
-    const parsed = parseFileName(fileName);
-
-    // Validate file name
-    if (!parsed.isValid) {
+    // Prevent duplicate syncs
+    if (syncingFiles.has(syncPath)) {
       return;
     }
 
@@ -375,15 +1712,16 @@ export function watchScripts(serviceNowClient, options) {
     }
 
     // Mark as syncing
-    syncingFiles.add(filePath);
+    syncingFiles.add(syncPath);
 
     try {
       if (auto_sync) {
         const result = await syncScript(serviceNowClient, {
           script_name: parsed.scriptName,
           script_type: parsed.scriptType,
-          file_path: filePath,
+          file_path: syncPath,
           direction: 'push',
+          block_on_lint_error,
           instance
         });
 
@@ -396,7 +1734,7 @@ export function watchScripts(serviceNowClient, options) {
         onSync({
           script_name: parsed.scriptName,
           script_type: parsed.scriptType,
-          file_path: filePath,
+          file_path: syncPath,
           success: false,
           error: error.message
         });
@@ -404,7 +1742,7 @@ export function watchScripts(serviceNowClient, options) {
     } finally {
       // Remove from syncing set after delay
       setTimeout(() => {
-        syncingFiles.delete(filePath);
+        syncingFiles.delete(syncPath);
       }, 1000);
     }
   };
@@ -21,21 +21,60 @@ const SSE_KEEPALIVE_INTERVAL = parseInt(process.env.SSE_KEEPALIVE_INTERVAL || '1
 const app = express();
 app.use(express.json());
 
-// In-memory session store (sessionId -> {server, transport})
+// In-memory session store (sessionId -> {server, transport, serviceNowClient, keepaliveInterval})
 const sessions = {};
 
+// Run cmd: secret references before the first lookup
+await configManager.resolveCommandSecrets();
+
 // Get default instance configuration
 const defaultInstance = configManager.getDefaultInstance();
 console.log(`🔗 Default ServiceNow instance: ${defaultInstance.name} (${defaultInstance.url})`);
 console.log(`💡 Use SN-Set-Instance tool to switch instances during session`);
 
-// Create ServiceNow client with default instance
-const serviceNowClient = new ServiceNowClient(
-  defaultInstance.url,
-  defaultInstance.username,
-  defaultInstance.password
-);
-serviceNowClient.currentInstanceName = defaultInstance.name;
+// Reload config/servicenow-instances.json when it is edited
+configManager.watch();
+
+/**
+ * Create a ServiceNow client for a single SSE session
+ * Each session gets its own client so SN-Set-Instance, progress callbacks
+ * and update set context never leak between connected users.
+ * @returns {ServiceNowClient} Client pointed at the default instance
+ */
+function createSessionClient() {
+  // Look the instance up per session so secret references are resolved fresh
+  const instance = configManager.getDefaultInstance();
+  const client = new ServiceNowClient(
+    instance.url,
+    instance.username,
+    instance.password,
+    instance.auth,
+    instance.http
+  );
+  client.currentInstanceName = instance.name;
+  return client;
+}
+
+/**
+ * Tear down a session and release everything it owns
+ * Safe to call more than once; only the first call has any effect.
+ * @param {string} sessionId - Transport session ID
+ * @param {string} reason - Log message describing why the session ended
+ */
+function cleanupSession(sessionId, reason) {
+  const session = sessions[sessionId];
+  if (!session) {
+    return;
+  }
+
+  delete sessions[sessionId];
+  clearInterval(session.keepaliveInterval);
+  session.serviceNowClient.dispose();
+  session.server.close().catch((error) => {
+    console.error(`❌ Failed to close MCP server for session ${sessionId}:`, error.message);
+  });
+  console.log(`${reason}: ${sessionId}`);
+}
 
 /**
  * GET /mcp - Establish SSE connection
@@ -54,7 +93,8 @@ app.get('/mcp', async (req, res) => {
     // Create transport and start SSE connection
     const transport = new SSEServerTransport('/mcp', res);
 
-    // Create and configure new MCP server instance
+    // Create and configure new MCP server instance with its own client
+    const serviceNowClient = createSessionClient();
     const server = await createMcpServer(serviceNowClient);
 
     // Set up keepalive heartbeat to prevent connection timeout
@@ -71,20 +111,13 @@ app.get('/mcp', async (req, res) => {
 
     // Set up transport cleanup
     transport.onclose = () => {
-      if (sessions[transport.sessionId]) {
-        clearInterval(keepaliveInterval);
-        delete sessions[transport.sessionId];
-        console.log(`🧹 Cleaned up session ${transport.sessionId}`);
-      }
+      cleanupSession(transport.sessionId, '🧹 Cleaned up session');
     };
 
     // Clean up on request close/error
     req.on('close', () => {
       clearInterval(keepaliveInterval);
-      if (sessions[transport.sessionId]) {
-        delete sessions[transport.sessionId];
-        console.log(`🔌 Client disconnected: ${transport.sessionId}`);
-      }
+      cleanupSession(transport.sessionId, '🔌 Client disconnected');
     });
 
     req.on('error', (error) => {
@@ -93,7 +126,7 @@ app.get('/mcp', async (req, res) => {
     });
 
     // Store the session
-    sessions[transport.sessionId] = { server, transport, keepaliveInterval };
+    sessions[transport.sessionId] = { server, transport, serviceNowClient, keepaliveInterval };
     console.log(`🔗 New session established: ${transport.sessionId}`);
 
     // connect() starts the transport automatically in current MCP SDK
@@ -132,10 +165,14 @@ app.post('/mcp', async (req, res) => {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+  // Read from the listing so the health check reflects config reloads without resolving secrets
+  const instances = configManager.listInstances();
+  const currentDefault = instances.find(i => i.default) || instances[0];
   res.json({
     status: 'healthy',
-    servicenow_instance: defaultInstance.url,
-    instance_name: defaultInstance.name,
+    servicenow_instance: currentDefault.url,
+    instance_name: currentDefault.name,
+    active_sessions: Object.keys(sessions).length,
     timestamp: new Date().toISOString()
   });
 });
@@ -6,14 +6,90 @@
  */
 
 import axios from 'axios';
+import { OAuthTokenManager } from './oauth-token-manager.js';
+import { resolveRequestPolicy, getInstanceLimiter, isRetryableError, getRetryDelay } from './request-policy.js';
+
+/**
+ * Table API query parameters forwarded verbatim to ServiceNow
+ */
+const TABLE_API_PARAMS = [
+  'sysparm_query',
+  'sysparm_limit',
+  'sysparm_offset',
+  'sysparm_fields',
+  'sysparm_display_value',
+  'sysparm_exclude_reference_link',
+  'sysparm_view',
+  'sysparm_no_count'
+];
+
+/**
+ * Convert a sort specification to encoded query ORDERBY clauses
+ * Accepts a comma-separated list of fields; a leading "-" sorts descending.
+ * @param {string} orderBy - Sort specification (e.g., "-priority,number")
+ * @returns {string} Encoded query clauses (e.g., "ORDERBYDESCpriority^ORDERBYnumber")
+ */
+export function buildOrderByClause(orderBy) {
+  return orderBy
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean)
+    .map(field => field.startsWith('-') ? `ORDERBYDESC${field.substring(1)}` : `ORDERBY${field}`)
+    .join('^');
+}
+
+/**
+ * Parse an RFC 5988 Link header as returned by the Table API
+ * @param {string} header - Link header value
+ * @returns {object} Map of rel (first, prev, next, last) to URL
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) {
+    return links;
+  }
+
+  header.split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Extract sysparm_offset from a Table API page link
+ * @param {string} url - Page link URL
+ * @returns {number|null} Offset, or null if the link is missing
+ */
+function getLinkOffset(url) {
+  if (!url) {
+    return null;
+  }
+  const offset = new URL(url, 'http://localhost').searchParams.get('sysparm_offset');
+  return offset === null ? 0 : parseInt(offset, 10);
+}
 
 export class ServiceNowClient {
-  constructor(instanceUrl, username, password) {
+  constructor(instanceUrl, username, password, authConfig = null, requestPolicy = null) {
     this.currentInstanceName = 'default';
-    this.setInstance(instanceUrl, username, password);
+    this.currentUpdateSet = null; // Update set selected through this client, if any
+    this.setInstance(instanceUrl, username, password, null, authConfig, requestPolicy);
     this.progressCallback = null; // Callback for progress notifications
   }
 
+  /**
+   * Release per-session state held by this client
+   * Called when the owning MCP session closes so late progress
+   * notifications are not sent to a closed transport.
+   */
+  dispose() {
+    this.progressCallback = null;
+    this.currentUpdateSet = null;
+  }
+
   /**
    * Set progress callback for notifications
    * @param {Function} callback - Function to call with progress updates
@@ -38,23 +114,144 @@ export class ServiceNowClient {
    * @param {string} username - Username
    * @param {string} password - Password
    * @param {string} instanceName - Optional instance name for tracking
+   * @param {object} authConfig - Optional auth settings from the instance config.
+   *   Omit for Basic auth, or pass { type: 'oauth', grant_type, client_id, client_secret }
+   * @param {object} requestPolicy - Optional `http` settings from the instance config
+   *   (timeout_ms, max_retries, retry_base_delay_ms, retry_max_delay_ms, max_concurrent, requests_per_second)
    */
-  setInstance(instanceUrl, username, password, instanceName = null) {
+  setInstance(instanceUrl, username, password, instanceName = null, authConfig = null, requestPolicy = null) {
+    const previousUrl = this.instanceUrl;
     this.instanceUrl = instanceUrl.replace(/\/$/, ''); // Remove trailing slash
     this.auth = Buffer.from(`${username}:${password}`).toString('base64');
+    this.authType = authConfig?.type || 'basic';
+    this.tokenManager = null;
+    this.requestPolicy = resolveRequestPolicy(requestPolicy);
+
+    if (this.authType === 'oauth') {
+      this.tokenManager = new OAuthTokenManager({
+        instanceUrl: this.instanceUrl,
+        grantType: authConfig.grant_type,
+        clientId: authConfig.client_id,
+        clientSecret: authConfig.client_secret,
+        username,
+        password,
+        timeoutMs: this.requestPolicy.timeout_ms
+      });
+    } else if (this.authType !== 'basic') {
+      throw new Error(`Unsupported auth type: ${this.authType}. Must be 'basic' or 'oauth'.`);
+    }
 
     if (instanceName) {
       this.currentInstanceName = instanceName;
     }
 
-    this.client = axios.create({
+    // Update set selections are instance-specific
+    if (previousUrl !== this.instanceUrl) {
+      this.currentUpdateSet = null;
+    }
+
+    this.client = this.createHttpClient();
+  }
+
+  /**
+   * Create an axios instance authenticated against the current instance
+   * With OAuth, each request carries a cached bearer token and a 401 response
+   * is retried once with a freshly issued token.
+   * Requests honor the instance's request policy: timeout, shared concurrency and
+   * rate limits, and retries with backoff for transient failures.
+   * @param {object} options - Extra axios options; headers are merged over the defaults
+   * @returns {object} Axios instance
+   */
+  createHttpClient(options = {}) {
+    const { headers = {}, ...config } = options;
+    const tokenManager = this.tokenManager;
+    const policy = this.requestPolicy;
+    const limiter = getInstanceLimiter(this.instanceUrl, policy);
+
+    const httpClient = axios.create({
       baseURL: this.instanceUrl,
+      timeout: policy.timeout_ms,
       headers: {
-        'Authorization': `Basic ${this.auth}`,
+        ...(tokenManager ? {} : { 'Authorization': `Basic ${this.auth}` }),
         'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      }
+        'Accept': 'application/json',
+        ...headers
+      },
+      ...config
     });
+
+    // axios runs request interceptors in reverse order, so registering this first
+    // takes the slot last, after any token fetch, right before the request is sent
+    if (limiter) {
+      httpClient.interceptors.request.use(async (requestConfig) => {
+        await limiter.acquire();
+        requestConfig._limiterSlot = true;
+        return requestConfig;
+      });
+    }
+
+    const releaseSlot = (requestConfig) => {
+      if (requestConfig?._limiterSlot) {
+        requestConfig._limiterSlot = false;
+        limiter.release();
+      }
+    };
+
+    httpClient.interceptors.response.use(
+      (response) => {
+        releaseSlot(response.config);
+        return response;
+      },
+      async (error) => {
+        const requestConfig = error.config;
+        releaseSlot(requestConfig);
+
+        if (!requestConfig || !isRetryableError(error)) {
+          throw error;
+        }
+
+        const attempt = (requestConfig._retryCount || 0) + 1;
+        if (attempt > policy.max_retries) {
+          throw error;
+        }
+        const delay = getRetryDelay(error, attempt, policy);
+        if (delay === null) {
+          this.notifyProgress(
+            `🛑 Not retrying ${(requestConfig.method || 'get').toUpperCase()} ${requestConfig.url}: HTTP ${error.response.status} asks to wait longer (Retry-After: ${error.response.headers['retry-after']}) than retry_max_delay_ms (${policy.retry_max_delay_ms}ms)`
+          );
+          throw error;
+        }
+        requestConfig._retryCount = attempt;
+
+        const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+        this.notifyProgress(
+          `⏳ Retry ${attempt}/${policy.max_retries} for ${(requestConfig.method || 'get').toUpperCase()} ${requestConfig.url} after ${reason} (waiting ${delay}ms)`
+        );
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return httpClient.request(requestConfig);
+      }
+    );
+
+    if (tokenManager) {
+      httpClient.interceptors.request.use(async (requestConfig) => {
+        const token = await tokenManager.getAccessToken();
+        requestConfig.headers.Authorization = `Bearer ${token}`;
+        return requestConfig;
+      });
+
+      httpClient.interceptors.response.use(null, async (error) => {
+        const requestConfig = error.config;
+        if (error.response?.status === 401 && requestConfig && !requestConfig._oauthRetried) {
+          requestConfig._oauthRetried = true;
+          tokenManager.invalidate();
+          return httpClient.request(requestConfig);
+        }
+        throw error;
+      });
+    }
+
+    return httpClient;
   }
 
   /**
@@ -70,13 +267,108 @@ export class ServiceNowClient {
 
   // Generic table operations
   async getRecords(table, query = {}) {
+    const page = await this.getRecordsPage(table, query);
+    return page.records;
+  }
+
+  /**
+   * Query a table and return one page of records with pagination details
+   * @param {string} table - Table name
+   * @param {object} query - Table API parameters (sysparm_query, sysparm_limit, sysparm_offset,
+   *   sysparm_fields, sysparm_display_value, sysparm_exclude_reference_link, sysparm_view,
+   *   sysparm_no_count) plus sysparm_order_by ("field" or "-field", comma-separated)
+   * @returns {object} { records, total_count, links, offset, next_offset, prev_offset }
+   */
+  async getRecordsPage(table, query = {}) {
     const params = new URLSearchParams();
-    if (query.sysparm_query) params.append('sysparm_query', query.sysparm_query);
-    if (query.sysparm_limit) params.append('sysparm_limit', query.sysparm_limit);
-    if (query.sysparm_fields) params.append('sysparm_fields', query.sysparm_fields);
+    const values = { ...query };
+
+    // The Table API sorts through ORDERBY/ORDERBYDESC clauses in the encoded query
+    if (values.sysparm_order_by) {
+      const orderClause = buildOrderByClause(values.sysparm_order_by);
+      values.sysparm_query = values.sysparm_query ? `${values.sysparm_query}^${orderClause}` : orderClause;
+    }
+
+    TABLE_API_PARAMS.forEach(param => {
+      const value = values[param];
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(param, value);
+      }
+    });
 
     const response = await this.client.get(`/api/now/table/${table}?${params}`);
-    return response.data.result;
+    const headers = response.headers || {};
+    const records = response.data.result;
+
+    const totalHeader = headers['x-total-count'];
+    const totalCount = totalHeader !== undefined ? parseInt(totalHeader, 10) : null;
+    const links = parseLinkHeader(headers.link);
+    const offset = parseInt(values.sysparm_offset || 0, 10);
+
+    // Prefer the server's next link; fall back to the total count when links are absent.
+    // With neither (sysparm_no_count, or a proxy that strips headers) a full page may have more after it.
+    let nextOffset = getLinkOffset(links.next);
+    const limit = parseInt(values.sysparm_limit, 10);
+    if (nextOffset === null && !headers.link && records.length > 0) {
+      if (totalCount !== null) {
+        nextOffset = offset + records.length < totalCount ? offset + records.length : null;
+      } else if (records.length === limit) {
+        nextOffset = offset + records.length;
+      }
+    }
+
+    return {
+      records,
+      total_count: totalCount,
+      links,
+      offset,
+      next_offset: nextOffset,
+      prev_offset: getLinkOffset(links.prev)
+    };
+  }
+
+  /**
+   * Stream every record matching a query, following the Table API Link headers
+   * Pages are fetched lazily, so callers can stop early without loading the rest.
+   * @param {string} table - Table name
+   * @param {object} query - Table API parameters (see getRecordsPage); sysparm_offset sets the start
+   * @param {object} options - Streaming options
+   * @param {number} options.pageSize - Records per request (default: 1000)
+   * @yields {object} Each matching record
+   */
+  async *streamRecords(table, query = {}, options = {}) {
+    const { pageSize = 1000 } = options;
+    let offset = query.sysparm_offset || 0;
+
+    while (offset !== null) {
+      const page = await this.getRecordsPage(table, {
+        ...query,
+        sysparm_limit: pageSize,
+        sysparm_offset: offset
+      });
+
+      for (const record of page.records) {
+        yield record;
+      }
+
+      offset = page.records.length > 0 ? page.next_offset : null;
+    }
+  }
+
+  /**
+   * Collect every record matching a query into an array
+   * Use when the result set is modified while processing it.
+   * @param {string} table - Table name
+   * @param {object} query - Table API parameters (see getRecordsPage)
+   * @param {object} options - Streaming options (see streamRecords)
+   * @returns {Array} All matching records
+   */
+  async getAllRecords(table, query = {}, options = {}) {
+    const records = [];
+    for await (const record of this.streamRecords(table, query, options)) {
+      records.push(record);
+    }
+    return records;
   }
 
   async getRecord(table, sysId, queryParams = {}) {
@@ -114,12 +406,8 @@ export class ServiceNowClient {
       const updateSet = await this.getRecord('sys_update_set', updateSetSysId);
 
       // Create axios client with UI session
-      const axiosWithCookies = axios.create({
-        baseURL: this.instanceUrl,
+      const axiosWithCookies = this.createHttpClient({
         headers: {
-          'Authorization': `Basic ${this.auth}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
           'User-Agent': 'ServiceNow-MCP-Client/2.0'
         },
         withCredentials: true,
@@ -140,12 +428,14 @@ export class ServiceNowClient {
         }
       );
 
-      return {
+      const result = {
         success: true,
         update_set: updateSet.name,
         sys_id: updateSetSysId,
         response: response.data
       };
+      this.currentUpdateSet = { sys_id: updateSetSysId, name: updateSet.name };
+      return result;
     } catch (error) {
       // If UI API fails, fall back to sys_trigger method
       console.log('UI API failed, falling back to sys_trigger...');
@@ -174,6 +464,7 @@ gr.insert();
 gs.info('✅ Update set changed to: ${updateSet.name}');`;
 
       const result = await this.executeScriptViaTrigger(script, `Set update set to: ${updateSet.name}`, true);
+      this.currentUpdateSet = { sys_id: updateSetSysId, name: updateSet.name };
       return {
         success: true,
         update_set: updateSet.name,
@@ -190,6 +481,19 @@ gs.info('✅ Update set changed to: ${updateSet.name}');`;
     return response.data;
   }
 
+  /**
+   * Get the application new records are created in (the apps.current preference)
+   * @returns {object} { sys_id, name } - sys_id is 'global' for the global scope
+   */
+  async getCurrentApplication() {
+    const response = await this.client.get('/api/now/ui/preferences/apps.current');
+    const preference = response.data?.result || {};
+    return {
+      sys_id: preference.value || 'global',
+      name: preference.display_value || 'Global'
+    };
+  }
+
   async listUpdateSets(query = {}) {
     // List available update sets
     return this.getRecords('sys_update_set', query);
@@ -236,11 +540,8 @@ gs.info('✅ Update set changed to: ${updateSet.name}');`;
       }
 
       // Create axios client with cookie jar
-      const axiosWithCookies = axios.create({
-        baseURL: this.instanceUrl,
+      const axiosWithCookies = this.createHttpClient({
         headers: {
-          'Authorization': `Basic ${this.auth}`,
-          'Content-Type': 'application/json',
           'User-Agent': 'ServiceNow-MCP-Client/2.0'
         },
         withCredentials: true,
@@ -1100,9 +1401,8 @@ try {
       if (record_sys_ids.length > 0) {
         if (reportProgress) this.notifyProgress(`Fetching ${record_sys_ids.length} records to move`);
         const sysIdsQuery = record_sys_ids.map(id => `sys_id=${id}`).join('^OR');
-        recordsToMove = await this.getRecords(table, {
-          sysparm_query: sysIdsQuery,
-          sysparm_limit: 1000
+        recordsToMove = await this.getAllRecords(table, {
+          sysparm_query: sysIdsQuery
         });
       }
       // Get records by time range
@@ -1112,9 +1412,10 @@ try {
         if (source_update_set) {
           query += `^update_set.name=${source_update_set}`;
         }
-        recordsToMove = await this.getRecords(table, {
+        // Collect first: moving records can change which ones match the query
+        recordsToMove = await this.getAllRecords(table, {
           sysparm_query: query,
-          sysparm_limit: 1000
+          sysparm_order_by: 'sys_id'
         });
       }
 
@@ -1198,9 +1499,9 @@ try {
 
       // Get all update XML records from source
       if (reportProgress) this.notifyProgress('Fetching update records from source');
-      const updateRecords = await this.getRecords('sys_update_xml', {
+      const updateRecords = await this.getAllRecords('sys_update_xml', {
         sysparm_query: `update_set=${sourceUpdateSetId}`,
-        sysparm_limit: 5000
+        sysparm_order_by: 'sys_id'
       });
 
       const total = updateRecords.length;
@@ -1590,28 +1891,30 @@ try {
       };
 
       if (show_components) {
-        const updates = await this.getRecords('sys_update_xml', {
+        const updates = this.streamRecords('sys_update_xml', {
           sysparm_query: `update_set=${updateSetSysId}`,
           sysparm_fields: 'type,name,target_name',
-          sysparm_limit: 10000
+          sysparm_order_by: 'sys_id'
         });
 
-        result.total_records = updates.length;
-
-        // Group by type
+        // Group by type, keeping the first 10 names of each
         const typeGroups = {};
-        updates.forEach(update => {
+        for await (const update of updates) {
+          result.total_records++;
           const type = update.type || 'unknown';
           if (!typeGroups[type]) {
-            typeGroups[type] = [];
+            typeGroups[type] = { count: 0, items: [] };
           }
-          typeGroups[type].push(update);
-        });
+          typeGroups[type].count++;
+          if (typeGroups[type].items.length < 10) {
+            typeGroups[type].items.push(update.name || update.target_name);
+          }
+        }
 
         result.components = Object.keys(typeGroups).map(type => ({
           type,
-          count: typeGroups[type].length,
-          items: typeGroups[type].slice(0, 10).map(u => u.name || u.target_name)
+          count: typeGroups[type].count,
+          items: typeGroups[type].items
         }));
       }
 
@@ -18,17 +18,25 @@ dotenv.config();
 
 async function main() {
   try {
+    // Run cmd: secret references before the first lookup
+    await configManager.resolveCommandSecrets();
+
     // Get instance configuration (from SERVICENOW_INSTANCE env var or default)
     const instance = configManager.getInstanceOrDefault(process.env.SERVICENOW_INSTANCE);
 
     console.error(`🔗 Default ServiceNow instance: ${instance.name} (${instance.url})`);
     console.error(`💡 Use SN-Set-Instance tool to switch instances during session`);
 
+    // Reload config/servicenow-instances.json when it is edited
+    configManager.watch();
+
     // Create ServiceNow client
     const serviceNowClient = new ServiceNowClient(
       instance.url,
       instance.username,
-      instance.password
+      instance.password,
+      instance.auth,
+      instance.http
     );
     serviceNowClient.currentInstanceName = instance.name;
 
@@ -0,0 +1,245 @@
+/**
+ * ServiceNow MCP Server - Line Diff and Three-Way Merge
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Line-based diff and diff3-style merge used by script sync to report and
+ * reconcile edits made on the instance since the last pull.
+ *
+ * @module text-merge
+ */
+
+/**
+ * Split text into lines, ignoring a single trailing newline
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  return text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Match lines of two texts along their longest common subsequence
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - Changed lines
+ * @returns {Array<number|null>} For each line of `a`, the index of its match in `b` (or null)
+ */
+function matchLines(a, b) {
+  const matches = new Array(a.length).fill(null);
+
+  // Common prefix and suffix are matched directly to keep the table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches[endA] = endB;
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  if (rows === 0 || cols === 0) {
+    return matches;
+  }
+
+  // lengths[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[start + i] === b[start + j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Compute a line diff
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<object>} Operations { type: ' ' | '-' | '+', line }
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const matches = matchLines(a, b);
+  const ops = [];
+
+  let j = 0;
+  a.forEach((line, i) => {
+    if (matches[i] === null) {
+      ops.push({ type: '-', line });
+      return;
+    }
+    while (j < matches[i]) {
+      ops.push({ type: '+', line: b[j++] });
+    }
+    ops.push({ type: ' ', line });
+    j++;
+  });
+  while (j < b.length) {
+    ops.push({ type: '+', line: b[j++] });
+  }
+
+  return ops;
+}
+
+/**
+ * Format a unified diff
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {object} options - Format options
+ * @param {string} options.oldLabel - Label for the original text
+ * @param {string} options.newLabel - Label for the changed text
+ * @param {number} options.context - Unchanged lines shown around each change (default: 3)
+ * @returns {string} Unified diff, or an empty string when the texts match
+ */
+export function formatUnifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  const ops = diffLines(oldText, newText);
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index >= 0);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context overlaps into hunks of op indexes [from, to)
+  const hunks = [];
+  changed.forEach(index => {
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to) {
+      last.to = to;
+    } else {
+      hunks.push({ from, to });
+    }
+  });
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  let oldLine = 1;
+  let newLine = 1;
+  let position = 0;
+
+  hunks.forEach(({ from, to }) => {
+    // Advance line numbers to the start of the hunk
+    for (; position < from; position++) {
+      if (ops[position].type !== '+') oldLine++;
+      if (ops[position].type !== '-') newLine++;
+    }
+
+    const body = ops.slice(from, to);
+    const oldCount = body.filter(op => op.type !== '+').length;
+    const newCount = body.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    body.forEach(op => lines.push(`${op.type}${op.line}`));
+
+    for (; position < to; position++) {
+      if (ops[position].type !== '+') oldLine++;
+      if (ops[position].type !== '-') newLine++;
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Merge two edits of a common base, diff3 style
+ * Regions changed on only one side take that side; regions changed identically
+ * on both take either; other regions become conflicts marked with
+ * <<<<<<< / ||||||| / ======= / >>>>>>> lines.
+ * @param {string} base - Common ancestor
+ * @param {string} local - Local edit
+ * @param {string} remote - Remote edit
+ * @param {object} options - Merge options
+ * @param {string} options.localLabel - Label for the local side of conflict markers
+ * @param {string} options.remoteLabel - Label for the remote side of conflict markers
+ * @returns {object} { merged, conflicts } - Merged text and number of conflicting regions
+ */
+export function mergeThreeWay(base, local, remote, { localLabel = 'local', remoteLabel = 'remote' } = {}) {
+  const baseLines = splitLines(base);
+  const localLines = splitLines(local);
+  const remoteLines = splitLines(remote);
+  const localMatches = matchLines(baseLines, localLines);
+  const remoteMatches = matchLines(baseLines, remoteLines);
+
+  const sameLines = (x, y) => x.length === y.length && x.every((line, index) => line === y[index]);
+  const merged = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  for (;;) {
+    // Copy lines that are unchanged on both sides
+    while (i < baseLines.length && localMatches[i] === j && remoteMatches[i] === k) {
+      merged.push(baseLines[i]);
+      i++;
+      j++;
+      k++;
+    }
+
+    if (i >= baseLines.length && j >= localLines.length && k >= remoteLines.length) {
+      break;
+    }
+
+    // Next base line both sides kept ends the changed region
+    let next = i;
+    while (next < baseLines.length && (localMatches[next] === null || remoteMatches[next] === null)) {
+      next++;
+    }
+    const localEnd = next < baseLines.length ? localMatches[next] : localLines.length;
+    const remoteEnd = next < baseLines.length ? remoteMatches[next] : remoteLines.length;
+
+    const baseChunk = baseLines.slice(i, next);
+    const localChunk = localLines.slice(j, localEnd);
+    const remoteChunk = remoteLines.slice(k, remoteEnd);
+
+    if (sameLines(localChunk, baseChunk)) {
+      merged.push(...remoteChunk);
+    } else if (sameLines(remoteChunk, baseChunk) || sameLines(localChunk, remoteChunk)) {
+      merged.push(...localChunk);
+    } else {
+      conflicts++;
+      merged.push(
+        `<<<<<<< ${localLabel}`,
+        ...localChunk,
+        '||||||| base',
+        ...baseChunk,
+        '=======',
+        ...remoteChunk,
+        `>>>>>>> ${remoteLabel}`
+      );
+    }
+
+    i = next;
+    j = localEnd;
+    k = remoteEnd;
+  }
+
+  return { merged: merged.join('\n'), conflicts };
+}
@@ -0,0 +1,227 @@
+/**
+ * ServiceNow MCP Server - Per-Instance Tool Policy
+ *
+ * Copyright (c) 2025 Happy Technologies LLC
+ * Licensed under the MIT License - see LICENSE file for details
+ *
+ * Decides which tools an instance exposes and whether a call may run,
+ * based on the instance's settings in servicenow-instances.json:
+ *
+ * `tools.allow` / `tools.deny` - glob patterns over tool names (e.g. "SN-List-*").
+ * When allow patterns are set, only matching tools are available; deny
+ * patterns always win.
+ *
+ * `mode`:
+ * - full: every tool is available (default)
+ * - confirm_writes: mutating tools run only when confirmed. The server asks the
+ *   user through MCP elicitation when the client supports it; otherwise the call
+ *   must pass `confirm: true`, which the model can set itself, so that fallback
+ *   only slows writes down rather than guaranteeing a human saw them
+ * - read_only: mutating tools are hidden and rejected
+ *
+ * @module tool-policy
+ */
+
+/**
+ * Supported instance modes
+ */
+export const INSTANCE_MODES = ['full', 'confirm_writes', 'read_only'];
+
+/**
+ * Tools that create, modify or delete data on the instance, or run server-side code
+ * SN-Set-Update-Set is listed because its fallback schedules a server-side script
+ * through sys_trigger. Tools that only change session context (application scope)
+ * or write local files are not listed.
+ */
+export const MUTATING_TOOLS = new Set([
+  'SN-Create-Record',
+  'SN-Update-Record',
+  'SN-Create-Incident',
+  'SN-Execute-Background-Script',
+  'SN-Batch-Create',
+  'SN-Batch-Update',
+  'SN-Create-Workflow',
+  'SN-Create-Activity',
+  'SN-Create-Transition',
+  'SN-Publish-Workflow',
+  'SN-Set-Update-Set',
+  'SN-Move-Records-To-Update-Set',
+  'SN-Clone-Update-Set',
+  'SN-Add-Comment',
+  'SN-Add-Work-Notes',
+  'SN-Assign-Incident',
+  'SN-Resolve-Incident',
+  'SN-Close-Incident',
+  'SN-Add-Change-Comment',
+  'SN-Assign-Change',
+  'SN-Approve-Change',
+  'SN-Add-Problem-Comment',
+  'SN-Close-Problem',
+  'SN-Watch-Scripts'
+]);
+
+/**
+ * Tools that write to the instance unless called with `direction: 'pull'`
+ * They stay listed on read_only instances so scripts can still be pulled.
+ */
+export const PUSH_TOOLS = new Set([
+  'SN-Sync-Script',
+  'SN-Sync-All-Scripts'
+]);
+
+/**
+ * Check whether a tool modifies the instance
+ * @param {string} toolName - Tool name
+ * @returns {boolean} True for mutating tools
+ */
+export function isMutatingTool(toolName) {
+  return MUTATING_TOOLS.has(toolName);
+}
+
+/**
+ * Check whether a tool may modify the instance, depending on its arguments
+ * @param {string} toolName - Tool name
+ * @returns {boolean} True for mutating tools and push tools
+ */
+export function canMutate(toolName) {
+  return isMutatingTool(toolName) || PUSH_TOOLS.has(toolName);
+}
+
+/**
+ * Check whether a specific tool call modifies the instance
+ * @param {string} toolName - Tool name
+ * @param {object} args - Tool arguments
+ * @returns {boolean} True if the call writes to the instance
+ */
+export function isMutatingCall(toolName, args = {}) {
+  if (PUSH_TOOLS.has(toolName)) {
+    return args.direction !== 'pull';
+  }
+  return isMutatingTool(toolName);
+}
+
+/**
+ * Compile a tool name glob into a regular expression
+ * `*` matches any run of characters and `?` a single character; matching ignores case.
+ * @param {string} pattern - Glob pattern, e.g. "SN-*-Workflow"
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a tool name matches a glob pattern
+ * @param {string} toolName - Tool name
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} True if the pattern matches
+ */
+export function matchesToolPattern(toolName, pattern) {
+  return globToRegExp(pattern).test(toolName);
+}
+
+/**
+ * Apply an instance's allow/deny rules to a tool
+ * @param {string} toolName - Tool name
+ * @param {object} instance - Instance entry from configManager.listInstances()
+ * @returns {string|null} Description of the rule that blocks the tool, or null if allowed
+ */
+function findBlockingRule(toolName, instance) {
+  const { allow = [], deny = [] } = instance?.tools || {};
+
+  const denyPattern = deny.find(pattern => matchesToolPattern(toolName, pattern));
+  if (denyPattern) {
+    return `tools.deny pattern '${denyPattern}'`;
+  }
+
+  if (allow.length > 0 && !allow.some(pattern => matchesToolPattern(toolName, pattern))) {
+    return `tools.allow (no pattern matches; allowed: ${allow.join(', ')})`;
+  }
+
+  return null;
+}
+
+/**
+ * Get an instance's mode, defaulting to 'full'
+ * @param {object} instance - Instance entry from configManager.listInstances()
+ * @returns {string} Instance mode
+ */
+export function getInstanceMode(instance) {
+  return instance?.mode || 'full';
+}
+
+/**
+ * Remove tools the instance does not expose
+ * @param {Array} tools - Tool definitions
+ * @param {object} instance - Instance entry from configManager.listInstances()
+ * @param {object} options - Filter options
+ * @param {Array<string>} options.exempt - Tool names that are always kept
+ * @returns {Array} Tools available on the instance
+ */
+export function filterToolsForInstance(tools, instance, { exempt = [] } = {}) {
+  const readOnly = getInstanceMode(instance) === 'read_only';
+
+  return tools.filter(tool => {
+    if (exempt.includes(tool.name)) {
+      return true;
+    }
+    if (readOnly && isMutatingTool(tool.name)) {
+      return false;
+    }
+    return findBlockingRule(tool.name, instance) === null;
+  });
+}
+
+/**
+ * Decide whether a tool call may run on an instance
+ * @param {string} toolName - Tool name
+ * @param {object} instance - Instance entry from configManager.listInstances()
+ * @param {object} options - Call options
+ * @param {boolean} options.confirmed - Whether the call passed `confirm: true`
+ * @param {object} options.args - Tool arguments (decide whether push tools write)
+ * @returns {object} { allowed: true } or { allowed: false, reason, rule, confirmation_required }
+ */
+export function checkToolAccess(toolName, instance, { confirmed = false, args = {} } = {}) {
+  const rule = findBlockingRule(toolName, instance);
+  if (rule) {
+    return {
+      allowed: false,
+      rule,
+      reason: `${toolName} is blocked on instance '${instance.name}' by ${rule}`
+    };
+  }
+
+  if (!isMutatingCall(toolName, args)) {
+    return { allowed: true };
+  }
+
+  const mode = getInstanceMode(instance);
+
+  if (mode === 'read_only') {
+    const hint = PUSH_TOOLS.has(toolName) ? " (use direction: 'pull' to download only)" : '';
+    return {
+      allowed: false,
+      rule: 'mode read_only',
+      reason: `${toolName} is blocked: instance '${instance.name}' is read_only${hint}`
+    };
+  }
+
+  if (mode === 'confirm_writes' && !confirmed) {
+    return {
+      allowed: false,
+      rule: 'mode confirm_writes',
+      confirmation_required: true,
+      reason: `${toolName} modifies instance '${instance.name}' (mode: confirm_writes). Show the user this change and ask them to approve it; only once they have, call it again with confirm: true.`
+    };
+  }
+
+  return { allowed: true };
+}
@@ -0,0 +1,228 @@
+/**
+ * Tests for application sync
+ * Tests: application lookup, pulling an app by type, metadata export, manifest matching on push
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pullApplication, resolveApplication } from '../src/app-sync.js';
+import { syncScript, parseScriptFile } from '../src/script-sync.js';
+import { createMockServiceNowClient } from './helpers/mocks.js';
+
+const APP = {
+  sys_id: 'a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4',
+  name: 'Fleet Manager',
+  scope: 'x_acme_fleet',
+  version: '1.2.0',
+  sys_class_name: 'sys_app'
+};
+
+const instanceRecords = {
+  sys_script_include: [
+    { sys_id: 'si1', name: 'FleetUtils', script: 'var FleetUtils = Class.create();', sys_scope: APP.sys_id }
+  ],
+  sys_script: [
+    { sys_id: 'br1', name: 'Set fleet owner', collection: 'x_acme_fleet_vehicle', when: 'before', script: 'current.owner = gs.getUserID();' }
+  ],
+  sp_widget: [
+    { sys_id: 'w1', id: 'fleet-summary', name: 'Fleet Summary', template: '<div></div>', css: '', client_script: '', script: '', link: '' }
+  ],
+  sys_db_object: [
+    { sys_id: 't1', name: 'x_acme_fleet_vehicle', label: 'Vehicle', super_class: '' }
+  ],
+  sys_dictionary: [
+    { sys_id: 'd0', name: 'x_acme_fleet_vehicle', element: '', internal_type: 'collection' },
+    { sys_id: 'd1', name: 'x_acme_fleet_vehicle', element: 'plate', column_label: 'Plate', internal_type: 'string', max_length: '20' },
+    { sys_id: 'd2', name: 'incident', element: 'x_acme_fleet_vehicle', column_label: 'Vehicle', internal_type: 'reference', reference: 'x_acme_fleet_vehicle' }
+  ],
+  sys_security_acl: [
+    { sys_id: 'acl1', name: 'x_acme_fleet_vehicle', 'operation.name': 'read', type: 'record', active: 'true' }
+  ],
+  sys_security_acl_role: [
+    { sys_security_acl: 'acl1', 'sys_user_role.name': 'x_acme_fleet.user' }
+  ]
+};
+
+async function* streamOf(records) {
+  yield* records;
+}
+
+describe('Application Sync', () => {
+  let tempDir;
+  let appDir;
+  let mockClient;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-sync-'));
+    appDir = path.join(tempDir, 'fleet');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockClient = createMockServiceNowClient();
+    mockClient.getRecords.mockImplementation(async (table, query) => {
+      if (table === 'sys_scope') {
+        return [`scope=${APP.scope}`, `sys_id=${APP.sys_id}`].includes(query.sysparm_query) ? [APP] : [];
+      }
+      return [];
+    });
+    mockClient.streamRecords.mockImplementation((table) => streamOf(instanceRecords[table] || []));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should find applications by scope or sys_id', async () => {
+    expect(await resolveApplication(mockClient, 'x_acme_fleet')).toBe(APP);
+    expect(await resolveApplication(mockClient, APP.sys_id)).toBe(APP);
+    await expect(resolveApplication(mockClient, 'x_unknown')).rejects.toThrow('Application not found: x_unknown');
+  });
+
+  it('should pull the application scripts into one directory per type', async () => {
+    const result = await pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir });
+
+    expect(result.synced).toBe(4);
+    expect(result.by_type).toEqual({ sys_script_include: 1, sys_script: 1, sp_widget: 1, sys_security_acl: 1 });
+    expect(mockClient.streamRecords).toHaveBeenCalledWith('sys_script_include', expect.objectContaining({
+      sysparm_query: `sys_scope=${APP.sys_id}`
+    }));
+
+    // Types without records leave no directory behind
+    expect((await fs.readdir(appDir)).sort()).toEqual(['metadata', 'sn-manifest.json', 'sp_widget', 'sys_script', 'sys_script_include', 'sys_security_acl']);
+    const include = await fs.readFile(path.join(appDir, 'sys_script_include', 'FleetUtils.sys_script_include.js'), 'utf-8');
+    expect(parseScriptFile(include).script).toBe('var FleetUtils = Class.create();');
+    expect(await fs.readFile(path.join(appDir, 'sp_widget', 'fleet-summary.sp_widget', 'template.html'), 'utf-8')).toBe('<div></div>');
+  });
+
+  it('should write a manifest mapping files to records', async () => {
+    mockClient.currentInstanceName = 'dev';
+    await pullApplication(mockClient, { application: APP.sys_id, directory: appDir });
+
+    const manifest = JSON.parse(await fs.readFile(path.join(appDir, 'sn-manifest.json'), 'utf-8'));
+    expect(manifest.instance).toBe('dev');
+    expect(manifest.application).toEqual({ sys_id: APP.sys_id, name: 'Fleet Manager', scope: 'x_acme_fleet' });
+    expect(manifest.files).toEqual({
+      'sys_script_include/FleetUtils.sys_script_include.js': { type: 'sys_script_include', table: 'sys_script_include', sys_id: 'si1', name: 'FleetUtils' },
+      'sys_script/Set_fleet_owner@x_acme_fleet_vehicle.sys_script.js': { type: 'sys_script', table: 'sys_script', sys_id: 'br1', name: 'Set fleet owner@x_acme_fleet_vehicle' },
+      'sp_widget/fleet-summary.sp_widget': { type: 'sp_widget', table: 'sp_widget', sys_id: 'w1', name: 'fleet-summary' },
+      'sys_security_acl/x_acme_fleet_vehicle@read.sys_security_acl.js': { type: 'sys_security_acl', table: 'sys_security_acl', sys_id: 'acl1', name: 'x_acme_fleet_vehicle@read' }
+    });
+    expect(manifest.metadata).toEqual([
+      'metadata/application.json',
+      'metadata/tables/incident.json',
+      'metadata/tables/x_acme_fleet_vehicle.json',
+      'metadata/acls.json'
+    ]);
+  });
+
+  it('should count a script type that failed to pull as a failure and keep its manifest entries', async () => {
+    await pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir, include_metadata: false });
+    mockClient.streamRecords.mockImplementation((table) => (table === 'sys_script'
+      ? (async function* () { throw new Error('Request failed with status code 403'); })()
+      : streamOf(instanceRecords[table] || [])));
+
+    const result = await pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir, include_metadata: false });
+
+    expect(result.failed).toBe(1);
+    expect(result.failures).toEqual([{ script_type: 'sys_script', error: 'Request failed with status code 403' }]);
+    const manifest = JSON.parse(await fs.readFile(path.join(appDir, 'sn-manifest.json'), 'utf-8'));
+    expect(manifest.files['sys_script/Set_fleet_owner@x_acme_fleet_vehicle.sys_script.js']).toMatchObject({ sys_id: 'br1' });
+  });
+
+  it('should drop manifest entries of records deleted on the instance', async () => {
+    await pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir, include_metadata: false });
+    mockClient.streamRecords.mockImplementation((table) => streamOf(table === 'sys_script_include' ? [] : instanceRecords[table] || []));
+
+    const result = await pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir, include_metadata: false });
+
+    expect(result.pruned).toEqual(['sys_script_include/FleetUtils.sys_script_include.js']);
+    const manifest = JSON.parse(await fs.readFile(path.join(appDir, 'sn-manifest.json'), 'utf-8'));
+    expect(Object.keys(manifest.files)).not.toContain('sys_script_include/FleetUtils.sys_script_include.js');
+    expect(Object.keys(manifest.files)).toContain('sp_widget/fleet-summary.sp_widget');
+  });
+
+  it('should keep manifest entries of script types left out of the pull', async () => {
+    await pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir, include_metadata: false });
+
+    const result = await pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir, script_types: ['sys_script_include'], include_metadata: false });
+
+    expect(result.pruned).toEqual([]);
+    const manifest = JSON.parse(await fs.readFile(path.join(appDir, 'sn-manifest.json'), 'utf-8'));
+    expect(Object.keys(manifest.files)).toHaveLength(4);
+  });
+
+  it('should export tables, dictionary entries and ACLs as JSON', async () => {
+    await pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir });
+
+    const readJson = async (file) => JSON.parse(await fs.readFile(path.join(appDir, 'metadata', file), 'utf-8'));
+
+    expect(await readJson('application.json')).toEqual(APP);
+    const vehicle = await readJson('tables/x_acme_fleet_vehicle.json');
+    expect(vehicle.table.label).toBe('Vehicle');
+    expect(vehicle.columns.map(column => column.element)).toEqual(['', 'plate']);
+    // Columns the app adds to tables of other scopes
+    const incident = await readJson('tables/incident.json');
+    expect(incident.table).toBeNull();
+    expect(incident.columns[0].reference).toBe('x_acme_fleet_vehicle');
+    expect(await readJson('acls.json')).toEqual([
+      expect.objectContaining({ sys_id: 'acl1', 'operation.name': 'read', roles: ['x_acme_fleet.user'] })
+    ]);
+  });
+
+  it('should skip metadata when asked', async () => {
+    const result = await pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir, script_types: ['sys_script_include'], include_metadata: false });
+
+    expect(result.metadata_files).toEqual([]);
+    expect((await fs.readdir(appDir)).sort()).toEqual(['sn-manifest.json', 'sys_script_include']);
+  });
+
+  it('should reject unknown script types', async () => {
+    await expect(pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir, script_types: ['sys_flow'] }))
+      .rejects.toThrow('Invalid script type(s): sys_flow');
+  });
+
+  describe('Manifest Matching', () => {
+    beforeEach(async () => {
+      await pullApplication(mockClient, { application: 'x_acme_fleet', directory: appDir });
+      mockClient.getRecords.mockReset();
+    });
+
+    it('should push files listed in the manifest by sys_id', async () => {
+      mockClient.getRecords.mockResolvedValue([{ sys_id: 'br1', name: 'Set fleet owner', script: 'current.owner = gs.getUserID();' }]);
+      mockClient.updateRecord.mockResolvedValue({});
+      const filePath = path.join(appDir, 'sys_script', 'Set_fleet_owner@x_acme_fleet_vehicle.sys_script.js');
+      const content = await fs.readFile(filePath, 'utf-8');
+      await fs.writeFile(filePath, content.replace('current.owner = gs.getUserID();', 'current.owner = current.opened_by;'));
+
+      // The sanitized file name no longer matches the record name; the manifest does
+      const result = await syncScript(mockClient, {
+        script_name: 'Set_fleet_owner@x_acme_fleet_vehicle',
+        script_type: 'sys_script',
+        file_path: filePath,
+        direction: 'push'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.matched_by).toBe('manifest');
+      expect(mockClient.getRecords.mock.calls[0][1].sysparm_query).toBe('sys_id=br1');
+      expect(mockClient.updateRecord).toHaveBeenCalledWith('sys_script', 'br1', { script: 'current.owner = current.opened_by;' });
+    });
+
+    it('should add scripts created in the application directory to the manifest', async () => {
+      mockClient.getRecords.mockResolvedValue([]);
+      mockClient.getCurrentApplication.mockResolvedValue({ sys_id: APP.sys_id, name: APP.name });
+      mockClient.createRecord.mockImplementation(async (table, data) => ({ ...data, sys_id: 'si2' }));
+      const filePath = path.join(appDir, 'sys_script_include', 'FleetMath.sys_script_include.js');
+      await fs.writeFile(filePath, 'var FleetMath = {};');
+
+      const result = await syncScript(mockClient, { script_name: 'FleetMath', script_type: 'sys_script_include', file_path: filePath, direction: 'push' });
+
+      expect(result.created).toBe(true);
+      const manifest = JSON.parse(await fs.readFile(path.join(appDir, 'sn-manifest.json'), 'utf-8'));
+      expect(manifest.files['sys_script_include/FleetMath.sys_script_include.js']).toEqual({
+        type: 'sys_script_include', table: 'sys_script_include', sys_id: 'si2', name: 'FleetMath'
+      });
+    });
+  });
+});
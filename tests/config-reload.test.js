@@ -0,0 +1,194 @@
+/**
+ * Tests for instance config validation and hot reload
+ * Tests: schema validation, reload change events, file watching and session updates
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigManager, configManager } from '../src/config-manager.js';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { connectSession } from './helpers/mocks.js';
+
+const dev = { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'pw', default: true };
+const prod = { name: 'prod', url: 'https://prod123.service-now.com', username: 'api', password: 'pw' };
+
+describe('Instance Config Validation', () => {
+  const manager = new ConfigManager();
+
+  it('should accept a valid config', () => {
+    expect(manager.validateConfig({ instances: [dev, prod] })).toEqual([dev, prod]);
+  });
+
+  it('should reject a config without instances', () => {
+    expect(() => manager.validateConfig({ instances: [] })).toThrow('At least one instance must be configured');
+    expect(() => manager.validateConfig({})).toThrow('instances: Required');
+  });
+
+  it('should reject bad URLs', () => {
+    expect(() => manager.validateConfig({ instances: [{ ...dev, url: 'dev123.service-now.com' }] }))
+      .toThrow('instances[0].url: Invalid url');
+    expect(() => manager.validateConfig({ instances: [{ ...dev, url: 'ftp://dev123.service-now.com' }] }))
+      .toThrow('instances[0].url: Must be an http(s) URL');
+  });
+
+  it('should reject duplicate names', () => {
+    expect(() => manager.validateConfig({ instances: [dev, { ...prod, name: 'dev' }] }))
+      .toThrow('Duplicate instance name: dev');
+  });
+
+  it('should reject multiple defaults', () => {
+    expect(() => manager.validateConfig({ instances: [dev, { ...prod, default: true }] }))
+      .toThrow('Only one instance may be the default, found: dev, prod');
+  });
+
+  it('should report missing credentials with the instance name', () => {
+    expect(() => manager.validateConfig({ instances: [dev, { name: 'prod', url: prod.url }] }))
+      .toThrow("Instance configuration missing required field: username (instance 'prod')");
+  });
+
+  it('should report every problem at once', () => {
+    try {
+      manager.validateConfig({ instances: [dev, { ...dev }, { ...prod, default: true }] });
+      throw new Error('expected validation to fail');
+    } catch (error) {
+      expect(error.message).toContain('Duplicate instance name: dev');
+      expect(error.message).toContain('Only one instance may be the default');
+    }
+  });
+});
+
+describe('Instance Config Reload', () => {
+  let tmpDir;
+  let manager;
+
+  const writeConfig = (instances) => {
+    fs.writeFileSync(manager.configPath, JSON.stringify({ instances }, null, 2));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sn-config-'));
+    manager = new ConfigManager();
+    manager.configPath = path.join(tmpDir, 'servicenow-instances.json');
+  });
+
+  afterEach(async () => {
+    await manager.stopWatching();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should validate the file at load', () => {
+    writeConfig([dev, { ...prod, default: true }]);
+
+    expect(() => manager.loadInstances()).toThrow('Failed to load ServiceNow instances config: Invalid instances config');
+  });
+
+  it('should emit a change event naming changed instances', async () => {
+    writeConfig([dev, prod]);
+    manager.loadInstances();
+    const onChange = jest.fn();
+    manager.on('change', onChange);
+
+    writeConfig([dev, { ...prod, password: 'rotated' }, { ...prod, name: 'test' }]);
+
+    expect(await manager.reload()).toBe(true);
+    expect(onChange).toHaveBeenCalledWith({
+      instances: expect.arrayContaining([expect.objectContaining({ name: 'test' })]),
+      changed: ['prod', 'test']
+    });
+    expect(manager.getInstance('prod').password).toBe('rotated');
+  });
+
+  it('should keep the previous config when the new file is invalid', async () => {
+    writeConfig([dev, prod]);
+    manager.loadInstances();
+    const onChange = jest.fn();
+    const onError = jest.fn();
+    manager.on('change', onChange);
+    manager.on('reloadError', onError);
+
+    fs.writeFileSync(manager.configPath, '{ "instances": [');
+
+    expect(await manager.reload()).toBe(false);
+    expect(onChange).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(manager.listInstances().map(i => i.name)).toEqual(['dev', 'prod']);
+  });
+
+  it('should reload when the watched file changes', async () => {
+    writeConfig([dev]);
+    manager.loadInstances();
+    const watcher = manager.watch();
+    await new Promise(resolve => watcher.once('ready', resolve));
+
+    const changed = new Promise(resolve => manager.once('change', resolve));
+    writeConfig([dev, prod]);
+
+    const event = await changed;
+    expect(event.changed).toEqual(['prod']);
+    expect(manager.listInstances().map(i => i.name)).toEqual(['dev', 'prod']);
+  }, 10000);
+});
+
+describe('Session Config Updates', () => {
+  let instances;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    instances = { dev: { ...dev }, prod: { ...prod } };
+    jest.spyOn(configManager, 'getInstance').mockImplementation((name) => {
+      if (!instances[name]) {
+        throw new Error(`Instance '${name}' not found`);
+      }
+      return instances[name];
+    });
+    jest.spyOn(configManager, 'listInstances').mockImplementation(() => Object.values(instances));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+
+  it('should re-point the session client when its instance changes', async () => {
+    const session = await connectSession(dev);
+
+    instances.dev = { ...dev, url: 'https://dev456.service-now.com' };
+    configManager.emit('change', { instances: [], changed: ['dev'] });
+
+    expect(session.serviceNowClient.getCurrentInstance()).toEqual({ name: 'dev', url: 'https://dev456.service-now.com' });
+
+    await session.client.close();
+  });
+
+  it('should recreate cached clients for changed instances', async () => {
+    const clients = [];
+    jest.spyOn(ServiceNowClient.prototype, 'getRecordsPage').mockImplementation(async function () {
+      clients.push(this);
+      return { records: [], total_count: 0, links: {}, offset: 0, next_offset: null, prev_offset: null };
+    });
+    const session = await connectSession(dev);
+
+    await session.client.callTool({ name: 'SN-List-Problems', arguments: { instance: 'prod' } });
+    configManager.emit('change', { instances: [], changed: ['prod'] });
+    await session.client.callTool({ name: 'SN-List-Problems', arguments: { instance: 'prod' } });
+
+    expect(clients).toHaveLength(2);
+    expect(clients[0]).not.toBe(clients[1]);
+
+    await session.client.close();
+  });
+
+  it('should stop listening once the session closes', async () => {
+    const before = configManager.listenerCount('change');
+    const session = await connectSession(dev);
+    expect(configManager.listenerCount('change')).toBe(before + 1);
+
+    await session.client.close();
+
+    expect(configManager.listenerCount('change')).toBe(before);
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Tests for git-aware script sync
+ * Tests: committing pulled changes, commit messages, per-file status against HEAD and the instance
+ */
+
+import { jest } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { syncAllScripts, syncScript, getSyncStatus } from '../src/script-sync.js';
+import { pullApplication } from '../src/app-sync.js';
+import { buildPullCommitMessage } from '../src/git-sync.js';
+import { createMockServiceNowClient } from './helpers/mocks.js';
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' });
+
+async function* streamOf(records) {
+  yield* records;
+}
+
+describe('Git Sync', () => {
+  let repoDir;
+  let scriptsDir;
+  let mockClient;
+  let records;
+
+  beforeEach(async () => {
+    repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-sync-'));
+    scriptsDir = path.join(repoDir, 'scripts');
+    git(repoDir, 'init', '--quiet');
+    git(repoDir, 'config', 'user.name', 'Sync Test');
+    git(repoDir, 'config', 'user.email', 'sync@example.com');
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    records = {
+      sys_script_include: [
+        { sys_id: 'si1', name: 'TaskUtils', script: 'var TaskUtils = {};', sys_updated_on: '2026-10-01 09:00:00', sys_updated_by: 'jane.doe' },
+        { sys_id: 'si2', name: 'MathUtils', script: 'var MathUtils = {};', sys_updated_on: '2026-10-02 09:00:00', sys_updated_by: 'admin' }
+      ]
+    };
+    mockClient = createMockServiceNowClient();
+    mockClient.streamRecords.mockImplementation((table) => streamOf(records[table] || []));
+    mockClient.getRecords.mockImplementation(async (table, query) => {
+      const match = query.sysparm_query.match(/^(?:name|sys_id)=(.+)$/);
+      return (records[table] || []).filter(record => match && (record.name === match[1] || record.sys_id === match[1]));
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(repoDir, { recursive: true, force: true });
+  });
+
+  const pullAll = () => syncAllScripts(mockClient, {
+    directory: scriptsDir,
+    script_types: ['sys_script_include'],
+    direction: 'pull',
+    git_commit: true
+  });
+
+  describe('Commit After Pull', () => {
+    it('should commit pulled files naming the instance, table and updater', async () => {
+      const result = await pullAll();
+
+      expect(result.synced).toBe(2);
+      expect(result.git.committed).toBe(true);
+      expect(result.git.files.sort()).toEqual([
+        'scripts/MathUtils.sys_script_include.js',
+        'scripts/TaskUtils.sys_script_include.js'
+      ]);
+
+      const message = git(repoDir, 'log', '-1', '--format=%B');
+      expect(message).toContain('Pull 2 changed record(s) from dev (jane.doe, admin)');
+      expect(message).toContain('- sys_script_include: TaskUtils (updated by jane.doe on 2026-10-01 09:00:00)');
+      expect(message).toContain('- sys_script_include: MathUtils (updated by admin on 2026-10-02 09:00:00)');
+      expect(git(repoDir, 'rev-parse', 'HEAD').trim()).toBe(result.git.commit);
+      // Merge bases stay out of the commit
+      expect(git(repoDir, 'ls-files')).not.toContain('.sn-sync');
+    });
+
+    it('should not commit when a pull brings no changes', async () => {
+      await pullAll();
+      const result = await pullAll();
+
+      expect(result.git).toEqual({ committed: false, commit: null, files: [], records: [], message: null });
+      expect(git(repoDir, 'rev-list', '--count', 'HEAD').trim()).toBe('1');
+    });
+
+    it('should list only the records that changed on the instance', async () => {
+      await pullAll();
+      records.sys_script_include[1] = { ...records.sys_script_include[1], script: 'var MathUtils = { pi: 3 };', sys_updated_by: 'bob', sys_updated_on: '2026-10-05 12:00:00' };
+
+      const result = await pullAll();
+
+      expect(result.git.files).toEqual(['scripts/MathUtils.sys_script_include.js']);
+      expect(result.git.records).toEqual([
+        expect.objectContaining({ table: 'sys_script_include', name: 'MathUtils', sys_id: 'si2', sys_updated_by: 'bob' })
+      ]);
+      expect(git(repoDir, 'log', '-1', '--format=%s').trim()).toBe('Pull 1 changed record(s) from dev (bob)');
+    });
+
+    it('should leave changes staged outside the sync directory alone', async () => {
+      await fs.writeFile(path.join(repoDir, 'notes.md'), 'draft');
+      git(repoDir, 'add', 'notes.md');
+
+      await pullAll();
+
+      expect(git(repoDir, 'show', '--name-only', '--format=', 'HEAD')).not.toContain('notes.md');
+      expect(git(repoDir, 'status', '--porcelain')).toContain('A  notes.md');
+    });
+
+    it('should commit a single pulled script', async () => {
+      const filePath = path.join(repoDir, 'TaskUtils.sys_script_include.js');
+
+      const result = await syncScript(mockClient, {
+        script_name: 'TaskUtils',
+        script_type: 'sys_script_include',
+        file_path: filePath,
+        direction: 'pull',
+        git_commit: true
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.sys_updated_by).toBe('jane.doe');
+      expect(result.git.files).toEqual(['TaskUtils.sys_script_include.js']);
+      expect(git(repoDir, 'log', '-1', '--format=%s').trim()).toBe('Pull 1 changed record(s) from dev (jane.doe)');
+    });
+
+    it('should report git errors without failing the pull', async () => {
+      const plainDir = await fs.mkdtemp(path.join(os.tmpdir(), 'no-git-'));
+      try {
+        const result = await syncAllScripts(mockClient, {
+          directory: plainDir,
+          script_types: ['sys_script_include'],
+          direction: 'pull',
+          git_commit: true
+        });
+
+        expect(result.synced).toBe(2);
+        expect(result.git.committed).toBe(false);
+        expect(result.git.error).toContain('is not inside a git repository');
+      } finally {
+        await fs.rm(plainDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should commit an application pull as one commit', async () => {
+      const app = { sys_id: 'a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4', name: 'Tasks', scope: 'x_acme_tasks' };
+      mockClient.getRecords.mockResolvedValue([app]);
+      const options = { application: 'x_acme_tasks', directory: path.join(repoDir, 'app'), script_types: ['sys_script_include'], git_commit: true };
+
+      const result = await pullApplication(mockClient, options);
+
+      expect(result.git.committed).toBe(true);
+      expect(result.git.files).toEqual(expect.arrayContaining([
+        'app/sn-manifest.json',
+        'app/metadata/application.json',
+        'app/sys_script_include/TaskUtils.sys_script_include.js'
+      ]));
+      expect(result.git.records).toHaveLength(2);
+
+      // The manifest keeps its pull time when nothing else changed
+      const again = await pullApplication(mockClient, options);
+      expect(again.git.committed).toBe(false);
+      expect(git(repoDir, 'rev-list', '--count', 'HEAD').trim()).toBe('1');
+    });
+  });
+
+  describe('Commit Messages', () => {
+    it('should fall back when the updater or instance is unknown', () => {
+      expect(buildPullCommitMessage(null, [{ table: 'sys_script', name: 'Set owner@incident' }]))
+        .toBe('Pull 1 changed record(s) from ServiceNow\n\n- sys_script: Set owner@incident\n');
+      expect(buildPullCommitMessage('dev', [])).toBe('Pull from dev\n');
+    });
+  });
+
+  describe('Status', () => {
+    beforeEach(async () => {
+      await pullAll();
+    });
+
+    const statusOf = async () => {
+      const result = await getSyncStatus(mockClient, { directory: scriptsDir });
+      return Object.fromEntries(result.files.map(file => [file.script_name, file]));
+    };
+
+    it('should report files matching HEAD and the instance as in sync', async () => {
+      const result = await getSyncStatus(mockClient, { directory: scriptsDir });
+
+      expect(result.total_files).toBe(2);
+      expect(result.summary).toEqual({ in_sync: 2 });
+      expect(result.files[0]).toEqual(expect.objectContaining({
+        working_tree_vs_head: 'same',
+        working_tree_vs_instance: 'same'
+      }));
+    });
+
+    it('should tell local edits from instance edits', async () => {
+      const taskPath = path.join(scriptsDir, 'TaskUtils.sys_script_include.js');
+      await fs.writeFile(taskPath, (await fs.readFile(taskPath, 'utf-8')).replace('var TaskUtils = {};', 'var TaskUtils = { local: true };'));
+      records.sys_script_include[1] = { ...records.sys_script_include[1], script: 'var MathUtils = { remote: true };', sys_updated_by: 'bob' };
+
+      const status = await statusOf();
+
+      expect(status.TaskUtils).toEqual(expect.objectContaining({
+        status: 'local_changes',
+        working_tree_vs_head: 'modified',
+        working_tree_vs_instance: 'modified'
+      }));
+      expect(status.MathUtils).toEqual(expect.objectContaining({
+        status: 'instance_changes',
+        working_tree_vs_head: 'same',
+        working_tree_vs_instance: 'modified',
+        sys_updated_by: 'bob'
+      }));
+    });
+
+    it('should report uncommitted pulls, divergence and deleted records', async () => {
+      records.sys_script_include[0] = { ...records.sys_script_include[0], script: 'var TaskUtils = { v: 2 };' };
+      await syncScript(mockClient, {
+        script_name: 'TaskUtils',
+        script_type: 'sys_script_include',
+        file_path: path.join(scriptsDir, 'TaskUtils.sys_script_include.js'),
+        direction: 'pull'
+      });
+      const mathPath = path.join(scriptsDir, 'MathUtils.sys_script_include.js');
+      await fs.writeFile(mathPath, 'var MathUtils = { local: true };');
+      records.sys_script_include[1] = { ...records.sys_script_include[1], script: 'var MathUtils = { remote: true };' };
+      await fs.writeFile(path.join(scriptsDir, 'NewUtils.sys_script_include.js'), 'var NewUtils = {};');
+
+      const status = await statusOf();
+
+      expect(status.TaskUtils.status).toBe('uncommitted');
+      expect(status.MathUtils.status).toBe('diverged');
+      expect(status.NewUtils).toEqual(expect.objectContaining({
+        status: 'not_on_instance',
+        working_tree_vs_head: 'untracked',
+        working_tree_vs_instance: 'missing'
+      }));
+    });
+
+    it('should require a git repository', async () => {
+      const plainDir = await fs.mkdtemp(path.join(os.tmpdir(), 'no-git-'));
+      try {
+        await expect(getSyncStatus(mockClient, { directory: plainDir })).rejects.toThrow('is not inside a git repository');
+      } finally {
+        await fs.rm(plainDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
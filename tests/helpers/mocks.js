@@ -3,6 +3,10 @@
  */
 
 import { jest } from '@jest/globals';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ServiceNowClient } from '../../src/servicenow-client.js';
+import { createMcpServer } from '../../src/mcp-server-consolidated.js';
 
 /**
  * Create a mock ServiceNow client
@@ -20,6 +24,9 @@ export function createMockServiceNowClient() {
 
     // Generic table operations
     getRecords: jest.fn(),
+    getRecordsPage: jest.fn(),
+    streamRecords: jest.fn(),
+    getAllRecords: jest.fn(),
     getRecord: jest.fn(),
     createRecord: jest.fn(),
     updateRecord: jest.fn(),
@@ -29,6 +36,7 @@ export function createMockServiceNowClient() {
     setCurrentUpdateSet: jest.fn(),
     getCurrentUpdateSet: jest.fn(),
     listUpdateSets: jest.fn(),
+    getCurrentApplication: jest.fn(),
 
     // Background script execution
     executeScriptViaTrigger: jest.fn(),
@@ -71,6 +79,26 @@ export function createMockServiceNowClient() {
   };
 }
 
+/**
+ * Connect an MCP client to a fresh server backed by its own ServiceNow client
+ * Spy on configManager and ServiceNowClient.prototype before connecting.
+ *
+ * @param {object} instance - Instance the session starts on ({ name, url, username, password })
+ * @param {object} capabilities - Client capabilities, e.g. { elicitation: {} } (optional)
+ * @returns {Promise<object>} - { serviceNowClient, server, client }
+ */
+export async function connectSession(instance, capabilities = {}) {
+  const serviceNowClient = new ServiceNowClient(instance.url, instance.username, instance.password);
+  serviceNowClient.currentInstanceName = instance.name;
+
+  const server = await createMcpServer(serviceNowClient);
+  const client = new Client({ name: 'test-client', version: '1.0.0' }, { capabilities });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+
+  return { serviceNowClient, server, client };
+}
+
 /**
  * Create mock file system operations
  */
@@ -0,0 +1,199 @@
+/**
+ * Tests for read-only and write-protected instance modes
+ * Tests: tool policy decisions, ListTools filtering, CallTool blocking and confirmation
+ */
+
+import { jest } from '@jest/globals';
+import { ElicitRequestSchema, ToolListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { ConfigManager, configManager } from '../src/config-manager.js';
+import { checkToolAccess, filterToolsForInstance, isMutatingTool, isMutatingCall } from '../src/tool-policy.js';
+import { connectSession } from './helpers/mocks.js';
+
+const instances = {
+  dev: { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'pw' },
+  test: { name: 'test', url: 'https://test123.service-now.com', username: 'admin', password: 'pw', mode: 'confirm_writes' },
+  prod: { name: 'prod', url: 'https://prod123.service-now.com', username: 'api', password: 'pw', mode: 'read_only' }
+};
+
+describe('Tool Policy', () => {
+  it('should classify mutating tools', () => {
+    expect(isMutatingTool('SN-Update-Record')).toBe(true);
+    expect(isMutatingTool('SN-Batch-Update')).toBe(true);
+    expect(isMutatingTool('SN-Execute-Background-Script')).toBe(true);
+    expect(isMutatingTool('SN-Query-Table')).toBe(false);
+    expect(isMutatingTool('SN-Set-Update-Set')).toBe(true);
+    expect(isMutatingTool('SN-Set-Current-Application')).toBe(false);
+  });
+
+  it('should treat script sync as a write unless it pulls', () => {
+    expect(isMutatingCall('SN-Sync-Script', { direction: 'pull' })).toBe(false);
+    expect(isMutatingCall('SN-Sync-Script', { direction: 'push' })).toBe(true);
+    expect(isMutatingCall('SN-Sync-All-Scripts', {})).toBe(true);
+    expect(isMutatingCall('SN-Watch-Scripts', {})).toBe(true);
+  });
+
+  it('should allow everything in full mode', () => {
+    expect(checkToolAccess('SN-Update-Record', instances.dev)).toEqual({ allowed: true });
+  });
+
+  it('should block mutating tools in read_only mode', () => {
+    expect(checkToolAccess('SN-Update-Record', instances.prod)).toEqual({
+      allowed: false,
+      rule: 'mode read_only',
+      reason: "SN-Update-Record is blocked: instance 'prod' is read_only"
+    });
+    expect(checkToolAccess('SN-Update-Record', instances.prod, { confirmed: true }).allowed).toBe(false);
+    expect(checkToolAccess('SN-Query-Table', instances.prod).allowed).toBe(true);
+  });
+
+  it('should require confirmation in confirm_writes mode', () => {
+    const denied = checkToolAccess('SN-Batch-Update', instances.test);
+    expect(denied.allowed).toBe(false);
+    expect(denied.confirmation_required).toBe(true);
+    expect(checkToolAccess('SN-Batch-Update', instances.test, { confirmed: true }).allowed).toBe(true);
+  });
+
+  it('should hide mutating tools only for read_only instances', () => {
+    const tools = [{ name: 'SN-Query-Table' }, { name: 'SN-Update-Record' }];
+
+    expect(filterToolsForInstance(tools, instances.prod).map(t => t.name)).toEqual(['SN-Query-Table']);
+    expect(filterToolsForInstance(tools, instances.test)).toHaveLength(2);
+  });
+
+  it('should validate the configured mode', () => {
+    const manager = new ConfigManager();
+    expect(() => manager.validateConfig({ instances: [{ ...instances.dev, mode: 'readonly' }] }))
+      .toThrow('instances[0].mode');
+    expect(manager.validateConfig({ instances: Object.values(instances) })).toHaveLength(3);
+  });
+});
+
+describe('Instance Modes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(configManager, 'getInstance').mockImplementation((name) => {
+      if (!instances[name]) {
+        throw new Error(`Instance '${name}' not found`);
+      }
+      return instances[name];
+    });
+    jest.spyOn(configManager, 'listInstances').mockImplementation(() => (
+      Object.values(instances).map(i => ({ name: i.name, url: i.url, mode: i.mode || 'full' }))
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should hide destructive tools when the active instance is read-only', async () => {
+    const session = await connectSession(instances.prod);
+
+    const { tools } = await session.client.listTools();
+    const names = tools.map(t => t.name);
+
+    expect(names).toContain('SN-Query-Table');
+    expect(names).toContain('SN-Set-Instance');
+    expect(names).not.toContain('SN-Update-Record');
+    expect(names).not.toContain('SN-Execute-Background-Script');
+
+    await session.client.close();
+  });
+
+  it('should advertise the confirm argument on mutating tools', async () => {
+    const session = await connectSession(instances.test);
+
+    const { tools } = await session.client.listTools();
+
+    expect(tools.find(t => t.name === 'SN-Update-Record').inputSchema.properties.confirm).toBeDefined();
+    expect(tools.find(t => t.name === 'SN-Query-Table').inputSchema.properties.confirm).toBeUndefined();
+
+    await session.client.close();
+  });
+
+  it('should reject writes to a read-only instance named in the call', async () => {
+    const updateRecord = jest.spyOn(ServiceNowClient.prototype, 'updateRecord').mockResolvedValue({});
+    const session = await connectSession(instances.dev);
+
+    const result = await session.client.callTool({
+      name: 'SN-Update-Record',
+      arguments: { table_name: 'incident', sys_id: 'abc', data: { state: '2' }, instance: 'prod' }
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe("Error: SN-Update-Record is blocked: instance 'prod' is read_only");
+    expect(updateRecord).not.toHaveBeenCalled();
+
+    await session.client.close();
+  });
+
+  it('should run writes on confirm_writes instances only when confirmed', async () => {
+    const updateRecord = jest.spyOn(ServiceNowClient.prototype, 'updateRecord').mockResolvedValue({ sys_id: 'abc' });
+    const session = await connectSession(instances.test);
+    const args = { table_name: 'incident', sys_id: 'abc', data: { state: '2' } };
+
+    const unconfirmed = await session.client.callTool({ name: 'SN-Update-Record', arguments: args });
+    expect(unconfirmed.isError).toBe(true);
+    expect(unconfirmed.content[0].text).toContain('Confirmation required');
+    expect(updateRecord).not.toHaveBeenCalled();
+
+    const confirmed = await session.client.callTool({ name: 'SN-Update-Record', arguments: { ...args, confirm: true } });
+    expect(confirmed.isError).toBeFalsy();
+    expect(updateRecord).toHaveBeenCalledWith('incident', 'abc', { state: '2' });
+
+    await session.client.close();
+  });
+
+  it('should ask the user to approve writes when the client supports elicitation', async () => {
+    const updateRecord = jest.spyOn(ServiceNowClient.prototype, 'updateRecord').mockResolvedValue({ sys_id: 'abc' });
+    const session = await connectSession(instances.test, { elicitation: {} });
+    const answers = [{ action: 'accept', content: { approve: false } }, { action: 'decline' }, { action: 'accept', content: { approve: true } }];
+    const onElicit = jest.fn(async () => answers.shift());
+    session.client.setRequestHandler(ElicitRequestSchema, onElicit);
+    const args = { table_name: 'incident', sys_id: 'abc', data: { state: '2' } };
+
+    // The model's own confirm flag does not count as approval
+    const unapproved = await session.client.callTool({ name: 'SN-Update-Record', arguments: { ...args, confirm: true } });
+    expect(unapproved.isError).toBe(true);
+    expect(unapproved.content[0].text).toBe("Error: SN-Update-Record was not approved by the user for instance 'test' (mode: confirm_writes)");
+    expect(onElicit.mock.calls[0][0].params.message).toContain("SN-Update-Record will modify instance 'test'");
+
+    const declined = await session.client.callTool({ name: 'SN-Update-Record', arguments: args });
+    expect(declined.isError).toBe(true);
+    expect(updateRecord).not.toHaveBeenCalled();
+
+    const approved = await session.client.callTool({ name: 'SN-Update-Record', arguments: args });
+    expect(approved.isError).toBeFalsy();
+    expect(updateRecord).toHaveBeenCalledWith('incident', 'abc', { state: '2' });
+
+    await session.client.close();
+  });
+
+  it('should treat SN-Set-Update-Set as a write', async () => {
+    const setCurrentUpdateSet = jest.spyOn(ServiceNowClient.prototype, 'setCurrentUpdateSet').mockResolvedValue({});
+    const session = await connectSession(instances.prod);
+
+    const result = await session.client.callTool({ name: 'SN-Set-Update-Set', arguments: { update_set_sys_id: 'a'.repeat(32) } });
+
+    expect(result.content[0].text).toBe("Error: SN-Set-Update-Set is blocked: instance 'prod' is read_only");
+    expect(setCurrentUpdateSet).not.toHaveBeenCalled();
+
+    await session.client.close();
+  });
+
+  it('should notify the client when switching instances changes the tool list', async () => {
+    const session = await connectSession(instances.dev);
+    const onListChanged = jest.fn();
+    session.client.setNotificationHandler(ToolListChangedNotificationSchema, onListChanged);
+
+    await session.client.callTool({ name: 'SN-Set-Instance', arguments: { instance_name: 'prod' } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(onListChanged).toHaveBeenCalled();
+    const { tools } = await session.client.listTools();
+    expect(tools.map(t => t.name)).not.toContain('SN-Update-Record');
+
+    await session.client.close();
+  });
+});
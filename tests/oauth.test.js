@@ -0,0 +1,245 @@
+/**
+ * Tests for OAuth 2.0 authentication
+ * Tests: token grants, caching, refresh before expiry, 401 retry and config validation
+ */
+
+import { jest } from '@jest/globals';
+import axios from 'axios';
+import { OAuthTokenManager } from '../src/oauth-token-manager.js';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { ConfigManager } from '../src/config-manager.js';
+import { createAxiosResponse, createAxiosError } from './helpers/mocks.js';
+
+const INSTANCE_URL = 'https://prod123.service-now.com';
+
+const oauthConfig = {
+  type: 'oauth',
+  grant_type: 'client_credentials',
+  client_id: 'client123',
+  client_secret: 'secret456'
+};
+
+/**
+ * Form fields sent in the Nth token request
+ */
+const tokenRequestBody = (call = 0) => new URLSearchParams(axios.post.mock.calls[call][1]);
+
+describe('OAuth Authentication', () => {
+  beforeEach(() => {
+    jest.spyOn(axios, 'post');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Token Manager', () => {
+    it('should request a client_credentials token', async () => {
+      axios.post.mockResolvedValueOnce(createAxiosResponse({ access_token: 'tok1', expires_in: 1800 }));
+      const manager = new OAuthTokenManager({
+        instanceUrl: `${INSTANCE_URL}/`,
+        grantType: 'client_credentials',
+        clientId: 'client123',
+        clientSecret: 'secret456'
+      });
+
+      const token = await manager.getAccessToken();
+
+      expect(token).toBe('tok1');
+      expect(axios.post.mock.calls[0][0]).toBe(`${INSTANCE_URL}/oauth_token.do`);
+      const body = tokenRequestBody();
+      expect(body.get('grant_type')).toBe('client_credentials');
+      expect(body.get('client_id')).toBe('client123');
+      expect(body.get('client_secret')).toBe('secret456');
+      expect(body.has('username')).toBe(false);
+    });
+
+    it('should send user credentials for the password grant', async () => {
+      axios.post.mockResolvedValueOnce(createAxiosResponse({ access_token: 'tok1', expires_in: 1800 }));
+      const manager = new OAuthTokenManager({
+        instanceUrl: INSTANCE_URL,
+        grantType: 'password',
+        clientId: 'client123',
+        clientSecret: 'secret456',
+        username: 'api_user',
+        password: 'pw'
+      });
+
+      await manager.getAccessToken();
+
+      const body = tokenRequestBody();
+      expect(body.get('grant_type')).toBe('password');
+      expect(body.get('username')).toBe('api_user');
+      expect(body.get('password')).toBe('pw');
+    });
+
+    it('should cache tokens until shortly before expiry', async () => {
+      let now = 1_000_000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      axios.post
+        .mockResolvedValueOnce(createAxiosResponse({ access_token: 'tok1', refresh_token: 'ref1', expires_in: 300 }))
+        .mockResolvedValueOnce(createAxiosResponse({ access_token: 'tok2', expires_in: 300 }));
+      const manager = new OAuthTokenManager({ instanceUrl: INSTANCE_URL, grantType: 'client_credentials', clientId: 'c', clientSecret: 's' });
+
+      expect(await manager.getAccessToken()).toBe('tok1');
+      now += 200 * 1000;
+      expect(await manager.getAccessToken()).toBe('tok1');
+      expect(axios.post).toHaveBeenCalledTimes(1);
+
+      // Inside the 60 second refresh margin
+      now += 50 * 1000;
+      expect(await manager.getAccessToken()).toBe('tok2');
+      expect(tokenRequestBody(1).get('grant_type')).toBe('refresh_token');
+      expect(tokenRequestBody(1).get('refresh_token')).toBe('ref1');
+    });
+
+    it('should fall back to the configured grant when the refresh token is rejected', async () => {
+      axios.post
+        .mockResolvedValueOnce(createAxiosResponse({ access_token: 'tok1', refresh_token: 'ref1', expires_in: 1800 }))
+        .mockRejectedValueOnce(createAxiosError('invalid_grant', 401))
+        .mockResolvedValueOnce(createAxiosResponse({ access_token: 'tok2', expires_in: 1800 }));
+      const manager = new OAuthTokenManager({ instanceUrl: INSTANCE_URL, grantType: 'client_credentials', clientId: 'c', clientSecret: 's' });
+
+      await manager.getAccessToken();
+      manager.invalidate();
+
+      expect(await manager.getAccessToken()).toBe('tok2');
+      expect(tokenRequestBody(2).get('grant_type')).toBe('client_credentials');
+      expect(manager.refreshToken).toBeNull();
+    });
+
+    it('should share one token request between concurrent callers', async () => {
+      axios.post.mockResolvedValueOnce(createAxiosResponse({ access_token: 'tok1', expires_in: 1800 }));
+      const manager = new OAuthTokenManager({ instanceUrl: INSTANCE_URL, grantType: 'client_credentials', clientId: 'c', clientSecret: 's' });
+
+      const tokens = await Promise.all([manager.getAccessToken(), manager.getAccessToken(), manager.getAccessToken()]);
+
+      expect(tokens).toEqual(['tok1', 'tok1', 'tok1']);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should time out token requests', async () => {
+      axios.post.mockResolvedValue(createAxiosResponse({ access_token: 'tok1', expires_in: 1800 }));
+
+      await new OAuthTokenManager({ instanceUrl: INSTANCE_URL, grantType: 'client_credentials', clientId: 'c', clientSecret: 's' }).getAccessToken();
+      const client = new ServiceNowClient(INSTANCE_URL, undefined, undefined, oauthConfig, { timeout_ms: 5000 });
+      await client.tokenManager.getAccessToken();
+
+      expect(axios.post.mock.calls.map(([, , config]) => config.timeout)).toEqual([60000, 5000]);
+    });
+
+    it('should report token endpoint errors', async () => {
+      const error = createAxiosError('Request failed', 401);
+      error.response.data = { error: 'access_denied', error_description: 'Client authentication failed' };
+      axios.post.mockRejectedValueOnce(error);
+      const manager = new OAuthTokenManager({ instanceUrl: INSTANCE_URL, grantType: 'client_credentials', clientId: 'c', clientSecret: 's' });
+
+      await expect(manager.getAccessToken()).rejects.toThrow('OAuth token request failed (client_credentials): Client authentication failed');
+    });
+
+    it('should reject incomplete configuration', () => {
+      expect(() => new OAuthTokenManager({ instanceUrl: INSTANCE_URL, grantType: 'implicit', clientId: 'c', clientSecret: 's' }))
+        .toThrow('Unsupported OAuth grant type: implicit');
+      expect(() => new OAuthTokenManager({ instanceUrl: INSTANCE_URL, grantType: 'client_credentials', clientId: 'c' }))
+        .toThrow('requires client_id and client_secret');
+      expect(() => new OAuthTokenManager({ instanceUrl: INSTANCE_URL, grantType: 'password', clientId: 'c', clientSecret: 's' }))
+        .toThrow('password grant requires username and password');
+    });
+  });
+
+  describe('ServiceNow Client', () => {
+    /**
+     * Route the client's table requests through a fake adapter
+     */
+    const useAdapter = (client, handler) => {
+      const requests = [];
+      client.client.defaults.adapter = async (config) => {
+        requests.push(config);
+        const response = handler(config, requests.length);
+        if (response.status >= 400) {
+          const error = new Error(`Request failed with status code ${response.status}`);
+          error.config = config;
+          error.response = { ...response, config };
+          throw error;
+        }
+        return { ...response, config, headers: {}, statusText: 'OK' };
+      };
+      return requests;
+    };
+
+    it('should keep Basic auth when no auth block is configured', async () => {
+      const client = new ServiceNowClient(INSTANCE_URL, 'admin', 'pw');
+      const requests = useAdapter(client, () => ({ status: 200, data: { result: [] } }));
+
+      await client.getRecords('incident');
+
+      expect(client.authType).toBe('basic');
+      expect(requests[0].headers.Authorization).toBe(`Basic ${Buffer.from('admin:pw').toString('base64')}`);
+    });
+
+    it('should send a bearer token with OAuth', async () => {
+      axios.post.mockResolvedValueOnce(createAxiosResponse({ access_token: 'tok1', expires_in: 1800 }));
+      const client = new ServiceNowClient(INSTANCE_URL, undefined, undefined, oauthConfig);
+      const requests = useAdapter(client, () => ({ status: 200, data: { result: [] } }));
+
+      await client.getRecords('incident');
+      await client.getRecords('incident');
+
+      expect(requests.map(r => r.headers.Authorization)).toEqual(['Bearer tok1', 'Bearer tok1']);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry once with a new token after a 401', async () => {
+      axios.post
+        .mockResolvedValueOnce(createAxiosResponse({ access_token: 'revoked', expires_in: 1800 }))
+        .mockResolvedValueOnce(createAxiosResponse({ access_token: 'fresh', expires_in: 1800 }));
+      const client = new ServiceNowClient(INSTANCE_URL, undefined, undefined, oauthConfig);
+      const requests = useAdapter(client, (config, count) => (
+        count === 1 ? { status: 401, data: {} } : { status: 200, data: { result: [{ sys_id: 'a' }] } }
+      ));
+
+      const records = await client.getRecords('incident');
+
+      expect(records).toEqual([{ sys_id: 'a' }]);
+      expect(requests.map(r => r.headers.Authorization)).toEqual(['Bearer revoked', 'Bearer fresh']);
+    });
+
+    it('should not retry a second 401', async () => {
+      axios.post.mockResolvedValue(createAxiosResponse({ access_token: 'tok', expires_in: 1800 }));
+      const client = new ServiceNowClient(INSTANCE_URL, undefined, undefined, oauthConfig);
+      const requests = useAdapter(client, () => ({ status: 401, data: {} }));
+
+      await expect(client.getRecords('incident')).rejects.toThrow('status code 401');
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should reject unknown auth types', () => {
+      expect(() => new ServiceNowClient(INSTANCE_URL, 'admin', 'pw', { type: 'kerberos' }))
+        .toThrow('Unsupported auth type: kerberos');
+    });
+  });
+
+  describe('Instance Configuration', () => {
+    const manager = new ConfigManager();
+
+    it('should accept client_credentials instances without a username', () => {
+      expect(manager.validateInstance({ name: 'prod', url: INSTANCE_URL, auth: oauthConfig })).toBe(true);
+    });
+
+    it('should require user credentials for the password grant', () => {
+      expect(() => manager.validateInstance({
+        name: 'prod',
+        url: INSTANCE_URL,
+        auth: { ...oauthConfig, grant_type: 'password' }
+      })).toThrow('missing required field: username');
+    });
+
+    it('should require OAuth client credentials', () => {
+      expect(() => manager.validateInstance({
+        name: 'prod',
+        url: INSTANCE_URL,
+        auth: { type: 'oauth', grant_type: 'client_credentials', client_id: 'c' }
+      })).toThrow("Instance 'prod' OAuth configuration missing required field: auth.client_secret");
+    });
+  });
+});
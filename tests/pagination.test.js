@@ -0,0 +1,245 @@
+/**
+ * Tests for Table API pagination and ordering
+ * Tests: parameter forwarding, ORDERBY translation, Link header handling and record streaming
+ */
+
+import { jest } from '@jest/globals';
+import { ServiceNowClient, buildOrderByClause, parseLinkHeader } from '../src/servicenow-client.js';
+import { createAxiosResponse } from './helpers/mocks.js';
+
+const BASE = 'https://dev123.service-now.com/api/now/table/incident';
+
+describe('Table API Pagination', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new ServiceNowClient('https://dev123.service-now.com', 'admin', 'password');
+    client.client = { get: jest.fn() };
+  });
+
+  /**
+   * Query string the client sent on its most recent GET
+   */
+  const sentParams = () => {
+    const url = client.client.get.mock.calls[0][0];
+    return new URLSearchParams(url.split('?')[1]);
+  };
+
+  describe('Order By Translation', () => {
+    it('should translate ascending and descending fields', () => {
+      expect(buildOrderByClause('number')).toBe('ORDERBYnumber');
+      expect(buildOrderByClause('-priority')).toBe('ORDERBYDESCpriority');
+    });
+
+    it('should support multiple sort fields', () => {
+      expect(buildOrderByClause('-priority, number')).toBe('ORDERBYDESCpriority^ORDERBYnumber');
+    });
+  });
+
+  describe('Link Header Parsing', () => {
+    it('should map each rel to its URL', () => {
+      const links = parseLinkHeader(
+        `<${BASE}?sysparm_offset=0&sysparm_limit=10>;rel="first",<${BASE}?sysparm_offset=10&sysparm_limit=10>;rel="next",<${BASE}?sysparm_offset=90&sysparm_limit=10>;rel="last"`
+      );
+
+      expect(links.first).toBe(`${BASE}?sysparm_offset=0&sysparm_limit=10`);
+      expect(links.next).toBe(`${BASE}?sysparm_offset=10&sysparm_limit=10`);
+      expect(links.last).toBe(`${BASE}?sysparm_offset=90&sysparm_limit=10`);
+    });
+
+    it('should return an empty map for missing headers', () => {
+      expect(parseLinkHeader(undefined)).toEqual({});
+    });
+  });
+
+  describe('Parameter Forwarding', () => {
+    it('should forward all supported Table API parameters', async () => {
+      client.client.get.mockResolvedValueOnce(createAxiosResponse({ result: [] }));
+
+      await client.getRecords('incident', {
+        sysparm_query: 'active=true',
+        sysparm_limit: 10,
+        sysparm_offset: 20,
+        sysparm_fields: 'number,state',
+        sysparm_display_value: 'all',
+        sysparm_exclude_reference_link: true,
+        sysparm_view: 'mobile',
+        sysparm_no_count: true
+      });
+
+      const params = sentParams();
+      expect(params.get('sysparm_query')).toBe('active=true');
+      expect(params.get('sysparm_limit')).toBe('10');
+      expect(params.get('sysparm_offset')).toBe('20');
+      expect(params.get('sysparm_fields')).toBe('number,state');
+      expect(params.get('sysparm_display_value')).toBe('all');
+      expect(params.get('sysparm_exclude_reference_link')).toBe('true');
+      expect(params.get('sysparm_view')).toBe('mobile');
+      expect(params.get('sysparm_no_count')).toBe('true');
+    });
+
+    it('should append ordering to the encoded query', async () => {
+      client.client.get.mockResolvedValueOnce(createAxiosResponse({ result: [] }));
+
+      await client.getRecords('incident', { sysparm_query: 'active=true', sysparm_order_by: '-sys_updated_on' });
+
+      expect(sentParams().get('sysparm_query')).toBe('active=true^ORDERBYDESCsys_updated_on');
+    });
+
+    it('should order without a filter', async () => {
+      client.client.get.mockResolvedValueOnce(createAxiosResponse({ result: [] }));
+
+      await client.getRecords('incident', { sysparm_order_by: 'number' });
+
+      expect(sentParams().get('sysparm_query')).toBe('ORDERBYnumber');
+    });
+
+    it('should skip unset parameters', async () => {
+      client.client.get.mockResolvedValueOnce(createAxiosResponse({ result: [] }));
+
+      await client.getRecords('incident', { sysparm_query: undefined, sysparm_limit: 5 });
+
+      const params = sentParams();
+      expect(params.has('sysparm_query')).toBe(false);
+      expect(params.get('sysparm_limit')).toBe('5');
+    });
+  });
+
+  describe('Page Details', () => {
+    it('should return total count and next offset from response headers', async () => {
+      const response = createAxiosResponse({ result: [{ sys_id: 'a' }, { sys_id: 'b' }] });
+      response.headers = {
+        'x-total-count': '5',
+        link: `<${BASE}?sysparm_offset=0&sysparm_limit=2>;rel="first",<${BASE}?sysparm_offset=4&sysparm_limit=2>;rel="next",<${BASE}?sysparm_offset=0&sysparm_limit=2>;rel="prev"`
+      };
+      client.client.get.mockResolvedValueOnce(response);
+
+      const page = await client.getRecordsPage('incident', { sysparm_limit: 2, sysparm_offset: 2 });
+
+      expect(page.records).toHaveLength(2);
+      expect(page.total_count).toBe(5);
+      expect(page.offset).toBe(2);
+      expect(page.next_offset).toBe(4);
+      expect(page.prev_offset).toBe(0);
+    });
+
+    it('should report no next page on the last page', async () => {
+      const response = createAxiosResponse({ result: [{ sys_id: 'e' }] });
+      response.headers = {
+        'x-total-count': '5',
+        link: `<${BASE}?sysparm_offset=0&sysparm_limit=2>;rel="first",<${BASE}?sysparm_offset=2&sysparm_limit=2>;rel="prev"`
+      };
+      client.client.get.mockResolvedValueOnce(response);
+
+      const page = await client.getRecordsPage('incident', { sysparm_limit: 2, sysparm_offset: 4 });
+
+      expect(page.next_offset).toBeNull();
+    });
+
+    it('should derive the next offset from the total count when links are absent', async () => {
+      const response = createAxiosResponse({ result: [{ sys_id: 'a' }, { sys_id: 'b' }] });
+      response.headers = { 'x-total-count': '3' };
+      client.client.get.mockResolvedValueOnce(response);
+
+      const page = await client.getRecordsPage('incident', { sysparm_limit: 2 });
+
+      expect(page.next_offset).toBe(2);
+    });
+
+    it('should leave total count unknown when sysparm_no_count is set', async () => {
+      client.client.get.mockResolvedValueOnce(createAxiosResponse({ result: [] }));
+
+      const page = await client.getRecordsPage('incident', { sysparm_no_count: true });
+
+      expect(page.total_count).toBeNull();
+      expect(page.next_offset).toBeNull();
+    });
+
+    it('should assume more records after a full page when the response has no paging headers', async () => {
+      client.client.get.mockResolvedValueOnce(createAxiosResponse({ result: [{ sys_id: 'a' }, { sys_id: 'b' }] }));
+      client.client.get.mockResolvedValueOnce(createAxiosResponse({ result: [{ sys_id: 'c' }] }));
+
+      expect((await client.getRecordsPage('incident', { sysparm_limit: 2, sysparm_no_count: true })).next_offset).toBe(2);
+      expect((await client.getRecordsPage('incident', { sysparm_limit: 2, sysparm_offset: 2, sysparm_no_count: true })).next_offset).toBeNull();
+    });
+  });
+
+  describe('Record Streaming', () => {
+    /**
+     * Queue one Table API response per page, linking each to the next
+     */
+    const mockPages = (pages) => {
+      pages.forEach((records, index) => {
+        const response = createAxiosResponse({ result: records });
+        const offset = index * 2;
+        const next = index < pages.length - 1
+          ? `,<${BASE}?sysparm_offset=${offset + 2}&sysparm_limit=2>;rel="next"`
+          : '';
+        response.headers = { link: `<${BASE}?sysparm_offset=0&sysparm_limit=2>;rel="first"${next}` };
+        client.client.get.mockResolvedValueOnce(response);
+      });
+    };
+
+    it('should walk every page using the Link headers', async () => {
+      mockPages([[{ sys_id: 'a' }, { sys_id: 'b' }], [{ sys_id: 'c' }, { sys_id: 'd' }], [{ sys_id: 'e' }]]);
+
+      const records = await client.getAllRecords('sys_update_xml', { sysparm_query: 'update_set=us1' }, { pageSize: 2 });
+
+      expect(records.map(r => r.sys_id)).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect(client.client.get).toHaveBeenCalledTimes(3);
+      const offsets = client.client.get.mock.calls.map(([url]) => new URLSearchParams(url.split('?')[1]).get('sysparm_offset'));
+      expect(offsets).toEqual(['0', '2', '4']);
+    });
+
+    it('should fetch pages lazily', async () => {
+      mockPages([[{ sys_id: 'a' }, { sys_id: 'b' }], [{ sys_id: 'c' }]]);
+
+      for await (const record of client.streamRecords('incident', {}, { pageSize: 2 })) {
+        if (record.sys_id === 'a') break;
+      }
+
+      expect(client.client.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop on an empty page', async () => {
+      const response = createAxiosResponse({ result: [] });
+      response.headers = { link: `<${BASE}?sysparm_offset=0&sysparm_limit=2>;rel="next"` };
+      client.client.get.mockResolvedValueOnce(response);
+
+      const records = await client.getAllRecords('incident', {}, { pageSize: 2 });
+
+      expect(records).toEqual([]);
+      expect(client.client.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep paging through full pages when no paging headers come back', async () => {
+      [[{ sys_id: 'a' }, { sys_id: 'b' }], [{ sys_id: 'c' }, { sys_id: 'd' }], []].forEach(records => {
+        client.client.get.mockResolvedValueOnce(createAxiosResponse({ result: records }));
+      });
+
+      const records = await client.getAllRecords('sys_update_xml', { sysparm_no_count: true }, { pageSize: 2 });
+
+      expect(records.map(r => r.sys_id)).toEqual(['a', 'b', 'c', 'd']);
+      expect(client.client.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should count every update set record when inspecting', async () => {
+      client.getRecord = jest.fn().mockResolvedValue({ sys_id: 'us1', name: 'Big Set', state: 'complete' });
+      mockPages([
+        [{ type: 'Business Rule', name: 'br1' }, { type: 'Business Rule', name: 'br2' }],
+        [{ type: 'Script Include', name: 'si1' }]
+      ]);
+      client.streamRecords = jest.fn(function (table, query) {
+        return ServiceNowClient.prototype.streamRecords.call(this, table, query, { pageSize: 2 });
+      });
+
+      const result = await client.inspectUpdateSet('us1');
+
+      expect(result.total_records).toBe(3);
+      expect(result.components).toEqual([
+        { type: 'Business Rule', count: 2, items: ['br1', 'br2'] },
+        { type: 'Script Include', count: 1, items: ['si1'] }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for MCP prompts
+ * Tests: prompt listing, instruction parsing, record pre-fetch and embedding, argument validation
+ */
+
+import { jest } from '@jest/globals';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { configManager } from '../src/config-manager.js';
+import { parsePromptInstructions } from '../src/prompts.js';
+import { connectSession } from './helpers/mocks.js';
+
+const instances = {
+  dev: { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'pw' },
+  prod: { name: 'prod', url: 'https://prod123.service-now.com', username: 'api', password: 'pw' }
+};
+
+// Field as returned with sysparm_display_value=all
+const field = (value, display_value = value) => ({ value, display_value });
+
+const incident = {
+  sys_id: field('inc1'),
+  number: field('INC0010001'),
+  short_description: field('Email is down'),
+  priority: field('1', '1 - Critical'),
+  cmdb_ci: field('ci1', 'EXCH-SRV-01'),
+  category: field('software', 'Software')
+};
+
+const page = (records) => ({ records, total_count: records.length, links: {}, offset: 0, next_offset: null, prev_offset: null });
+
+describe('Prompt Instructions', () => {
+  it('should split prompts.md by heading', () => {
+    const sections = parsePromptInstructions('# Title\n\n## First\nDo this:\n- one\n\n## Second\nDo that\n');
+
+    expect(sections).toEqual({ First: 'Do this:\n- one', Second: 'Do that' });
+  });
+});
+
+describe('MCP Prompts', () => {
+  let getRecords;
+  let getRecordsPage;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(configManager, 'getInstance').mockImplementation((name) => {
+      if (!instances[name]) {
+        throw new Error(`Instance '${name}' not found`);
+      }
+      return instances[name];
+    });
+    jest.spyOn(configManager, 'listInstances').mockImplementation(() => (
+      Object.values(instances).map(i => ({ name: i.name, url: i.url, mode: 'full' }))
+    ));
+    getRecords = jest.spyOn(ServiceNowClient.prototype, 'getRecords').mockImplementation(async (table, query) => (
+      table === 'incident' && query.sysparm_query === 'number=INC0010001' ? [incident] : []
+    ));
+    getRecordsPage = jest.spyOn(ServiceNowClient.prototype, 'getRecordsPage').mockImplementation(async (table) => (
+      table === 'sys_journal_field'
+        ? page([{ element: 'work_notes', value: 'Restarted the service' }])
+        : page([])
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should list the analysis prompts with their arguments', async () => {
+    const session = await connectSession(instances.dev);
+
+    const { prompts } = await session.client.listPrompts();
+
+    expect(prompts.map(p => p.name)).toEqual([
+      'incident-analysis',
+      'change-risk-assessment',
+      'problem-analysis',
+      'user-access-review',
+      'ci-health-check'
+    ]);
+    expect(prompts[0].arguments).toEqual([
+      expect.objectContaining({ name: 'incident_number', required: true }),
+      expect.objectContaining({ name: 'instance', required: false })
+    ]);
+
+    await session.client.close();
+  });
+
+  it('should embed the incident and its related data', async () => {
+    const session = await connectSession(instances.dev);
+
+    const result = await session.client.getPrompt({ name: 'incident-analysis', arguments: { incident_number: 'INC0010001' } });
+
+    expect(result.description).toBe('Incident Analysis: Incident INC0010001 (dev)');
+
+    // Instructions come from src/config/prompts.md
+    expect(result.messages[0].content.text).toContain('Root cause analysis suggestions');
+
+    const record = result.messages[1].content.resource;
+    expect(record.uri).toBe('servicenow://dev/table/incident/inc1');
+    expect(JSON.parse(record.text)).toMatchObject({ number: 'INC0010001', cmdb_ci: 'EXCH-SRV-01', priority: '1 - Critical' });
+
+    const uris = result.messages.slice(2).map(m => decodeURIComponent(m.content.resource.uri));
+    expect(uris).toEqual([
+      'servicenow://dev/table/sys_journal_field?query=element_id=inc1^elementINcomments,work_notes',
+      'servicenow://dev/table/incident?query=parent_incident=inc1',
+      'servicenow://dev/table/incident?query=cmdb_ci=ci1^sys_id!=inc1'
+    ]);
+    expect(JSON.parse(result.messages[2].content.resource.text).records[0].value).toBe('Restarted the service');
+
+    await session.client.close();
+  });
+
+  it('should fetch from the instance named in the arguments', async () => {
+    const calledOn = [];
+    getRecords.mockImplementation(async function () {
+      calledOn.push(this.getCurrentInstance().name);
+      return [{ sys_id: field('chg1'), number: field('CHG0030001') }];
+    });
+    const session = await connectSession(instances.dev);
+
+    const result = await session.client.getPrompt({ name: 'change-risk-assessment', arguments: { change_number: 'CHG0030001', instance: 'prod' } });
+
+    expect(calledOn).toEqual(['prod']);
+    expect(result.messages[1].content.resource.uri).toBe('servicenow://prod/table/change_request/chg1');
+    expect(getRecordsPage.mock.calls.map(([table]) => table)).toEqual(['change_task', 'task_ci', 'sysapproval_approver']);
+    expect(session.serviceNowClient.getCurrentInstance().name).toBe('dev');
+
+    await session.client.close();
+  });
+
+  it('should look up users by user name with a limited field list', async () => {
+    getRecords.mockResolvedValue([{ sys_id: field('u1'), user_name: field('abel.tuter') }]);
+    const session = await connectSession(instances.dev);
+
+    await session.client.getPrompt({ name: 'user-access-review', arguments: { user_name: 'abel.tuter' } });
+
+    expect(getRecords.mock.calls[0][0]).toBe('sys_user');
+    expect(getRecords.mock.calls[0][1].sysparm_fields).not.toContain('password');
+    expect(getRecordsPage.mock.calls.map(([table, query]) => [table, query.sysparm_query])).toEqual([
+      ['sys_user_has_role', 'user=u1'],
+      ['sys_user_grmember', 'user=u1']
+    ]);
+
+    await session.client.close();
+  });
+
+  it('should report records that do not exist', async () => {
+    const session = await connectSession(instances.dev);
+
+    await expect(session.client.getPrompt({ name: 'problem-analysis', arguments: { problem_number: 'PRB404' } }))
+      .rejects.toThrow('Problem PRB404 not found');
+
+    await session.client.close();
+  });
+
+  it('should validate arguments', async () => {
+    const session = await connectSession(instances.dev);
+
+    await expect(session.client.getPrompt({ name: 'ci-health-check', arguments: {} }))
+      .rejects.toThrow('Missing required argument for ci-health-check: ci_name');
+    await expect(session.client.getPrompt({ name: 'incident-analysis', arguments: { incident_number: 'INC1^ORactive=true' } }))
+      .rejects.toThrow('Invalid value for incident_number');
+    await expect(session.client.getPrompt({ name: 'unknown', arguments: {} }))
+      .rejects.toThrow('Unknown prompt: unknown');
+    expect(getRecords).not.toHaveBeenCalled();
+
+    await session.client.close();
+  });
+});
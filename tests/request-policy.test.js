@@ -0,0 +1,289 @@
+/**
+ * Tests for request retries, timeouts and per-instance rate limiting
+ * Tests: retry decisions, backoff delays, Retry-After, limiter behavior and client integration
+ */
+
+import { jest } from '@jest/globals';
+import {
+  parseRetryAfter,
+  isRetryableError,
+  getRetryDelay,
+  resolveRequestPolicy,
+  RequestLimiter
+} from '../src/request-policy.js';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { ConfigManager } from '../src/config-manager.js';
+
+const INSTANCE_URL = 'https://dev123.service-now.com';
+
+// Keep retries fast in tests
+const FAST_POLICY = { retry_base_delay_ms: 1, retry_max_delay_ms: 5 };
+
+/**
+ * Build an axios-style error
+ */
+function httpError(status, { method = 'get', headers = {}, code } = {}) {
+  const error = new Error(status ? `Request failed with status code ${status}` : code);
+  error.config = { method, url: '/api/now/table/incident' };
+  error.code = code;
+  if (status) {
+    error.response = { status, headers, data: {} };
+  }
+  return error;
+}
+
+/**
+ * Route the client's table requests through a fake adapter
+ * The handler returns { status, data, headers } or a promise of one.
+ */
+function useAdapter(client, handler) {
+  const requests = [];
+  client.client.defaults.adapter = async (config) => {
+    requests.push(config);
+    const response = await handler(config, requests.length);
+    if (response.code) {
+      const error = new Error(response.code);
+      error.code = response.code;
+      error.config = config;
+      throw error;
+    }
+    if (response.status >= 400) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.config = config;
+      error.response = { headers: {}, ...response, config };
+      throw error;
+    }
+    return { headers: {}, statusText: 'OK', ...response, config };
+  };
+  return requests;
+}
+
+describe('Request Policy', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Retry-After', () => {
+    it('should parse delta seconds', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter('0')).toBe(0);
+    });
+
+    it('should parse HTTP dates', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'));
+      expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:05 GMT')).toBe(5000);
+    });
+
+    it('should ignore missing or invalid values', () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('Retry decisions', () => {
+    it('should retry transient failures of idempotent methods', () => {
+      expect(isRetryableError(httpError(503))).toBe(true);
+      expect(isRetryableError(httpError(502, { method: 'put' }))).toBe(true);
+      expect(isRetryableError(httpError(504, { method: 'delete' }))).toBe(true);
+      expect(isRetryableError(httpError(null, { code: 'ECONNRESET' }))).toBe(true);
+      expect(isRetryableError(httpError(null, { code: 'ECONNABORTED' }))).toBe(true);
+    });
+
+    it('should not retry non-idempotent methods on ambiguous failures', () => {
+      expect(isRetryableError(httpError(503, { method: 'post' }))).toBe(false);
+      expect(isRetryableError(httpError(null, { method: 'post', code: 'ECONNRESET' }))).toBe(false);
+      expect(isRetryableError(httpError(502, { method: 'patch' }))).toBe(false);
+    });
+
+    it('should retry any method when the server asks it to', () => {
+      expect(isRetryableError(httpError(429, { method: 'post' }))).toBe(true);
+      expect(isRetryableError(httpError(503, { method: 'post', headers: { 'retry-after': '2' } }))).toBe(true);
+    });
+
+    it('should not retry client errors', () => {
+      expect(isRetryableError(httpError(400))).toBe(false);
+      expect(isRetryableError(httpError(404))).toBe(false);
+      expect(isRetryableError(httpError(401))).toBe(false);
+    });
+  });
+
+  describe('Retry delays', () => {
+    const policy = resolveRequestPolicy({ retry_base_delay_ms: 100, retry_max_delay_ms: 1000 });
+
+    it('should back off exponentially with full jitter', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+      expect(getRetryDelay(httpError(503), 1, policy)).toBe(100);
+      expect(getRetryDelay(httpError(503), 3, policy)).toBe(400);
+      expect(getRetryDelay(httpError(503), 6, policy)).toBe(1000);
+
+      Math.random.mockReturnValue(0.5);
+      expect(getRetryDelay(httpError(503), 3, policy)).toBe(200);
+    });
+
+    it('should honor the full Retry-After and give up when it exceeds the maximum delay', () => {
+      expect(getRetryDelay(httpError(429, { headers: { 'retry-after': '0.5' } }), 1, policy)).toBe(500);
+      expect(getRetryDelay(httpError(429, { headers: { 'retry-after': '1' } }), 1, policy)).toBe(1000);
+      expect(getRetryDelay(httpError(429, { headers: { 'retry-after': '120' } }), 1, policy)).toBeNull();
+    });
+  });
+
+  describe('RequestLimiter', () => {
+    it('should cap concurrent requests', async () => {
+      const limiter = new RequestLimiter({ maxConcurrent: 2 });
+      const started = [];
+
+      await limiter.acquire();
+      await limiter.acquire();
+      const third = limiter.acquire().then(() => started.push('third'));
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(started).toEqual([]);
+
+      limiter.release();
+      await third;
+      expect(started).toEqual(['third']);
+      expect(limiter.active).toBe(2);
+    });
+
+    it('should space out request starts', async () => {
+      let now = 0;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const timeouts = [];
+      jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+        timeouts.push(ms);
+        now += ms;
+        callback();
+      });
+      const limiter = new RequestLimiter({ requestsPerSecond: 4 });
+
+      await limiter.acquire();
+      await limiter.acquire();
+      await limiter.acquire();
+
+      expect(timeouts).toEqual([250, 250]);
+    });
+  });
+
+  describe('Configuration', () => {
+    it('should fill in defaults', () => {
+      expect(resolveRequestPolicy({ max_retries: 5 })).toMatchObject({ max_retries: 5, timeout_ms: 60000, max_concurrent: 0 });
+    });
+
+    it('should validate the http block', () => {
+      const manager = new ConfigManager();
+      const instance = { name: 'dev', url: INSTANCE_URL, username: 'admin', password: 'pw' };
+
+      expect(manager.validateConfig({ instances: [{ ...instance, http: { max_retries: 2, requests_per_second: 2.5 } }] })).toHaveLength(1);
+      expect(() => manager.validateConfig({ instances: [{ ...instance, http: { max_retries: -1 } }] }))
+        .toThrow('instances[0].http.max_retries');
+      expect(() => manager.validateConfig({ instances: [{ ...instance, http: { retries: 3 } }] }))
+        .toThrow('instances[0].http');
+    });
+  });
+});
+
+describe('ServiceNowClient Retries', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should apply the configured timeout', () => {
+    const client = new ServiceNowClient(INSTANCE_URL, 'admin', 'pw', null, { timeout_ms: 5000 });
+    expect(client.client.defaults.timeout).toBe(5000);
+    expect(new ServiceNowClient(INSTANCE_URL, 'admin', 'pw').client.defaults.timeout).toBe(60000);
+  });
+
+  it('should retry a transient GET failure and report each retry', async () => {
+    const client = new ServiceNowClient(INSTANCE_URL, 'admin', 'pw', null, FAST_POLICY);
+    const progress = jest.fn();
+    client.setProgressCallback(progress);
+    const requests = useAdapter(client, (config, count) => (
+      count < 3 ? { status: 503, data: {} } : { status: 200, data: { result: [{ sys_id: 'a' }] } }
+    ));
+
+    const records = await client.getRecords('incident');
+
+    expect(records).toEqual([{ sys_id: 'a' }]);
+    expect(requests).toHaveLength(3);
+    expect(progress).toHaveBeenCalledTimes(2);
+    expect(progress.mock.calls[0][0]).toMatch(/^⏳ Retry 1\/3 for GET \/api\/now\/table\/incident\?.* after HTTP 503/);
+    expect(progress.mock.calls[1][0]).toMatch(/^⏳ Retry 2\/3 for GET/);
+  });
+
+  it('should give up after max_retries', async () => {
+    const client = new ServiceNowClient(INSTANCE_URL, 'admin', 'pw', null, { ...FAST_POLICY, max_retries: 2 });
+    const requests = useAdapter(client, () => ({ status: 504, data: {} }));
+
+    await expect(client.getRecords('incident')).rejects.toThrow('status code 504');
+    expect(requests).toHaveLength(3);
+  });
+
+  it('should not retry a POST after a gateway error', async () => {
+    const client = new ServiceNowClient(INSTANCE_URL, 'admin', 'pw', null, FAST_POLICY);
+    const requests = useAdapter(client, () => ({ status: 503, data: {} }));
+
+    await expect(client.createRecord('incident', { short_description: 'x' })).rejects.toThrow('status code 503');
+    expect(requests).toHaveLength(1);
+  });
+
+  it('should retry a throttled POST after Retry-After', async () => {
+    const client = new ServiceNowClient(INSTANCE_URL, 'admin', 'pw', null, FAST_POLICY);
+    const requests = useAdapter(client, (config, count) => (
+      count === 1
+        ? { status: 429, headers: { 'retry-after': '0' }, data: {} }
+        : { status: 201, data: { result: { sys_id: 'new' } } }
+    ));
+
+    const record = await client.createRecord('incident', { short_description: 'x' });
+
+    expect(record).toEqual({ sys_id: 'new' });
+    expect(requests).toHaveLength(2);
+  });
+
+  it('should surface a throttle whose Retry-After exceeds the maximum delay', async () => {
+    const client = new ServiceNowClient(INSTANCE_URL, 'admin', 'pw', null, FAST_POLICY);
+    const requests = useAdapter(client, () => ({ status: 429, headers: { 'retry-after': '60' }, data: {} }));
+
+    await expect(client.getRecords('incident')).rejects.toThrow('status code 429');
+    expect(requests).toHaveLength(1);
+  });
+
+  it('should retry network errors for idempotent requests', async () => {
+    const client = new ServiceNowClient(INSTANCE_URL, 'admin', 'pw', null, FAST_POLICY);
+    const requests = useAdapter(client, (config, count) => (
+      count === 1 ? { code: 'ECONNRESET' } : { status: 200, data: { result: [] } }
+    ));
+
+    await client.getRecords('incident');
+
+    expect(requests).toHaveLength(2);
+  });
+
+  it('should share concurrency limits between clients of the same instance', async () => {
+    const policy = { ...FAST_POLICY, max_concurrent: 1 };
+    const first = new ServiceNowClient('https://limited123.service-now.com', 'a', 'pw', null, policy);
+    const second = new ServiceNowClient('https://limited123.service-now.com', 'b', 'pw', null, policy);
+
+    const events = [];
+    let finishFirst;
+    useAdapter(first, () => new Promise(resolve => {
+      events.push('first started');
+      finishFirst = () => resolve({ status: 200, data: { result: [] } });
+    }));
+    useAdapter(second, () => {
+      events.push('second started');
+      return { status: 200, data: { result: [] } };
+    });
+
+    const firstRequest = first.getRecords('incident');
+    await new Promise(resolve => setImmediate(resolve));
+    const secondRequest = second.getRecords('incident');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(events).toEqual(['first started']);
+
+    finishFirst();
+    await Promise.all([firstRequest, secondRequest]);
+    expect(events).toEqual(['first started', 'second started']);
+  });
+});
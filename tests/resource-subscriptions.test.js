@@ -0,0 +1,237 @@
+/**
+ * Tests for resource subscriptions
+ * Tests: change polling, version lookups per resource, subscribe/unsubscribe over MCP
+ */
+
+import { jest } from '@jest/globals';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { ResourceSubscriptionManager, resolvePollInterval } from '../src/resource-subscriptions.js';
+import { createResourceHandlers } from '../src/resources.js';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { configManager } from '../src/config-manager.js';
+import { mockTableMetadata, connectSession } from './helpers/mocks.js';
+
+const instances = {
+  dev: { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'pw' },
+  prod: { name: 'prod', url: 'https://prod123.service-now.com', username: 'api', password: 'pw' }
+};
+
+const page = (records, total_count = records.length) => ({
+  records, total_count, links: {}, offset: 0, next_offset: null, prev_offset: null
+});
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ResourceSubscriptionManager', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report resources whose version changed', async () => {
+    const versions = { 'servicenow://dev/incidents': 'v1', 'servicenow://dev/users': 'u1' };
+    const onUpdated = jest.fn();
+    const manager = new ResourceSubscriptionManager({ getVersion: async (uri) => versions[uri], onUpdated });
+
+    await manager.subscribe('servicenow://dev/incidents');
+    await manager.subscribe('servicenow://dev/users');
+    expect(await manager.poll()).toEqual([]);
+
+    versions['servicenow://dev/incidents'] = 'v2';
+    expect(await manager.poll()).toEqual(['servicenow://dev/incidents']);
+    expect(onUpdated).toHaveBeenCalledWith('servicenow://dev/incidents');
+
+    // Reported once per change
+    expect(await manager.poll()).toEqual([]);
+
+    manager.close();
+  });
+
+  it('should reject resources whose version cannot be read', async () => {
+    const manager = new ResourceSubscriptionManager({
+      getVersion: async () => { throw new Error('Resource does not support subscriptions'); },
+      onUpdated: jest.fn()
+    });
+
+    await expect(manager.subscribe('servicenow://instances')).rejects.toThrow('does not support subscriptions');
+    expect(manager.listSubscriptions()).toEqual([]);
+    expect(manager.timer).toBeNull();
+  });
+
+  it('should keep subscriptions whose check fails', async () => {
+    let failing = false;
+    const manager = new ResourceSubscriptionManager({
+      getVersion: async () => {
+        if (failing) throw new Error('timeout');
+        return 'v1';
+      },
+      onUpdated: jest.fn()
+    });
+
+    await manager.subscribe('servicenow://dev/incidents');
+    failing = true;
+
+    expect(await manager.poll()).toEqual([]);
+    expect(manager.listSubscriptions()).toEqual(['servicenow://dev/incidents']);
+
+    manager.close();
+  });
+
+  it('should stop polling when the last subscription is removed', async () => {
+    const manager = new ResourceSubscriptionManager({ getVersion: async () => 'v1', onUpdated: jest.fn() });
+
+    await manager.subscribe('servicenow://dev/incidents');
+    expect(manager.timer).not.toBeNull();
+
+    manager.unsubscribe('servicenow://dev/incidents');
+    expect(manager.timer).toBeNull();
+  });
+
+  it('should read the poll interval from the environment value', () => {
+    expect(resolvePollInterval(undefined)).toBe(30000);
+    expect(resolvePollInterval('5000')).toBe(5000);
+    expect(resolvePollInterval('10')).toBe(1000);
+    expect(resolvePollInterval('often')).toBe(30000);
+  });
+});
+
+describe('Resource Versions', () => {
+  let handlers;
+  let getRecordsPage;
+
+  beforeEach(() => {
+    const sessionClient = new ServiceNowClient(instances.dev.url, instances.dev.username, instances.dev.password);
+    sessionClient.currentInstanceName = 'dev';
+    handlers = createResourceHandlers(sessionClient, configManager, mockTableMetadata);
+    getRecordsPage = jest.spyOn(ServiceNowClient.prototype, 'getRecordsPage')
+      .mockResolvedValue(page([{ sys_updated_on: '2026-10-01 10:00:00' }], 3));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should combine the record count and newest update time', async () => {
+    const version = await handlers.getResourceVersion('servicenow://dev/table/incident/abc123');
+
+    expect(version).toBe('3@2026-10-01 10:00:00');
+    expect(getRecordsPage).toHaveBeenCalledWith('incident', {
+      sysparm_query: 'sys_id=abc123',
+      sysparm_fields: 'sys_updated_on',
+      sysparm_limit: 1,
+      sysparm_order_by: '-sys_updated_on'
+    });
+  });
+
+  it('should watch the query of a query resource', async () => {
+    await handlers.getResourceVersion(`servicenow://dev/table/incident?query=${encodeURIComponent('priority=1^active=true')}&limit=5`);
+
+    expect(getRecordsPage.mock.calls[0][1].sysparm_query).toBe('priority=1^active=true');
+  });
+
+  it('should watch an update set and the updates captured in it', async () => {
+    await handlers.getResourceVersion('servicenow://dev/update-sets/us1');
+
+    expect(getRecordsPage.mock.calls.map(([table, query]) => [table, query.sysparm_query])).toEqual([
+      ['sys_update_set', 'sys_id=us1'],
+      ['sys_update_xml', 'update_set=us1']
+    ]);
+  });
+
+  it('should watch an incident by number', async () => {
+    await handlers.getResourceVersion('servicenow://dev/incidents/INC0010001');
+
+    expect(getRecordsPage).toHaveBeenCalledWith('incident', expect.objectContaining({ sysparm_query: 'number=INC0010001' }));
+  });
+
+  it('should reject resources that do not come from instance data', async () => {
+    await expect(handlers.getResourceVersion('servicenow://instances')).rejects.toThrow('does not support subscriptions');
+    await expect(handlers.getResourceVersion('servicenow://dev/info')).rejects.toThrow('does not support subscriptions');
+    await expect(handlers.getResourceVersion('servicenow://tables/all')).rejects.toThrow('does not support subscriptions');
+  });
+});
+
+describe('Resource Subscriptions over MCP', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick', 'queueMicrotask'] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(configManager, 'getInstance').mockImplementation((name) => {
+      if (!instances[name]) {
+        throw new Error(`Instance '${name}' not found`);
+      }
+      return instances[name];
+    });
+    jest.spyOn(configManager, 'listInstances').mockImplementation(() => (
+      Object.values(instances).map(i => ({ name: i.name, url: i.url, mode: 'full' }))
+    ));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+
+  it('should advertise subscription support', async () => {
+    const session = await connectSession(instances.dev);
+
+    expect(session.client.getServerCapabilities().resources).toEqual({ subscribe: true });
+
+    await session.client.close();
+  });
+
+  it('should notify subscribers when a watched record changes', async () => {
+    let updatedOn = '2026-10-01 10:00:00';
+    jest.spyOn(ServiceNowClient.prototype, 'getRecordsPage')
+      .mockImplementation(async () => page([{ sys_updated_on: updatedOn }]));
+    const session = await connectSession(instances.dev);
+    const onUpdated = jest.fn();
+    session.client.setNotificationHandler(ResourceUpdatedNotificationSchema, onUpdated);
+    const uri = 'servicenow://prod/table/incident/abc123';
+
+    await session.client.subscribeResource({ uri });
+
+    await jest.advanceTimersByTimeAsync(30000);
+    await flush();
+    expect(onUpdated).not.toHaveBeenCalled();
+
+    updatedOn = '2026-10-01 10:05:00';
+    await jest.advanceTimersByTimeAsync(30000);
+    await flush();
+    expect(onUpdated).toHaveBeenCalledTimes(1);
+    expect(onUpdated.mock.calls[0][0].params).toEqual({ uri });
+
+    await session.client.unsubscribeResource({ uri });
+    updatedOn = '2026-10-01 10:10:00';
+    await jest.advanceTimersByTimeAsync(30000);
+    await flush();
+    expect(onUpdated).toHaveBeenCalledTimes(1);
+
+    await session.client.close();
+  });
+
+  it('should refuse subscriptions to static resources', async () => {
+    const session = await connectSession(instances.dev);
+
+    await expect(session.client.subscribeResource({ uri: 'servicenow://instances' }))
+      .rejects.toThrow('does not support subscriptions');
+
+    await session.client.close();
+  });
+
+  it('should stop polling when the session closes', async () => {
+    const getRecordsPage = jest.spyOn(ServiceNowClient.prototype, 'getRecordsPage')
+      .mockResolvedValue(page([{ sys_updated_on: '2026-10-01 10:00:00' }]));
+    const session = await connectSession(instances.dev);
+
+    await session.client.subscribeResource({ uri: 'servicenow://dev/incidents' });
+    await session.client.close();
+    const callsAtClose = getRecordsPage.mock.calls.length;
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(getRecordsPage.mock.calls.length).toBe(callsAtClose);
+  });
+});
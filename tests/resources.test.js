@@ -4,7 +4,10 @@
  */
 
 import { jest } from '@jest/globals';
-import { createMockMcpServer, mockTableMetadata } from './helpers/mocks.js';
+import { createMockMcpServer, mockTableMetadata, connectSession } from './helpers/mocks.js';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { createResourceHandlers } from '../src/resources.js';
+import { configManager } from '../src/config-manager.js';
 
 describe('MCP Resources', () => {
   let mockServer;
@@ -367,3 +370,268 @@ describe('MCP Resources', () => {
     });
   });
 });
+
+describe('Resource Handlers in the MCP Server', () => {
+  const instances = {
+    dev: { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'pw', default: true },
+    prod: { name: 'prod', url: 'https://prod123.service-now.com', username: 'api', password: 'pw', mode: 'read_only' }
+  };
+
+
+  const readJson = async (client, uri) => {
+    const result = await client.readResource({ uri });
+    return JSON.parse(result.contents[0].text);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(configManager, 'getInstance').mockImplementation((name) => {
+      if (!instances[name]) {
+        throw new Error(`Instance '${name}' not found`);
+      }
+      return instances[name];
+    });
+    jest.spyOn(configManager, 'listInstances').mockImplementation(() => (
+      Object.values(instances).map(i => ({ name: i.name, url: i.url, default: i.default || false, description: '', mode: i.mode || 'full' }))
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should list instance-scoped resources for every configured instance', async () => {
+    const session = await connectSession(instances.dev);
+
+    const { resources } = await session.client.listResources();
+    const uris = resources.map(r => r.uri);
+
+    expect(uris).toContain('servicenow://instances');
+    expect(uris).toContain('servicenow://dev/info');
+    expect(uris).toContain('servicenow://dev/incidents');
+    expect(uris).toContain('servicenow://prod/incidents');
+
+    await session.client.close();
+  });
+
+  it('should report the session instance rather than environment variables', async () => {
+    const session = await connectSession(instances.dev);
+
+    const info = await readJson(session.client, 'servicenow://dev/info');
+
+    expect(info.data.instance).toMatchObject({ name: 'dev', url: instances.dev.url, default: true, mode: 'full' });
+
+    await session.client.close();
+  });
+
+  it('should count the tools available on each instance', async () => {
+    const session = await connectSession(instances.dev);
+
+    const { tools } = await session.client.listTools();
+    const dev = await readJson(session.client, 'servicenow://dev/info');
+    const prod = await readJson(session.client, 'servicenow://prod/info');
+
+    expect(dev.data.capabilities.total_tools).toBe(tools.length);
+    // prod is read_only, so its mutating tools are not available
+    expect(prod.data.capabilities.total_tools).toBeLessThan(tools.length);
+
+    await session.client.close();
+  });
+
+  it('should keep serving the legacy URIs', async () => {
+    const session = await connectSession(instances.dev);
+
+    const info = await readJson(session.client, 'servicenow://instance');
+    const tables = await readJson(session.client, 'servicenow://tables/all');
+
+    expect(info.data.instance.url).toBe(instances.dev.url);
+    expect(Array.isArray(tables.data)).toBe(true);
+
+    await session.client.close();
+  });
+
+  it('should read another instance without switching the session', async () => {
+    const calledOn = [];
+    jest.spyOn(ServiceNowClient.prototype, 'getRecords').mockImplementation(async function () {
+      calledOn.push(this.getCurrentInstance().name);
+      return [{ number: 'INC0010001' }];
+    });
+    const session = await connectSession(instances.dev);
+    session.serviceNowClient.currentUpdateSet = { sys_id: 'us1', name: 'Feature Work' };
+
+    const incidents = await readJson(session.client, 'servicenow://prod/incidents');
+
+    expect(incidents.metadata.instance).toBe('prod');
+    expect(calledOn).toEqual(['prod']);
+    expect(session.serviceNowClient.getCurrentInstance().name).toBe('dev');
+    expect(session.serviceNowClient.currentUpdateSet).toEqual({ sys_id: 'us1', name: 'Feature Work' });
+
+    await session.client.close();
+  });
+
+  it('should use a separate client for cross-instance reads without a resolver', async () => {
+    const sessionClient = new ServiceNowClient(instances.dev.url, instances.dev.username, instances.dev.password);
+    sessionClient.currentInstanceName = 'dev';
+    const setInstance = jest.spyOn(sessionClient, 'setInstance');
+    jest.spyOn(ServiceNowClient.prototype, 'getRecords').mockResolvedValue([]);
+    const handlers = createResourceHandlers(sessionClient, configManager, mockTableMetadata);
+
+    const result = await handlers.readResource('servicenow://prod/users');
+
+    expect(JSON.parse(result.contents[0].text).metadata.instance).toBe('prod');
+    expect(setInstance).not.toHaveBeenCalled();
+  });
+
+  it('should stream update set contents and keep a sample per type', async () => {
+    const changes = Array.from({ length: 25 }, (_, index) => ({ type: index < 12 ? 'Business Rule' : 'Script Include', name: `change${index}`, sys_created_on: '2026-10-01' }));
+    jest.spyOn(ServiceNowClient.prototype, 'getRecord').mockResolvedValue({ sys_id: 'us1', name: 'Big Set', state: 'in progress' });
+    const getAllRecords = jest.spyOn(ServiceNowClient.prototype, 'getAllRecords');
+    jest.spyOn(ServiceNowClient.prototype, 'streamRecords').mockImplementation(async function* () {
+      yield* changes;
+    });
+    const session = await connectSession(instances.dev);
+
+    const contents = await readJson(session.client, 'servicenow://dev/update-sets/us1');
+
+    expect(contents.data.total_records).toBe(25);
+    expect(contents.data.components.map(({ type, count, items }) => [type, count, items.length])).toEqual([
+      ['Business Rule', 12, 10],
+      ['Script Include', 13, 10]
+    ]);
+    expect(contents.data.components[0].items[0]).toEqual({ name: 'change0', created: '2026-10-01' });
+    expect(ServiceNowClient.prototype.streamRecords).toHaveBeenCalledWith('sys_update_xml', expect.objectContaining({ sysparm_query: 'update_set=us1' }));
+    expect(getAllRecords).not.toHaveBeenCalled();
+
+    await session.client.close();
+  });
+});
+
+describe('Table Resource Templates', () => {
+  const instances = {
+    dev: { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'pw' },
+    prod: { name: 'prod', url: 'https://prod123.service-now.com', username: 'api', password: 'pw' }
+  };
+
+
+  const readJson = async (client, uri) => {
+    const result = await client.readResource({ uri });
+    return JSON.parse(result.contents[0].text);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(configManager, 'getInstance').mockImplementation((name) => {
+      if (!instances[name]) {
+        throw new Error(`Instance '${name}' not found`);
+      }
+      return instances[name];
+    });
+    jest.spyOn(configManager, 'listInstances').mockImplementation(() => (
+      Object.values(instances).map(i => ({ name: i.name, url: i.url, mode: 'full' }))
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should publish record and query templates', async () => {
+    const session = await connectSession(instances.dev);
+
+    const { resourceTemplates } = await session.client.listResourceTemplates();
+
+    expect(resourceTemplates.map(t => t.uriTemplate)).toEqual([
+      'servicenow://{instance}/table/{table}/{sys_id}',
+      'servicenow://{instance}/table/{table}{?query,fields,limit,offset}'
+    ]);
+
+    await session.client.close();
+  });
+
+  it('should read any record by table and sys_id', async () => {
+    const getRecord = jest.spyOn(ServiceNowClient.prototype, 'getRecord').mockResolvedValue({ sys_id: 'abc123', name: 'Main DB' });
+    const session = await connectSession(instances.dev);
+
+    const record = await readJson(session.client, 'servicenow://prod/table/cmdb_ci/abc123');
+
+    expect(getRecord).toHaveBeenCalledWith('cmdb_ci', 'abc123');
+    expect(record.metadata).toMatchObject({ instance: 'prod', table: 'cmdb_ci', record_count: 1 });
+    expect(record.data.name).toBe('Main DB');
+
+    await session.client.close();
+  });
+
+  it('should read query results with pagination details', async () => {
+    const getRecordsPage = jest.spyOn(ServiceNowClient.prototype, 'getRecordsPage').mockResolvedValue({
+      records: [{ number: 'INC0010001' }],
+      total_count: 40,
+      links: {},
+      offset: 0,
+      next_offset: 10,
+      prev_offset: null
+    });
+    const session = await connectSession(instances.dev);
+    const query = encodeURIComponent('active=true^priority=1');
+
+    const result = await readJson(session.client, `servicenow://dev/table/incident?query=${query}&fields=number&limit=10`);
+
+    expect(getRecordsPage).toHaveBeenCalledWith('incident', {
+      sysparm_query: 'active=true^priority=1',
+      sysparm_fields: 'number',
+      sysparm_limit: 10,
+      sysparm_offset: undefined
+    });
+    expect(result.metadata).toMatchObject({ table: 'incident', query: 'active=true^priority=1', total_count: 40, next_offset: 10 });
+
+    await session.client.close();
+  });
+
+  it('should cap the query page size', async () => {
+    const getRecordsPage = jest.spyOn(ServiceNowClient.prototype, 'getRecordsPage')
+      .mockResolvedValue({ records: [], total_count: 0, links: {}, offset: 0, next_offset: null, prev_offset: null });
+    const session = await connectSession(instances.dev);
+
+    await readJson(session.client, 'servicenow://dev/table/incident?limit=50000');
+
+    expect(getRecordsPage.mock.calls[0][1].sysparm_limit).toBe(1000);
+
+    await session.client.close();
+  });
+
+  it('should reject malformed table names', async () => {
+    const session = await connectSession(instances.dev);
+
+    await expect(session.client.readResource({ uri: 'servicenow://dev/table/incident%2F..%2Fsys_user' }))
+      .rejects.toThrow('Invalid table resource');
+
+    await session.client.close();
+  });
+
+  it('should complete table names from the table metadata', async () => {
+    const session = await connectSession(instances.dev);
+
+    const result = await session.client.complete({
+      ref: { type: 'ref/resource', uri: 'servicenow://{instance}/table/{table}/{sys_id}' },
+      argument: { name: 'table', value: 'sys_user' }
+    });
+
+    expect(result.completion.values).toContain('sys_user');
+    expect(result.completion.values).toContain('sys_user_group');
+    expect(result.completion.values.every(v => v.startsWith('sys_user'))).toBe(true);
+
+    await session.client.close();
+  });
+
+  it('should complete instance names', async () => {
+    const session = await connectSession(instances.dev);
+
+    const result = await session.client.complete({
+      ref: { type: 'ref/resource', uri: 'servicenow://{instance}/table/{table}{?query,fields,limit,offset}' },
+      argument: { name: 'instance', value: 'p' }
+    });
+
+    expect(result.completion).toEqual({ values: ['prod'], total: 1, hasMore: false });
+
+    await session.client.close();
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Tests for background script execution
+ * Tests: output tagging, syslog parsing, waiting for completion, dry runs and SN-Execute-Background-Script output capture
+ */
+
+import { jest } from '@jest/globals';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { configManager } from '../src/config-manager.js';
+import { tagScriptOutput, parseScriptOutput, runBackgroundScript, interceptWrites } from '../src/script-execution.js';
+import { createMockServiceNowClient, connectSession } from './helpers/mocks.js';
+
+/**
+ * Stand-in GlideRecord and GlideAggregate over in-memory tables
+ * Committed writes are recorded in `writes`; encoded queries support field=value only.
+ */
+function createDatabase(tables) {
+  const writes = [];
+  const matches = (row, query) => query.every(([field, value]) => String(row[field]) === String(value));
+
+  class GlideRecord {
+    constructor(table) {
+      this.table = table;
+      this.conditions = [];
+      this.rows = [];
+      this.values = {};
+    }
+    getTableName() { return this.table; }
+    getUniqueValue() { return this.values.sys_id || ''; }
+    setNewGuid() { this.values.sys_id = `new${writes.length + 1}`; return this.values.sys_id; }
+    initialize() { this.values = {}; }
+    addQuery(field, value) { this.conditions.push([field, value]); }
+    addEncodedQuery(query) { query.split('^').forEach(part => this.conditions.push(part.split('='))); }
+    getEncodedQuery() { return this.conditions.map(condition => condition.join('=')).join('^'); }
+    setLimit(limit) { this.limit = limit; }
+    setValue(field, value) { this.values[field] = value; }
+    query() { this.rows = (tables[this.table] || []).filter(row => matches(row, this.conditions)).slice(0, this.limit); }
+    next() { this.values = this.rows.shift(); return Boolean(this.values); }
+    insert() { writes.push(['insert', this.table]); return this.setNewGuid(); }
+    update() { writes.push(['update', this.table, this.values.sys_id]); return this.values.sys_id; }
+    deleteRecord() { writes.push(['delete', this.table, this.values.sys_id]); return true; }
+    deleteMultiple() { writes.push(['deleteMultiple', this.table]); }
+  }
+
+  class GlideAggregate extends GlideRecord {
+    addAggregate() {}
+    next() { return true; }
+    getAggregate() { this.query(); return String(this.rows.length); }
+  }
+
+  return { GlideRecord, GlideAggregate, writes };
+}
+
+/**
+ * Run a scheduled script against a stand-in gs that writes to a syslog array
+ */
+function runOnInstance(script, syslog, database = createDatabase({})) {
+  const write = (level) => (message) => syslog.push({ message: String(message), level });
+  const gs = {
+    info: write('0'),
+    warn: write('1'),
+    error: write('2'),
+    print: write('0'),
+    getUserName: () => 'admin'
+  };
+  new Function('gs', 'GlideRecord', 'GlideAggregate', script)(gs, database.GlideRecord, database.GlideAggregate);
+}
+
+describe('Background Script Execution', () => {
+  describe('Output Tagging', () => {
+    it('should tag gs output with the correlation id and mark the end', () => {
+      const syslog = [];
+      runOnInstance(tagScriptOutput([
+        'gs.info("Hello {0}, you have {1} tasks", gs.getUserName(), 3);',
+        'gs.print("printed");',
+        'gs.warn("careful");',
+        'gs.error("failed");',
+        'gs.log("legacy", "my source");'
+      ].join('\n'), 'abc123'), syslog);
+
+      expect(syslog.map(row => row.message)).toEqual([
+        '[MCP:abc123:1:info] Hello admin, you have 3 tasks',
+        '[MCP:abc123:2:info] printed',
+        '[MCP:abc123:3:warn] careful',
+        '[MCP:abc123:4:error] failed',
+        '[MCP:abc123:5:info] legacy',
+        '[MCP:abc123:end]'
+      ]);
+      expect(syslog[2].level).toBe('1');
+      expect(syslog[3].level).toBe('2');
+    });
+
+    it('should leave strings, comments and other gs calls alone', () => {
+      const script = 'var s = "gs.info(x)"; // gs.info(y)\nvar user = gs.getUserName();\nobj.gs.info("not gs");';
+      const tagged = tagScriptOutput(script, 'abc123');
+
+      expect(tagged).toContain('var s = "gs.info(x)"; // gs.info(y)\nvar user = gs.getUserName();\nobj.gs.info("not gs");');
+    });
+
+    it('should capture uncaught exceptions and still end the run', () => {
+      const syslog = [];
+      runOnInstance(tagScriptOutput('gs.info("before");\nnull.boom();\ngs.info("after");', 'abc123'), syslog);
+
+      const output = parseScriptOutput(syslog, 'abc123');
+      expect(output.completed).toBe(true);
+      expect(output.stdout).toBe('before');
+      expect(output.exception).toMatch(/null/);
+    });
+  });
+
+  describe('Output Parsing', () => {
+    it('should order lines by sequence and ignore other runs', () => {
+      const rows = [
+        { message: '[MCP:abc123:2:info] second' },
+        { message: '[MCP:other:1:info] another run' },
+        { message: 'unrelated' },
+        { message: '[MCP:abc123:1:info] first\nwith two lines' },
+        { message: '[MCP:abc123:3:debug] detail' },
+        { message: '[MCP:abc123:4:warn] careful' }
+      ];
+
+      expect(parseScriptOutput(rows, 'abc123')).toEqual({
+        completed: false,
+        stdout: 'first\nwith two lines\nsecond\ndetail',
+        warnings: ['careful'],
+        errors: [],
+        exception: null,
+        intercepted_writes: null,
+        lines: 4
+      });
+    });
+  });
+
+  describe('Dry Run', () => {
+    const incidents = Array.from({ length: 8 }, (_, i) => ({ sys_id: `inc${i + 1}`, active: i < 2 ? 'true' : 'false' }));
+
+    it('should count GlideRecord writes without committing them', () => {
+      const database = createDatabase({ incident: incidents });
+      const syslog = [];
+      runOnInstance(tagScriptOutput(interceptWrites([
+        'var inc = new GlideRecord("incident");',
+        'inc.addQuery("active", "true");',
+        'inc.query();',
+        'while (inc.next()) { inc.setValue("state", 7); inc.update(); }',
+        'var old = new GlideRecord("incident");',
+        'old.addQuery("active", "false");',
+        'old.deleteMultiple();',
+        'var note = new GlideRecord("u_note");',
+        'note.initialize();',
+        'gs.info("created " + note.insert());',
+        'var cache = { update: function (key) { return "cached " + key; } };',
+        'gs.info(cache.update("k"));'
+      ].join('\n')), 'abc123'), syslog, database);
+
+      const output = parseScriptOutput(syslog, 'abc123');
+      expect(database.writes).toEqual([]);
+      expect(output.stdout).toBe('created new1\ncached k');
+      expect(output.intercepted_writes).toEqual({
+        incident: {
+          update: { count: 2, sys_ids: ['inc1', 'inc2'] },
+          delete: { count: 6, sys_ids: ['inc3', 'inc4', 'inc5', 'inc6', 'inc7'] }
+        },
+        u_note: { insert: { count: 1, sys_ids: ['new1'] } }
+      });
+    });
+
+    it('should still report writes made before an exception', () => {
+      const syslog = [];
+      runOnInstance(tagScriptOutput(interceptWrites('var gr = new GlideRecord("incident");\ngr.insert();\nnull.boom();'), 'abc123'), syslog);
+
+      const output = parseScriptOutput(syslog, 'abc123');
+      expect(output.exception).toMatch(/null/);
+      expect(output.intercepted_writes).toEqual({ incident: { insert: { count: 1, sys_ids: ['new1'] } } });
+    });
+
+    it('should rewrite calls on member, index and call receivers', () => {
+      const wrapped = interceptWrites('if (ok) gr.deleteRecord();\nthis.records[0].update("reason");\nfind(id).insert();\nvar s = "gr.update()";');
+
+      expect(wrapped).toContain('if (ok) __mcpDryRun.deleteRecord(gr);\n__mcpDryRun.update(this.records[0], "reason");\n__mcpDryRun.insert(find(id));\nvar s = "gr.update()";');
+    });
+
+    it('should refuse writes it cannot intercept', () => {
+      expect(() => interceptWrites('var a = new GlideRecord("task");\nfind(a.insert()).update();'))
+        .toThrow('Dry run cannot intercept the update() call on line 2. Assign the record to a variable and call update() on that.');
+    });
+
+    it('should refuse write methods called through templates, brackets or references', () => {
+      expect(() => interceptWrites('var gr = new GlideRecord("task");\ngs.info(`closed ${gr.update()}`);'))
+        .toThrow('Dry run cannot intercept the update() call inside the template literal on line 2. Call update() before the template and use its result.');
+      expect(() => interceptWrites('gr[\'deleteRecord\']();'))
+        .toThrow('Dry run cannot intercept deleteRecord on line 1, which is accessed with brackets. Call it as record.deleteRecord() instead.');
+      expect(() => interceptWrites('var save = gr.update;\nsave.call(gr);'))
+        .toThrow('Dry run cannot intercept update on line 1, which is referenced without being called. Call record.update() directly.');
+
+      expect(() => interceptWrites('var u = \'deleteRecord\';\ngr[u]();'))
+        .toThrow('Dry run cannot intercept the call on line 2 through a computed key, which could name a write method. Call the method by name instead.');
+      expect(() => interceptWrites('gr[ops[0]].call(gr);')).toThrow(/through a computed key/);
+
+      // Templates without write calls, assigned methods and indexed values are left alone
+      expect(() => interceptWrites('gs.info(`${count} update(s)`);\nhelper.update = function () {};\nids[i].update();\nhandlers[0]();')).not.toThrow();
+    });
+  });
+
+  describe('Waiting for Output', () => {
+    let mockClient;
+    let syslog;
+    let triggerChecks;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      syslog = [];
+      triggerChecks = 0;
+      mockClient = createMockServiceNowClient();
+      mockClient.executeScriptViaTrigger.mockImplementation(async (script) => {
+        mockClient.scheduledScript = script;
+        return { success: true, trigger_sys_id: 'trig1', trigger_name: 'MCP_Script_1', auto_delete: true };
+      });
+      mockClient.getRecords.mockImplementation(async (table) => {
+        if (table === 'sys_trigger') {
+          // The trigger runs (and deletes itself) on the second check
+          if (++triggerChecks < 2) return [{ sys_id: 'trig1' }];
+          if (syslog.length === 0) runOnInstance(mockClient.scheduledScript, syslog);
+          return [];
+        }
+        return [...syslog];
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should wait for the trigger to finish and return the output', async () => {
+      const result = await runBackgroundScript(mockClient, 'gs.info("done"); gs.warn("slow");', { poll_interval_ms: 1 });
+
+      expect(result).toEqual(expect.objectContaining({
+        trigger_sys_id: 'trig1',
+        completed: true,
+        timed_out: false,
+        trigger_completed: true,
+        stdout: 'done',
+        warnings: ['slow'],
+        errors: [],
+        exception: null,
+        truncated: false
+      }));
+      expect(result.correlation_id).toMatch(/^[0-9a-f]{12}$/);
+      expect(result.elapsed_ms).toEqual(expect.any(Number));
+      expect(triggerChecks).toBe(2);
+      expect(mockClient.getRecords).toHaveBeenCalledWith('syslog', expect.objectContaining({
+        sysparm_query: `messageLIKE[MCP:${result.correlation_id}:^ORDERBYsys_created_on`
+      }));
+    });
+
+    it('should give up after the timeout with what was logged so far', async () => {
+      mockClient.getRecords.mockImplementation(async (table) => (table === 'sys_trigger' ? [{ sys_id: 'trig1' }] : []));
+
+      const result = await runBackgroundScript(mockClient, 'gs.info("never");', { timeout_ms: 5, poll_interval_ms: 1 });
+
+      expect(result.completed).toBe(false);
+      expect(result.timed_out).toBe(true);
+      expect(result.trigger_completed).toBe(false);
+      expect(mockClient.getRecords).not.toHaveBeenCalledWith('syslog', expect.anything());
+    });
+
+    it('should not poll faster than every 500ms', async () => {
+      mockClient.getRecords.mockImplementation(async (table) => (table === 'sys_trigger' ? [{ sys_id: 'trig1' }] : []));
+
+      await runBackgroundScript(mockClient, 'gs.info("never");', { timeout_ms: 600, poll_interval_ms: 0 });
+
+      expect(mockClient.getRecords.mock.calls.length).toBeLessThanOrEqual(3);
+    });
+
+    it('should reject waits that are not numbers before scheduling', async () => {
+      await expect(runBackgroundScript(mockClient, 'gs.info("x");', { timeout_ms: '60s' }))
+        .rejects.toThrow('timeout_ms must be a number of milliseconds, got "60s"');
+      await expect(runBackgroundScript(mockClient, 'gs.info("x");', { poll_interval_ms: NaN }))
+        .rejects.toThrow('poll_interval_ms must be a number of milliseconds, got NaN');
+      expect(mockClient.executeScriptViaTrigger).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('SN-Execute-Background-Script', () => {
+    const instance = { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'pw' };
+    let session;
+    let syslog;
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(configManager, 'getInstance').mockReturnValue(instance);
+      jest.spyOn(configManager, 'listInstances').mockReturnValue([{ name: 'dev', url: instance.url, mode: 'full' }]);
+      syslog = [];
+      const database = createDatabase({ incident: [{ sys_id: 'inc1' }, { sys_id: 'inc2' }] });
+      jest.spyOn(ServiceNowClient.prototype, 'executeScriptViaTrigger').mockImplementation(async (script) => {
+        runOnInstance(script, syslog, database);
+        return { success: true, trigger_sys_id: 'trig1', trigger_name: 'MCP_Script_1', auto_delete: true };
+      });
+      jest.spyOn(ServiceNowClient.prototype, 'getRecords').mockImplementation(async (table) => (table === 'syslog' ? [...syslog] : []));
+
+      session = await connectSession(instance);
+    });
+
+    afterEach(async () => {
+      await session.client.close();
+      jest.restoreAllMocks();
+    });
+
+    it('should return the captured output', async () => {
+      const result = await session.client.callTool({
+        name: 'SN-Execute-Background-Script',
+        arguments: { script: 'gs.info("42 records");\ngs.error("1 failed");', description: 'Count', capture_output: true, poll_interval_ms: 1 }
+      });
+
+      expect(result.isError).toBeUndefined();
+      const text = result.content[0].text;
+      expect(text).toMatch(/^✅ Background script finished in \d+\.\ds/);
+      expect(text).toContain('Description: Count');
+      expect(text).toContain('Output:\n```\n42 records\n```');
+      expect(text).toContain('❌ Errors (1):\n- 1 failed');
+    });
+
+    it('should report intercepted writes for dry runs, even for bulk deletes', async () => {
+      const result = await session.client.callTool({
+        name: 'SN-Execute-Background-Script',
+        arguments: { script: 'var gr = new GlideRecord("incident");\ngr.deleteMultiple();\ngs.info("cleaned");', dry_run: true, poll_interval_ms: 1 }
+      });
+
+      expect(result.isError).toBeUndefined();
+      const text = result.content[0].text;
+      expect(text).toMatch(/^✅ Background script finished in/);
+      expect(text).toContain('🧪 Dry run: these GlideRecord writes were intercepted and not committed:\n- incident: 2 delete(s) — inc1, inc2\nOnly writes called directly in the script are intercepted.');
+      expect(text).not.toContain('nothing was written');
+      expect(text).toContain('Output:\n```\ncleaned\n```');
+      expect(text).toContain('🔴 Risk rating: high');
+    });
+
+    it('should still refuse high-risk operations a dry run does not intercept', async () => {
+      const result = await session.client.callTool({
+        name: 'SN-Execute-Background-Script',
+        arguments: { script: 'gs.setProperty("glide.ui.session_timeout", "5");', dry_run: true, poll_interval_ms: 1 }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toMatch(/^⚠️ High-risk script not run on 'dev'/);
+      expect(ServiceNowClient.prototype.executeScriptViaTrigger).not.toHaveBeenCalled();
+    });
+
+    it('should refuse intercepted high-risk operations on production instances even in dry runs', async () => {
+      configManager.listInstances.mockReturnValue([{ name: 'dev', url: instance.url, mode: 'full', production: true }]);
+
+      const result = await session.client.callTool({
+        name: 'SN-Execute-Background-Script',
+        arguments: { script: 'var gr = new GlideRecord("incident");\ngr.deleteMultiple();', dry_run: true, acknowledge_risk: true, poll_interval_ms: 1 }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toMatch(/^🛑 High-risk script refused: 'dev' is marked as a production instance/);
+      expect(ServiceNowClient.prototype.executeScriptViaTrigger).not.toHaveBeenCalled();
+    });
+
+    it('should flag scripts that threw', async () => {
+      const result = await session.client.callTool({
+        name: 'SN-Execute-Background-Script',
+        arguments: { script: 'throw new Error("bad data");', capture_output: true, poll_interval_ms: 1 }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toMatch(/^❌ Background script failed after \d+\.\ds: bad data/);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Tests for script linting
+ * Tests: syntax check, globals by script type, anti-patterns, lint results and blocking on push
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { lintScript } from '../src/script-lint.js';
+import { syncScript } from '../src/script-sync.js';
+import { createMockServiceNowClient } from './helpers/mocks.js';
+
+const rules = (findings) => findings.map(finding => `${finding.rule}:${finding.line}`);
+
+describe('Script Lint', () => {
+  describe('Syntax', () => {
+    it('should report syntax errors with their position', () => {
+      const findings = lintScript('var a = 1;\nvar b = ;', { scriptType: 'sys_script_include' });
+
+      expect(findings).toEqual([{
+        rule: 'syntax',
+        severity: 'error',
+        message: "Syntax error: Unexpected token ';'",
+        line: 2,
+        column: 9
+      }]);
+    });
+
+    it('should accept widget client scripts written as a bare function', () => {
+      const source = 'function($scope) {\n  var c = this;\n}';
+
+      expect(lintScript(source, { scriptType: 'sp_widget', field: 'client_script', fileName: 'client_script.js' })).toEqual([]);
+      expect(rules(lintScript(source, { scriptType: 'sys_script_include' }))).toEqual(['syntax:1']);
+    });
+
+    it('should skip non-JavaScript files and empty scripts', () => {
+      expect(lintScript('<div>{{c.data.x}}</div>', { scriptType: 'sp_widget', field: 'template', fileName: 'template.html' })).toEqual([]);
+      expect(lintScript('<j:jelly>', { scriptType: 'sys_ui_macro', field: 'xml', fileName: 'macro.xml' })).toEqual([]);
+      expect(lintScript('  \n', { scriptType: 'sys_script' })).toEqual([]);
+    });
+  });
+
+  describe('Globals', () => {
+    it('should flag server APIs in client scripts', () => {
+      const findings = lintScript('function onLoad() {\n  var id = gs.getUserID();\n  var gr = new GlideRecord("x");\n}', { scriptType: 'sys_script_client' });
+
+      expect(rules(findings)).toEqual(['unavailable-global:2', 'client-gliderecord:3']);
+      expect(findings[0].severity).toBe('error');
+      expect(findings[1].severity).toBe('warning');
+    });
+
+    it('should flag client APIs in server scripts', () => {
+      const findings = lintScript('g_form.setValue("state", 2);', { scriptType: 'sys_script_fix' });
+
+      expect(findings).toEqual([expect.objectContaining({ rule: 'unavailable-global', severity: 'error', line: 1, column: 1 })]);
+    });
+
+    it('should only allow current where the script type provides it', () => {
+      const source = 'var state = current.state;';
+
+      expect(lintScript(source, { scriptType: 'sys_script' })).toEqual([]);
+      expect(lintScript(source, { scriptType: 'sys_security_acl' })).toEqual([]);
+      expect(lintScript(source, { scriptType: 'sys_script_include' })).toEqual([
+        expect.objectContaining({ rule: 'unavailable-global', severity: 'warning' })
+      ]);
+      expect(lintScript(source, { scriptType: 'sys_ui_policy', field: 'script_true', fileName: 'script_true.js' })).toEqual([
+        expect.objectContaining({ rule: 'unavailable-global', severity: 'error' })
+      ]);
+    });
+
+    it('should ignore declared names, properties, object keys, strings and comments', () => {
+      const source = [
+        'function check(current) { return current.active; }',
+        'var options = { current: true, g_form: null };',
+        'options.current = "gs and g_form";',
+        '// g_form.setValue()',
+        '/* gs.info() */'
+      ].join('\n');
+
+      expect(lintScript(source, { scriptType: 'sys_script_include' })).toEqual([]);
+    });
+
+    it('should allow client and server code in client-side UI actions', () => {
+      const source = 'function runClient() { g_form.save(); }\nif (typeof window == "undefined") { current.update(); gs.addInfoMessage("Saved"); }';
+
+      expect(lintScript(source, { scriptType: 'sys_ui_action', fields: { client: 'true' } })).toEqual([]);
+      expect(rules(lintScript(source, { scriptType: 'sys_ui_action', fields: { client: 'false' } }))).toEqual(['unavailable-global:1']);
+    });
+  });
+
+  describe('Anti-patterns', () => {
+    it('should flag queries inside loops', () => {
+      const source = [
+        'var task = new GlideRecord("task");',
+        'task.query();',
+        'while (task.next()) {',
+        '  var user = new GlideRecord("sys_user");',
+        '  user.get(task.assigned_to);',
+        '}',
+        'for (var i = 0; i < 3; i++) new GlideAggregate("incident");'
+      ].join('\n');
+
+      expect(rules(lintScript(source, { scriptType: 'sys_script_include' }))).toEqual(['query-in-loop:4', 'query-in-loop:7']);
+    });
+
+    it('should flag current.update() in business rules', () => {
+      const source = 'current.state = 2;\ncurrent.update();';
+
+      expect(lintScript(source, { scriptType: 'sys_script', fields: { when: 'before' } })).toEqual([
+        expect.objectContaining({ rule: 'current-update-in-before-rule', severity: 'error', line: 2 })
+      ]);
+      expect(lintScript(source, { scriptType: 'sys_script', fields: { when: 'after' } })).toEqual([
+        expect.objectContaining({ rule: 'current-update-in-business-rule', severity: 'warning', line: 2 })
+      ]);
+    });
+
+    it('should flag hard-coded sys_ids', () => {
+      const findings = lintScript('var groupId = "8a5055c9c61122780043563ef53438e3";\nvar name = "not-a-sys-id";', { scriptType: 'sys_script_include' });
+
+      expect(findings).toEqual([expect.objectContaining({ rule: 'hardcoded-sys-id', severity: 'warning', line: 1, column: 15 })]);
+    });
+
+    it('should not mistake regular expressions for strings or comments', () => {
+      const source = 'var quoted = /"[^"]*"/g;\nvar half = total / 2 / count;\nvar url = /\\/\\//.test(x);';
+
+      expect(lintScript(source, { scriptType: 'sys_script_include' })).toEqual([]);
+    });
+  });
+
+  describe('Push', () => {
+    let tempDir;
+    let mockClient;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'script-lint-'));
+      mockClient = createMockServiceNowClient();
+      mockClient.getRecords.mockResolvedValue([{ sys_id: 'br1', name: 'Close tasks', script: '', sys_updated_on: '2026-10-01 10:00:00' }]);
+      mockClient.updateRecord.mockResolvedValue({ sys_updated_on: '2026-10-02 10:00:00' });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const writeRule = async (script) => {
+      const filePath = path.join(tempDir, 'Close_tasks.sys_script.js');
+      await fs.writeFile(filePath, `/**\n * ---\n * when: before\n * ---\n */\n\n${script}`);
+      return filePath;
+    };
+
+    it('should report findings in the sync result and still push', async () => {
+      const filePath = await writeRule('current.state = 3;\ncurrent.update();');
+
+      const result = await syncScript(mockClient, { script_name: 'Close tasks', script_type: 'sys_script', file_path: filePath, direction: 'push' });
+
+      expect(result.success).toBe(true);
+      expect(result.lint).toEqual({
+        errors: 1,
+        warnings: 0,
+        findings: [expect.objectContaining({ rule: 'current-update-in-before-rule', line: 2 })]
+      });
+      expect(mockClient.updateRecord).toHaveBeenCalled();
+    });
+
+    it('should refuse to push scripts with errors when blocking', async () => {
+      const filePath = await writeRule('current.state = 3;\ncurrent.update();');
+
+      const result = await syncScript(mockClient, {
+        script_name: 'Close tasks', script_type: 'sys_script', file_path: filePath, direction: 'push', block_on_lint_error: true
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Push blocked by 1 lint error(s). First (line 2): current.update() in a before business rule saves the record twice and re-runs its business rules. Before rules save current automatically; set the fields and drop the update() call.');
+      expect(result.lint.errors).toBe(1);
+      expect(mockClient.getRecords).not.toHaveBeenCalled();
+      expect(mockClient.updateRecord).not.toHaveBeenCalled();
+    });
+
+    it('should push scripts with warnings only when blocking', async () => {
+      const filePath = await writeRule('current.assignment_group = "8a5055c9c61122780043563ef53438e3";');
+
+      const result = await syncScript(mockClient, {
+        script_name: 'Close tasks', script_type: 'sys_script', file_path: filePath, direction: 'push', block_on_lint_error: true
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.lint).toEqual(expect.objectContaining({ errors: 0, warnings: 1 }));
+    });
+
+    it('should name the file for record directories', async () => {
+      const widgetDir = path.join(tempDir, 'task-list.sp_widget');
+      await fs.mkdir(widgetDir);
+      await fs.writeFile(path.join(widgetDir, 'template.html'), '<div></div>');
+      await fs.writeFile(path.join(widgetDir, 'server_script.server.js'), '(function() {\n  data.user = g_user.userID;\n})();');
+      mockClient.getRecords.mockResolvedValue([{ sys_id: 'w1', id: 'task-list', template: '', script: '' }]);
+
+      const result = await syncScript(mockClient, {
+        script_name: 'task-list', script_type: 'sp_widget', file_path: widgetDir, direction: 'push', block_on_lint_error: true
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/^Push blocked by 1 lint error\(s\)\. First \(server_script\.server\.js line 2\): g_user is a client-side API/);
+      expect(result.lint.findings[0].file).toBe('server_script.server.js');
+    });
+
+    it('should skip linting when disabled', async () => {
+      const filePath = await writeRule('var a = ;');
+      mockClient.updateRecord.mockResolvedValue({});
+
+      const result = await syncScript(mockClient, {
+        script_name: 'Close tasks', script_type: 'sys_script', file_path: filePath, direction: 'push', lint: false, block_on_lint_error: true
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.lint).toBeUndefined();
+    });
+  });
+});
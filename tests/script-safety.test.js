@@ -0,0 +1,162 @@
+/**
+ * Tests for script safety analysis
+ * Tests: risky operation detection, risk ratings and refusing high-risk background scripts
+ */
+
+import { jest } from '@jest/globals';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { configManager } from '../src/config-manager.js';
+import { analyzeScriptSafety, formatSafetyReport } from '../src/script-safety.js';
+import { connectSession } from './helpers/mocks.js';
+
+const rules = (analysis) => analysis.findings.map(finding => `${finding.rule}:${finding.risk}:${finding.line}`);
+
+describe('Script Safety', () => {
+  describe('Analysis', () => {
+    it('should rate bulk deletes and updates as high risk', () => {
+      const analysis = analyzeScriptSafety([
+        'var gr = new GlideRecord("incident");',
+        'gr.addQuery("active", false);',
+        'gr.deleteMultiple();',
+        'var all = new GlideRecord("u_staging");',
+        'all.setValue("state", 2);',
+        'all.updateMultiple();'
+      ].join('\n'));
+
+      expect(analysis.risk).toBe('high');
+      expect(rules(analysis)).toEqual(['delete-multiple:high:3', 'update-multiple:high:6']);
+      expect(analysis.findings[0].message).toBe('deleteMultiple() on incident deletes every matching record in one call, with no per-record undo.');
+      expect(analysis.findings[1].message).toBe('updateMultiple() on u_staging with no query conditions updates every record in the table.');
+    });
+
+    it('should flag system property changes and skipped business rules', () => {
+      const analysis = analyzeScriptSafety('gs.setProperty("glide.ui.session_timeout", "5");\nvar gr = new GlideRecord("u_queue");\ngr.setWorkflow(false);\ngr.setWorkflow(true);');
+
+      expect(rules(analysis)).toEqual(['set-property:high:1', 'set-workflow-false:medium:3']);
+    });
+
+    it('should flag unfiltered queries on large tables and escalate when they write', () => {
+      const read = analyzeScriptSafety('var task = new GlideRecord("task");\ntask.query();\nwhile (task.next()) { count++; }');
+      expect(read.risk).toBe('medium');
+      expect(rules(read)).toEqual(['unfiltered-query:medium:2']);
+
+      const write = analyzeScriptSafety('var ci = new GlideRecord("cmdb_ci_server");\nci.query();\nwhile (ci.next()) {\n  ci.setValue("install_status", 7);\n  ci.update();\n}');
+      expect(write.risk).toBe('high');
+      expect(write.findings[0].message).toContain('It then calls update() on line 5');
+    });
+
+    it('should accept filtered queries and small tables', () => {
+      const analysis = analyzeScriptSafety([
+        'var inc = new GlideRecord("incident");',
+        'inc.addEncodedQuery("active=true^priority=1");',
+        'inc.query();',
+        'var choice = new GlideRecord("sys_choice");',
+        'choice.query();',
+        'var user = new GlideRecord("sys_user");',
+        'user.get("admin");'
+      ].join('\n'));
+
+      expect(analysis).toEqual({ risk: 'low', findings: [] });
+    });
+
+    it('should flag cross-scope tables and APIs', () => {
+      const analysis = analyzeScriptSafety('var car = new GlideRecord("x_acme_fleet_car");\nx_acme_fleet.FleetUtils.recalculate();\nvar r = new sn_ws.RESTMessageV2();');
+
+      expect(rules(analysis)).toEqual(['cross-scope:medium:1', 'cross-scope:medium:2']);
+    });
+
+    it('should follow table variables, aliases and bracket calls', () => {
+      const deleteAll = analyzeScriptSafety('var t = "incident";\nvar gr = new GlideRecord(t);\ngr.query();\nwhile (gr.next()) gr.deleteRecord();');
+      expect(rules(deleteAll)).toEqual(['unfiltered-query:high:3']);
+      expect(deleteAll.findings[0].message).toMatch(/^query\(\) on incident with no conditions/);
+
+      expect(rules(analyzeScriptSafety('var gr = new GlideRecord("incident");\ngr["deleteMultiple"]();'))).toEqual(['delete-multiple:high:2']);
+      expect(rules(analyzeScriptSafety('var p = gs;\np.setProperty("glide.ui.session_timeout", "5");'))).toEqual(['set-property:high:2']);
+      expect(rules(analyzeScriptSafety('var gr = new GlideRecord(tableName);\ngr.query();\nwhile (gr.next()) gr.update();'))).toEqual(['unfiltered-query:high:2']);
+    });
+
+    it('should rate calls it cannot name as medium risk', () => {
+      const computed = analyzeScriptSafety('var gr = new GlideRecord("u_queue");\nvar op = "deleteRecord";\ngr[op]();');
+      expect(computed.risk).toBe('medium');
+      expect(rules(computed)).toEqual(['indirect-call:medium:3']);
+
+      expect(rules(analyzeScriptSafety('var save = gr.deleteRecord;\nsave.call(gr);'))).toEqual(['indirect-call:medium:1']);
+      expect(analyzeScriptSafety('var ids = [];\nids[0] = "a";\nhelper.update = function () {};').risk).toBe('low');
+    });
+
+    it('should ignore strings and comments', () => {
+      const analysis = analyzeScriptSafety('// gr.deleteMultiple();\nvar note = "gs.setProperty(x)";');
+
+      expect(analysis.risk).toBe('low');
+    });
+
+    it('should format the rating with its findings', () => {
+      expect(formatSafetyReport({ risk: 'low', findings: [] })).toBe('🟢 Risk rating: low (no risky operations found)');
+      expect(formatSafetyReport(analyzeScriptSafety('gs.setProperty("a", "b");'))).toMatch(/^🔴 Risk rating: high\n- line 1 \[high\] set-property: /);
+    });
+  });
+
+  describe('SN-Execute-Background-Script', () => {
+    const instance = { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'pw' };
+    const risky = 'var gr = new GlideRecord("incident");\ngr.deleteMultiple();';
+    let session;
+    let settings;
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      settings = { name: 'dev', url: instance.url, mode: 'full', production: false };
+      jest.spyOn(configManager, 'getInstance').mockReturnValue(instance);
+      jest.spyOn(configManager, 'listInstances').mockImplementation(() => [settings]);
+      jest.spyOn(ServiceNowClient.prototype, 'executeScriptViaTrigger').mockResolvedValue({
+        success: true, trigger_sys_id: 'trig1', trigger_name: 'MCP_Script_1', next_action: '2026-10-19 10:00:01', auto_delete: true, message: 'Scheduled'
+      });
+
+      session = await connectSession(instance);
+    });
+
+    afterEach(async () => {
+      await session.client.close();
+      jest.restoreAllMocks();
+    });
+
+    const run = (args) => session.client.callTool({ name: 'SN-Execute-Background-Script', arguments: args });
+
+    it('should run low-risk scripts and report the rating', async () => {
+      const result = await run({ script: 'gs.info("hello");' });
+
+      expect(result.isError).toBeUndefined();
+      expect(result.content[0].text).toContain('🟢 Risk rating: low');
+      expect(ServiceNowClient.prototype.executeScriptViaTrigger).toHaveBeenCalled();
+    });
+
+    it('should refuse high-risk scripts until acknowledged', async () => {
+      const refused = await run({ script: risky });
+
+      expect(refused.isError).toBe(true);
+      expect(refused.content[0].text).toMatch(/^⚠️ High-risk script not run on 'dev'\. .*acknowledge_risk: true/);
+      expect(refused.content[0].text).toContain('delete-multiple');
+      expect(ServiceNowClient.prototype.executeScriptViaTrigger).not.toHaveBeenCalled();
+
+      const result = await run({ script: risky, acknowledge_risk: true });
+
+      expect(result.isError).toBeUndefined();
+      expect(result.content[0].text).toContain('🔴 Risk rating: high');
+      expect(ServiceNowClient.prototype.executeScriptViaTrigger).toHaveBeenCalledWith(risky, undefined, true);
+    });
+
+    it('should always refuse high-risk scripts on production instances', async () => {
+      settings.production = true;
+
+      const result = await run({ script: risky, acknowledge_risk: true });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toMatch(/^🛑 High-risk script refused: 'dev' is marked as a production instance/);
+      expect(ServiceNowClient.prototype.executeScriptViaTrigger).not.toHaveBeenCalled();
+
+      // Lower-risk scripts still run there
+      const medium = await run({ script: 'var gr = new GlideRecord("u_queue");\ngr.setWorkflow(false);' });
+      expect(medium.isError).toBeUndefined();
+      expect(medium.content[0].text).toContain('🟡 Risk rating: medium');
+    });
+  });
+});
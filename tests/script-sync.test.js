@@ -1,15 +1,28 @@
 /**
  * Tests for script synchronization functionality
- * Tests: SN-Sync-Script with push, pull, auto-detect, and bulk operations
+ * Tests: SN-Sync-Script with push, pull, auto-detect, bulk operations and the sync/watch tools
  */
 
 import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import {
   parseFileName,
   generateFileName,
+  syncAllScripts,
+  syncScript,
+  watchScripts,
+  parseScriptFile,
+  hashContent,
+  buildNameQuery,
   SCRIPT_TYPES,
 } from '../src/script-sync.js';
-import { createMockServiceNowClient, createMockFS } from './helpers/mocks.js';
+import { createMockServiceNowClient, createMockFS, connectSession } from './helpers/mocks.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { configManager } from '../src/config-manager.js';
+import { formatUnifiedDiff, mergeThreeWay } from '../src/text-merge.js';
 
 describe('Script Synchronization', () => {
   let mockClient;
@@ -60,7 +73,7 @@ describe('Script Synchronization', () => {
       const types = Object.keys(SCRIPT_TYPES);
 
       types.forEach(type => {
-        const result = parseFileName(`TestScript.${type}.js`);
+        const result = parseFileName(generateFileName('TestScript', type));
         expect(result.isValid).toBe(true);
         expect(result.scriptType).toBe(type);
       });
@@ -118,6 +131,16 @@ describe('Script Synchronization', () => {
 
       expect(labels.length).toBe(uniqueLabels.length);
     });
+
+    it('should explain why Flow Designer action scripts cannot be synced', async () => {
+      const flowAction = /^Script type sys_hub_action_type_definition cannot be synced: Flow Designer custom action scripts are stored as flow variable values/;
+
+      expect(SCRIPT_TYPES.sys_hub_action_type_definition).toBeUndefined();
+      await expect(syncScript(mockClient, { script_name: 'Close Tasks', script_type: 'sys_hub_action_type_definition', file_path: 'Close_Tasks.js' }))
+        .rejects.toThrow(flowAction);
+      expect((await syncAllScripts(mockClient, { directory: os.tmpdir(), script_types: ['sys_hub_action_type_definition'] })).error).toMatch(flowAction);
+      expect(mockClient.getRecords).not.toHaveBeenCalled();
+    });
   });
 
   describe('Push: Local → ServiceNow', () => {
@@ -469,4 +492,789 @@ function myFunction() {
       expect(content).toBe(utf8Content);
     });
   });
+
+  describe('Bulk Pull', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'script-sync-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Async generator over a fixed list of records, like ServiceNowClient.streamRecords
+     */
+    async function* streamOf(records) {
+      yield* records;
+    }
+
+    it('should stream every script of each requested type to files', async () => {
+      const includes = Array.from({ length: 1200 }, (_, i) => ({
+        sys_id: `si${i}`,
+        name: `Include${i}`,
+        script: `// Include ${i}`,
+      }));
+      mockClient.streamRecords.mockImplementation((table) => streamOf(table === 'sys_script_include' ? includes : []));
+
+      const result = await syncAllScripts(mockClient, {
+        directory: tempDir,
+        direction: 'pull',
+        script_types: ['sys_script_include', 'sys_ui_script'],
+        query: 'sys_scope.scope=x_acme_app',
+      });
+
+      expect(result.total_files).toBe(1200);
+      expect(result.synced).toBe(1200);
+      expect(result.failed).toBe(0);
+      expect(mockClient.streamRecords).toHaveBeenCalledWith('sys_script_include', expect.objectContaining({
+        sysparm_query: 'sys_scope.scope=x_acme_app',
+      }));
+
+      const content = await fs.readFile(path.join(tempDir, 'Include1199.sys_script_include.js'), 'utf-8');
+      expect(content).toContain('sys_id: si1199');
+      expect(content).toContain('// Include 1199');
+    });
+
+    it('should reject unknown directions', async () => {
+      const result = await syncAllScripts(mockClient, { directory: tempDir, direction: 'sideways' });
+
+      expect(result.error).toContain('Invalid direction: sideways');
+    });
+  });
+});
+
+describe('Push Conflict Detection', () => {
+  const BASE = 'var a = 1;\nvar b = 2;\nvar c = 3;';
+  let tempDir;
+  let filePath;
+  let mockClient;
+  let remote;
+
+  const options = (extra = {}) => ({
+    script_name: 'MyUtils',
+    script_type: 'sys_script_include',
+    file_path: filePath,
+    ...extra
+  });
+
+  /**
+   * Replace the script body of the local file, keeping its header
+   */
+  const editLocal = async (script) => {
+    const content = await fs.readFile(filePath, 'utf-8');
+    const header = content.match(/^\/\*\*[\s\S]*?\*\//)[0];
+    await fs.writeFile(filePath, `${header}\n\n${script}`);
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'script-conflict-'));
+    filePath = path.join(tempDir, 'MyUtils.sys_script_include.js');
+    remote = { sys_id: 'si1', name: 'MyUtils', script: BASE, sys_updated_on: '2026-10-01 10:00:00', sys_updated_by: 'admin' };
+    mockClient = createMockServiceNowClient();
+    mockClient.getRecords.mockImplementation(async () => [{ ...remote }]);
+    mockClient.updateRecord.mockImplementation(async (table, sysId, data) => {
+      remote = { ...remote, ...data, sys_updated_on: '2026-10-02 09:00:00' };
+      return remote;
+    });
+
+    await syncScript(mockClient, options({ direction: 'pull' }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should record the remote version on pull', async () => {
+    const { script, metadata } = parseScriptFile(await fs.readFile(filePath, 'utf-8'));
+
+    expect(script).toBe(BASE);
+    expect(metadata).toEqual({ sys_id: 'si1', sys_updated_on: '2026-10-01 10:00:00', content_hash: hashContent(BASE) });
+    expect(await fs.readFile(path.join(tempDir, '.sn-sync', 'MyUtils.sys_script_include.js'), 'utf-8')).toBe(BASE);
+  });
+
+  it('should push when the remote is unchanged and record the new version', async () => {
+    await editLocal('var a = 10;\nvar b = 2;\nvar c = 3;');
+
+    const result = await syncScript(mockClient, options({ direction: 'push' }));
+
+    expect(result.success).toBe(true);
+    expect(result.conflict_check).toBe('unchanged');
+    const { metadata } = parseScriptFile(await fs.readFile(filePath, 'utf-8'));
+    expect(metadata.sys_updated_on).toBe('2026-10-02 09:00:00');
+    expect(metadata.content_hash).toBe(hashContent('var a = 10;\nvar b = 2;\nvar c = 3;'));
+
+    // A second edit pushes cleanly against the version just pushed
+    await editLocal('var a = 11;\nvar b = 2;\nvar c = 3;');
+    expect((await syncScript(mockClient, options({ direction: 'push' }))).success).toBe(true);
+  });
+
+  it('should refuse to overwrite remote edits and report the diffs', async () => {
+    remote = { ...remote, script: 'var a = 1;\nvar b = 2;\nvar c = 30; // hotfix', sys_updated_by: 'jane', sys_updated_on: '2026-10-01 12:00:00' };
+    await editLocal('var a = 10;\nvar b = 2;\nvar c = 3;');
+
+    const result = await syncScript(mockClient, options({ direction: 'push' }));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('changed on the instance since the last pull (updated 2026-10-01 12:00:00 by jane)');
+    expect(result.conflict.remote_changes).toContain('+var c = 30; // hotfix');
+    expect(result.conflict.local_vs_remote).toContain('+var a = 10;');
+    expect(mockClient.updateRecord).not.toHaveBeenCalled();
+  });
+
+  it('should overwrite remote edits when forced', async () => {
+    remote = { ...remote, script: 'var a = 1; // hotfix' };
+    await editLocal('var a = 10;');
+
+    const result = await syncScript(mockClient, options({ direction: 'push', force: true }));
+
+    expect(result.success).toBe(true);
+    expect(result.conflict_check).toBe('forced');
+    expect(mockClient.updateRecord).toHaveBeenCalledWith('sys_script_include', 'si1', { script: 'var a = 10;' });
+  });
+
+  it('should merge edits to different lines', async () => {
+    remote = { ...remote, script: 'var a = 1;\nvar b = 2;\nvar c = 30;' };
+    await editLocal('var a = 10;\nvar b = 2;\nvar c = 3;');
+
+    const result = await syncScript(mockClient, options({ direction: 'push', merge: true }));
+
+    expect(result.success).toBe(true);
+    expect(result.conflict_check).toBe('merged');
+    expect(mockClient.updateRecord).toHaveBeenCalledWith('sys_script_include', 'si1', { script: 'var a = 10;\nvar b = 2;\nvar c = 30;' });
+    expect(parseScriptFile(await fs.readFile(filePath, 'utf-8')).script).toBe('var a = 10;\nvar b = 2;\nvar c = 30;');
+  });
+
+  it('should leave conflicting merges unpushed with a marked-up copy', async () => {
+    remote = { ...remote, script: 'var a = 100;\nvar b = 2;\nvar c = 3;' };
+    await editLocal('var a = 10;\nvar b = 2;\nvar c = 3;');
+
+    const result = await syncScript(mockClient, options({ direction: 'push', merge: true }));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Merge found 1 conflicting region(s)');
+    expect(mockClient.updateRecord).not.toHaveBeenCalled();
+    const marked = await fs.readFile(`${filePath}.merge`, 'utf-8');
+    expect(marked).toContain('<<<<<<< local\nvar a = 10;\n||||||| base\nvar a = 1;\n=======\nvar a = 100;\n>>>>>>> instance');
+  });
+
+  it('should push files without sync metadata unchecked', async () => {
+    remote = { ...remote, script: 'var a = 1; // hotfix' };
+    await fs.writeFile(filePath, 'var a = 10;');
+
+    const result = await syncScript(mockClient, options({ direction: 'push' }));
+
+    expect(result.success).toBe(true);
+    expect(result.conflict_check).toBe('no_metadata');
+  });
+});
+
+describe('Create on Push', () => {
+  const APP = 'a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4';
+  let tempDir;
+  let mockClient;
+
+  const header = (lines) => `/**\n * ---\n${lines.map(line => ` * ${line}\n`).join('')} * ---\n */\n\n`;
+
+  const push = async (fileName, content) => {
+    const [scriptName, scriptType] = fileName.split('.');
+    const filePath = path.join(tempDir, fileName);
+    await fs.writeFile(filePath, content);
+    return syncScript(mockClient, { script_name: scriptName, script_type: scriptType, file_path: filePath, direction: 'push' });
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'script-create-'));
+    mockClient = createMockServiceNowClient();
+    mockClient.getRecords.mockResolvedValue([]);
+    mockClient.getCurrentApplication.mockResolvedValue({ sys_id: APP, name: 'Fleet Manager' });
+    mockClient.getCurrentUpdateSet.mockResolvedValue({ result: { value: 'us1', display_value: 'Fleet Release 2' } });
+    mockClient.createRecord.mockImplementation(async (table, data) => ({
+      ...data, sys_id: 'new1', sys_updated_on: '2026-10-03 08:00:00', sys_scope: { link: 'x', value: APP }
+    }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should create a business rule from the front-matter', async () => {
+    const result = await push('SetPriority.sys_script.js', `${header(['collection: incident', 'when: before', 'action_insert: true'])}current.priority = 1;`);
+
+    expect(result.success).toBe(true);
+    expect(result.created).toBe(true);
+    expect(result.sys_id).toBe('new1');
+    expect(result.application).toEqual({ sys_id: APP, name: 'Fleet Manager' });
+    expect(result.update_set).toBe('Fleet Release 2');
+    expect(mockClient.createRecord).toHaveBeenCalledWith('sys_script', {
+      advanced: 'true',
+      collection: 'incident',
+      when: 'before',
+      action_insert: 'true',
+      name: 'SetPriority',
+      script: 'current.priority = 1;'
+    });
+
+    // The file now carries the new record's sync metadata and keeps its front-matter
+    const { metadata, fields } = parseScriptFile(await fs.readFile(path.join(tempDir, 'SetPriority.sys_script.js'), 'utf-8'));
+    expect(metadata).toEqual({ sys_id: 'new1', sys_updated_on: '2026-10-03 08:00:00', content_hash: hashContent('current.priority = 1;') });
+    expect(fields).toEqual({ sys_scope: APP, collection: 'incident', when: 'before', action_insert: 'true' });
+  });
+
+  it('should list the front-matter needed to create a record', async () => {
+    const result = await push('SetPriority.sys_script.js', 'current.priority = 1;');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Script not found in ServiceNow: SetPriority. To create it, add collection, when');
+    expect(result.error).toContain(' * when: before');
+    expect(mockClient.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('should require the watched field of onChange client scripts', async () => {
+    const result = await push('CheckState.sys_script_client.js', `${header(['table: incident', 'type: onChange'])}function onChange() {}`);
+
+    expect(result.error).toContain('add field_name');
+  });
+
+  it('should validate front-matter fields and choices', async () => {
+    const unknown = await push('Util.sys_script_include.js', `${header(['colour: blue'])}var Util = {};`);
+    expect(unknown.error).toContain('Unknown front-matter field(s) for Script Include: colour');
+
+    const invalid = await push('SetPriority.sys_script.js', `${header(['collection: incident', 'when: sometimes'])}`);
+    expect(invalid.error).toContain('Invalid when for Business Rule: sometimes. Must be one of: before, after, async, display');
+    expect(mockClient.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to create a script in a different application', async () => {
+    const result = await push('Util.sys_script_include.js', `${header(['sys_scope: global'])}var Util = {};`);
+
+    expect(result.error).toContain('Script belongs to application global, but the current application is Fleet Manager');
+    expect(mockClient.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('should report the update set selected in the session', async () => {
+    mockClient.currentUpdateSet = { sys_id: 'us2', name: 'Hotfix' };
+
+    const result = await push('Util.sys_script_include.js', `${header([`sys_scope: ${APP}`, 'api_name: x_fleet.Util'])}var Util = {};`);
+
+    expect(result.update_set).toBe('Hotfix');
+    expect(result.message).toBe(`Created Script Include Util in Fleet Manager (update set: Hotfix) from ${path.join(tempDir, 'Util.sys_script_include.js')}`);
+    expect(mockClient.getCurrentUpdateSet).not.toHaveBeenCalled();
+  });
+
+  it('should write pulled record fields as front-matter', async () => {
+    mockClient.getRecords.mockResolvedValue([{
+      sys_id: 'br1',
+      name: 'SetPriority',
+      script: 'current.priority = 1;',
+      sys_updated_on: '2026-10-01 10:00:00',
+      sys_scope: 'global',
+      collection: 'incident',
+      when: 'before',
+      description: 'Sets priority\nfor VIP callers */'
+    }]);
+    const filePath = path.join(tempDir, 'SetPriority.sys_script.js');
+
+    await syncScript(mockClient, { script_name: 'SetPriority', script_type: 'sys_script', file_path: filePath, direction: 'pull' });
+
+    const content = await fs.readFile(filePath, 'utf-8');
+    expect(content).toContain(' * ---\n * sys_scope: global\n * collection: incident\n * when: before\n');
+    const { script, fields } = parseScriptFile(content);
+    expect(script).toBe('current.priority = 1;');
+    expect(fields.description).toBe('Sets priority\nfor VIP callers */');
+  });
+});
+
+describe('Record Directories', () => {
+  const WIDGET = {
+    sys_id: 'w1',
+    id: 'fleet-summary',
+    name: 'Fleet Summary',
+    template: '<div>{{c.data.count}}</div>',
+    css: '.fleet { color: red; }',
+    client_script: 'api.controller = function() {};',
+    script: 'data.count = 3;',
+    link: '',
+    sys_updated_on: '2026-10-01 10:00:00',
+    sys_updated_by: 'admin',
+    sys_scope: 'global'
+  };
+  let tempDir;
+  let widgetDir;
+  let mockClient;
+  let remote;
+
+  const options = (extra = {}) => ({
+    script_name: 'fleet-summary',
+    script_type: 'sp_widget',
+    file_path: widgetDir,
+    ...extra
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'script-records-'));
+    widgetDir = path.join(tempDir, 'fleet-summary.sp_widget');
+    remote = { ...WIDGET };
+    mockClient = createMockServiceNowClient();
+    mockClient.getRecords.mockImplementation(async () => [{ ...remote }]);
+    mockClient.updateRecord.mockImplementation(async (table, sysId, data) => {
+      remote = { ...remote, ...data, sys_updated_on: '2026-10-02 09:00:00' };
+      return remote;
+    });
+
+    await syncScript(mockClient, options({ direction: 'pull' }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should name record directories by script name and type', () => {
+    expect(generateFileName('fleet-summary', 'sp_widget')).toBe('fleet-summary.sp_widget');
+    expect(parseFileName('fleet-summary.sp_widget')).toEqual({
+      isValid: true, scriptName: 'fleet-summary', scriptType: 'sp_widget', isDirectory: true
+    });
+    expect(parseFileName('fleet-summary.sp_widget.js').isValid).toBe(false);
+  });
+
+  it('should pull each field into its own file', async () => {
+    expect(await fs.readFile(path.join(widgetDir, 'template.html'), 'utf-8')).toBe(WIDGET.template);
+    expect(await fs.readFile(path.join(widgetDir, 'style.scss'), 'utf-8')).toBe(WIDGET.css);
+    expect(await fs.readFile(path.join(widgetDir, 'client_script.js'), 'utf-8')).toBe(WIDGET.client_script);
+    expect(await fs.readFile(path.join(widgetDir, 'server_script.server.js'), 'utf-8')).toBe(WIDGET.script);
+    expect(await fs.readFile(path.join(widgetDir, 'link.js'), 'utf-8')).toBe('');
+
+    const metadata = JSON.parse(await fs.readFile(path.join(widgetDir, '.sn-record.json'), 'utf-8'));
+    expect(metadata).toMatchObject({
+      name: 'fleet-summary',
+      table: 'sp_widget',
+      sys_id: 'w1',
+      sys_updated_on: '2026-10-01 10:00:00',
+      fields: { sys_scope: 'global', name: 'Fleet Summary' }
+    });
+    expect(metadata.content_hashes.template).toBe(hashContent(WIDGET.template));
+  });
+
+  it('should push only the fields that changed', async () => {
+    await fs.writeFile(path.join(widgetDir, 'style.scss'), '.fleet { color: blue; }');
+
+    const result = await syncScript(mockClient, options({ direction: 'push' }));
+
+    expect(result.success).toBe(true);
+    expect(result.conflict_check).toBe('unchanged');
+    expect(result.updated_fields).toEqual(['css']);
+    expect(mockClient.updateRecord).toHaveBeenCalledWith('sp_widget', 'w1', { css: '.fleet { color: blue; }' });
+    const metadata = JSON.parse(await fs.readFile(path.join(widgetDir, '.sn-record.json'), 'utf-8'));
+    expect(metadata.sys_updated_on).toBe('2026-10-02 09:00:00');
+    expect(metadata.fields.name).toBe('Fleet Summary');
+  });
+
+  it('should leave the record untouched when any field conflicts', async () => {
+    remote = { ...remote, script: 'data.count = 4; // hotfix', sys_updated_by: 'jane' };
+    await fs.writeFile(path.join(widgetDir, 'style.scss'), '.fleet { color: blue; }');
+    await fs.writeFile(path.join(widgetDir, 'server_script.server.js'), 'data.count = 5;');
+
+    const result = await syncScript(mockClient, options({ direction: 'push' }));
+
+    expect(result.success).toBe(false);
+    expect(result.conflict.file).toBe('server_script.server.js');
+    expect(result.conflict.remote_changes).toContain('+data.count = 4; // hotfix');
+    expect(mockClient.updateRecord).not.toHaveBeenCalled();
+  });
+
+  it('should merge remote edits per field', async () => {
+    remote = { ...remote, template: '<div>{{c.data.count}}</div>\n<p>footer</p>' };
+    await fs.writeFile(path.join(widgetDir, 'template.html'), '<h1>Fleet</h1>\n<div>{{c.data.count}}</div>');
+
+    const result = await syncScript(mockClient, options({ direction: 'push', merge: true }));
+
+    expect(result.conflict_check).toBe('merged');
+    expect(mockClient.updateRecord).toHaveBeenCalledWith('sp_widget', 'w1', { template: '<h1>Fleet</h1>\n<div>{{c.data.count}}</div>\n<p>footer</p>' });
+    expect(await fs.readFile(path.join(widgetDir, 'template.html'), 'utf-8')).toBe('<h1>Fleet</h1>\n<div>{{c.data.count}}</div>\n<p>footer</p>');
+  });
+
+  it('should create a missing record from the directory metadata', async () => {
+    mockClient.getRecords.mockResolvedValue([]);
+    mockClient.getCurrentApplication.mockResolvedValue({ sys_id: 'global', name: 'Global' });
+    mockClient.createRecord.mockImplementation(async (table, data) => ({ ...data, sys_id: 'w2', sys_updated_on: '2026-10-03 08:00:00' }));
+    await fs.rm(path.join(widgetDir, 'link.js'));
+
+    // The pulled directory still records the old sys_id, so it is not recreated by name
+    const refused = await syncScript(mockClient, options({ direction: 'push' }));
+    expect(refused.error).toBe('No Service Portal Widget found with sys_id w1 from .sn-record.json. It may have been deleted or belong to another instance. To create a new record instead, remove the sys_id from .sn-record.json.');
+    expect(mockClient.createRecord).not.toHaveBeenCalled();
+
+    const metadataPath = path.join(widgetDir, '.sn-record.json');
+    const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf-8'));
+    delete metadata.sys_id;
+    await fs.writeFile(metadataPath, JSON.stringify(metadata));
+
+    const result = await syncScript(mockClient, options({ direction: 'push' }));
+
+    expect(result.created).toBe(true);
+    expect(mockClient.createRecord).toHaveBeenCalledWith('sp_widget', {
+      name: 'Fleet Summary',
+      id: 'fleet-summary',
+      template: WIDGET.template,
+      css: WIDGET.css,
+      client_script: WIDGET.client_script,
+      script: WIDGET.script
+    });
+    expect(JSON.parse(await fs.readFile(path.join(widgetDir, '.sn-record.json'), 'utf-8')).sys_id).toBe('w2');
+  });
+
+  it('should report directories without field files', async () => {
+    const emptyDir = path.join(tempDir, 'empty.sys_ui_page');
+    await fs.mkdir(emptyDir);
+
+    const result = await syncScript(mockClient, { script_name: 'empty', script_type: 'sys_ui_page', file_path: emptyDir, direction: 'push' });
+
+    expect(result.error).toBe(`No UI Page files found in ${emptyDir}. Expected: page.html, client_script.js, processing_script.server.js`);
+  });
+
+  it('should push record directories in bulk', async () => {
+    await fs.writeFile(path.join(widgetDir, 'link.js'), 'function link() {}');
+
+    const result = await syncAllScripts(mockClient, { directory: tempDir });
+
+    expect(result.total_files).toBe(1);
+    expect(result.scripts[0].updated_fields).toEqual(['link']);
+  });
+
+  it('should push the record directory when one of its files is saved', async () => {
+    const synced = [];
+    const handle = watchScripts(mockClient, { directory: tempDir, onSync: (result) => synced.push(result) });
+    await new Promise(resolve => handle.watcher.on('ready', resolve));
+
+    await fs.writeFile(path.join(widgetDir, 'client_script.js'), 'api.controller = function() { var c = this; };');
+    const start = Date.now();
+    while (synced.length === 0 && Date.now() - start < 5000) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    await handle.stop();
+
+    expect(synced[0]).toMatchObject({ script_name: 'fleet-summary', script_type: 'sp_widget', file_path: widgetDir, success: true });
+    expect(mockClient.updateRecord).toHaveBeenCalledWith('sp_widget', 'w1', { client_script: 'api.controller = function() { var c = this; };' });
+  }, 10000);
+});
+
+describe('Qualified Script Names', () => {
+  const SYS_ID = '0123456789abcdef0123456789abcdef';
+  let tempDir;
+  let mockClient;
+
+  async function* streamOf(records) {
+    yield* records;
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'script-names-'));
+    mockClient = createMockServiceNowClient();
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should query qualified names by name and qualifier fields', () => {
+    expect(buildNameQuery(SCRIPT_TYPES.sys_script, 'SetPriority')).toBe('name=SetPriority');
+    expect(buildNameQuery(SCRIPT_TYPES.sys_script, 'SetPriority@incident')).toBe('name=SetPriority^collection=incident');
+    expect(buildNameQuery(SCRIPT_TYPES.sys_security_acl, 'incident.state@write')).toBe('name=incident.state^operation.name=write');
+    expect(buildNameQuery(SCRIPT_TYPES.sys_transform_script, 'Users Import@onBefore')).toBe('map.name=Users Import^when=onBefore');
+    expect(buildNameQuery(SCRIPT_TYPES.sys_script_include, `MyUtils@${SYS_ID}`)).toBe(`sys_id=${SYS_ID}`);
+    expect(() => buildNameQuery(SCRIPT_TYPES.sys_script_include, 'MyUtils@global'))
+      .toThrow('Too many @ qualifiers in MyUtils@global for Script Include; use name@sys_id to name one record exactly');
+  });
+
+  it('should refuse names shared by several records and suggest qualified names', async () => {
+    mockClient.getRecords.mockResolvedValue([
+      { sys_id: 'br1', name: 'SetPriority', collection: 'incident', script: '' },
+      { sys_id: 'br2', name: 'SetPriority', collection: 'problem', script: '' }
+    ]);
+
+    const result = await syncScript(mockClient, {
+      script_name: 'SetPriority',
+      script_type: 'sys_script',
+      file_path: path.join(tempDir, 'SetPriority.sys_script.js'),
+      direction: 'pull'
+    });
+
+    expect(result.error).toBe('2 Business Rule records are named SetPriority. Qualify the name to pick one: SetPriority@incident, SetPriority@problem');
+  });
+
+  it('should take qualifier fields from the name when creating', async () => {
+    mockClient.getRecords.mockResolvedValue([]);
+    mockClient.getCurrentApplication.mockResolvedValue({ sys_id: 'global', name: 'Global' });
+    mockClient.createRecord.mockImplementation(async (table, data) => ({ ...data, sys_id: 'new1' }));
+    const filePath = path.join(tempDir, 'SetPriority@incident.sys_script.js');
+    await fs.writeFile(filePath, '/**\n * ---\n * when: before\n * ---\n */\n\ncurrent.priority = 1;');
+
+    const result = await syncScript(mockClient, { script_name: 'SetPriority@incident', script_type: 'sys_script', file_path: filePath, direction: 'push' });
+
+    expect(result.created).toBe(true);
+    expect(mockClient.getRecords.mock.calls[0][1].sysparm_query).toBe('name=SetPriority^collection=incident');
+    expect(mockClient.createRecord).toHaveBeenCalledWith('sys_script', expect.objectContaining({
+      name: 'SetPriority', collection: 'incident', when: 'before'
+    }));
+  });
+
+  it('should not write a dot-walked name field when creating', async () => {
+    mockClient.getRecords.mockResolvedValue([]);
+    mockClient.getCurrentApplication.mockResolvedValue({ sys_id: 'global', name: 'Global' });
+    mockClient.createRecord.mockImplementation(async (table, data) => ({ ...data, sys_id: 'ts1' }));
+    const filePath = path.join(tempDir, 'Users Import@onBefore.sys_transform_script.js');
+    await fs.writeFile(filePath, '/**\n * ---\n * map: tm1\n * ---\n */\n\ntarget.active = true;');
+
+    await syncScript(mockClient, { script_name: 'Users Import@onBefore', script_type: 'sys_transform_script', file_path: filePath, direction: 'push' });
+
+    expect(mockClient.createRecord).toHaveBeenCalledWith('sys_transform_script', { map: 'tm1', when: 'onBefore', script: 'target.active = true;' });
+  });
+
+  it('should qualify bulk-pulled file names and separate records sharing a name', async () => {
+    const records = {
+      sys_script: [
+        { sys_id: 'br1', name: 'SetPriority', collection: 'incident', script: '// incident' },
+        { sys_id: 'br2', name: 'SetPriority', collection: 'problem', script: '// problem' }
+      ],
+      sys_script_include: [
+        { sys_id: 'si1', name: 'MyUtils', script: '// global' },
+        { sys_id: 'si2', name: 'MyUtils', script: '// scoped' },
+        { sys_id: 'si3', name: 'Other', script: '// other' }
+      ]
+    };
+    mockClient.streamRecords.mockImplementation((table) => streamOf(records[table] || []));
+
+    const result = await syncAllScripts(mockClient, { directory: tempDir, direction: 'pull', script_types: ['sys_script', 'sys_script_include'] });
+
+    expect(result.scripts.map(script => script.script_name)).toEqual([
+      'SetPriority@incident', 'SetPriority@problem', 'MyUtils@si1', 'MyUtils@si2', 'Other'
+    ]);
+    expect((await fs.readdir(tempDir)).sort()).toEqual([
+      '.sn-sync',
+      'MyUtils@si1.sys_script_include.js',
+      'MyUtils@si2.sys_script_include.js',
+      'Other.sys_script_include.js',
+      'SetPriority@incident.sys_script.js',
+      'SetPriority@problem.sys_script.js'
+    ]);
+    expect(await fs.readFile(path.join(tempDir, '.sn-sync', 'MyUtils@si1.sys_script_include.js'), 'utf-8')).toBe('// global');
+    expect(parseFileName('SetPriority@incident.sys_script.js').scriptName).toBe('SetPriority@incident');
+  });
+
+  it('should push pulled scripts with sanitized names to their record by sys_id', async () => {
+    let remote = { sys_id: 'br1', name: 'Set Priority', collection: 'incident', script: '// v1', sys_updated_on: '2026-10-01 10:00:00' };
+    mockClient.streamRecords.mockImplementation((table) => streamOf(table === 'sys_script' ? [remote] : []));
+    // The sanitized name matches nothing on the instance; only the sys_id finds the record
+    mockClient.getRecords.mockImplementation(async (table, params) => (params.sysparm_query === 'sys_id=br1' ? [{ ...remote }] : []));
+    mockClient.updateRecord.mockImplementation(async (table, sysId, data) => {
+      remote = { ...remote, ...data, sys_updated_on: '2026-10-02 09:00:00' };
+      return remote;
+    });
+
+    await syncAllScripts(mockClient, { directory: tempDir, direction: 'pull', script_types: ['sys_script'] });
+    const filePath = path.join(tempDir, 'Set_Priority@incident.sys_script.js');
+    await fs.writeFile(filePath, (await fs.readFile(filePath, 'utf-8')).replace('// v1', '// v2'));
+
+    const result = await syncAllScripts(mockClient, { directory: tempDir, direction: 'push', script_types: ['sys_script'] });
+
+    expect(result.scripts).toEqual([expect.objectContaining({ script_name: 'Set_Priority@incident', success: true, matched_by: 'sys_id' })]);
+    expect(mockClient.updateRecord).toHaveBeenCalledWith('sys_script', 'br1', { script: '// v2' });
+    expect(mockClient.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to push a file whose recorded sys_id is missing on the instance', async () => {
+    mockClient.getRecords.mockResolvedValue([]);
+    const filePath = path.join(tempDir, 'Set_Priority@incident.sys_script.js');
+    await fs.writeFile(filePath, '/**\n * sys_id: br1\n * ---\n * when: before\n * ---\n */\n\ncurrent.priority = 1;');
+
+    const result = await syncScript(mockClient, { script_name: 'Set_Priority@incident', script_type: 'sys_script', file_path: filePath, direction: 'push' });
+
+    expect(result.error).toBe('No Business Rule found with sys_id br1 from the file header. It may have been deleted or belong to another instance. To create a new record instead, remove the sys_id from the file header.');
+    expect(mockClient.getRecords.mock.calls[0][1].sysparm_query).toBe('sys_id=br1');
+    expect(mockClient.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('should sync UI policy scripts as a record directory', async () => {
+    mockClient.getRecords.mockResolvedValue([{
+      sys_id: 'up1', short_description: 'Require close notes', table: 'incident',
+      script_true: 'function onCondition() { g_form.setMandatory(\'close_notes\', true); }',
+      script_false: 'function onCondition() {}'
+    }]);
+    const dirPath = path.join(tempDir, generateFileName('Require close notes', 'sys_ui_policy', ['incident']));
+
+    await syncScript(mockClient, { script_name: 'Require close notes@incident', script_type: 'sys_ui_policy', file_path: dirPath, direction: 'pull' });
+
+    expect(path.basename(dirPath)).toBe('Require_close_notes@incident.sys_ui_policy');
+    expect(mockClient.getRecords.mock.calls[0][1].sysparm_query).toBe('short_description=Require close notes^table=incident');
+    expect(await fs.readFile(path.join(dirPath, 'script_false.js'), 'utf-8')).toBe('function onCondition() {}');
+  });
+});
+
+describe('Diff and Merge', () => {
+  it('should format a unified diff', () => {
+    expect(formatUnifiedDiff('a\nb\nc', 'a\nB\nc', { oldLabel: 'old', newLabel: 'new' })).toBe(
+      '--- old\n+++ new\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c'
+    );
+    expect(formatUnifiedDiff('same', 'same')).toBe('');
+  });
+
+  it('should merge insertions at both ends', () => {
+    expect(mergeThreeWay('a\nb', 'top\na\nb', 'a\nb\nbottom')).toEqual({ merged: 'top\na\nb\nbottom', conflicts: 0 });
+  });
+
+  it('should accept identical edits on both sides', () => {
+    expect(mergeThreeWay('a\nb', 'a\nB', 'a\nB')).toEqual({ merged: 'a\nB', conflicts: 0 });
+  });
+});
+
+describe('Script Sync Tools', () => {
+  const instances = {
+    dev: { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'pw' },
+    prod: { name: 'prod', url: 'https://prod123.service-now.com', username: 'api', password: 'pw', mode: 'read_only' }
+  };
+  let tempDir;
+
+
+  /**
+   * Collect progress messages sent by a session
+   */
+  const captureProgress = (server) => {
+    const messages = [];
+    jest.spyOn(server, 'notification').mockImplementation(async (notification) => {
+      messages.push(notification.params.progress);
+    });
+    return messages;
+  };
+
+  const waitFor = async (condition, timeoutMs = 5000) => {
+    const start = Date.now();
+    while (!condition()) {
+      if (Date.now() - start > timeoutMs) {
+        throw new Error('Timed out waiting for condition');
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'script-tools-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(configManager, 'getInstance').mockImplementation((name) => {
+      if (!instances[name]) {
+        throw new Error(`Instance '${name}' not found`);
+      }
+      return instances[name];
+    });
+    jest.spyOn(configManager, 'listInstances').mockImplementation(() => (
+      Object.values(instances).map(i => ({ name: i.name, url: i.url, mode: i.mode || 'full' }))
+    ));
+    jest.spyOn(ServiceNowClient.prototype, 'getRecords').mockResolvedValue([
+      { sys_id: 'si1', name: 'MyUtils', script: 'var MyUtils = Class.create();' }
+    ]);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should pull and push a script', async () => {
+    const updateRecord = jest.spyOn(ServiceNowClient.prototype, 'updateRecord').mockResolvedValue({});
+    const session = await connectSession(instances.dev);
+    const filePath = path.join(tempDir, 'MyUtils.sys_script_include.js');
+    const args = { script_name: 'MyUtils', script_type: 'sys_script_include', file_path: filePath };
+
+    const pulled = await session.client.callTool({ name: 'SN-Sync-Script', arguments: args });
+    expect(pulled.isError).toBeFalsy();
+    const pulledContent = await fs.readFile(filePath, 'utf-8');
+    expect(pulledContent).toContain('var MyUtils = Class.create();');
+
+    await fs.writeFile(filePath, pulledContent.replace('Class.create();', 'Class.create(); // edited'));
+    const pushed = await session.client.callTool({ name: 'SN-Sync-Script', arguments: args });
+    expect(pushed.content[0].text).toContain('"direction": "push"');
+    expect(updateRecord).toHaveBeenCalledWith('sys_script_include', 'si1', { script: 'var MyUtils = Class.create(); // edited' });
+
+    await session.client.close();
+  });
+
+  it('should allow pulls but not pushes on read-only instances', async () => {
+    const session = await connectSession(instances.dev);
+    const filePath = path.join(tempDir, 'MyUtils.sys_script_include.js');
+    const args = { script_name: 'MyUtils', script_type: 'sys_script_include', file_path: filePath, instance: 'prod' };
+
+    const pushed = await session.client.callTool({ name: 'SN-Sync-Script', arguments: { ...args, direction: 'push' } });
+    expect(pushed.isError).toBe(true);
+    expect(pushed.content[0].text).toContain("use direction: 'pull' to download only");
+
+    const pulled = await session.client.callTool({ name: 'SN-Sync-Script', arguments: { ...args, direction: 'pull' } });
+    expect(pulled.isError).toBeFalsy();
+
+    const watched = await session.client.callTool({ name: 'SN-Watch-Scripts', arguments: { directory: tempDir, instance: 'prod' } });
+    expect(watched.isError).toBe(true);
+
+    await session.client.close();
+  });
+
+  it('should push saved files and report each sync as progress', async () => {
+    const updateRecord = jest.spyOn(ServiceNowClient.prototype, 'updateRecord').mockResolvedValue({});
+    const session = await connectSession(instances.dev);
+    const progress = captureProgress(session.server);
+
+    const started = await session.client.callTool({ name: 'SN-Watch-Scripts', arguments: { directory: tempDir } });
+    expect(started.content[0].text).toContain('watch_id: watch-1');
+    const duplicate = await session.client.callTool({ name: 'SN-Watch-Scripts', arguments: { directory: tempDir } });
+    expect(duplicate.content[0].text).toContain('already watched');
+
+    // Give chokidar time to finish its initial scan
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await fs.writeFile(path.join(tempDir, 'MyUtils.sys_script_include.js'), 'var MyUtils = 2;');
+    await waitFor(() => progress.length > 0);
+
+    expect(progress[0]).toBe('✅ [watch-1] Pushed MyUtils.sys_script_include.js to dev');
+    expect(updateRecord).toHaveBeenCalledWith('sys_script_include', 'si1', { script: 'var MyUtils = 2;' });
+
+    const stopped = await session.client.callTool({ name: 'SN-Stop-Watch', arguments: { watch_id: 'watch-1' } });
+    expect(stopped.content[0].text).toContain('Stopped 1 script watch(es)');
+
+    const unknown = await session.client.callTool({ name: 'SN-Stop-Watch', arguments: { watch_id: 'watch-1' } });
+    expect(unknown.content[0].text).toContain('Unknown watch_id: watch-1. Active watches: none');
+
+    await session.client.close();
+  }, 10000);
+
+  it('should keep pushing to the original instance after the session switches', async () => {
+    const pushedTo = [];
+    jest.spyOn(ServiceNowClient.prototype, 'updateRecord').mockImplementation(async function () {
+      pushedTo.push(this.getCurrentInstance().name);
+      return {};
+    });
+    const session = await connectSession(instances.dev);
+    const progress = captureProgress(session.server);
+
+    await session.client.callTool({ name: 'SN-Watch-Scripts', arguments: { directory: tempDir } });
+    await session.client.callTool({ name: 'SN-Set-Instance', arguments: { instance_name: 'prod' } });
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await fs.writeFile(path.join(tempDir, 'MyUtils.sys_script_include.js'), 'var MyUtils = 3;');
+    await waitFor(() => progress.some(m => m.includes('[watch-1]')));
+
+    expect(pushedTo).toEqual(['dev']);
+
+    await session.client.close();
+  }, 10000);
+
+  it('should stop watchers when the session closes', async () => {
+    const session = await connectSession(instances.dev);
+    const progress = captureProgress(session.server);
+
+    await session.client.callTool({ name: 'SN-Watch-Scripts', arguments: { directory: tempDir } });
+    await session.client.close();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const stopped = console.error.mock.calls.some(([message]) => String(message).includes('Stopped script watch watch-1'));
+    expect(stopped).toBe(true);
+    expect(progress).toEqual([]);
+  });
 });
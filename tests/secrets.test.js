@@ -0,0 +1,179 @@
+/**
+ * Tests for secret references in instance configuration
+ * Tests: env:, file:, cmd: and literal: resolution, error reporting and resolution on lookup
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigManager, resolveSecret, runSecretCommand } from '../src/config-manager.js';
+
+describe('Secret References', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sn-secrets-'));
+    process.env.SN_TEST_PASSWORD = 'from_env';
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.SN_TEST_PASSWORD;
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveSecret', () => {
+    it('should return literal values unchanged', () => {
+      expect(resolveSecret('plain_password')).toBe('plain_password');
+      expect(resolveSecret(undefined)).toBeUndefined();
+    });
+
+    it('should read environment variables', () => {
+      expect(resolveSecret('env:SN_TEST_PASSWORD')).toBe('from_env');
+    });
+
+    it('should report unset environment variables', () => {
+      expect(() => resolveSecret('env:SN_TEST_MISSING', "Instance 'dev' password"))
+        .toThrow("Instance 'dev' password references environment variable SN_TEST_MISSING, which is not set");
+    });
+
+    it('should read files without the trailing newline', () => {
+      const secretPath = path.join(tmpDir, 'password');
+      fs.writeFileSync(secretPath, 'from_file\n');
+
+      expect(resolveSecret(`file:${secretPath}`)).toBe('from_file');
+    });
+
+    it('should report unreadable files', () => {
+      expect(() => resolveSecret(`file:${path.join(tmpDir, 'missing')}`, "Instance 'dev' password"))
+        .toThrow(/Instance 'dev' password references file .*missing, which could not be read/);
+    });
+
+    it('should run commands without the trailing newline', async () => {
+      await expect(runSecretCommand('echo from_cmd')).resolves.toBe('from_cmd');
+    });
+
+    it('should give commands no input', async () => {
+      await expect(runSecretCommand('cat; echo done')).resolves.toBe('done');
+    });
+
+    it('should report failing commands with their stderr', async () => {
+      await expect(runSecretCommand('echo vault locked >&2; exit 1')).rejects.toThrow('vault locked');
+    });
+
+    it('should read command output from the cache without running it', () => {
+      const commandCache = new Map([['echo from_cmd', 'cached'], ['false', new Error('vault locked')]]);
+
+      expect(resolveSecret('cmd:echo from_cmd', 'secret', commandCache)).toBe('cached');
+      expect(() => resolveSecret('cmd:false', "Instance 'dev' password", commandCache))
+        .toThrow("Instance 'dev' password command failed: vault locked");
+      expect(() => resolveSecret('cmd:echo other', "Instance 'dev' password", commandCache))
+        .toThrow("Instance 'dev' password command has not run yet");
+    });
+
+    it('should return literal: values without interpreting them', () => {
+      expect(resolveSecret('literal:cmd:rm -rf /')).toBe('cmd:rm -rf /');
+      expect(resolveSecret('literal:env:HOME')).toBe('env:HOME');
+      expect(resolveSecret('literal:literal:x')).toBe('literal:x');
+    });
+  });
+
+  describe('Instance lookup', () => {
+    const createManager = () => {
+      const manager = new ConfigManager();
+      manager.instances = [
+        { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'env:SN_TEST_PASSWORD', default: true },
+        {
+          name: 'prod',
+          url: 'https://prod123.service-now.com',
+          auth: { type: 'oauth', grant_type: 'client_credentials', client_id: 'client123', client_secret: 'env:SN_TEST_PASSWORD' }
+        }
+      ];
+      return manager;
+    };
+
+    it('should resolve references when an instance is requested', () => {
+      const manager = createManager();
+
+      expect(manager.getInstance('dev').password).toBe('from_env');
+      expect(manager.getDefaultInstance().password).toBe('from_env');
+      expect(manager.getInstance('prod').auth.client_secret).toBe('from_env');
+    });
+
+    it('should not modify the stored configuration', () => {
+      const manager = createManager();
+
+      manager.getInstance('prod');
+
+      expect(manager.instances[0].password).toBe('env:SN_TEST_PASSWORD');
+      expect(manager.instances[1].auth.client_secret).toBe('env:SN_TEST_PASSWORD');
+    });
+
+    it('should pick up rotated secrets on the next lookup', () => {
+      const manager = createManager();
+
+      expect(manager.getInstance('dev').password).toBe('from_env');
+      process.env.SN_TEST_PASSWORD = 'rotated';
+      expect(manager.getInstance('dev').password).toBe('rotated');
+    });
+
+    it('should run cmd: references once per loaded config', async () => {
+      const counter = path.join(tmpDir, 'runs');
+      const manager = createManager();
+      manager.instances[0].password = `cmd:echo run >> ${counter}; wc -l < ${counter} | tr -d ' '`;
+      manager.instances[1].auth.client_secret = manager.instances[0].password;
+
+      await manager.resolveCommandSecrets();
+      await manager.resolveCommandSecrets();
+      expect(manager.getInstance('dev').password).toBe('1');
+      expect(manager.getInstance('prod').auth.client_secret).toBe('1');
+
+      // A reload replaces the instances, so the command runs again
+      manager.instances = manager.instances.map(instance => ({ ...instance }));
+      await manager.resolveCommandSecrets();
+      expect(manager.getInstance('dev').password).toBe('2');
+    });
+
+    it('should run cmd: references of a reloaded config before applying it', async () => {
+      const manager = createManager();
+      manager.configPath = path.join(tmpDir, 'instances.json');
+      fs.writeFileSync(manager.configPath, JSON.stringify({
+        instances: [{ name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'cmd:echo reloaded_pw' }]
+      }));
+
+      const reloading = manager.reload();
+      expect(manager.getInstance('prod').auth.client_secret).toBe('from_env');
+
+      expect(await reloading).toBe(true);
+      expect(manager.getInstance('dev').password).toBe('reloaded_pw');
+    });
+
+    it('should retry cmd: references that failed in the background', async () => {
+      const flag = path.join(tmpDir, 'unlocked');
+      const manager = createManager();
+      manager.instances[0].password = `cmd:cat ${flag}`;
+      await manager.resolveCommandSecrets();
+
+      fs.writeFileSync(flag, 'unlocked_pw\n');
+      expect(() => manager.getInstance('dev')).toThrow("Instance 'dev' password command failed");
+      await manager.resolveCommandSecrets();
+      expect(manager.getInstance('dev').password).toBe('unlocked_pw');
+    });
+
+    it('should name the instance and field when resolution fails', () => {
+      const manager = createManager();
+      delete process.env.SN_TEST_PASSWORD;
+
+      expect(() => manager.getInstance('prod'))
+        .toThrow("Instance 'prod' auth.client_secret references environment variable SN_TEST_PASSWORD");
+    });
+
+    it('should list instances without resolving secrets', () => {
+      const manager = createManager();
+      delete process.env.SN_TEST_PASSWORD;
+
+      expect(manager.listInstances().map(i => i.name)).toEqual(['dev', 'prod']);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests for per-session ServiceNow client isolation
+ * Tests: SN-Set-Instance isolation between sessions and per-call instance overrides
+ */
+
+import { jest } from '@jest/globals';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { configManager } from '../src/config-manager.js';
+import { connectSession } from './helpers/mocks.js';
+
+const instances = {
+  dev: { name: 'dev', url: 'https://dev123.service-now.com', username: 'admin', password: 'dev_pw' },
+  prod: { name: 'prod', url: 'https://prod123.service-now.com', username: 'api', password: 'prod_pw' }
+};
+
+describe('Per-Session Client Isolation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(configManager, 'getInstance').mockImplementation((name) => {
+      if (!instances[name]) {
+        throw new Error(`Instance '${name}' not found`);
+      }
+      return instances[name];
+    });
+    jest.spyOn(configManager, 'listInstances').mockImplementation(() => Object.values(instances));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep other sessions on their instance after SN-Set-Instance', async () => {
+    const sessionA = await connectSession(instances.dev);
+    const sessionB = await connectSession(instances.dev);
+
+    await sessionA.client.callTool({ name: 'SN-Set-Instance', arguments: { instance_name: 'prod' } });
+
+    expect(sessionA.serviceNowClient.getCurrentInstance()).toEqual({ name: 'prod', url: instances.prod.url });
+    expect(sessionB.serviceNowClient.getCurrentInstance()).toEqual({ name: 'dev', url: instances.dev.url });
+
+    const result = await sessionB.client.callTool({ name: 'SN-Get-Current-Instance', arguments: {} });
+    expect(JSON.parse(result.content[0].text).current_instance.name).toBe('dev');
+
+    await sessionA.client.close();
+    await sessionB.client.close();
+  });
+
+  it('should route progress notifications only to the owning session', async () => {
+    const sessionA = await connectSession(instances.dev);
+    const sessionB = await connectSession(instances.dev);
+
+    const notifyA = jest.spyOn(sessionA.server, 'notification');
+    const notifyB = jest.spyOn(sessionB.server, 'notification');
+
+    sessionA.serviceNowClient.notifyProgress('Creating record 1/1');
+
+    expect(notifyA).toHaveBeenCalledTimes(1);
+    expect(notifyB).not.toHaveBeenCalled();
+
+    await sessionA.client.close();
+    await sessionB.client.close();
+  });
+
+  it('should reset update set context when the instance changes', () => {
+    const client = new ServiceNowClient(instances.dev.url, instances.dev.username, instances.dev.password);
+    client.currentUpdateSet = { sys_id: 'us123', name: 'Feature Work' };
+
+    client.setInstance(instances.dev.url, instances.dev.username, instances.dev.password, 'dev');
+    expect(client.currentUpdateSet).toEqual({ sys_id: 'us123', name: 'Feature Work' });
+
+    client.setInstance(instances.prod.url, instances.prod.username, instances.prod.password, 'prod');
+    expect(client.currentUpdateSet).toBeNull();
+  });
+
+  it('should release callbacks and update set context on dispose', () => {
+    const client = new ServiceNowClient(instances.dev.url, instances.dev.username, instances.dev.password);
+    const callback = jest.fn();
+    client.setProgressCallback(callback);
+    client.currentUpdateSet = { sys_id: 'us123', name: 'Feature Work' };
+
+    client.dispose();
+    client.notifyProgress('late message');
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(client.currentUpdateSet).toBeNull();
+  });
+});
+
+describe('Per-Call Instance Override', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(configManager, 'getInstance').mockImplementation((name) => {
+      if (!instances[name]) {
+        throw new Error(`Instance '${name}' not found`);
+      }
+      return instances[name];
+    });
+    jest.spyOn(configManager, 'listInstances').mockImplementation(() => Object.values(instances));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run a tool against the named instance without switching the session', async () => {
+    const calledOn = [];
+    jest.spyOn(ServiceNowClient.prototype, 'getRecordsPage').mockImplementation(async function () {
+      calledOn.push(this.getCurrentInstance().name);
+      return { records: [], total_count: 0, links: {}, offset: 0, next_offset: null, prev_offset: null };
+    });
+
+    const session = await connectSession(instances.dev);
+
+    await session.client.callTool({ name: 'SN-List-Incidents', arguments: { instance: 'prod' } });
+    await session.client.callTool({ name: 'SN-List-Incidents', arguments: {} });
+
+    expect(calledOn).toEqual(['prod', 'dev']);
+    expect(session.serviceNowClient.getCurrentInstance().name).toBe('dev');
+
+    await session.client.close();
+  });
+
+  it('should reuse the cached client for repeated calls to the same instance', async () => {
+    const clients = new Set();
+    jest.spyOn(ServiceNowClient.prototype, 'getRecordsPage').mockImplementation(async function () {
+      clients.add(this);
+      return { records: [], total_count: 0, links: {}, offset: 0, next_offset: null, prev_offset: null };
+    });
+
+    const session = await connectSession(instances.dev);
+
+    await session.client.callTool({ name: 'SN-List-Problems', arguments: { instance: 'prod' } });
+    await session.client.callTool({ name: 'SN-List-Problems', arguments: { instance: 'prod' } });
+
+    expect(clients.size).toBe(1);
+    expect(configManager.getInstance).toHaveBeenCalledTimes(1);
+
+    await session.client.close();
+  });
+
+  it('should not forward the instance argument as record data', async () => {
+    const createRecord = jest.spyOn(ServiceNowClient.prototype, 'createRecord').mockResolvedValue({ number: 'INC0010001' });
+
+    const session = await connectSession(instances.dev);
+
+    await session.client.callTool({
+      name: 'SN-Create-Incident',
+      arguments: { short_description: 'Disk full', instance: 'prod' }
+    });
+
+    expect(createRecord).toHaveBeenCalledWith('incident', { short_description: 'Disk full' });
+
+    await session.client.close();
+  });
+
+  it('should report unknown instances as tool errors', async () => {
+    const session = await connectSession(instances.dev);
+
+    const result = await session.client.callTool({ name: 'SN-List-Incidents', arguments: { instance: 'staging' } });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain("Instance 'staging' not found");
+
+    await session.client.close();
+  });
+
+  it('should advertise the instance argument on every data tool', async () => {
+    const session = await connectSession(instances.dev);
+
+    const { tools } = await session.client.listTools();
+    const dataTools = tools.filter(t => !['SN-Set-Instance', 'SN-Get-Current-Instance'].includes(t.name));
+
+    dataTools.forEach(tool => {
+      expect(tool.inputSchema.properties.instance).toBeDefined();
+    });
+
+    await session.client.close();
+  });
+});
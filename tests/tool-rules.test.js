@@ -0,0 +1,151 @@
+/**
+ * Tests for per-instance tool allow-lists and deny-lists
+ * Tests: glob matching, rule precedence, ListTools filtering and blocked call reporting
+ */
+
+import { jest } from '@jest/globals';
+import { ServiceNowClient } from '../src/servicenow-client.js';
+import { ConfigManager, configManager } from '../src/config-manager.js';
+import { checkToolAccess, filterToolsForInstance, matchesToolPattern } from '../src/tool-policy.js';
+import { connectSession } from './helpers/mocks.js';
+
+const instances = {
+  dev: {
+    name: 'dev',
+    url: 'https://dev123.service-now.com',
+    username: 'admin',
+    password: 'pw'
+  },
+  test: {
+    name: 'test',
+    url: 'https://test123.service-now.com',
+    username: 'admin',
+    password: 'pw',
+    tools: { deny: ['SN-Execute-Background-Script', 'SN-*-Workflow', 'SN-Create-Activity', 'SN-Create-Transition'] }
+  },
+  prod: {
+    name: 'prod',
+    url: 'https://prod123.service-now.com',
+    username: 'api',
+    password: 'pw',
+    tools: { allow: ['SN-List-*', 'SN-Get-*', 'SN-Query-Table'], deny: ['SN-List-SysUsers'] }
+  }
+};
+
+describe('Tool Rules', () => {
+  it('should match tool names against globs', () => {
+    expect(matchesToolPattern('SN-Create-Workflow', 'SN-*-Workflow')).toBe(true);
+    expect(matchesToolPattern('SN-Publish-Workflow', 'SN-*-Workflow')).toBe(true);
+    expect(matchesToolPattern('SN-Create-Record', 'SN-*-Workflow')).toBe(false);
+    expect(matchesToolPattern('SN-List-Problems', 'sn-list-*')).toBe(true);
+    expect(matchesToolPattern('SN-Get-Record', 'SN-Get-Recor?')).toBe(true);
+    expect(matchesToolPattern('SN-Get-Record', 'SN-Get')).toBe(false);
+  });
+
+  it('should report the deny pattern that blocked a tool', () => {
+    expect(checkToolAccess('SN-Publish-Workflow', instances.test)).toEqual({
+      allowed: false,
+      rule: "tools.deny pattern 'SN-*-Workflow'",
+      reason: "SN-Publish-Workflow is blocked on instance 'test' by tools.deny pattern 'SN-*-Workflow'"
+    });
+  });
+
+  it('should block tools outside the allow-list', () => {
+    const access = checkToolAccess('SN-Update-Record', instances.prod);
+
+    expect(access.allowed).toBe(false);
+    expect(access.rule).toBe('tools.allow (no pattern matches; allowed: SN-List-*, SN-Get-*, SN-Query-Table)');
+    expect(checkToolAccess('SN-List-Incidents', instances.prod).allowed).toBe(true);
+  });
+
+  it('should let deny patterns override allow patterns', () => {
+    expect(checkToolAccess('SN-List-SysUsers', instances.prod).rule).toBe("tools.deny pattern 'SN-List-SysUsers'");
+  });
+
+  it('should keep exempt tools when filtering', () => {
+    const tools = [{ name: 'SN-Set-Instance' }, { name: 'SN-List-Incidents' }, { name: 'SN-Update-Record' }];
+
+    const filtered = filterToolsForInstance(tools, instances.prod, { exempt: ['SN-Set-Instance'] });
+
+    expect(filtered.map(t => t.name)).toEqual(['SN-Set-Instance', 'SN-List-Incidents']);
+  });
+
+  it('should validate tool rules in the config file', () => {
+    const manager = new ConfigManager();
+
+    expect(manager.validateConfig({ instances: Object.values(instances) })).toHaveLength(3);
+    expect(() => manager.validateConfig({ instances: [{ ...instances.dev, tools: { deny: 'SN-*' } }] }))
+      .toThrow('instances[0].tools.deny');
+    expect(() => manager.validateConfig({ instances: [{ ...instances.dev, tools: { block: ['SN-*'] } }] }))
+      .toThrow('instances[0].tools');
+  });
+});
+
+describe('Tool Rules in the MCP Server', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(configManager, 'getInstance').mockImplementation((name) => {
+      if (!instances[name]) {
+        throw new Error(`Instance '${name}' not found`);
+      }
+      return instances[name];
+    });
+    jest.spyOn(configManager, 'listInstances').mockImplementation(() => (
+      Object.values(instances).map(i => ({ name: i.name, url: i.url, mode: 'full', tools: i.tools }))
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should list only the tools the active instance allows', async () => {
+    const session = await connectSession(instances.prod);
+
+    const { tools } = await session.client.listTools();
+    const names = tools.map(t => t.name);
+
+    expect(names).toContain('SN-List-Incidents');
+    expect(names).toContain('SN-Query-Table');
+    expect(names).not.toContain('SN-List-SysUsers');
+    expect(names).not.toContain('SN-Create-Record');
+    // Instance switching must stay available so the session can leave a restricted instance
+    expect(names).toContain('SN-Set-Instance');
+    expect(names).toContain('SN-Get-Current-Instance');
+
+    await session.client.close();
+  });
+
+  it('should reject denied tools and name the rule', async () => {
+    const createWorkflow = jest.spyOn(ServiceNowClient.prototype, 'createCompleteWorkflow').mockResolvedValue({});
+    const session = await connectSession(instances.dev);
+
+    const result = await session.client.callTool({
+      name: 'SN-Create-Workflow',
+      arguments: { name: 'Approval', table: 'incident', instance: 'test' }
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe("Error: SN-Create-Workflow is blocked on instance 'test' by tools.deny pattern 'SN-*-Workflow'");
+    expect(createWorkflow).not.toHaveBeenCalled();
+
+    await session.client.close();
+  });
+
+  it('should allow background scripts only where the rules permit', async () => {
+    const execute = jest.spyOn(ServiceNowClient.prototype, 'executeScriptViaTrigger').mockResolvedValue({ success: true });
+    const session = await connectSession(instances.dev);
+
+    const onTest = await session.client.callTool({
+      name: 'SN-Execute-Background-Script',
+      arguments: { script: 'gs.info("hi")', instance: 'test' }
+    });
+    expect(onTest.isError).toBe(true);
+    expect(execute).not.toHaveBeenCalled();
+
+    const { tools } = await session.client.listTools();
+    expect(tools.map(t => t.name)).toContain('SN-Execute-Background-Script');
+
+    await session.client.close();
+  });
+});